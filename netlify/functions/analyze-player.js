@@ -5,41 +5,57 @@ const {
   formatAmericanOdds,
   analyzeCourseSkillDemands,
   analyzeWeatherConditions,
-  calculateClaudeCost
+  calculateClaudeCost,
+  getDataProvider,
+  toDataGolfTour
 } = require('./shared-utils');
+const { fetchCompCourseHistory, formatCompHistory } = require('./comp-courses');
+const { acquireGenerationLock, releaseGenerationLock, reportProgress, inFlightResponse } = require('./generation-lock');
+const { config, requireSecret } = require('./config');
+const { createValidatedMessage } = require('./claude-output');
+const { formatPromptNote } = require('./tour-registry');
 
 /**
  * Analyze a single player's course fit, form, odds value, and weather impact
  * Returns structured analysis from Claude AI
+ * body.eventId picks one of this week's events (fetch-tournament's events) - the main event by default
  */
 exports.handler = async (event, context) => {
+  let lock = null;
   try {
     const body = JSON.parse(event.body || '{}');
-    const { playerName, tour } = body;
+    const { playerName, tour, jobId = null, eventId = null } = body;
 
     if (!playerName) {
       return createResponse(400, { error: 'Player name required' });
     }
 
     console.log(`[PLAYER] Analyzing: ${playerName} (${tour || 'pga'})`);
-    const baseUrl = process.env.URL || 'http://localhost:8888';
+    const baseUrl = config.siteUrl;
 
     // Fetch all data in parallel where possible
     const tournamentPromise = axios.get(
-      `${baseUrl}/.netlify/functions/fetch-tournament?tour=${tour || 'pga'}`,
+      `${baseUrl}/.netlify/functions/fetch-tournament?tour=${tour || 'pga'}${eventId ? `&eventId=${eventId}` : ''}`,
       { timeout: 15000 }
     );
 
     const tournament = (await tournamentPromise).data;
     console.log(`[PLAYER] Tournament: ${tournament.name}`);
 
+    // One analysis per player and tournament at a time - a concurrent caller shares this run's result
+    lock = await acquireGenerationLock({ kind: 'player-analysis', tour: tour || 'pga', subject: `${tournament.name} ${playerName}`, context, jobId });
+    if (!lock.acquired) {
+      return await inFlightResponse(lock, context);
+    }
+    await reportProgress(lock, 'stats', { tournament: { name: tournament.name, course: tournament.course }, player: playerName });
+
     // Fetch stats, odds (from DataGolf directly), course info in parallel
-    const apiKey = process.env.DATAGOLF_API_KEY || '07b56aee1a02854e9513b06af5cd';
-    const apiTour = tour === 'dp' ? 'euro' : (tour || 'pga');
+    const oddsTour = tournament.feedTour || tour || 'pga';
+    const apiTour = toDataGolfTour(oddsTour);
     
     const [statsResult, oddsResult, courseResult] = await Promise.allSettled([
-      axios.post(`${baseUrl}/.netlify/functions/fetch-stats`, { players: [playerName] }, { timeout: 15000 }),
-      axios.get(`https://feeds.datagolf.com/betting-tools/outrights?tour=${apiTour}&market=win&odds_format=american&file_format=json&key=${apiKey}`, { timeout: 10000 }),
+      axios.post(`${baseUrl}/.netlify/functions/fetch-stats`, { players: [playerName], tour: oddsTour }, { timeout: 15000 }),
+      getDataProvider().getOutrights(apiTour, 'win'),
       axios.get(`${baseUrl}/.netlify/functions/fetch-course-info?tour=${tour || 'pga'}&tournament=${encodeURIComponent(tournament.name)}`, { timeout: 10000 })
     ]);
 
@@ -48,8 +64,8 @@ exports.handler = async (event, context) => {
 
     // Extract player odds from DataGolf outrights response
     let playerOdds = null;
-    if (oddsResult.status === 'fulfilled' && oddsResult.value.data) {
-      const oddsData = oddsResult.value.data;
+    if (oddsResult.status === 'fulfilled' && oddsResult.value) {
+      const oddsData = oddsResult.value;
       
       // DEBUG: Log response structure
       const oddsKeys = Object.keys(oddsData);
@@ -158,16 +174,13 @@ exports.handler = async (event, context) => {
     // Fetch weather
     let weatherSummary = 'Weather data not available';
     try {
-      const weatherApiKey = process.env.WEATHER_API_KEY;
-      if (weatherApiKey && tournament.location) {
+      const dataProvider = getDataProvider();
+      if (dataProvider.isConfigured('weather') && tournament.location) {
         const location = tournament.location.split(',')[0].trim();
-        const weatherResponse = await axios.get('https://api.weatherapi.com/v1/forecast.json', {
-          params: { key: weatherApiKey, q: location, days: 4, aqi: 'no' },
-          timeout: 8000
-        });
-        if (weatherResponse.data?.forecast) {
+        const forecastData = await dataProvider.getForecast(location, 4);
+        if (forecastData?.forecast) {
           const dayNames = ['Thursday', 'Friday', 'Saturday', 'Sunday'];
-          weatherSummary = weatherResponse.data.forecast.forecastday.map((day, i) => {
+          weatherSummary = forecastData.forecast.forecastday.map((day, i) => {
             const d = day.day;
             return `${dayNames[i] || 'Day'}: ${Math.round(d.maxtemp_f)}°F, ${d.condition.text}, Wind: ${Math.round(d.maxwind_mph)}mph, Rain: ${d.daily_chance_of_rain}%`;
           }).join(' | ');
@@ -177,6 +190,18 @@ exports.handler = async (event, context) => {
       console.log(`[PLAYER] Weather failed: ${err.message}`);
     }
 
+    // Comp-course history - results at the courses most like this one
+    const compHistory = await fetchCompCourseHistory({
+      compCourses: courseInfo.compCourses,
+      tour: tour || 'pga',
+      playerNames: [playerName],
+      context
+    });
+    const compResults = compHistory.players[normalizePlayerName(playerName)] || [];
+    const compCourseInfo = (courseInfo.compCourses || []).length > 0
+      ? `${compResults.length > 0 ? formatCompHistory(compResults, 6) : 'No starts at comp courses'} (comps: ${courseInfo.compCourses.map(c => `${c.name} ${c.similarity.toFixed(2)}`).join(', ')})`
+      : 'No comp courses for this venue';
+
     // Build analysis context
     const courseDemands = analyzeCourseSkillDemands(courseInfo);
     const weatherAnalysis = analyzeWeatherConditions(weatherSummary);
@@ -185,7 +210,8 @@ exports.handler = async (event, context) => {
     const oddsInfo = playerOdds ? `${formatAmericanOdds(playerOdds.odds)} avg across ${playerOdds.bookmakerCount} books (range: ${formatAmericanOdds(playerOdds.minOdds)} to ${formatAmericanOdds(playerOdds.maxOdds)})${playerOdds.dgModel ? ` | DataGolf model: ${formatAmericanOdds(playerOdds.dgModel)}` : ''}` : 'Odds not available';
 
     // Call Claude for analysis
-    const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    await reportProgress(lock, 'claude');
+    const anthropic = new Anthropic({ apiKey: requireSecret('anthropic') });
 
     const prompt = `You are an expert golf betting analyst. Analyze this player for the upcoming tournament.
 
@@ -195,13 +221,15 @@ SG PROFILE: ${sgProfile}
 ODDS: ${oddsInfo}
 
 TOURNAMENT: ${tournament.name}
-COURSE: ${courseInfo.courseName || tournament.course} | ${courseInfo.yardage || '?'}y Par ${courseInfo.par || '?'}
+${formatPromptNote(tournament)}COURSE: ${courseInfo.courseName || tournament.course} | ${courseInfo.yardage || '?'}y Par ${courseInfo.par || '?'}
 COURSE DEMANDS: ${courseDemands}
+COMP-COURSE HISTORY: ${compCourseInfo}
 WEATHER: ${weatherSummary}
 WEATHER ANALYSIS: ${weatherAnalysis}
 
 Provide a comprehensive analysis with ratings (1-10) for each category.
 Consider how the player's specific SG strengths/weaknesses match THIS course's demands.
+Comp-course history is their finishes at the courses most similar to this one (similarity 0-1 in brackets) - use it as course-fit evidence, weighted by similarity.
 
 Return ONLY valid JSON (no markdown, no backticks):
 {
@@ -232,27 +260,23 @@ VERDICT must be one of: STRONG BET, LEAN YES, NEUTRAL, LEAN AVOID, AVOID
 Rating scale: 1-3 = poor, 4-5 = below average, 6 = average, 7 = good, 8-9 = very good, 10 = exceptional`;
 
     console.log('[PLAYER] Calling Claude API...');
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
-      temperature: 0.3,
-      messages: [{ role: 'user', content: prompt }]
+    const { data: analysis, message, validation } = await createValidatedMessage({
+      client: anthropic,
+      request: {
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: 1000,
+        temperature: 0.3,
+        messages: [{ role: 'user', content: prompt }]
+      },
+      type: 'playerAnalysis',
+      label: `${tournament.name} ${playerName}`,
+      context
     });
 
-    const responseText = message.content[0].text;
-    let analysis;
-    try {
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      analysis = JSON.parse(jsonMatch ? jsonMatch[0] : responseText);
-    } catch (parseError) {
-      console.error('[PLAYER] Parse failed:', responseText.substring(0, 200));
-      throw new Error('Invalid AI response format');
-    }
-
     const cost = calculateClaudeCost(message.usage);
     console.log(`[PLAYER] ✅ ${analysis.verdict} (${analysis.overallRating}/10)`);
 
-    return createResponse(200, {
+    const responseData = {
       player: playerName,
       tournament: {
         name: tournament.name,
@@ -268,14 +292,22 @@ Rating scale: 1-3 = poor, 4-5 = below average, 6 = average, 7 = good, 8-9 = very
         bookmakerCount: playerOdds.bookmakerCount
       } : null,
       weather: weatherSummary,
+      compCourses: courseInfo.compCourses || [],
+      compCourseHistory: compResults,
       analysis,
+      validation,
       generatedAt: new Date().toISOString(),
       tokensUsed: message.usage.input_tokens + message.usage.output_tokens,
       estimatedCost: cost
-    });
+    };
+
+    // Analyses aren't saved anywhere, so waiting callers get this one inline
+    await releaseGenerationLock(lock, { result: { data: responseData } });
+    return createResponse(200, responseData);
 
   } catch (error) {
     console.error('[PLAYER] Error:', error.message);
+    await releaseGenerationLock(lock, { error: error.message });
     return createResponse(500, {
       error: 'Failed to analyze player',
       message: error.message
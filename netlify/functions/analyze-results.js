@@ -1,5 +1,14 @@
 const Anthropic = require('@anthropic-ai/sdk');
-const { getBlobStore, getLatestBlobForTournament, calculateClaudeCost } = require('./shared-utils');
+const {
+  getBlobStore,
+  getLatestBlobForTournament,
+  calculateClaudeCost,
+  isSameTournament,
+  tournamentKeySegment
+} = require('./shared-utils');
+const { acquireGenerationLock, releaseGenerationLock, inFlightResponse } = require('./generation-lock');
+const { config, requireSecret } = require('./config');
+const { createValidatedMessage, OutputValidationError } = require('./claude-output');
 
 /**
  * ANALYZE-RESULTS - Post-Tournament Self-Analysis
@@ -7,26 +16,31 @@ const { getBlobStore, getLatestBlobForTournament, calculateClaudeCost } = requir
  * Claude reviews its own predictions against actual results and weather,
  * identifying what it got right, what went wrong, and why.
  * 
- * GET ?tournament=Memorial&tour=pga
+ * GET ?tournament=Memorial&tour=pga[&eventId=23&season=2025]
+ *   eventId + season (DataGolf) pick the tournament's saved predictions, results and weather by id
  * 
  * Requires: completed tournament with results in blobs
  */
 
 exports.handler = async (event, context) => {
+  let lock = null;
   try {
     const params = event.queryStringParameters || {};
-    const { tournament, tour = 'pga' } = params;
+    const { tournament, tour = 'pga', eventId, season } = params;
     const forceRefresh = params.refresh === 'true';
 
     if (!tournament) {
       return errorResponse('tournament parameter required', 400);
     }
 
+    const target = { name: tournament, eventId, season };
+    const tournamentKey = tournamentKeySegment(target);
+
     console.log(`[ANALYZE] Starting self-analysis for "${tournament}" (${tour})${forceRefresh ? ' (FORCE REFRESH)' : ''}`);
 
     // Check for cached analysis first
     const analysisStore = getBlobStore('analysis', context);
-    const analysisKey = `self-analysis-${tour}-${tournament.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+    const analysisKey = `self-analysis-${tour}-${tournamentKey}`;
 
     if (!forceRefresh) {
       try {
@@ -42,7 +56,7 @@ exports.handler = async (event, context) => {
 
     // Step 1: Get the original predictions
     const predStore = getBlobStore('predictions', context);
-    const predResult = await getLatestBlobForTournament(predStore, tour, tournament);
+    const predResult = await getLatestBlobForTournament(predStore, tour, target);
 
     if (!predResult?.data) {
       return errorResponse(`No predictions found for "${tournament}"`, 404);
@@ -53,7 +67,7 @@ exports.handler = async (event, context) => {
 
     // Step 2: Get actual results (from the results endpoint data)
     // We need the leaderboard data - fetch from get-prediction-results
-    const baseUrl = process.env.URL || 'http://localhost:8888';
+    const baseUrl = config.siteUrl;
     let resultsData = null;
 
     try {
@@ -70,9 +84,7 @@ exports.handler = async (event, context) => {
     // Find the matching tournament in results
     let tournamentResults = null;
     if (resultsData?.tournaments) {
-      tournamentResults = resultsData.tournaments.find(t => 
-        t.tournament?.name?.toLowerCase().trim() === tournament.toLowerCase().trim()
-      );
+      tournamentResults = resultsData.tournaments.find(t => isSameTournament(t.tournament, target));
     }
 
     if (!tournamentResults || tournamentResults.status !== 'completed') {
@@ -83,9 +95,9 @@ exports.handler = async (event, context) => {
     let weatherComparison = null;
     try {
       const weatherStore = getBlobStore('weather-cache', context);
-      const tournamentSlug = tournament.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
-      const historyKey = `weather-history-${tour}-${tournamentSlug}`;
-      const weatherHistory = await weatherStore.get(historyKey, { type: 'json' });
+      // History saved before event ids is keyed by name
+      const weatherHistory = await weatherStore.get(`weather-history-${tour}-${tournamentKey}`, { type: 'json' })
+        || await weatherStore.get(`weather-history-${tour}-${tournamentKeySegment(tournament)}`, { type: 'json' });
       
       if (weatherHistory?.actual && weatherHistory?.forecasts?.length > 0) {
         weatherComparison = {
@@ -99,32 +111,43 @@ exports.handler = async (event, context) => {
       console.log(`[ANALYZE] No weather comparison available: ${e.message}`);
     }
 
+    // One self-analysis per tournament at a time - a concurrent caller shares this run's result
+    lock = await acquireGenerationLock({ kind: 'self-analysis', tour, subject: tournament, context });
+    if (!lock.acquired) {
+      return await inFlightResponse(lock, context);
+    }
+
     // Step 4: Build the analysis prompt
     const prompt = buildAnalysisPrompt(predictions, tournamentResults, weatherComparison);
 
     // Step 5: Call Claude
     console.log(`[ANALYZE] Sending to Claude for self-analysis...`);
-    const client = new Anthropic();
+    const client = new Anthropic({ apiKey: requireSecret('anthropic') });
 
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      messages: [{ role: 'user', content: prompt }]
-    });
-
-    const responseText = message.content[0]?.text || '';
-    console.log(`[ANALYZE] Got response (${responseText.length} chars)`);
-
-    // Parse JSON response
-    let analysis;
+    let analysis, usage, validation;
     try {
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      analysis = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+      let message;
+      ({ data: analysis, message, validation } = await createValidatedMessage({
+        client,
+        request: {
+          model: 'claude-sonnet-4-20250514',
+          max_tokens: 2000,
+          messages: [{ role: 'user', content: prompt }]
+        },
+        type: 'selfAnalysis',
+        label: `${tour}-${tournament}`,
+        context
+      }));
+      usage = message.usage;
+      console.log(`[ANALYZE] Got analysis (grade ${analysis.overallGrade})`);
     } catch (parseErr) {
-      console.log(`[ANALYZE] JSON parse failed, using raw text`);
+      if (!(parseErr instanceof OutputValidationError)) throw parseErr;
+      console.log(`[ANALYZE] Structured analysis failed validation, using raw text`);
+      usage = parseErr.usage;
+      validation = { valid: false, repaired: false, issues: parseErr.errors };
       analysis = {
         overallGrade: '?',
-        summary: responseText.slice(0, 500),
+        summary: parseErr.responseText.slice(0, 500),
         correctCalls: [],
         mistakes: [],
         weatherImpact: 'Could not parse structured analysis',
@@ -133,11 +156,12 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const cost = calculateClaudeCost(message.usage);
+    const cost = calculateClaudeCost(usage);
 
     const result = {
       tournament: predictions.tournament,
       analysis,
+      validation,
       generatedAt: new Date().toISOString(),
       basedOn: {
         predictionsFrom: predictions.generatedAt,
@@ -148,17 +172,23 @@ exports.handler = async (event, context) => {
     };
 
     // Cache the analysis
+    let cached = false;
     try {
       await analysisStore.set(analysisKey, JSON.stringify(result));
+      cached = true;
       console.log(`[ANALYZE] ✅ Cached analysis`);
     } catch (e) {
       console.log(`[ANALYZE] Cache save failed: ${e.message}`);
     }
 
+    await releaseGenerationLock(lock, {
+      result: cached ? { store: 'analysis', key: analysisKey } : { data: result }
+    });
     return successResponse(result);
 
   } catch (error) {
     console.error('[ANALYZE] Fatal error:', error.message);
+    await releaseGenerationLock(lock, { error: error.message });
     return errorResponse(error.message, 500);
   }
 };
@@ -0,0 +1,368 @@
+const { normalizePlayerName, americanToDecimal } = require('./shared-utils');
+
+/**
+ * BETTING LEDGER
+ * Turns saved picks into priced bets and settles them against final positions
+ * Used by: get-prediction-results
+ *
+ * Stakes are in dollars. An each-way stake is the TOTAL outlay, split evenly
+ * between the win part and the place part.
+ * With the 'recommended' stakes setting, picks saved with a staking-engine recommendation
+ * are settled at that stake and price; older picks without one fall back to the flat plan.
+ */
+
+// ==================== MARKETS & STAKING PLAN ====================
+
+// Number of paying places for each placement market
+const MARKET_PLACES = {
+  win: 1,
+  top_5: 5,
+  top_10: 10,
+  top_20: 20
+};
+
+const SUPPORTED_MARKETS = ['win', 'each_way', 'top_5', 'top_10', 'top_20', 'make_cut', 'miss_cut'];
+
+const DEFAULT_STAKING_PLAN = {
+  market: 'each_way',
+  stake: 100,
+  startingBankroll: 10000,
+  stakes: 'recommended',
+  eachWay: { fraction: 1 / 5, places: 5 }
+};
+
+/**
+ * Build a staking plan from query string parameters
+ * Each-way terms are limited to what books actually offer: 1/4 or 1/5 odds, 5-10 places
+ */
+function parseStakingPlan(params = {}) {
+  const market = SUPPORTED_MARKETS.includes(params.market) ? params.market : DEFAULT_STAKING_PLAN.market;
+  const stake = parseFloat(params.stake);
+  const bankroll = parseFloat(params.bankroll);
+  const fraction = params.ewFraction === '1/4' || parseFloat(params.ewFraction) === 0.25 ? 1 / 4 : 1 / 5;
+  const places = Math.min(10, Math.max(5, parseInt(params.ewPlaces) || DEFAULT_STAKING_PLAN.eachWay.places));
+
+  return {
+    market,
+    stake: stake > 0 ? stake : DEFAULT_STAKING_PLAN.stake,
+    startingBankroll: bankroll > 0 ? bankroll : DEFAULT_STAKING_PLAN.startingBankroll,
+    stakes: params.stakes === 'flat' ? 'flat' : DEFAULT_STAKING_PLAN.stakes,
+    eachWay: { fraction, places }
+  };
+}
+
+/**
+ * Describe the each-way terms the way a bookmaker would, e.g. "1/5 odds, 5 places"
+ */
+function describeEachWayTerms(eachWay) {
+  return `1/${Math.round(1 / eachWay.fraction)} odds, ${eachWay.places} places`;
+}
+
+// ==================== FINISH LOOKUP ====================
+
+/**
+ * Index final results by dg_id and normalized name and count how many players share each position
+ * byName keeps every finisher under a name, so two players who normalize alike aren't merged
+ * The tie count drives dead-heat reductions (e.g. four players at T9 sharing 2 places in a top-10)
+ */
+function buildFinishIndex(results) {
+  const byId = new Map();
+  const byName = new Map();
+  const tieCounts = {};
+
+  for (const r of results) {
+    if (r.dgId) byId.set(Number(r.dgId), r);
+    const name = normalizePlayerName(r.player);
+    byName.set(name, [...(byName.get(name) || []), r]);
+    const position = parseFinishPosition(r.position);
+    if (position) tieCounts[position] = (tieCounts[position] || 0) + 1;
+  }
+
+  return { byId, byName, tieCounts };
+}
+
+/**
+ * A pick's finish - by dg_id, else by name. A name shared by more than one finisher is left
+ * unsettled (not found, so its bets are void) rather than guessed, as results-scoring does
+ */
+function getFinish(playerName, finishIndex, dgId = null) {
+  let result = dgId ? finishIndex.byId.get(Number(dgId)) : null;
+  if (!result) {
+    const matches = (finishIndex.byName.get(normalizePlayerName(playerName)) || [])
+      .filter(r => !dgId || !r.dgId || Number(r.dgId) === Number(dgId));
+    if (matches.length > 1) {
+      console.log(`[LEDGER] ⚠️ "${playerName}" matches ${matches.length} finishers (dg_ids ${matches.map(r => r.dgId).join(', ')}) - not settled`);
+    }
+    result = matches.length === 1 ? matches[0] : null;
+  }
+  if (!result) {
+    return { found: false, position: null, positionText: 'N/A', tiedWith: 0, madeCut: false, withdrew: false };
+  }
+
+  const position = parseFinishPosition(result.position);
+  return {
+    found: true,
+    position,
+    positionText: String(result.position),
+    tiedWith: position ? finishIndex.tieCounts[position] : 0,
+    madeCut: position !== null || isMadeCutDidNotFinish(result.position),
+    withdrew: isWithdrawal(result.position)
+  };
+}
+
+/**
+ * WD / DQ in the results feed - the player didn't complete the event, which isn't a missed cut
+ */
+function isWithdrawal(pos) {
+  return /^(WD|W\/D|DQ)/i.test(String(pos || '').trim());
+}
+
+/**
+ * MDF in the results feed - made the cut but was cut again after round 3, so no finishing position
+ * (make_cut bets win, placements lose)
+ */
+function isMadeCutDidNotFinish(pos) {
+  return /^MDF/i.test(String(pos || '').trim());
+}
+
+/**
+ * Numeric finishing position, or null for MC/WD/DQ/MDF and anything unparseable
+ */
+function parseFinishPosition(pos) {
+  if (typeof pos === 'number') return pos > 0 && pos < 999 ? pos : null;
+  if (!pos || /MC|CUT|WD|DQ|DNS|MDF/i.test(String(pos))) return null;
+  const num = parseInt(String(pos).replace(/[^0-9]/g, ''));
+  return isNaN(num) || num <= 0 || num >= 999 ? null : num;
+}
+
+// ==================== PRICING ====================
+
+/**
+ * Resolve the price we could actually have taken for a market
+ * Win and each-way bets use the best available book price, falling back to the average
+ * Placement and cut markets need their own prices on the pick (pick.marketOdds, American -
+ * either a number or the { bestOdds, bestBookmaker } entry fetch-odds attaches)
+ */
+function resolvePrice(pick, market) {
+  if (market === 'win' || market === 'each_way') {
+    if (pick.minOdds > 1) {
+      return { decimalOdds: pick.minOdds, bookmaker: pick.bestBookmaker || null, source: 'best' };
+    }
+    if (pick.odds) {
+      return { decimalOdds: americanToDecimal(pick.odds), bookmaker: null, source: 'average' };
+    }
+    return null;
+  }
+
+  const marketOdds = pick.marketOdds?.[market];
+  const american = typeof marketOdds === 'object' ? marketOdds?.bestOdds : marketOdds;
+  if (!american) return null;
+  return { decimalOdds: americanToDecimal(american), bookmaker: marketOdds?.bestBookmaker || null, source: 'market' };
+}
+
+/**
+ * Bets recorded for one pick. A recommended stake (pick.staking) wins when the plan uses them -
+ * a zero recommendation means no bet. Otherwise a pick can carry its own bets ([{market, stake, odds}]),
+ * falling back to the staking plan's default market and stake.
+ */
+function buildBetsForPick(pick, plan) {
+  if (plan.stakes === 'recommended' && pick.staking) {
+    return pick.staking.stake > 0
+      ? buildBetsForPick({ ...pick, staking: null, bets: [recommendedBet(pick)] }, plan)
+      : [];
+  }
+
+  const requested = Array.isArray(pick.bets) && pick.bets.length > 0
+    ? pick.bets
+    : [{ market: plan.market, stake: plan.stake }];
+
+  const bets = [];
+  for (const req of requested) {
+    if (!SUPPORTED_MARKETS.includes(req.market)) continue;
+
+    const price = req.odds
+      ? { decimalOdds: americanToDecimal(req.odds), bookmaker: req.bookmaker || null, source: 'recorded' }
+      : resolvePrice(pick, req.market);
+
+    if (!price || !(price.decimalOdds > 1)) {
+      console.log(`[LEDGER] No ${req.market} price for ${pick.player} - bet not placed`);
+      continue;
+    }
+
+    bets.push({
+      player: pick.player,
+      market: req.market,
+      stake: req.stake > 0 ? req.stake : plan.stake,
+      decimalOdds: Math.round(price.decimalOdds * 100) / 100,
+      bookmaker: price.bookmaker,
+      oddsSource: price.source,
+      eachWay: req.market === 'each_way' ? { ...plan.eachWay, ...req.eachWay } : null
+    });
+  }
+
+  return bets;
+}
+
+/**
+ * The recommended bet as a ledger request, keeping the bookmaker recorded for the same market
+ */
+function recommendedBet(pick) {
+  const { market, stake, odds } = pick.staking;
+  const recorded = (pick.bets || []).find(b => b.market === market);
+  return { market, stake, odds, bookmaker: recorded?.bookmaker || (market === 'win' ? pick.bestBookmaker : null) };
+}
+
+// ==================== SETTLEMENT ====================
+
+/**
+ * Settle a stake on a "finish in the top N" outcome with dead-heat rules:
+ * if the tie straddles the last paying place, only the share of places left is paid at full odds
+ */
+function settlePlacement(stake, decimalOdds, places, finish) {
+  if (!finish.position || finish.position > places) {
+    return { returns: 0, deadHeatFactor: 0 };
+  }
+
+  const placesLeft = places - finish.position + 1;
+  const deadHeatFactor = finish.tiedWith > placesLeft ? placesLeft / finish.tiedWith : 1;
+
+  return { returns: stake * deadHeatFactor * decimalOdds, deadHeatFactor };
+}
+
+function settleBet(bet, finish) {
+  let returns = 0;
+  let status = 'lost';
+  let deadHeat = false;
+
+  if (!finish.found) {
+    // Non-runner: stake returned
+    returns = bet.stake;
+    status = 'void';
+  } else if ((bet.market === 'make_cut' || bet.market === 'miss_cut') && finish.withdrew) {
+    // Cut bets on a withdrawn / disqualified player are void, as books settle them
+    returns = bet.stake;
+    status = 'void';
+  } else if (bet.market === 'make_cut' || bet.market === 'miss_cut') {
+    const won = bet.market === 'make_cut' ? finish.madeCut : !finish.madeCut;
+    returns = won ? bet.stake * bet.decimalOdds : 0;
+    status = won ? 'won' : 'lost';
+  } else if (bet.market === 'each_way') {
+    const half = bet.stake / 2;
+    const placeOdds = 1 + (bet.decimalOdds - 1) * bet.eachWay.fraction;
+    const winPart = settlePlacement(half, bet.decimalOdds, 1, finish);
+    const placePart = settlePlacement(half, placeOdds, bet.eachWay.places, finish);
+
+    returns = winPart.returns + placePart.returns;
+    deadHeat = (winPart.deadHeatFactor > 0 && winPart.deadHeatFactor < 1) ||
+               (placePart.deadHeatFactor > 0 && placePart.deadHeatFactor < 1);
+    status = winPart.returns > 0 ? 'won' : placePart.returns > 0 ? 'placed' : 'lost';
+  } else {
+    const settled = settlePlacement(bet.stake, bet.decimalOdds, MARKET_PLACES[bet.market], finish);
+    returns = settled.returns;
+    deadHeat = settled.deadHeatFactor > 0 && settled.deadHeatFactor < 1;
+    status = returns > 0 ? 'won' : 'lost';
+  }
+
+  returns = Math.round(returns * 100) / 100;
+
+  return {
+    ...bet,
+    position: finish.positionText,
+    tiedWith: finish.tiedWith,
+    status: deadHeat ? 'dead-heat' : status,
+    returns,
+    profit: Math.round((returns - bet.stake) * 100) / 100
+  };
+}
+
+/**
+ * Build and settle the ledger for one tournament's picks
+ */
+function settleLedger(picks, results, plan) {
+  const finishIndex = buildFinishIndex(results);
+  const bets = [];
+
+  for (const pick of picks) {
+    const finish = getFinish(pick.player, finishIndex, pick.dgId);
+    for (const bet of buildBetsForPick(pick, plan)) {
+      bets.push(settleBet(bet, finish));
+    }
+  }
+
+  return { bets, ...summarizeBets(bets) };
+}
+
+/**
+ * Totals for a set of settled bets. Void bets are refunded, so they don't count towards turnover
+ */
+function summarizeBets(bets) {
+  const settled = bets.filter(b => b.status !== 'void');
+  const totalStaked = settled.reduce((sum, b) => sum + b.stake, 0);
+  const totalReturns = settled.reduce((sum, b) => sum + b.returns, 0);
+  const profit = Math.round((totalReturns - totalStaked) * 100) / 100;
+
+  return {
+    betCount: settled.length,
+    voidCount: bets.length - settled.length,
+    totalStaked: Math.round(totalStaked * 100) / 100,
+    totalReturns: Math.round(totalReturns * 100) / 100,
+    profit,
+    yield: totalStaked > 0 ? Math.round((profit / totalStaked) * 10000) / 100 : 0
+  };
+}
+
+// ==================== BANKROLL ====================
+
+/**
+ * Run the bankroll forward through tournament ledgers in the order given (oldest first)
+ * Returns the per-tournament history plus season totals
+ */
+function runBankroll(entries, startingBankroll) {
+  let bankroll = startingBankroll;
+  let peak = startingBankroll;
+  let maxDrawdown = 0;
+  const history = [];
+  const allBets = [];
+
+  for (const entry of entries) {
+    const before = bankroll;
+    bankroll = Math.round((bankroll + entry.ledger.profit) * 100) / 100;
+    peak = Math.max(peak, bankroll);
+    maxDrawdown = Math.max(maxDrawdown, peak - bankroll);
+    allBets.push(...entry.ledger.bets);
+
+    history.push({
+      tournament: entry.tournament,
+      date: entry.date,
+      profit: entry.ledger.profit,
+      bankrollBefore: before,
+      bankrollAfter: bankroll
+    });
+  }
+
+  return {
+    startingBankroll,
+    currentBankroll: bankroll,
+    peakBankroll: peak,
+    maxDrawdown: Math.round(maxDrawdown * 100) / 100,
+    ...summarizeBets(allBets),
+    history
+  };
+}
+
+module.exports = {
+  // Staking plan
+  DEFAULT_STAKING_PLAN,
+  SUPPORTED_MARKETS,
+  parseStakingPlan,
+  describeEachWayTerms,
+
+  // Settlement
+  parseFinishPosition,
+  isWithdrawal,
+  settleLedger,
+  summarizeBets,
+
+  // Bankroll
+  runBankroll
+};
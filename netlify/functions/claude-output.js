@@ -0,0 +1,445 @@
+const { getBlobStore, normalizePlayerName } = require('./shared-utils');
+const { VALUE_PICKS, pickBands } = require('./tour-registry');
+
+/**
+ * CLAUDE OUTPUT VALIDATION
+ * Every Claude response is parsed, checked against its JSON schema and the prompt's own rules
+ * (number of picks, odds bands, players actually in the field), and re-prompted with the list of
+ * problems when it fails. Each failed attempt is saved with the raw response to the
+ * 'validation-failures' blob store, and the outcome ({ valid, repaired, attempts, issues }) travels
+ * with the generated content so it's saved in the same blob.
+ *
+ * Response types: predictions, avoidPicks, matchups, livePicks, playerAnalysis, selfAnalysis
+ * Used by: get-predictions, get-avoid-picks, get-matchup-predictions, get-live-picks, analyze-player,
+ *          analyze-results, scripts/backtest
+ */
+
+// ========================================
+// 🎯 VALIDATION CONFIGURATION - EDIT HERE
+// ========================================
+const OUTPUT_CONFIG = {
+  maxRepairs: 1,            // Re-prompts after the first answer (each one is a full Claude call)
+  repairReserveMs: 5000     // A repair only runs when the function has the last attempt's duration plus this left
+};
+// Prediction odds bands depend on the event's field - see tour-registry pickBands
+// ========================================
+
+const FAILURE_STORE = 'validation-failures';
+
+// ==================== SCHEMAS ====================
+// JSON Schema subset: type, required, properties, items, minItems, maxItems, enum, minimum, maximum, minLength, pattern
+
+const text = { type: 'string', minLength: 1 };
+const rated = { type: 'object', required: ['rating', 'analysis'], properties: { rating: { type: 'number', minimum: 1, maximum: 10 }, analysis: text } };
+const matchupSide = { type: 'object', required: ['name'], properties: { name: text, odds: { type: ['number', 'null'] } } };
+const matchup = {
+  type: 'object',
+  required: ['playerA', 'playerB', 'pick', 'winProbability', 'reasoning'],
+  properties: {
+    playerA: matchupSide,
+    playerB: matchupSide,
+    pick: text,
+    winProbability: { type: 'number', minimum: 50, maximum: 100 },
+    confidence: { type: 'string' },
+    reasoning: text
+  }
+};
+const mover = { type: ['object', 'null'], required: ['player'], properties: { player: text, reason: { type: 'string' } } };
+
+const SCHEMAS = {
+  predictions: {
+    type: 'object',
+    required: ['picks'],
+    properties: {
+      courseType: { type: 'string' },
+      weatherImpact: { type: 'string' },
+      keyFactors: { type: 'array', items: { type: 'string' } },
+      courseNotes: { type: 'string' },
+      pickProfiles: { type: 'array', items: { type: 'string' } },
+      picks: {
+        type: 'array',
+        minItems: VALUE_PICKS,
+        maxItems: VALUE_PICKS,
+        items: { type: 'object', required: ['player', 'odds', 'reasoning'], properties: { player: text, odds: { type: 'number' }, reasoning: text } }
+      }
+    }
+  },
+  avoidPicks: {
+    type: 'object',
+    required: ['avoid'],
+    properties: {
+      reasoning: { type: 'string' },
+      avoid: {
+        type: 'array',
+        minItems: 3,
+        maxItems: 3,
+        items: { type: 'object', required: ['player', 'reasoning'], properties: { player: text, odds: { type: 'number' }, reasoning: text } }
+      }
+    }
+  },
+  matchups: {
+    type: 'object',
+    required: ['suggestedMatchups'],
+    properties: {
+      suggestedMatchups: { type: 'array', minItems: 4, maxItems: 5, items: matchup },
+      customMatchup: { ...matchup, type: ['object', 'null'] }
+    }
+  },
+  livePicks: {
+    type: 'object',
+    required: ['situationAnalysis', 'picks'],
+    properties: {
+      situationAnalysis: text,
+      cutLineInsight: { type: 'string' },
+      preTournamentComparison: { type: 'string' },
+      topMoverUp: mover,
+      topMoverDown: mover,
+      picks: {
+        type: 'array',
+        minItems: 2,
+        maxItems: 2,
+        items: {
+          type: 'object',
+          required: ['player', 'type', 'reasoning'],
+          properties: {
+            player: text,
+            type: { enum: ['outright_value', 'top10_value', 'longshot', 'matchup'] },
+            bookOdds: { type: ['number', 'null'] },
+            reasoning: text
+          }
+        }
+      }
+    }
+  },
+  playerAnalysis: {
+    type: 'object',
+    required: ['overallRating', 'verdict', 'summary', 'courseFit', 'recentForm', 'oddsValue', 'weatherImpact', 'keyStrength', 'keyWeakness'],
+    properties: {
+      overallRating: { type: 'number', minimum: 1, maximum: 10 },
+      verdict: { enum: ['STRONG BET', 'LEAN YES', 'NEUTRAL', 'LEAN AVOID', 'AVOID'] },
+      summary: text,
+      courseFit: rated,
+      recentForm: rated,
+      oddsValue: rated,
+      weatherImpact: rated,
+      keyStrength: text,
+      keyWeakness: text
+    }
+  },
+  selfAnalysis: {
+    type: 'object',
+    required: ['overallGrade', 'summary', 'correctCalls', 'mistakes', 'lessonsLearned', 'adjustments'],
+    properties: {
+      overallGrade: { type: 'string', pattern: '^[A-F][+-]?$' },
+      summary: text,
+      correctCalls: { type: 'array', items: { type: 'object', required: ['what'], properties: { what: text, why: { type: 'string' } } } },
+      mistakes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['what'],
+          properties: { what: text, why: { type: 'string' }, severity: { enum: ['high', 'medium', 'low'] } }
+        }
+      },
+      weatherImpact: { type: 'string' },
+      lessonsLearned: { type: 'array', items: { type: 'string' } },
+      adjustments: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+
+/**
+ * Schema problems as readable strings ("picks[2].odds: expected number") - empty when valid
+ */
+function validateSchema(value, schema, path = 'response') {
+  const errors = [];
+  const types = schema.type ? [].concat(schema.type) : null;
+
+  if (types && !types.some(type => matchesType(value, type))) {
+    return [`${path}: expected ${types.join(' or ')}, got ${describeType(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`];
+  }
+  if (value === null) return errors;
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${path}: must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: "${value}" doesn't match ${schema.pattern}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: ${value} is below ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: ${value} is above ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} items (got ${value.length})`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: allows at most ${schema.maxItems} items (got ${value.length})`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  } else if (typeof value === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+    }
+  }
+  return errors;
+}
+
+function matchesType(value, type) {
+  if (type === 'null') return value === null;
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeof value === type;
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// ==================== RULES ====================
+// The prompt's own requirements, checked against what the function sent Claude
+// ruleContext.players: [{ name, odds }] the prompt listed; excludePlayers / customMatchup where relevant
+// ruleContext.bands: the pickBands the predictions prompt asked for (the default tour's when missing)
+
+const RULES = {
+  predictions: (data, { players = [], bands = pickBands() }) => {
+    const { picks, favoriteMaxOdds, longshotOdds, minLongshots } = bands;
+    const errors = [...playersFromList(data.picks, players, 'picks'), ...duplicatePlayers(data.picks, 'picks')];
+
+    const odds = data.picks.map(pick => findPlayer(players, pick.player)?.odds ?? pick.odds);
+    if (odds[0] >= favoriteMaxOdds) {
+      errors.push(`picks[0]: pick #1 must be a favourite under +${favoriteMaxOdds} (${data.picks[0].player} is +${odds[0]})`);
+    }
+    odds.slice(1).forEach((price, i) => {
+      if (price < favoriteMaxOdds) {
+        errors.push(`picks[${i + 1}]: picks #2-${picks} must be +${favoriteMaxOdds} or longer (${data.picks[i + 1].player} is +${price})`);
+      }
+    });
+    const longshots = odds.filter(price => price >= longshotOdds).length;
+    if (longshots < minLongshots) {
+      errors.push(`picks: at least ${minLongshots} picks must be +${longshotOdds} or longer (got ${longshots})`);
+    }
+    return errors;
+  },
+
+  avoidPicks: (data, { players = [], excludePlayers = [] }) => [
+    ...playersFromList(data.avoid, players, 'avoid'),
+    ...duplicatePlayers(data.avoid, 'avoid'),
+    ...data.avoid
+      .map((pick, i) => excludePlayers.some(name => samePlayer(name, pick.player))
+        ? `avoid[${i}]: ${pick.player} is already a value pick and can't be an avoid pick`
+        : null)
+      .filter(Boolean)
+  ],
+
+  matchups: (data, { players = [], customMatchup = null }) => {
+    const all = [
+      ...data.suggestedMatchups.map((m, i) => [m, `suggestedMatchups[${i}]`]),
+      ...(data.customMatchup ? [[data.customMatchup, 'customMatchup']] : [])
+    ];
+    const errors = [];
+    for (const [m, path] of all) {
+      for (const side of ['playerA', 'playerB']) {
+        // The custom matchup has to be the pairing that was asked for, listed or not
+        const allowed = path === 'customMatchup' && customMatchup?.[side]
+          ? samePlayer(customMatchup[side], m[side].name)
+          : !!findPlayer(players, m[side].name);
+        if (!allowed) errors.push(`${path}.${side}: ${m[side].name} is not ${path === 'customMatchup' ? `the requested ${customMatchup[side]}` : 'in the player list'}`);
+      }
+      if (samePlayer(m.playerA.name, m.playerB.name)) errors.push(`${path}: a player can't be matched against himself`);
+      if (!samePlayer(m.pick, m.playerA.name) && !samePlayer(m.pick, m.playerB.name)) {
+        errors.push(`${path}.pick: ${m.pick} must be ${m.playerA.name} or ${m.playerB.name}`);
+      }
+    }
+    if (customMatchup?.playerA && customMatchup?.playerB && !data.customMatchup) {
+      errors.push(`customMatchup: required - analyze ${customMatchup.playerA} vs ${customMatchup.playerB}`);
+    }
+    return errors;
+  },
+
+  livePicks: (data, { players = [] }) => [
+    ...playersFromList(data.picks, players, 'picks'),
+    ...duplicatePlayers(data.picks, 'picks')
+  ]
+};
+
+function findPlayer(players, name) {
+  return players.find(p => samePlayer(p.name, name));
+}
+
+function samePlayer(a, b) {
+  return !!a && !!b && normalizePlayerName(a) === normalizePlayerName(b);
+}
+
+function playersFromList(picks, players, path) {
+  if (players.length === 0) return [];
+  return picks
+    .map((pick, i) => findPlayer(players, pick.player) ? null : `${path}[${i}]: ${pick.player} is not in the player list`)
+    .filter(Boolean);
+}
+
+function duplicatePlayers(picks, path) {
+  return picks
+    .map((pick, i) => picks.findIndex(other => samePlayer(other.player, pick.player)) < i
+      ? `${path}[${i}]: ${pick.player} is picked twice`
+      : null)
+    .filter(Boolean);
+}
+
+// ==================== PARSE & CHECK ====================
+
+/**
+ * The JSON object in a Claude response (tolerates markdown fences and text around it)
+ */
+function extractJson(responseText) {
+  const stripped = String(responseText || '').replace(/```(?:json)?/gi, '').trim();
+  try {
+    return JSON.parse(stripped);
+  } catch (wholeError) {
+    const jsonMatch = stripped.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) throw new Error('No JSON found in AI response');
+    return JSON.parse(jsonMatch[0]);
+  }
+}
+
+/**
+ * Parse + schema + rules for one response - { data, errors } (data is null when it didn't parse)
+ */
+function checkOutput(type, responseText, ruleContext = {}) {
+  const schema = SCHEMAS[type];
+  if (!schema) throw new Error(`Unknown response type: ${type}`);
+
+  let data;
+  try {
+    data = extractJson(responseText);
+  } catch (parseError) {
+    return { data: null, errors: [`response: not valid JSON (${parseError.message})`] };
+  }
+
+  const schemaErrors = validateSchema(data, schema);
+  if (schemaErrors.length > 0) return { data, errors: schemaErrors, schemaValid: false };
+
+  const ruleErrors = RULES[type] ? RULES[type](data, ruleContext) : [];
+  return { data, errors: ruleErrors, schemaValid: true };
+}
+
+/**
+ * Output still unusable after the last repair - carries the final response text and the usage of every attempt
+ */
+class OutputValidationError extends Error {
+  constructor(type, errors, { responseText = '', usage = null } = {}) {
+    super(`Invalid ${type} response from AI: ${errors.slice(0, 3).join('; ')}`);
+    this.name = 'OutputValidationError';
+    this.type = type;
+    this.errors = errors;
+    this.responseText = responseText;
+    this.usage = usage;
+  }
+}
+
+// ==================== GENERATE ====================
+
+/**
+ * Call Claude and return output that passed validation, re-prompting with the problems when it didn't
+ * request: the messages.create params ({ model, max_tokens, temperature, messages })
+ * Returns { data, message, validation } - message.usage covers every attempt, so cost stays accurate.
+ * Output that parses and fits the schema but still breaks a rule after the last repair is returned
+ * with validation.valid = false; anything worse throws OutputValidationError.
+ * context: the function's - a repair is skipped when its remaining time couldn't fit one (a 60s
+ * function after a long first call); background jobs and scripts have the time and always repair.
+ */
+async function createValidatedMessage({ client, request, type, ruleContext = {}, label = '', context = null }) {
+  const messages = [...request.messages];
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  const issues = [];
+  let message, checked, responseText, attempt;
+
+  for (attempt = 1; attempt <= OUTPUT_CONFIG.maxRepairs + 1; attempt++) {
+    const attemptStart = Date.now();
+    message = await client.messages.create({ ...request, messages });
+    usage.input_tokens += message.usage?.input_tokens || 0;
+    usage.output_tokens += message.usage?.output_tokens || 0;
+
+    responseText = message.content?.[0]?.text || '';
+    checked = checkOutput(type, responseText, ruleContext);
+    if (checked.errors.length === 0) {
+      if (attempt > 1) console.log(`[VALIDATE] ✅ ${type} repaired on attempt ${attempt}`);
+      return {
+        data: checked.data,
+        message: { ...message, usage },
+        validation: { valid: true, repaired: attempt > 1, attempts: attempt, issues }
+      };
+    }
+
+    console.warn(`[VALIDATE] ${type} attempt ${attempt} failed: ${checked.errors.join('; ')}`);
+    issues.push(...checked.errors.map(error => `attempt ${attempt}: ${error}`));
+    await logValidationFailure({ type, label, attempt, errors: checked.errors, responseText, context });
+
+    if (attempt <= OUTPUT_CONFIG.maxRepairs && !hasTimeForRepair(context, Date.now() - attemptStart)) {
+      console.warn(`[VALIDATE] ${type}: not enough time left for a repair - skipping it`);
+      issues.push(`attempt ${attempt}: repair skipped (function time limit)`);
+      break;
+    }
+
+    messages.push(
+      { role: 'assistant', content: responseText || '(empty response)' },
+      { role: 'user', content: buildRepairPrompt(checked.errors) }
+    );
+  }
+
+  if (checked.data && checked.schemaValid) {
+    console.warn(`[VALIDATE] ⚠️ ${type} still breaks ${checked.errors.length} rule(s) - returning it flagged`);
+    return {
+      data: checked.data,
+      message: { ...message, usage },
+      validation: { valid: false, repaired: false, attempts: Math.min(attempt, OUTPUT_CONFIG.maxRepairs + 1), issues }
+    };
+  }
+  throw new OutputValidationError(type, checked.errors, { responseText, usage });
+}
+
+/**
+ * Room for another Claude call? Assumes a repair takes as long as the attempt before it.
+ * Contexts without getRemainingTimeInMillis (scripts, local dev) have no limit to respect.
+ */
+function hasTimeForRepair(context, lastAttemptMs) {
+  const remaining = context?.getRemainingTimeInMillis?.();
+  if (remaining == null) return true;
+  return remaining > lastAttemptMs + OUTPUT_CONFIG.repairReserveMs;
+}
+
+function buildRepairPrompt(errors) {
+  return `Your JSON response has these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Fix every problem and return the complete corrected JSON only - same structure, no markdown, no commentary. Only use players from the list you were given.`;
+}
+
+/**
+ * Keep the failing response for review - never throws
+ */
+async function logValidationFailure({ type, label, attempt, errors, responseText, context }) {
+  try {
+    const store = getBlobStore(FAILURE_STORE, context);
+    const loggedAt = new Date().toISOString();
+    const key = `${type}-${loggedAt.replace(/[:.]/g, '-')}-a${attempt}`;
+    await store.set(key, JSON.stringify({ type, label, attempt, errors, response: responseText, loggedAt }));
+    console.log(`[VALIDATE] Saved failed ${type} response: ${key}`);
+  } catch (error) {
+    console.log(`[VALIDATE] Failure not saved (${error.message}) - response started: ${String(responseText).substring(0, 300)}`);
+  }
+}
+
+module.exports = {
+  OUTPUT_CONFIG,
+  SCHEMAS,
+  OutputValidationError,
+  validateSchema,
+  extractJson,
+  checkOutput,
+  createValidatedMessage
+};
@@ -0,0 +1,210 @@
+const { getDataProvider, normalizePlayerName } = require('./shared-utils');
+const { loadCourseCatalog, findEvent } = require('./course-catalog');
+const { loadEventFinishes } = require('./form-service');
+
+/**
+ * COMP COURSES
+ * Course-history similarity engine: finds the catalog courses that play most like this week's venue,
+ * then pulls every player's results at them as "comp-course history" - the stand-in for venue
+ * history for rookies and players new to the course.
+ * 1. Each catalog course → feature vector: length (par-adjusted yardage), fairway width, green grass,
+ *    wind exposure, scoring average vs par
+ * 2. Similarity = weighted agreement over the features both courses have
+ * 3. 3-5 most similar courses → their events in the last few seasons (DataGolf historical event data)
+ *
+ * Event finishes come from form-service's loadEventFinishes (cached per completed event).
+ * Used by: fetch-course-info (comp list), get-predictions, get-avoid-picks, analyze-player (history)
+ */
+
+// ========================================
+// 🎯 COMP COURSE CONFIGURATION - EDIT HERE
+// ========================================
+const COMP_COURSE_CONFIG = {
+  minComps: 3,              // Always return at least this many comps (when the catalog has them)
+  maxComps: 5,
+  minSimilarity: 0.75,      // Comps past minComps must be at least this similar
+  minSharedFeatures: 3,     // Courses compared on fewer features than this are never comps
+  seasons: 3,               // Seasons of comp-course results to pull
+  maxEvents: 8,             // Most recent / most similar comp events fetched per request
+  maxResultsPerPlayer: 6,
+  featureWeights: { length: 1, width: 1, grass: 1.25, wind: 1, scoring: 0.75 }
+};
+
+const WIDTH_SCALE = { narrow: 0, medium: 0.5, wide: 1 };
+const WIND_SCALE = { low: 0, moderate: 0.5, high: 1 };
+
+// Green grasses that putt alike (anything not listed shares nothing)
+const GRASS_AFFINITY = {
+  'bentgrass|poa': 0.6,
+  'bentgrass|fescue': 0.6,
+  'fescue|poa': 0.4,
+  'kikuyu|poa': 0.4,
+  'bermuda|paspalum': 0.6,
+  'bermuda|kikuyu': 0.3
+};
+// ========================================
+
+// ==================== SIMILARITY ====================
+
+/**
+ * Feature vector for a catalog course - numeric features scaled to 0-1, null when the catalog lacks them
+ */
+function courseFeatures(course) {
+  const par = parseInt(course.par);
+  const yardage = parseInt(course.yardage);
+  const avgScore = parseFloat(course.avgScore);
+
+  return {
+    length: par && yardage ? clamp((yardage * 72 / par - 6900) / 900) : null,
+    width: WIDTH_SCALE[course.fairwayWidth] ?? null,
+    grass: course.grass || null,
+    wind: WIND_SCALE[course.windExposure] ?? null,
+    scoring: par && avgScore ? clamp((avgScore - par + 3) / 4) : null
+  };
+}
+
+/**
+ * Similarity of two courses in [0, 1] over the features both have
+ */
+function courseSimilarity(a, b) {
+  const fa = courseFeatures(a);
+  const fb = courseFeatures(b);
+  let weighted = 0;
+  let totalWeight = 0;
+  let shared = 0;
+
+  for (const [feature, weight] of Object.entries(COMP_COURSE_CONFIG.featureWeights)) {
+    if (fa[feature] === null || fb[feature] === null) continue;
+    const agreement = feature === 'grass' ? grassAffinity(fa.grass, fb.grass) : 1 - Math.abs(fa[feature] - fb[feature]);
+    weighted += agreement * weight;
+    totalWeight += weight;
+    shared++;
+  }
+
+  return {
+    similarity: totalWeight > 0 ? round(weighted / totalWeight, 3) : 0,
+    shared
+  };
+}
+
+function grassAffinity(a, b) {
+  if (a === b) return 1;
+  return GRASS_AFFINITY[[a, b].sort().join('|')] || 0;
+}
+
+/**
+ * The 3-5 catalog courses most like `course`
+ * Returns [{ id, name, similarity, sharedFeatures }], most similar first
+ */
+function findCompCourses(catalog, course) {
+  if (!course?.id) return [];
+  const { minComps, maxComps, minSimilarity, minSharedFeatures } = COMP_COURSE_CONFIG;
+
+  const ranked = catalog.courses
+    .filter(other => other.id !== course.id)
+    .map(other => ({ other, ...courseSimilarity(course, other) }))
+    .filter(c => c.shared >= minSharedFeatures)
+    .sort((a, b) => b.similarity - a.similarity);
+
+  return ranked
+    .filter((c, i) => i < minComps || c.similarity >= minSimilarity)
+    .slice(0, maxComps)
+    .map(c => ({ id: c.other.id, name: c.other.name, similarity: c.similarity, sharedFeatures: c.shared }));
+}
+
+// ==================== COMP-COURSE HISTORY ====================
+
+/**
+ * Every requested player's finishes at this week's comp courses
+ * compCourses: courseInfo.compCourses from fetch-course-info
+ * Returns { comps, events: [{ event, year, course, similarity }], players: { [normalizedName]: [result] } }
+ * Results: { tournament, year, course, similarity, position, madeCut } - most similar course first, then most recent
+ */
+async function fetchCompCourseHistory({ compCourses, tour = 'pga', playerNames, context }) {
+  const empty = { comps: compCourses || [], events: [], players: {} };
+  if (!compCourses?.length || !playerNames?.length) return empty;
+
+  try {
+    const dataProvider = getDataProvider();
+    const catalog = await loadCourseCatalog(context);
+    const eventList = await dataProvider.getHistoricalEventList(tour);
+    const rows = Array.isArray(eventList) ? eventList : (eventList?.events || []);
+    const firstSeason = new Date().getFullYear() - COMP_COURSE_CONFIG.seasons;
+    const compsById = new Map(compCourses.map(c => [c.id, c]));
+
+    const compEvents = rows
+      .map(row => {
+        const courseId = findEvent(catalog, row.event_name, tour)?.courseId;
+        const comp = compsById.get(courseId);
+        const year = parseInt(row.calendar_year);
+        return comp && year >= firstSeason
+          ? { eventId: row.event_id, event: row.event_name, year, course: comp.name, similarity: comp.similarity }
+          : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.similarity - a.similarity || b.year - a.year)
+      .slice(0, COMP_COURSE_CONFIG.maxEvents);
+
+    console.log(`[COMPS] ${compEvents.length} comp events across ${compCourses.length} comp courses`);
+
+    const finishes = await Promise.all(compEvents.map(e => loadEventFinishes(tour, e, dataProvider, context)));
+
+    const wanted = new Set(playerNames.map(normalizePlayerName));
+    const players = {};
+    compEvents.forEach((compEvent, i) => {
+      for (const finish of finishes[i]) {
+        const normalizedName = normalizePlayerName(finish.player);
+        if (!wanted.has(normalizedName)) continue;
+        if (!players[normalizedName]) players[normalizedName] = [];
+        players[normalizedName].push({
+          tournament: compEvent.event,
+          year: compEvent.year,
+          course: compEvent.course,
+          similarity: compEvent.similarity,
+          position: finish.position,
+          madeCut: finish.madeCut
+        });
+      }
+    });
+    for (const name of Object.keys(players)) {
+      players[name] = players[name].slice(0, COMP_COURSE_CONFIG.maxResultsPerPlayer);
+    }
+
+    console.log(`[COMPS] ✅ Comp-course history for ${Object.keys(players).length}/${playerNames.length} players`);
+    return {
+      comps: compCourses,
+      events: compEvents.map(({ eventId, ...e }) => e),
+      players
+    };
+  } catch (error) {
+    console.log(`[COMPS] ⚠️ Comp-course history unavailable: ${error.message}`);
+    return empty;
+  }
+}
+
+/**
+ * Short prompt form: "T5 Riviera '24 (0.86), MC Torrey Pines '23 (0.81)"
+ */
+function formatCompHistory(results, limit = 4) {
+  return (results || []).slice(0, limit)
+    .map(r => `${r.madeCut ? r.position || '?' : 'MC'} ${r.course} '${String(r.year).slice(-2)} (${r.similarity.toFixed(2)})`)
+    .join(', ');
+}
+
+function clamp(value) {
+  return round(Math.min(1, Math.max(0, value)), 3);
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  COMP_COURSE_CONFIG,
+  courseFeatures,
+  courseSimilarity,
+  findCompCourses,
+  fetchCompCourseHistory,
+  formatCompHistory
+};
@@ -0,0 +1,152 @@
+/**
+ * CONFIG
+ * Every environment variable the functions read, in one place
+ * - Secrets are only ever read from the environment - no key ships in source
+ * - validateConfig() runs once per cold start and logs which integrations are missing
+ * - integrationStatus() reports configured / unconfigured integrations by name only, never values
+ *   (served by health-check)
+ * Values are read on access, so tests and scripts can set process.env after requiring this.
+ */
+
+// ========================================
+// 🎯 INTEGRATIONS - EDIT HERE
+// ========================================
+const INTEGRATIONS = {
+  anthropic: {
+    label: 'Claude (Anthropic)',
+    env: ['ANTHROPIC_API_KEY'],
+    required: true,
+    usedFor: 'Predictions, avoid picks, matchups, news, player and results analysis'
+  },
+  datagolf: {
+    label: 'DataGolf',
+    env: ['DATAGOLF_API_KEY'],
+    required: true,
+    usedFor: 'Field stats, odds, form, live scoring, DFS salaries'
+  },
+  weather: {
+    label: 'WeatherAPI',
+    env: ['WEATHER_API_KEY'],
+    required: false,
+    usedFor: 'Tournament forecasts and weather history'
+  },
+  blobs: {
+    label: 'Netlify Blobs',
+    env: ['SITE_ID', 'NETLIFY_AUTH_TOKEN'],
+    required: false,
+    usedFor: 'Saved content, caches, generation jobs, results tracking'
+  },
+  courseCatalogAdmin: {
+    label: 'Course catalog editing',
+    env: ['COURSE_CATALOG_ADMIN_TOKEN'],
+    required: false,
+    usedFor: 'POST edits to manage-course-catalog'
+  }
+};
+// ========================================
+
+const DEFAULT_SITE_URL = 'http://localhost:8888';
+
+function read(name) {
+  const value = process.env[name];
+  return value && value.trim() ? value.trim() : null;
+}
+
+const config = {
+  // Secrets
+  get anthropicApiKey() { return read('ANTHROPIC_API_KEY'); },
+  get datagolfApiKey() { return read('DATAGOLF_API_KEY'); },
+  get weatherApiKey() { return read('WEATHER_API_KEY'); },
+  get netlifyAuthToken() { return read('NETLIFY_AUTH_TOKEN'); },
+  get courseCatalogAdminToken() { return read('COURSE_CATALOG_ADMIN_TOKEN'); },
+
+  // Settings
+  get siteId() { return read('SITE_ID'); },
+  get siteUrl() { return read('URL') || DEFAULT_SITE_URL; },
+  get isNetlify() { return Boolean(read('NETLIFY')); },
+  get dataProvider() { return read('DATA_PROVIDER') || 'live'; },
+  get fixturesDir() { return read('DATA_PROVIDER_FIXTURES_DIR'); },
+  get recordDir() { return read('DATA_PROVIDER_RECORD_DIR'); }
+};
+
+class ConfigError extends Error {
+  constructor(integration, missing) {
+    super(`${INTEGRATIONS[integration]?.label || integration} is not configured (set ${missing.join(', ')})`);
+    this.name = 'ConfigError';
+    this.integration = integration;
+    this.missing = missing;
+  }
+}
+
+/**
+ * Environment variables an integration still needs (empty when it's configured)
+ * siteId: the Netlify runtime supplies the site id on context, so Blobs only needs the token there
+ */
+function missingFor(integration, { siteId = null } = {}) {
+  const definition = INTEGRATIONS[integration];
+  if (!definition) throw new Error(`Unknown integration: ${integration}`);
+  return definition.env.filter(name => !read(name) && !(name === 'SITE_ID' && siteId));
+}
+
+function isConfigured(integration, options) {
+  return missingFor(integration, options).length === 0;
+}
+
+/**
+ * A single-key integration's secret, or a ConfigError naming the variable to set
+ */
+function requireSecret(integration) {
+  const missing = missingFor(integration);
+  if (missing.length > 0) throw new ConfigError(integration, missing);
+  return read(INTEGRATIONS[integration].env[0]);
+}
+
+/**
+ * Configured / unconfigured integrations by name - no values
+ */
+function integrationStatus(options) {
+  return Object.entries(INTEGRATIONS).map(([id, definition]) => {
+    const missing = missingFor(id, options);
+    return {
+      id,
+      label: definition.label,
+      required: definition.required,
+      configured: missing.length === 0,
+      missing,
+      usedFor: definition.usedFor
+    };
+  });
+}
+
+/**
+ * Cold-start check: logs what's missing so a misconfigured deploy shows up in the function logs
+ * Returns { ok, missingRequired, missingOptional } (integration ids)
+ */
+function validateConfig() {
+  const status = integrationStatus();
+  const missingRequired = status.filter(s => s.required && !s.configured);
+  const missingOptional = status.filter(s => !s.required && !s.configured);
+
+  missingRequired.forEach(s => console.error(`[CONFIG] ❌ ${s.label} not configured - set ${s.missing.join(', ')}`));
+  if (missingOptional.length > 0) {
+    console.log(`[CONFIG] Optional integrations off: ${missingOptional.map(s => s.label).join(', ')}`);
+  }
+
+  return {
+    ok: missingRequired.length === 0,
+    missingRequired: missingRequired.map(s => s.id),
+    missingOptional: missingOptional.map(s => s.id)
+  };
+}
+
+validateConfig();
+
+module.exports = {
+  INTEGRATIONS,
+  config,
+  ConfigError,
+  isConfigured,
+  requireSecret,
+  integrationStatus,
+  validateConfig
+};
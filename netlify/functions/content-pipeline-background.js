@@ -0,0 +1,26 @@
+const { PIPELINE_CONFIG, runPipeline } = require('./content-pipeline');
+
+/**
+ * Background Function: Content Pipeline
+ *
+ * Generates and saves this week's predictions, avoid picks, matchups and news for one tour,
+ * in order, then marks the manifest ready (see content-pipeline.js).
+ * Triggered by run-content-pipeline; Netlify answers the caller with 202 and lets this run up to 15 minutes.
+ *
+ * POST { tour, tournament, fingerprint, reason }
+ */
+exports.handler = async (event, context) => {
+  try {
+    const { tour, tournament, fingerprint, reason = 'manual' } = JSON.parse(event.body || '{}');
+
+    if (!PIPELINE_CONFIG.tours.includes(tour) || !tournament?.name) {
+      console.error('[PIPELINE] Background run needs a known tour and its tournament');
+      return;
+    }
+
+    await runPipeline({ tour, tournament, fingerprint, reason, context });
+
+  } catch (error) {
+    console.error('[PIPELINE] Background run failed:', error.message);
+  }
+};
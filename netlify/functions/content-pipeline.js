@@ -0,0 +1,336 @@
+const axios = require('axios');
+const {
+  getBlobStore,
+  getDataProvider,
+  getLatestBlobForTournament,
+  normalizePlayerName,
+  isSameTournament,
+  tournamentIdentity,
+  toDataGolfTour
+} = require('./shared-utils');
+const { fetchDataGolfOdds } = require('./fetch-odds');
+const { impliedProbability } = require('./odds-history');
+const { waitForGeneration, loadJobResult } = require('./generation-lock');
+const { config } = require('./config');
+const { tourIds } = require('./tour-registry');
+
+/**
+ * CONTENT PIPELINE
+ * Pre-generates the week's predictions, avoid picks, matchups and news so nobody waits on Claude
+ * 1. run-content-pipeline (scheduled) detects this week's events via fetch-tournament and checks
+ *    each one's saved content for staleness: new tournament, field changes, or prices that moved
+ * 2. content-pipeline-background generates the four artifacts for one event in order (avoid picks
+ *    exclude the prediction picks, like the app does) and records each blob key in its manifest
+ * 3. get-latest-* read through the manifest (getLatestContent), so users land on the pipeline's ready content
+ *
+ * Manifest: 'pipeline' blob store, one per event - key manifest-{tour}-e{eventId} (manifest-{tour} for an
+ *   event without a DataGolf id)
+ *   { tour, tournament: { name, eventId, season, startDate }, fingerprint, artifacts: { [id]: { key, generatedAt, error } },
+ *     status, reason, startedAt, completedAt }
+ * Week: key week-{tour} - { tour, mainEventId, events: [{ eventId, season, name }] }, so readers without
+ *   an event find this week's main one (and a name finds its event)
+ */
+
+// ========================================
+// 🎯 PIPELINE CONFIGURATION - EDIT HERE
+// ========================================
+const PIPELINE_CONFIG = {
+  tours: tourIds({ pipeline: true }), // Tours with pipeline: true in tour-registry
+  oddsPlayers: 30,           // Favourites whose prices are watched for movement
+  oddsMoveThreshold: 0.25,   // Relative change in implied win probability that counts as a move
+  oddsMovedPlayers: 3,       // Regenerate once this many favourites have moved
+  fieldChangeThreshold: 3,   // ...or this many players joined / withdrew
+  maxAgeHours: 24,           // Regenerate anything older than this regardless
+  freezeAtStart: true,       // Leave content alone once the tournament has teed off (results are graded against it)
+  staleRunMinutes: 15,       // A "running" manifest older than this is treated as crashed
+  retryFailedHours: 3,       // Wait this long before retrying a run that left an artifact missing
+  requestTimeoutMs: 65000    // Heavy functions run up to 60s
+};
+
+// Generated in this order - avoid picks need the prediction picks
+const ARTIFACTS = [
+  { id: 'predictions', store: 'predictions' },
+  { id: 'avoidPicks', store: 'avoid-picks' },
+  { id: 'matchups', store: 'matchups' },
+  { id: 'news', store: 'news' }
+];
+// ========================================
+
+const PIPELINE_STORE = 'pipeline';
+
+// ==================== MANIFEST ====================
+
+function manifestKey(tour, eventId) {
+  return eventId ? `manifest-${tour}-e${eventId}` : `manifest-${tour}`;
+}
+
+/**
+ * One event's manifest - eventId null reads the manifest of an event without a DataGolf id
+ */
+async function loadManifest(tour, context, eventId = null) {
+  try {
+    return await getBlobStore(PIPELINE_STORE, context).get(manifestKey(tour, eventId), { type: 'json' });
+  } catch (error) {
+    console.log(`[PIPELINE] Manifest unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+async function saveManifest(manifest, context) {
+  const key = manifestKey(manifest.tour, tournamentIdentity(manifest.tournament).eventId);
+  await getBlobStore(PIPELINE_STORE, context).set(key, JSON.stringify({
+    ...manifest,
+    updatedAt: new Date().toISOString()
+  }));
+}
+
+async function loadWeek(tour, context) {
+  try {
+    return await getBlobStore(PIPELINE_STORE, context).get(`week-${tour}`, { type: 'json' });
+  } catch (error) {
+    console.log(`[PIPELINE] Week index unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Record this week's events for a tour (run-content-pipeline, every check)
+ * tournament: fetch-tournament's main event, with its `events`
+ */
+async function saveWeek(tour, tournament, context) {
+  const events = (tournament.events || []).map(e => ({ eventId: e.eventId, season: e.season, name: e.name }));
+  await getBlobStore(PIPELINE_STORE, context).set(`week-${tour}`, JSON.stringify({
+    tour,
+    mainEventId: tournament.event_id || null,
+    events,
+    updatedAt: new Date().toISOString()
+  }));
+}
+
+/**
+ * The manifest a reader means: the event matching tournament (name or { name, eventId, season }),
+ * else this week's main event
+ */
+async function findManifest(tour, tournament, context) {
+  const { eventId } = tournamentIdentity(tournament);
+  if (eventId) return loadManifest(tour, context, eventId);
+
+  const week = await loadWeek(tour, context);
+  const event = tournament ? week?.events?.find(e => isSameTournament(e, tournament)) : null;
+  return loadManifest(tour, context, event?.eventId || week?.mainEventId || null);
+}
+
+/**
+ * Latest content for get-latest-* - same { data, key, fallback } shape as getLatestBlobForTournament
+ * tournament: name or { name, eventId, season }. Without one the manifest's tournament is used,
+ * so readers land on this week's content.
+ * The pipeline's artifact wins unless someone generated a newer one by hand since.
+ */
+async function getLatestContent(store, artifactId, tour, tournament, context) {
+  const manifest = await findManifest(tour, tournament, context);
+  const filter = tournament || manifest?.tournament || null;
+
+  const [fromManifest, newest] = await Promise.all([
+    readManifestArtifact(store, manifest, artifactId, filter),
+    getLatestBlobForTournament(store, tour, filter)
+  ]);
+
+  if (!fromManifest) return newest;
+  if (!newest || newest.fallback || newest.key === fromManifest.key) return fromManifest;
+  return generatedTime(newest.data) > generatedTime(fromManifest.data) ? newest : fromManifest;
+}
+
+async function readManifestArtifact(store, manifest, artifactId, tournament) {
+  const artifact = manifest?.artifacts?.[artifactId];
+  if (!artifact?.key) return null;
+  if (tournament && !isSameTournament(manifest.tournament, tournament)) return null;
+
+  try {
+    const data = await store.get(artifact.key, { type: 'json' });
+    return data ? { data, key: artifact.key, fromPipeline: true } : null;
+  } catch (error) {
+    console.log(`[PIPELINE] ${artifactId} blob ${artifact.key} unreadable: ${error.message}`);
+    return null;
+  }
+}
+
+function generatedTime(data) {
+  return new Date(data?.generatedAt || data?.metadata?.generatedAt || 0).getTime();
+}
+
+// ==================== STALENESS ====================
+
+/**
+ * Field + favourites' prices, compared run to run to decide whether content needs regenerating
+ */
+async function buildFingerprint(tournament, tour) {
+  const field = (tournament.field || []).map(p => normalizePlayerName(p.name)).sort();
+  const odds = await fetchDataGolfOdds(toDataGolfTour(tournament.feedTour || tour), getDataProvider());
+
+  const favourites = {};
+  [...odds]
+    .filter(o => o.odds)
+    .sort((a, b) => impliedProbability(b.odds) - impliedProbability(a.odds))
+    .slice(0, PIPELINE_CONFIG.oddsPlayers)
+    .forEach(o => {
+      favourites[normalizePlayerName(o.player)] = round(impliedProbability(o.odds), 4);
+    });
+
+  return { field, favourites };
+}
+
+/**
+ * Why this week's content needs (re)generating, or null when the manifest is current
+ */
+function stalenessReason(manifest, tournament, fingerprint, now = new Date()) {
+  const {
+    oddsMoveThreshold, oddsMovedPlayers, fieldChangeThreshold, maxAgeHours, freezeAtStart, staleRunMinutes, retryFailedHours
+  } = PIPELINE_CONFIG;
+
+  // Nothing is generated after tee-off - not even for a tournament the pipeline hasn't seen yet,
+  // since picks made once play has started would be graded as if they were made before it
+  const started = tournament.start_date && new Date(`${tournament.start_date}T12:00:00Z`) <= now;
+  if (freezeAtStart && started) return null;
+
+  if (!manifest?.tournament || !isSameTournament(manifest.tournament, tournament)) {
+    return 'new tournament';
+  }
+  if (manifest.status === 'running' && now - new Date(manifest.startedAt) < staleRunMinutes * 60 * 1000) {
+    return null;
+  }
+
+  const missing = ARTIFACTS.filter(a => !manifest.artifacts?.[a.id]?.key).map(a => a.id);
+  if (missing.length > 0) {
+    const lastRun = new Date(manifest.completedAt || manifest.startedAt || 0);
+    return now - lastRun > retryFailedHours * 60 * 60 * 1000 ? `missing ${missing.join(', ')}` : null;
+  }
+
+  const previous = manifest.fingerprint || { field: [], favourites: {} };
+  const previousField = new Set(previous.field);
+  const currentField = new Set(fingerprint.field);
+  const fieldChanges = fingerprint.field.filter(p => !previousField.has(p)).length +
+    previous.field.filter(p => !currentField.has(p)).length;
+  if (fieldChanges >= fieldChangeThreshold) return `field changed (${fieldChanges} players)`;
+
+  const moved = Object.entries(fingerprint.favourites).filter(([player, probability]) => {
+    const before = previous.favourites[player];
+    return !before || Math.abs(probability - before) / before >= oddsMoveThreshold;
+  });
+  if (moved.length >= oddsMovedPlayers) return `odds moved (${moved.length} favourites)`;
+
+  const oldest = Math.min(...ARTIFACTS.map(a => new Date(manifest.artifacts[a.id].generatedAt).getTime()));
+  if (now - oldest > maxAgeHours * 60 * 60 * 1000) return `older than ${maxAgeHours}h`;
+
+  return null;
+}
+
+// ==================== GENERATION ====================
+
+/**
+ * Generate every artifact in order and record each one in the manifest as it lands
+ * A failed artifact keeps its previous key, so get-latest-* keep serving the last good content.
+ */
+async function runPipeline({ tour, tournament, fingerprint, reason, context }) {
+  const baseUrl = config.siteUrl;
+  const eventId = tournament.event_id || null;
+  const previous = await loadManifest(tour, context, eventId);
+  const sameTournament = !!previous?.tournament && isSameTournament(previous.tournament, tournament);
+
+  const manifest = {
+    tour,
+    tournament: {
+      name: tournament.name,
+      eventId,
+      season: tournament.calendar_year || null,
+      startDate: tournament.start_date || null
+    },
+    fingerprint,
+    artifacts: sameTournament ? { ...previous.artifacts } : {},
+    status: 'running',
+    reason,
+    startedAt: new Date().toISOString(),
+    completedAt: null
+  };
+  await saveManifest(manifest, context);
+  console.log(`[PIPELINE] ${tour.toUpperCase()} ${tournament.name}: generating (${reason})`);
+
+  let predictionPicks = [];
+  for (const artifact of ARTIFACTS) {
+    try {
+      const data = await generateArtifact(artifact.id, { baseUrl, tour, eventId, predictionPicks, context });
+      if (artifact.id === 'predictions') {
+        predictionPicks = (data.predictions || []).map(p => p.player);
+      }
+
+      // Only a key the generator actually saved - an unsaved run keeps pointing at the last good one
+      if (!data.savedKey) throw new Error('Generated but not saved');
+
+      manifest.artifacts[artifact.id] = { key: data.savedKey, generatedAt: data.generatedAt, error: null };
+      console.log(`[PIPELINE] ✅ ${artifact.id} → ${manifest.artifacts[artifact.id].key}`);
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      console.error(`[PIPELINE] ${artifact.id} failed:`, message);
+      manifest.artifacts[artifact.id] = { ...manifest.artifacts[artifact.id], error: message };
+    }
+    await saveManifest(manifest, context);
+  }
+
+  manifest.status = ARTIFACTS.every(a => !manifest.artifacts[a.id]?.error) ? 'ready' : 'partial';
+  manifest.completedAt = new Date().toISOString();
+  await saveManifest(manifest, context);
+  console.log(`[PIPELINE] ${tour.toUpperCase()} done: ${manifest.status}`);
+  return manifest;
+}
+
+/**
+ * One artifact, generated (and saved to its blob store) by its own function - the same calls the app makes
+ * Returns the artifact with the savedKey it landed under (null when its save failed)
+ */
+async function generateArtifact(id, { baseUrl, tour, eventId, predictionPicks, context }) {
+  const data = await requestArtifact(id, { baseUrl, tour, eventId, predictionPicks });
+  if (data?.status !== 'in_progress') return data;
+
+  // Someone else is generating it right now (see generation-lock.js) - wait for theirs
+  console.log(`[PIPELINE] ${id} already in progress (job ${data.jobId}) - waiting`);
+  const job = await waitForGeneration(data.jobId, context, PIPELINE_CONFIG.requestTimeoutMs);
+  const result = job?.status === 'done' ? await loadJobResult(job, context) : null;
+  if (!result) throw new Error(`Job ${data.jobId} ${job?.error || job?.status || 'not found'}`);
+  return { ...result, savedKey: job.result.key || null };
+}
+
+async function requestArtifact(id, { baseUrl, tour, eventId, predictionPicks }) {
+  const options = { timeout: PIPELINE_CONFIG.requestTimeoutMs };
+  const url = name => `${baseUrl}/.netlify/functions/${name}`;
+  const event = eventId ? `&eventId=${eventId}` : '';
+
+  switch (id) {
+    case 'predictions':
+      return (await axios.get(`${url('get-predictions')}?tour=${tour}${event}&refresh=true`, options)).data;
+    case 'avoidPicks':
+      return (await axios.post(url('get-avoid-picks'), { tour, eventId, excludePlayers: predictionPicks }, options)).data;
+    case 'matchups':
+      return (await axios.post(url('get-matchup-predictions'), { tour, eventId }, options)).data;
+    case 'news':
+      return (await axios.get(`${url('get-tournament-news')}?tour=${tour}${event}`, options)).data;
+    default:
+      throw new Error(`Unknown artifact ${id}`);
+  }
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  PIPELINE_CONFIG,
+  ARTIFACTS,
+  loadManifest,
+  saveManifest,
+  saveWeek,
+  findManifest,
+  getLatestContent,
+  buildFingerprint,
+  stalenessReason,
+  runPipeline
+};
@@ -0,0 +1,391 @@
+const { getBlobStore } = require('./shared-utils');
+const { isKnownTour, tourIds, EVENT_TYPES } = require('./tour-registry');
+const SEED_CATALOG = require('./data/course-catalog.json');
+
+/**
+ * COURSE CATALOG
+ * One versioned catalog of venues and events, shared by every function that needs course data
+ * - courses: characteristics keyed by our course id, DataGolf course ids and name aliases,
+ *   with per-year setup changes (new tees, grass conversions) layered on top, and optionally a hole list
+ *   (par, yardage, hazards, historic scoring average) that course-model.js builds course fit from
+ * - events: tournament name keywords → course + Oddschecker slug, the purse (USD) when DataGolf has none,
+ *   and the event's format when it isn't the tour's standard one (tour-registry eventFormat) - signature
+ *   events, majors and playoffs with their own field size, cut rule or starting strokes
+ *
+ * The seed lives in data/course-catalog.json. Edits made through manage-course-catalog are saved
+ * to the 'course-catalog' blob store and take over from the seed - no deploy needed for a new venue.
+ * Every save bumps the version and keeps the previous catalog as catalog-v<version>.
+ * Used by: fetch-course-info, fetch-tournament, fetch-pre-tournament-odds, manage-course-catalog
+ */
+
+const CATALOG_STORE = 'course-catalog';
+const CATALOG_KEY = 'catalog';
+
+// Course fields that per-year setup changes may override
+const SETUP_FIELDS = ['par', 'yardage', 'width', 'greens', 'rough', 'fairwayWidth', 'grass', 'keyFeatures', 'difficulty', 'rewards', 'avgScore', 'holes'];
+
+// Structured values behind the descriptive text, used to find comp courses (see comp-courses.js)
+const COURSE_ENUMS = {
+  fairwayWidth: ['narrow', 'medium', 'wide'],
+  grass: ['bentgrass', 'poa', 'bermuda', 'paspalum', 'fescue', 'kikuyu'],
+  windExposure: ['low', 'moderate', 'high']
+};
+
+// ==================== LOADING & SAVING ====================
+
+/**
+ * Current catalog: the blob-stored edit when there is one, otherwise the bundled seed
+ */
+async function loadCourseCatalog(context) {
+  try {
+    const store = getBlobStore(CATALOG_STORE, context);
+    const saved = await store.get(CATALOG_KEY, { type: 'json' });
+    if (saved?.courses) return { ...saved, source: 'blob' };
+  } catch (error) {
+    console.log(`[CATALOG] Blob catalog unavailable, using seed: ${error.message}`);
+  }
+  return { ...SEED_CATALOG, source: 'seed' };
+}
+
+/**
+ * Validate and save a new catalog version, archiving the one it replaces
+ */
+async function saveCourseCatalog(catalog, context) {
+  const errors = validateCatalog(catalog);
+  if (errors.length > 0) {
+    throw new CatalogValidationError(errors);
+  }
+
+  const store = getBlobStore(CATALOG_STORE, context);
+  const current = await loadCourseCatalog(context);
+  if (current.source === 'blob') {
+    await store.set(`${CATALOG_KEY}-v${current.version}`, JSON.stringify(stripSource(current)));
+  }
+
+  const saved = {
+    ...stripSource(catalog),
+    version: (current.version || 0) + 1,
+    updatedAt: new Date().toISOString()
+  };
+  await store.set(CATALOG_KEY, JSON.stringify(saved));
+  console.log(`[CATALOG] Saved catalog v${saved.version} (${saved.courses.length} courses, ${saved.events.length} events)`);
+  return saved;
+}
+
+function stripSource({ source, ...catalog }) {
+  return catalog;
+}
+
+// ==================== VALIDATION ====================
+
+class CatalogValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid course catalog: ${errors.join('; ')}`);
+    this.errors = errors;
+  }
+}
+
+/**
+ * Schema check for one course. Returns a list of problems (empty when valid).
+ */
+function validateCourse(course) {
+  const errors = [];
+  const label = course?.id || course?.name || 'course';
+
+  if (!course || typeof course !== 'object') return ['course must be an object'];
+  if (!isSlug(course.id)) errors.push(`${label}: id must be a lowercase slug`);
+  if (!isText(course.name)) errors.push(`${label}: name is required`);
+  if (!Array.isArray(course.aliases) || course.aliases.length === 0 || !course.aliases.every(isText)) {
+    errors.push(`${label}: aliases must be a non-empty list of names`);
+  }
+  if (course.dataGolfIds !== undefined && !(Array.isArray(course.dataGolfIds) && course.dataGolfIds.every(isId))) {
+    errors.push(`${label}: dataGolfIds must be a list of DataGolf course ids`);
+  }
+  errors.push(...validateSetup(course, label));
+  if (course.windExposure != null && !COURSE_ENUMS.windExposure.includes(course.windExposure)) {
+    errors.push(`${label}: windExposure must be one of ${COURSE_ENUMS.windExposure.join(', ')}`);
+  }
+
+  if (course.setupChanges !== undefined) {
+    if (!Array.isArray(course.setupChanges)) {
+      errors.push(`${label}: setupChanges must be a list`);
+    } else {
+      course.setupChanges.forEach(change => {
+        if (!Number.isInteger(change?.year) || change.year < 1900 || change.year > 2100) {
+          errors.push(`${label}: setup change year must be a 4-digit year`);
+        }
+        const unknown = Object.keys(change?.changes || {}).filter(field => !SETUP_FIELDS.includes(field));
+        if (!change?.changes || unknown.length > 0) {
+          errors.push(`${label} ${change?.year}: changes must only set ${SETUP_FIELDS.join(', ')}`);
+        }
+        errors.push(...validateSetup(change?.changes || {}, `${label} ${change?.year}`));
+      });
+    }
+  }
+
+  return errors;
+}
+
+function validateSetup(setup, label) {
+  const errors = [];
+  if (setup.par != null && !(Number.isInteger(setup.par) && setup.par >= 60 && setup.par <= 75)) {
+    errors.push(`${label}: par must be between 60 and 75`);
+  }
+  if (setup.yardage != null && !(Number.isInteger(setup.yardage) && setup.yardage >= 5000 && setup.yardage <= 8500)) {
+    errors.push(`${label}: yardage must be between 5000 and 8500`);
+  }
+  if (setup.avgScore != null && !(typeof setup.avgScore === 'number' && setup.avgScore > 60 && setup.avgScore < 85)) {
+    errors.push(`${label}: avgScore must be a stroke average`);
+  }
+  ['width', 'greens', 'rough', 'difficulty'].forEach(field => {
+    if (setup[field] != null && !isText(setup[field])) errors.push(`${label}: ${field} must be text`);
+  });
+  ['keyFeatures', 'rewards'].forEach(field => {
+    if (setup[field] != null && !(Array.isArray(setup[field]) && setup[field].every(isText))) {
+      errors.push(`${label}: ${field} must be a list of text`);
+    }
+  });
+  ['fairwayWidth', 'grass'].forEach(field => {
+    if (setup[field] != null && !COURSE_ENUMS[field].includes(setup[field])) {
+      errors.push(`${label}: ${field} must be one of ${COURSE_ENUMS[field].join(', ')}`);
+    }
+  });
+  if (setup.holes != null) errors.push(...validateHoles(setup, label));
+  return errors;
+}
+
+/**
+ * Hole list: numbered 1-18 once each, with par, yardage, optional hazards and scoring average
+ */
+function validateHoles(setup, label) {
+  if (!Array.isArray(setup.holes) || setup.holes.length !== 18) return [`${label}: holes must list all 18 holes`];
+
+  const errors = [];
+  setup.holes.forEach((hole, i) => {
+    const holeLabel = `${label} hole ${hole?.number ?? i + 1}`;
+    if (hole?.number !== i + 1) errors.push(`${holeLabel}: holes must be numbered 1-18 in order`);
+    if (![3, 4, 5].includes(hole?.par)) errors.push(`${holeLabel}: par must be 3, 4 or 5`);
+    if (!(Number.isInteger(hole?.yardage) && hole.yardage >= 80 && hole.yardage <= 720)) {
+      errors.push(`${holeLabel}: yardage must be between 80 and 720`);
+    }
+    if (hole?.hazards != null && !(Array.isArray(hole.hazards) && hole.hazards.every(isText))) {
+      errors.push(`${holeLabel}: hazards must be a list of text`);
+    }
+    if (hole?.avgScore != null && !(typeof hole.avgScore === 'number' && Math.abs(hole.avgScore - hole.par) < 1.5)) {
+      errors.push(`${holeLabel}: avgScore must be a stroke average near par`);
+    }
+  });
+
+  const holesPar = setup.holes.reduce((sum, hole) => sum + (hole?.par || 0), 0);
+  if (errors.length === 0 && setup.par != null && holesPar !== setup.par) {
+    errors.push(`${label}: hole pars add up to ${holesPar}, not par ${setup.par}`);
+  }
+  return errors;
+}
+
+/**
+ * Schema check for one event
+ */
+function validateEvent(event, courseIds) {
+  const errors = [];
+  const label = event?.id || event?.name || 'event';
+
+  if (!event || typeof event !== 'object') return ['event must be an object'];
+  if (!isSlug(event.id)) errors.push(`${label}: id must be a lowercase slug`);
+  if (!isText(event.name)) errors.push(`${label}: name is required`);
+  if (!Array.isArray(event.match) || event.match.length === 0 || !event.match.every(isText)) {
+    errors.push(`${label}: match must be a non-empty list of tournament name keywords`);
+  }
+  if (event.tour != null && !isKnownTour(event.tour)) errors.push(`${label}: tour must be one of ${tourIds().join(', ')}`);
+  if (event.courseId != null && !courseIds.has(event.courseId)) errors.push(`${label}: unknown courseId ${event.courseId}`);
+  if (event.oddscheckerSlug != null && !isSlug(event.oddscheckerSlug)) errors.push(`${label}: oddscheckerSlug must be a slug`);
+  if (event.purse != null && !(typeof event.purse === 'number' && event.purse > 0)) errors.push(`${label}: purse must be a positive number (USD)`);
+  if (event.format != null) errors.push(...validateEventFormat(event.format, label));
+  return errors;
+}
+
+/**
+ * Schema check for an event's format overrides (see tour-registry eventFormat)
+ */
+function validateEventFormat(format, label) {
+  if (typeof format !== 'object' || Array.isArray(format)) return [`${label}: format must be an object`];
+
+  const errors = [];
+  if (format.type != null && !EVENT_TYPES[format.type]) {
+    errors.push(`${label}: format.type must be one of ${Object.keys(EVENT_TYPES).join(', ')}`);
+  }
+  if (format.rounds != null && !(Number.isInteger(format.rounds) && format.rounds >= 2 && format.rounds <= 4)) {
+    errors.push(`${label}: format.rounds must be 2-4`);
+  }
+  if (format.fieldSize != null && !(Number.isInteger(format.fieldSize) && format.fieldSize > 1)) {
+    errors.push(`${label}: format.fieldSize must be a player count`);
+  }
+  if (format.cut != null) {
+    const { afterRound, top, withinShots } = format.cut;
+    if (!Number.isInteger(afterRound) || afterRound < 1 || afterRound >= (format.rounds || 4)) {
+      errors.push(`${label}: format.cut.afterRound must be a round before the last`);
+    }
+    if (!(Number.isInteger(top) && top > 0)) errors.push(`${label}: format.cut.top must be a positive number of players`);
+    if (withinShots != null && !(Number.isInteger(withinShots) && withinShots > 0)) {
+      errors.push(`${label}: format.cut.withinShots must be a positive number of shots`);
+    }
+  }
+  if (format.startingStrokes != null) {
+    const { ladder, standings } = format.startingStrokes;
+    if (!Array.isArray(ladder) || ladder.length === 0 || !ladder.every(strokes => Number.isInteger(strokes) && strokes <= 0)) {
+      errors.push(`${label}: format.startingStrokes.ladder must list strokes under par (0 or less) by standing`);
+    }
+    if (standings != null && (typeof standings !== 'object' || Array.isArray(standings) ||
+      !Object.entries(standings).every(([season, players]) => /^\d{4}$/.test(season) && Array.isArray(players) && players.every(isText)))) {
+      errors.push(`${label}: format.startingStrokes.standings must map a season to its players in standing order`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Whole-catalog check: every course and event valid, ids unique, events point at real courses
+ */
+function validateCatalog(catalog) {
+  if (!catalog || !Array.isArray(catalog.courses) || !Array.isArray(catalog.events)) {
+    return ['catalog must have courses and events lists'];
+  }
+
+  const errors = [];
+  const courseIds = new Set(catalog.courses.map(c => c?.id));
+  errors.push(...findDuplicates(catalog.courses.map(c => c?.id), 'course id'));
+  errors.push(...findDuplicates(catalog.events.map(e => e?.id), 'event id'));
+  errors.push(...findDuplicates(catalog.courses.flatMap(c => (c?.dataGolfIds || []).map(String)), 'DataGolf course id'));
+  catalog.courses.forEach(course => errors.push(...validateCourse(course)));
+  catalog.events.forEach(event => errors.push(...validateEvent(event, courseIds)));
+  return errors;
+}
+
+function findDuplicates(values, label) {
+  const seen = new Set();
+  const duplicates = new Set(values.filter(v => seen.has(v) || !seen.add(v)));
+  return [...duplicates].map(v => `duplicate ${label} ${v}`);
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isSlug(value) {
+  return typeof value === 'string' && /^[a-z0-9]+(-[a-z0-9]+)*$/.test(value);
+}
+
+function isId(value) {
+  return (typeof value === 'string' && value.length > 0) || Number.isInteger(value);
+}
+
+// ==================== LOOKUPS ====================
+
+/**
+ * Find a course by DataGolf course id, then by name alias
+ * Returns the course with the setup for `year` applied, or null
+ */
+function findCourse(catalog, { courseKey, courseName, year } = {}) {
+  let course = null;
+
+  if (courseKey != null) {
+    course = catalog.courses.find(c => (c.dataGolfIds || []).map(String).includes(String(courseKey)));
+  }
+  if (!course && courseName) {
+    course = longestMatch(catalog.courses, c => c.aliases, normalizeName(courseName));
+  }
+
+  return course ? applySetupChanges(course, year) : null;
+}
+
+/**
+ * Find the event a tournament name belongs to - the longest matching keyword wins,
+ * so "Qatar Masters" isn't mistaken for the Masters
+ */
+function findEvent(catalog, tournamentName, tour = null) {
+  if (!tournamentName) return null;
+  const events = tour ? catalog.events.filter(e => !e.tour || e.tour === tour) : catalog.events;
+  return longestMatch(events, e => e.match, normalizeName(tournamentName));
+}
+
+/**
+ * Course for a tournament: by DataGolf id / course name first, then via the event's course
+ */
+function findCourseForTournament(catalog, { courseKey, courseName, tournamentName, tour, year } = {}) {
+  const direct = findCourse(catalog, { courseKey, courseName, year });
+  if (direct) return direct;
+
+  const event = findEvent(catalog, tournamentName, tour);
+  const course = event?.courseId ? catalog.courses.find(c => c.id === event.courseId) : null;
+  return course ? applySetupChanges(course, year) : null;
+}
+
+/**
+ * Oddschecker winner-market URL: the event's slug, else a slug built from the tournament name
+ */
+function getOddscheckerUrl(catalog, tournamentName) {
+  const event = findEvent(catalog, tournamentName);
+  const slug = event?.oddscheckerSlug || tournamentName.toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/\s+/g, '-');
+
+  return `https://www.oddschecker.com/golf/${slug}/winner`;
+}
+
+/**
+ * Layer every setup change up to and including `year` onto the base course (oldest first)
+ * Without a year the latest setup applies.
+ */
+function applySetupChanges(course, year) {
+  const changes = (course.setupChanges || [])
+    .filter(change => !year || change.year <= year)
+    .sort((a, b) => a.year - b.year);
+
+  const setup = changes.reduce((acc, change) => ({ ...acc, ...change.changes }), {});
+  return {
+    ...course,
+    ...setup,
+    setupYear: changes.length > 0 ? changes[changes.length - 1].year : null
+  };
+}
+
+function longestMatch(items, keywordsOf, name) {
+  let best = null;
+  for (const item of items) {
+    for (const keyword of keywordsOf(item) || []) {
+      const normalized = normalizeName(keyword);
+      if (normalized && name.includes(normalized) && (!best || normalized.length > best.length)) {
+        best = { item, length: normalized.length };
+      }
+    }
+  }
+  return best ? best.item : null;
+}
+
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\./g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\bgc\b/g, 'golf club')
+    .replace(/\bcc\b/g, 'country club')
+    .trim();
+}
+
+module.exports = {
+  SETUP_FIELDS,
+  COURSE_ENUMS,
+  CatalogValidationError,
+  loadCourseCatalog,
+  saveCourseCatalog,
+  validateCourse,
+  validateEvent,
+  validateCatalog,
+  findCourse,
+  findEvent,
+  findCourseForTournament,
+  getOddscheckerUrl,
+  applySetupChanges
+};
@@ -0,0 +1,306 @@
+/**
+ * COURSE MODEL
+ * Hole-by-hole model of a venue and the numeric course fit built on it
+ * 1. Holes: the catalog's hole list (par, yardage, hazards, historic scoring average) - or, for venues
+ *    without one, a layout estimated from total par and yardage
+ * 2. Derived metrics: par-3/4/5 splits, long par-4 share, par-5 reachability, approach distance mix
+ *    (125-175y share and DataGolf's approach buckets), water share, scoring vs par by hole type
+ * 3. SG weights and an approach-profile course fit (strokes per round) for each player,
+ *    from their SG splits and DataGolf approach-skill (SG per shot + proximity by distance bucket)
+ *
+ * Used by: fetch-course-info (builds the model), quant-model, shared-utils analyzeCourseSkillDemands,
+ * get-predictions (prompt)
+ */
+
+// ========================================
+// 🎯 COURSE MODEL CONFIGURATION - EDIT HERE
+// ========================================
+const COURSE_MODEL_CONFIG = {
+  avgDrive: 295,            // Tour-average drive (yards) - approach distance = hole length minus this
+  maxSecondShot: 265,       // Longest second shot into a par 5 that still counts as "reachable"
+  layupApproach: 90,        // Third-shot distance after laying up on an unreachable par 5
+  longPar4: 450,            // Par 4s at or over this are "long"
+  keyApproachBand: [125, 175],
+  // Tour-average share of approach shots by DataGolf bucket - fit is measured against this mix
+  tourApproachMix: { '50_100': 0.17, '100_150': 0.30, '150_200': 0.33, 'over_200': 0.20 },
+  fitWeight: 1.0            // Scales the approach-profile fit added to a player's projection
+};
+
+// DataGolf approach-skill buckets (fairway lies)
+const APPROACH_BANDS = [
+  { key: '50_100', min: 50, max: 100 },
+  { key: '100_150', min: 100, max: 150 },
+  { key: '150_200', min: 150, max: 200 },
+  { key: 'over_200', min: 200, max: Infinity }
+];
+
+// Typical hole lengths by par at a 7,200-yard course, used to estimate layouts without hole data
+const TEMPLATE_LENGTHS = {
+  3: { shortest: 160, longest: 230 },
+  4: { shortest: 360, longest: 500 },
+  5: { shortest: 530, longest: 610 }
+};
+
+// Par 3 / 4 / 5 counts for common totals
+const PAR_LAYOUTS = {
+  70: { 3: 4, 4: 12, 5: 2 },
+  71: { 3: 4, 4: 11, 5: 3 },
+  72: { 3: 4, 4: 10, 5: 4 },
+  73: { 3: 3, 4: 10, 5: 5 }
+};
+// ========================================
+
+// ==================== HOLE MODEL ====================
+
+/**
+ * Build the hole model for a course (catalog course or fetch-course-info's merged info)
+ * Returns null when there is neither a hole list nor a par and yardage to estimate one from.
+ */
+function buildHoleModel(course) {
+  if (!course) return null;
+
+  let holes = null;
+  let source = 'holes';
+  if (Array.isArray(course.holes) && course.holes.length > 0) {
+    holes = course.holes;
+  } else {
+    holes = estimateHoles(parseInt(course.par), parseInt(course.yardage));
+    source = 'estimated';
+  }
+  if (!holes) return null;
+
+  const metrics = computeMetrics(holes);
+  return {
+    source,
+    holes,
+    metrics,
+    sgWeights: deriveSgWeights(metrics)
+  };
+}
+
+/**
+ * Estimated layout: the usual par-3/4/5 split for the total par, lengths spread over the
+ * template range for each par and scaled to the course's yardage
+ */
+function estimateHoles(par, yardage) {
+  const layout = PAR_LAYOUTS[par];
+  if (!layout || !(yardage > 0)) return null;
+
+  const holes = [];
+  for (const holePar of [3, 4, 5]) {
+    const { shortest, longest } = TEMPLATE_LENGTHS[holePar];
+    const count = layout[holePar];
+    for (let i = 0; i < count; i++) {
+      const length = count === 1 ? (shortest + longest) / 2 : shortest + (longest - shortest) * i / (count - 1);
+      holes.push({ par: holePar, yardage: length });
+    }
+  }
+
+  const scale = yardage / holes.reduce((sum, h) => sum + h.yardage, 0);
+  return holes.map((hole, i) => ({
+    number: i + 1,
+    par: hole.par,
+    yardage: Math.round(hole.yardage * scale),
+    hazards: null,
+    avgScore: null
+  }));
+}
+
+/**
+ * Distance of the shot into the green on a hole (yards)
+ */
+function approachDistance(hole) {
+  const { avgDrive, maxSecondShot, layupApproach } = COURSE_MODEL_CONFIG;
+  if (hole.par === 3) return hole.yardage;
+  if (hole.par === 4) return Math.max(hole.yardage - avgDrive, 40);
+  const remaining = hole.yardage - avgDrive;
+  return remaining <= maxSecondShot ? remaining : layupApproach;
+}
+
+function isReachablePar5(hole) {
+  return hole.par === 5 && hole.yardage - COURSE_MODEL_CONFIG.avgDrive <= COURSE_MODEL_CONFIG.maxSecondShot;
+}
+
+// ==================== DERIVED METRICS ====================
+
+function computeMetrics(holes) {
+  const { longPar4, keyApproachBand } = COURSE_MODEL_CONFIG;
+  const byPar = par => holes.filter(h => h.par === par);
+  const par4s = byPar(4);
+  const par5s = byPar(5);
+  const approaches = holes.map(approachDistance);
+  const hazardsKnown = holes.some(h => Array.isArray(h.hazards));
+
+  const approachMix = {};
+  for (const band of APPROACH_BANDS) {
+    approachMix[band.key] = share(approaches, d => d >= band.min && d < band.max);
+  }
+
+  return {
+    holes: holes.length,
+    par: holes.reduce((sum, h) => sum + h.par, 0),
+    yardage: holes.reduce((sum, h) => sum + h.yardage, 0),
+    par3s: byPar(3).length,
+    par4s: par4s.length,
+    par5s: par5s.length,
+    avgPar3: averageYards(byPar(3).map(h => h.yardage)),
+    avgPar4: averageYards(par4s.map(h => h.yardage)),
+    avgPar5: averageYards(par5s.map(h => h.yardage)),
+    longPar4Share: share(par4s, h => h.yardage >= longPar4),
+    par5ReachableShare: share(par5s, isReachablePar5),
+    avgApproach: averageYards(approaches),
+    approach125to175Share: share(approaches, d => d >= keyApproachBand[0] && d <= keyApproachBand[1]),
+    approachMix,
+    waterShare: hazardsKnown ? share(holes, h => (h.hazards || []).some(hz => /water|creek|lake|pond|ocean|sea/i.test(hz))) : null,
+    hazardsPerHole: hazardsKnown ? round(holes.reduce((sum, h) => sum + (h.hazards || []).length, 0) / holes.length, 2) : null,
+    scoringVsPar: {
+      par3: scoringVsPar(byPar(3)),
+      par4: scoringVsPar(par4s),
+      par5: scoringVsPar(par5s)
+    }
+  };
+}
+
+/**
+ * Historic strokes over par per hole for one hole type - null unless every hole has a scoring average
+ */
+function scoringVsPar(holes) {
+  if (holes.length === 0 || !holes.every(h => typeof h.avgScore === 'number')) return null;
+  return round(average(holes.map(h => h.avgScore - h.par)), 3);
+}
+
+/**
+ * SG category weights (1.0 = neutral) from the metrics
+ * - OTT: long par 4s and reachable par 5s pay off distance
+ * - APP: long approaches and water near greens punish loose iron play
+ * - ARG: holes playing over par leave more scrambling
+ * - Putt: a wedge-heavy mix turns into more birdie putts
+ */
+function deriveSgWeights(metrics) {
+  const { tourApproachMix } = COURSE_MODEL_CONFIG;
+  const longApproachShare = metrics.approachMix['150_200'] + metrics.approachMix['over_200'];
+  const tourLongShare = tourApproachMix['150_200'] + tourApproachMix['over_200'];
+  const wedgeShare = metrics.approachMix['50_100'];
+  const overPar = [metrics.scoringVsPar.par3, metrics.scoringVsPar.par4]
+    .filter(v => v !== null);
+
+  return {
+    ott: clamp(1 + 0.6 * (metrics.longPar4Share - 0.3) + 0.2 * (metrics.par5ReachableShare - 0.5), 0.8, 1.3),
+    app: clamp(1 + 0.5 * (longApproachShare - tourLongShare) + 0.3 * ((metrics.waterShare ?? 0.2) - 0.2), 0.8, 1.3),
+    arg: clamp(overPar.length > 0 ? 1 + 0.8 * (average(overPar) - 0.1) : 1, 0.8, 1.3),
+    putt: clamp(1 + 0.4 * (wedgeShare - tourApproachMix['50_100']), 0.8, 1.3)
+  };
+}
+
+// ==================== COURSE FIT ====================
+
+/**
+ * Approach-profile fit in strokes per round: how much better (or worse) this course's approach mix suits
+ * the player than the tour-average mix, from their SG per shot by distance bucket.
+ * The player's overall SG:APP already covers their average - this is only the course-specific part.
+ * approach: { [bucket]: { sgPerShot, proximity } } from fetch-stats
+ */
+function approachFit(approach, holeModel) {
+  if (!approach || !holeModel) return null;
+  const { tourApproachMix } = COURSE_MODEL_CONFIG;
+  const approachesPerRound = holeModel.metrics.holes;
+
+  let strokes = 0;
+  let covered = 0;
+  for (const band of APPROACH_BANDS) {
+    const sgPerShot = approach[band.key]?.sgPerShot;
+    if (typeof sgPerShot !== 'number') continue;
+    strokes += (holeModel.metrics.approachMix[band.key] - tourApproachMix[band.key]) * approachesPerRound * sgPerShot;
+    covered++;
+  }
+  return covered > 0 ? round(strokes * COURSE_MODEL_CONFIG.fitWeight, 3) : null;
+}
+
+/**
+ * Course fit for one player: weighted SG (vs neutral weights) plus approach-profile fit
+ * Returns { strokes, sgFit, approachFit, keyBand } - keyBand is the player's numbers in the
+ * bucket the course asks for most
+ */
+function playerCourseFit(player, holeModel) {
+  if (!holeModel) return null;
+  const w = holeModel.sgWeights;
+
+  const sgFit = (player.sgOTT || 0) * (w.ott - 1) +
+    (player.sgAPP || 0) * (w.app - 1) +
+    (player.sgARG || 0) * (w.arg - 1) +
+    (player.sgPutt || 0) * (w.putt - 1);
+  const approach = approachFit(player.approach, holeModel);
+
+  const mix = holeModel.metrics.approachMix;
+  const keyBandKey = Object.keys(mix).reduce((best, key) => (mix[key] > mix[best] ? key : best));
+
+  return {
+    strokes: round(sgFit + (approach || 0), 3),
+    sgFit: round(sgFit, 3),
+    approachFit: approach,
+    keyBand: player.approach?.[keyBandKey] ? { band: keyBandKey, ...player.approach[keyBandKey] } : null
+  };
+}
+
+// ==================== SUMMARY ====================
+
+/**
+ * Numeric course demands for the AI prompts, ranked by weight
+ */
+function describeHoleModel(holeModel) {
+  const m = holeModel.metrics;
+  const w = holeModel.sgWeights;
+  const pct = value => `${Math.round(value * 100)}%`;
+  const label = weight => (weight >= 1.15 ? 'CRITICAL' : weight >= 1.05 ? 'Important' : weight <= 0.92 ? 'Reduced' : 'Neutral');
+
+  const ranked = [
+    { key: 'ott', name: 'SG:OTT', why: `${pct(m.longPar4Share)} of par 4s are 450y+, ${pct(m.par5ReachableShare)} of par 5s reachable in two` },
+    { key: 'app', name: 'SG:APP', why: `avg approach ${m.avgApproach}y, ${pct(m.approach125to175Share)} from 125-175y${m.waterShare !== null ? `, water on ${pct(m.waterShare)} of holes` : ''}` },
+    { key: 'arg', name: 'SG:ARG', why: formatScoring(m.scoringVsPar) },
+    { key: 'putt', name: 'SG:Putt', why: `${pct(m.approachMix['50_100'])} of approaches are wedges (50-100y)` }
+  ].sort((a, b) => w[b.key] - w[a.key]);
+
+  const lines = ranked.map((d, i) => `${i + 1}. ${d.name} (${label(w[d.key])}, weight ${w[d.key].toFixed(2)}) - ${d.why}`);
+  lines.push(`Layout${holeModel.source === 'estimated' ? ' (estimated from par/yardage)' : ''}: ${m.par3s} par 3s (avg ${m.avgPar3}y), ${m.par4s} par 4s (avg ${m.avgPar4}y), ${m.par5s} par 5s (avg ${m.avgPar5}y)`);
+  lines.push(`Approach mix: 50-100y ${pct(m.approachMix['50_100'])}, 100-150y ${pct(m.approachMix['100_150'])}, 150-200y ${pct(m.approachMix['150_200'])}, 200y+ ${pct(m.approachMix['over_200'])}`);
+  return lines.join('\n');
+}
+
+function formatScoring(scoringVsPar) {
+  const parts = Object.entries(scoringVsPar)
+    .filter(([, value]) => value !== null)
+    .map(([type, value]) => `${type}s ${value >= 0 ? '+' : ''}${value.toFixed(2)}`);
+  return parts.length > 0 ? `historic scoring vs par: ${parts.join(', ')}` : 'no hole scoring history';
+}
+
+function share(items, predicate) {
+  if (items.length === 0) return 0;
+  return round(items.filter(predicate).length / items.length, 3);
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function averageYards(values) {
+  return values.length === 0 ? null : Math.round(average(values));
+}
+
+function clamp(value, min, max) {
+  return round(Math.min(max, Math.max(min, value)), 3);
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  COURSE_MODEL_CONFIG,
+  APPROACH_BANDS,
+  buildHoleModel,
+  approachFit,
+  playerCourseFit,
+  describeHoleModel
+};
@@ -0,0 +1,375 @@
+const { normalizePlayerName, americanToDecimal } = require('./shared-utils');
+const { findModelPlayer } = require('./quant-model');
+
+/**
+ * DFS OPTIMIZER
+ * DraftKings / FanDuel classic golf lineups from the prediction data
+ * 1. Parse the site's salary CSV (site detected from the headers)
+ * 2. Project fantasy points: hole scoring from the quant model's strokes gained per round,
+ *    finishing points from win / top-N / make-cut probabilities blended with the betting markets
+ * 3. Branch-and-bound search for the best lineup under the cap, repeated N times with
+ *    exposure limits, locks / excludes and a minimum number of different players between lineups
+ * 4. Export in the site's upload CSV format
+ *
+ * Used by: get-dfs-lineups
+ */
+
+// ========================================
+// 🎯 DFS CONFIGURATION - EDIT HERE
+// ========================================
+const DFS_CONFIG = {
+  lineups: 20,
+  maxExposure: 0.6,        // A player can be in at most 60% of lineups (locks excepted)
+  minUnique: 2,            // Every pair of lineups differs by at least 2 players
+  maxLineups: 150,
+  marketWeight: 0.5,       // Finishing probabilities: 50% quant model, 50% betting market
+  poolSize: 80,            // Best projections searched (plus locks)
+  maxSearchNodes: 2000000  // Safety valve per lineup on huge slates
+};
+
+// Scoring approximations per site. Hole points per round = base + perStroke × strokes gained vs field
+// (base already folds in streak / bogey-free bonuses for an average round)
+const DFS_SITES = {
+  draftkings: {
+    label: 'DraftKings',
+    salaryCap: 50000,
+    rosterSize: 6,
+    roundBasePoints: 15,
+    pointsPerStroke: 3.5,
+    finishPoints: [30, 20, 18, 16, 14, 12, 10, 9, 8, 7],
+    finishBands: [[15, 6], [20, 5], [25, 4], [30, 3], [40, 2], [50, 1]]
+  },
+  fanduel: {
+    label: 'FanDuel',
+    salaryCap: 60000,
+    rosterSize: 6,
+    roundBasePoints: 14,
+    pointsPerStroke: 3.8,
+    finishPoints: [10, 8, 7, 6, 5, 4, 4, 4, 4, 4],
+    finishBands: [[15, 3], [20, 2], [25, 1.5], [30, 1], [40, 0.5]]
+  }
+};
+// ========================================
+
+// ==================== SALARY CSV ====================
+
+/**
+ * Parse a DraftKings or FanDuel salary export
+ * Returns { site, players: [{ id, name, salary }] }
+ */
+function parseSalaryCsv(csvText) {
+  const rows = parseCsv(csvText);
+  if (rows.length < 2) throw new Error('Salary CSV is empty');
+
+  const headers = rows[0].map(h => h.trim());
+  const col = (name) => headers.indexOf(name);
+
+  let site;
+  let toPlayer;
+  if (col('Name + ID') !== -1 || (col('Name') !== -1 && col('ID') !== -1)) {
+    site = 'draftkings';
+    toPlayer = (row) => ({ id: row[col('ID')], name: row[col('Name')], salary: parseInt(row[col('Salary')]) });
+  } else if (col('Nickname') !== -1 || col('First Name') !== -1) {
+    site = 'fanduel';
+    toPlayer = (row) => ({
+      id: row[col('Id')],
+      name: row[col('Nickname')] || `${row[col('First Name')]} ${row[col('Last Name')]}`,
+      salary: parseInt(row[col('Salary')])
+    });
+  } else {
+    throw new Error('Unrecognized salary CSV - expected a DraftKings or FanDuel export');
+  }
+
+  const players = rows.slice(1)
+    .filter(row => row.length === headers.length)
+    .map(toPlayer)
+    .filter(p => p.id && p.name && p.salary > 0)
+    .map(p => ({ ...p, name: p.name.trim() }));
+
+  return { site, players };
+}
+
+/**
+ * Minimal CSV reader: quoted fields, escaped quotes, CRLF
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(v => v !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(v => v !== '')) rows.push(row);
+
+  return rows;
+}
+
+// ==================== PROJECTIONS ====================
+
+/**
+ * Projected fantasy points for every salary row that matches a modelled player
+ * playersWithData: merged player data (odds, marketOdds) - quantModel: runQuantModel output
+ * Unmatched salary rows come back with projection null so the UI can show them.
+ */
+function projectFantasyPoints(salaryPlayers, playersWithData, quantModel, site, config = {}) {
+  const settings = { ...DFS_CONFIG, ...config };
+  const scoring = DFS_SITES[site];
+  const byName = new Map(playersWithData.map(p => [normalizePlayerName(p.name), p]));
+
+  return salaryPlayers.map(salaryPlayer => {
+    const model = findModelPlayer(quantModel, salaryPlayer.name);
+    if (!model) return { ...salaryPlayer, projection: null };
+
+    const probs = blendFinishProbabilities(model, byName.get(normalizePlayerName(salaryPlayer.name)), settings.marketWeight);
+    const expectedRounds = 2 + 2 * probs.makeCut;
+    const holePoints = expectedRounds * (scoring.roundBasePoints + scoring.pointsPerStroke * model.strokesGainedVsField);
+    const finishPoints = expectedFinishPoints(probs, scoring);
+    const projection = Math.max(0, holePoints + finishPoints);
+
+    return {
+      ...salaryPlayer,
+      odds: model.odds,
+      projection: round(projection, 2),
+      holePoints: round(holePoints, 2),
+      finishPoints: round(finishPoints, 2),
+      value: round(projection / (salaryPlayer.salary / 1000), 2),
+      probabilities: probs
+    };
+  });
+}
+
+/**
+ * Quant model finishing probabilities blended with the market's (DataGolf fair price where available,
+ * de-vigged win odds otherwise). Kept monotone: win ≤ top 5 ≤ top 10 ≤ top 20 ≤ make cut.
+ */
+function blendFinishProbabilities(model, player, marketWeight) {
+  const market = {
+    win: model.marketWinProb,
+    top5: fairMarketProb(player?.marketOdds?.top_5),
+    top10: fairMarketProb(player?.marketOdds?.top_10),
+    top20: fairMarketProb(player?.marketOdds?.top_20),
+    makeCut: fairMarketProb(player?.marketOdds?.make_cut)
+  };
+  const modelProbs = {
+    win: model.winProb,
+    top5: model.top5Prob,
+    top10: model.top10Prob,
+    top20: model.top20Prob,
+    makeCut: model.makeCutProb
+  };
+
+  const blended = {};
+  let floor = 0;
+  for (const key of ['win', 'top5', 'top10', 'top20', 'makeCut']) {
+    const value = market[key] != null
+      ? (1 - marketWeight) * modelProbs[key] + marketWeight * market[key]
+      : modelProbs[key];
+    floor = Math.min(1, Math.max(floor, value));
+    blended[key] = round(floor, 4);
+  }
+  return blended;
+}
+
+function fairMarketProb(price) {
+  if (!price) return null;
+  const odds = price.dgOdds || price.odds;
+  return odds ? 1 / americanToDecimal(odds) : null;
+}
+
+/**
+ * Expected finishing points from the probability of landing in each band of positions
+ * (each band pays the average of its positions' points)
+ */
+function expectedFinishPoints(probs, scoring) {
+  const bands = [
+    [1, 1, probs.win],
+    [2, 5, probs.top5 - probs.win],
+    [6, 10, probs.top10 - probs.top5],
+    [11, 20, probs.top20 - probs.top10],
+    [21, 65, probs.makeCut - probs.top20]
+  ];
+
+  return bands.reduce((sum, [from, to, probability]) => {
+    let points = 0;
+    for (let position = from; position <= to; position++) points += pointsForPosition(position, scoring);
+    return sum + Math.max(0, probability) * points / (to - from + 1);
+  }, 0);
+}
+
+function pointsForPosition(position, scoring) {
+  if (position <= scoring.finishPoints.length) return scoring.finishPoints[position - 1];
+  const band = scoring.finishBands.find(([maxPosition]) => position <= maxPosition);
+  return band ? band[1] : 0;
+}
+
+// ==================== OPTIMIZER ====================
+
+/**
+ * Build up to N lineups, best projection first
+ * options: { lineups, maxExposure, minUnique, locks: [names], excludes: [names] }
+ * Returns { lineups: [{ players, salary, projection }], exposures, warnings }
+ */
+function buildLineups(projected, site, options = {}) {
+  const settings = { ...DFS_CONFIG, ...options };
+  const { salaryCap, rosterSize } = DFS_SITES[site];
+  const lineupCount = Math.min(Math.max(1, parseInt(settings.lineups) || 1), settings.maxLineups);
+  const minUnique = Math.min(Math.max(0, parseInt(settings.minUnique) || 0), rosterSize);
+  const maxCount = Math.max(1, Math.floor(settings.maxExposure * lineupCount));
+
+  const lockSet = new Set((settings.locks || []).map(normalizePlayerName));
+  const excludeSet = new Set((settings.excludes || []).map(normalizePlayerName));
+  const warnings = [];
+
+  const eligible = projected
+    .filter(p => p.projection !== null && !excludeSet.has(normalizePlayerName(p.name)))
+    .sort((a, b) => b.projection - a.projection);
+  const locks = eligible.filter(p => lockSet.has(normalizePlayerName(p.name)));
+  const pool = [
+    ...locks,
+    ...eligible.filter(p => !lockSet.has(normalizePlayerName(p.name))).slice(0, settings.poolSize)
+  ].sort((a, b) => b.projection - a.projection);
+
+  if (locks.length > rosterSize) {
+    return { lineups: [], exposures: [], warnings: [`${locks.length} locked players but only ${rosterSize} roster spots`] };
+  }
+  if (lockSet.size > locks.length) {
+    warnings.push('Some locked players are excluded or have no projection and were ignored');
+  }
+
+  const usage = new Map();
+  const lineups = [];
+  const maxShared = rosterSize - minUnique;
+
+  for (let n = 0; n < lineupCount; n++) {
+    const available = pool.filter(p => locks.includes(p) || (usage.get(p.id) || 0) < maxCount);
+    const best = searchLineup(available, locks, { salaryCap, rosterSize, maxShared, previous: lineups, maxNodes: settings.maxSearchNodes });
+    if (!best) {
+      warnings.push(`Only ${lineups.length} valid lineups under the exposure and uniqueness settings`);
+      break;
+    }
+
+    for (const p of best) usage.set(p.id, (usage.get(p.id) || 0) + 1);
+    lineups.push({
+      players: best.slice().sort((a, b) => b.salary - a.salary),
+      salary: best.reduce((sum, p) => sum + p.salary, 0),
+      projection: round(best.reduce((sum, p) => sum + p.projection, 0), 2)
+    });
+  }
+
+  const exposures = [...usage.entries()]
+    .map(([id, count]) => {
+      const player = pool.find(p => p.id === id);
+      return { id, name: player.name, salary: player.salary, count, exposure: round(count / lineups.length, 3) };
+    })
+    .sort((a, b) => b.count - a.count);
+
+  return { lineups, exposures, warnings };
+}
+
+/**
+ * Highest-projected legal lineup: depth-first over players sorted by projection, pruning on
+ * the best points still reachable, the cheapest salary still needed and overlap with earlier lineups
+ */
+function searchLineup(pool, locks, { salaryCap, rosterSize, maxShared, previous, maxNodes }) {
+  const candidates = pool.filter(p => !locks.includes(p));
+  const slots = rosterSize - locks.length;
+  const lockSalary = locks.reduce((sum, p) => sum + p.salary, 0);
+  const lockPoints = locks.reduce((sum, p) => sum + p.projection, 0);
+  if (candidates.length < slots || lockSalary > salaryCap) return null;
+
+  const previousSets = previous.map(l => new Set(l.players.map(p => p.id)));
+  const minSalaryFrom = new Array(candidates.length + 1).fill(Infinity);
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    minSalaryFrom[i] = Math.min(minSalaryFrom[i + 1], candidates[i].salary);
+  }
+
+  let best = null;
+  let bestPoints = -Infinity;
+  let nodes = 0;
+  const chosen = [];
+  const shared = previousSets.map(set => locks.filter(p => set.has(p.id)).length);
+
+  const visit = (start, salary, points) => {
+    if (++nodes > maxNodes) return;
+    const remaining = slots - chosen.length;
+
+    if (remaining === 0) {
+      if (points > bestPoints) {
+        bestPoints = points;
+        best = [...locks, ...chosen];
+      }
+      return;
+    }
+
+    for (let i = start; i <= candidates.length - remaining; i++) {
+      const player = candidates[i];
+      // Sorted by projection, so this player and the next ones bound what's still reachable
+      let bound = points;
+      for (let j = 0; j < remaining; j++) bound += candidates[i + j].projection;
+      if (bound <= bestPoints) return;
+
+      const cheapestRest = remaining > 1 ? (remaining - 1) * minSalaryFrom[i + 1] : 0;
+      if (salary + player.salary + cheapestRest > salaryCap) continue;
+
+      const overlaps = previousSets.map((set, k) => shared[k] + (set.has(player.id) ? 1 : 0));
+      if (overlaps.some(count => count > maxShared)) continue;
+
+      chosen.push(player);
+      const saved = shared.slice();
+      overlaps.forEach((count, k) => { shared[k] = count; });
+      visit(i + 1, salary + player.salary, points + player.projection);
+      saved.forEach((count, k) => { shared[k] = count; });
+      chosen.pop();
+    }
+  };
+
+  visit(0, lockSalary, lockPoints);
+  return best;
+}
+
+// ==================== EXPORT ====================
+
+/**
+ * The site's bulk-upload CSV: one column per roster slot, one lineup of player IDs per row
+ */
+function toUploadCsv(lineups, site) {
+  const { rosterSize } = DFS_SITES[site];
+  const header = new Array(rosterSize).fill('G').join(',');
+  const rows = lineups.map(lineup => lineup.players.map(p => p.id).join(','));
+  return [header, ...rows].join('\n');
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  DFS_CONFIG,
+  DFS_SITES,
+  parseSalaryCsv,
+  projectFantasyPoints,
+  buildLineups,
+  toUploadCsv
+};
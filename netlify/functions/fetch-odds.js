@@ -1,27 +1,75 @@
-const axios = require('axios');
+const { getDataProvider, toDataGolfTour } = require('./shared-utils');
+const { recordOddsSnapshot, decimalToAmerican } = require('./odds-history');
+const { loadPlayerRegistry, isSamePlayer, recordAmbiguities } = require('./player-registry');
+const { hasMarket } = require('./tour-registry');
+
+// Placement / cut markets we can price: our market key → DataGolf outrights market
+const PLACEMENT_MARKETS = {
+  top_5: 'top_5',
+  top_10: 'top_10',
+  top_20: 'top_20',
+  make_cut: 'make_cut',
+  miss_cut: 'mc'
+};
+
+// Tour-registry market each one needs - cut markets only exist on tours with a cut
+const MARKET_AVAILABILITY = {
+  top_5: 'placements',
+  top_10: 'placements',
+  top_20: 'placements',
+  make_cut: 'makeCut',
+  miss_cut: 'makeCut'
+};
 
 /**
  * OPTIMIZED fetch-odds.js
  * Fetches golf odds from DataGolf API with bookmaker breakdown
+ * Optional body.markets (e.g. ['top_5', 'make_cut']) adds marketOdds per player for those markets
+ * (markets the tour doesn't have - cut markets at a no-cut event - are skipped)
+ * Every player carries its DataGolf dgId (from the feed, else resolved through the player registry)
+ * Optional body.feedTour (fetch-tournament's feedTour, e.g. 'opp') prices an opposite-field event
+ * instead of the tour's main one
+ * Optional body.eventId / season / startDate (fetch-tournament's event_id, calendar_year, start_date) file the
+ * line-movement snapshot under that edition of the event
  */
 exports.handler = async (event, context) => {
   try {
-    const { tournamentName, players, tour } = JSON.parse(event.body);
+    const { tournamentName, players, tour, feedTour = null, markets = [], eventId = null, season = null, startDate = null } = JSON.parse(event.body);
     
-    console.log(`[ODDS] Fetching for ${tournamentName} (${tour.toUpperCase()}, ${players.length} players)`);
+    console.log(`[ODDS] Fetching for ${tournamentName} (${tour.toUpperCase()}${feedTour && feedTour !== tour ? ` via ${feedTour}` : ''}, ${players.length} players)`);
 
-    const apiKey = process.env.DATAGOLF_API_KEY || '07b56aee1a02854e9513b06af5cd';
-    const apiTour = tour === 'dp' ? 'euro' : tour;
+    const oddsTour = feedTour || tour;
+    const apiTour = toDataGolfTour(oddsTour);
+    const dataProvider = getDataProvider();
     
     // Fetch live odds from DataGolf
-    const oddsData = await fetchDataGolfOdds(apiTour, apiKey);
+    const [oddsData, registry] = await Promise.all([
+      fetchDataGolfOdds(apiTour, dataProvider),
+      loadPlayerRegistry({ context })
+    ]);
     
     if (oddsData.length === 0) {
       console.log('[ODDS] No odds data available, returning empty response');
       return createResponse([], 'DataGolf API (no data)');
     }
 
+    await recordAmbiguities(assignDgIds(oddsData, registry), context);
+
     console.log(`[ODDS] Successfully processed ${oddsData.length} players with odds`);
+
+    if (markets.length > 0) {
+      await attachMarketOdds(oddsData, apiTour, markets, dataProvider);
+    }
+
+    // Every pull feeds the line-movement series (throttled to one snapshot an hour)
+    await recordOddsSnapshot({
+      tournament: { name: tournamentName, eventId, season, start_date: startDate },
+      tour,
+      odds: toSnapshotOdds(oddsData),
+      source: 'DataGolf',
+      snapshotType: 'on-demand',
+      context
+    }).catch(err => console.log(`[ODDS] Line history not recorded: ${err.message}`));
     
     return createResponse(oddsData, 'DataGolf API');
 
@@ -34,26 +82,18 @@ exports.handler = async (event, context) => {
 /**
  * Fetch odds from DataGolf API
  */
-async function fetchDataGolfOdds(tour, apiKey) {
-  const url = `https://feeds.datagolf.com/betting-tools/outrights?tour=${tour}&market=win&odds_format=american&file_format=json&key=${apiKey}`;
-  
+async function fetchDataGolfOdds(tour, dataProvider) {
   console.log(`[ODDS] Calling DataGolf API (tour=${tour})...`);
 
   try {
-    const response = await axios.get(url, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Golf-Predictor-App/1.0',
-        'Accept': 'application/json'
-      }
-    });
+    const data = await dataProvider.getOutrights(tour, 'win');
 
-    if (!response.data?.odds) {
+    if (!data?.odds) {
       console.error('[ODDS] Invalid DataGolf response structure');
       return [];
     }
 
-    const rawOdds = response.data.odds;
+    const rawOdds = data.odds;
     console.log(`[ODDS] Retrieved ${rawOdds.length} players from DataGolf`);
 
     return processOddsData(rawOdds);
@@ -67,6 +107,58 @@ async function fetchDataGolfOdds(tour, apiKey) {
   }
 }
 
+/**
+ * Add placement / cut market prices to each player: marketOdds[market] = { odds, bestOdds, bestBookmaker, bookmakerCount, dgOdds }
+ * All American. dgOdds is DataGolf's own model price for that market.
+ */
+async function attachMarketOdds(oddsData, tour, markets, dataProvider) {
+  const requested = markets.filter(m => PLACEMENT_MARKETS[m] && hasMarket(tour, MARKET_AVAILABILITY[m]));
+
+  const responses = await Promise.allSettled(
+    requested.map(market => dataProvider.getOutrights(tour, PLACEMENT_MARKETS[market]))
+  );
+
+
+  requested.forEach((market, i) => {
+    if (responses[i].status !== 'fulfilled' || !responses[i].value?.odds) {
+      console.log(`[ODDS] ${market} market unavailable: ${responses[i].reason?.message || 'no odds'}`);
+      return;
+    }
+
+    let priced = 0;
+    for (const raw of responses[i].value.odds) {
+      const player = oddsData.find(p => isSamePlayer(p, { dgId: raw.dg_id, name: cleanPlayerName(raw.player_name || '') }));
+      const bookOdds = extractBookmakerOdds(raw);
+      if (!player || bookOdds.length === 0) continue;
+
+      const oddsValues = bookOdds.map(b => b.odds);
+      const bestOdds = Math.max(...oddsValues);
+
+      player.marketOdds = player.marketOdds || {};
+      player.marketOdds[market] = {
+        odds: Math.round(oddsValues.reduce((a, b) => a + b, 0) / oddsValues.length),
+        bestOdds,
+        bestBookmaker: bookOdds.find(b => b.odds === bestOdds)?.bookmaker,
+        bookmakerCount: bookOdds.length,
+        dgOdds: extractModelOdds(raw)
+      };
+      priced++;
+    }
+
+    console.log(`[ODDS] ${market}: priced ${priced} players`);
+  });
+}
+
+/**
+ * DataGolf model price - either a string ("+552") or { baseline, baseline_history_fit }
+ */
+function extractModelOdds(player) {
+  const dg = player.datagolf;
+  const value = dg && typeof dg === 'object' ? (dg.baseline_history_fit || dg.baseline) : dg;
+  const odds = parseInt(value);
+  return isNaN(odds) || odds === 0 ? null : odds;
+}
+
 /**
  * Process raw odds data from DataGolf
  */
@@ -93,6 +185,7 @@ function processOddsData(rawOdds) {
 
       processedOdds.push({
         player: playerName,
+        dgId: Number(player.dg_id) || null,
         odds: avgOdds,  // American odds (integer)
         americanOdds: formatAmericanOdds(avgOdds),
         minOdds: americanToDecimal(bestOdds),  // Best odds in decimal
@@ -100,6 +193,7 @@ function processOddsData(rawOdds) {
         bestBookmaker,
         worstBookmaker,
         bookmakerCount: bookOdds.length,
+        dgOdds: extractModelOdds(player),  // DataGolf model win price (American)
         source: 'DataGolf (Live)'
       });
 
@@ -111,6 +205,32 @@ function processOddsData(rawOdds) {
   return processedOdds;
 }
 
+/**
+ * Fill in dgId for rows the feed sent without one - returns the names that fit several players
+ */
+function assignDgIds(oddsData, registry) {
+  const ambiguities = [];
+  for (const player of oddsData) {
+    if (player.dgId) continue;
+    const resolved = registry.resolve(player.player, { source: 'fetch-odds' });
+    if (resolved.ambiguity) ambiguities.push(resolved.ambiguity);
+    player.dgId = resolved.dgId;
+  }
+  return ambiguities;
+}
+
+/**
+ * Shape processed odds for the odds-history series (American average + best price)
+ */
+function toSnapshotOdds(oddsData) {
+  return oddsData.map(o => ({
+    player: o.player,
+    odds: o.odds,
+    bestOdds: decimalToAmerican(o.minOdds),
+    bookmakerCount: o.bookmakerCount
+  }));
+}
+
 /**
  * Extract odds from all available bookmakers
  */
@@ -180,19 +300,6 @@ function cleanPlayerName(name) {
     .trim();
 }
 
-/**
- * Normalize player name for matching
- */
-function normalizePlayerName(name) {
-  const normalized = name
-    .toLowerCase()
-    .replace(/[^a-z\s]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
-  
-  return normalized.split(' ').sort().join(' ');
-}
-
 /**
  * Convert American odds to decimal odds
  */
@@ -203,3 +310,7 @@ function americanToDecimal(americanOdds) {
     ? (americanOdds / 100) + 1 
     : (100 / Math.abs(americanOdds)) + 1;
 }
+
+// Shared with the scheduled fetch-pre-tournament-odds pull
+exports.fetchDataGolfOdds = fetchDataGolfOdds;
+exports.toSnapshotOdds = toSnapshotOdds;
@@ -1,155 +1,107 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
-const fs = require('fs').promises;
-const path = require('path');
+const { getDataProvider, toDataGolfTour } = require('./shared-utils');
+const { recordOddsSnapshot, decimalToAmerican } = require('./odds-history');
+const { fetchDataGolfOdds, toSnapshotOdds } = require('./fetch-odds');
+const { loadCourseCatalog, getOddscheckerUrl } = require('./course-catalog');
+const { config } = require('./config');
+const { tourIds } = require('./tour-registry');
 
 /**
  * Scheduled Function: Fetch Pre-Tournament Odds Twice Daily
  * 
- * Runs at 8 AM and 8 PM every day until tournament starts
- * Stores odds snapshots for tracking market movements
+ * Runs at 8 AM and 8 PM every day and appends a snapshot of this week's
+ * outright prices to the odds-history blob store (one time series per tournament).
+ * get-odds-movement turns the series into opening / current / closing prices.
  * 
- * Schedule: 0 8,20 * * * (8 AM and 8 PM UTC)
+ * Source: DataGolf outrights, falling back to scraping Oddschecker
+ * Schedule: 0 8,20 * * * (8 AM and 8 PM UTC) - see netlify.toml
  */
 exports.handler = async (event, context) => {
   console.log('[PRE-ODDS] Starting scheduled odds fetch...');
   console.log('[PRE-ODDS] Time:', new Date().toISOString());
-  
-  try {
-    // Determine which tournament is happening this week
-    const tournament = await getCurrentTournament();
-    
-    if (!tournament) {
-      console.log('[PRE-ODDS] No tournament found');
-      return {
-        statusCode: 200,
-        body: JSON.stringify({ message: 'No tournament this week' })
-      };
-    }
 
-    console.log(`[PRE-ODDS] Fetching odds for: ${tournament.name}`);
+  const snapshotType = new Date().getUTCHours() < 12 ? 'morning' : 'evening';
+  const results = [];
 
-    // Scrape Oddschecker for current odds
-    const oddsData = await scrapeOddschecker(tournament.name);
-    
-    console.log(`[PRE-ODDS] Successfully scraped ${oddsData.length} players`);
+  for (const tour of tourIds()) {
+    try {
+      const tournament = await getCurrentTournament(tour);
 
-    // Prepare timestamp for this snapshot
-    const now = new Date();
-    const timestamp = now.toISOString();
-    const dayOfWeek = now.getDay(); // 0=Sunday, 1=Monday, etc.
-    const hour = now.getUTCHours();
-    
-    // Determine if this is morning (8am) or evening (8pm) snapshot
-    const snapshotType = hour === 8 ? 'morning' : 'evening';
-    
-    // Prepare cache data
-    const cacheData = {
-      tournament: tournament.name,
-      course: tournament.course,
-      dates: tournament.dates,
-      tour: tournament.tour,
-      fetchedAt: timestamp,
-      dayOfWeek: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][dayOfWeek],
-      snapshotType: snapshotType,
-      hour: hour,
-      odds: oddsData
-    };
+      if (!tournament?.name) {
+        console.log(`[PRE-ODDS] No ${tour.toUpperCase()} tournament found`);
+        results.push({ tour, recorded: false, reason: 'No tournament this week' });
+        continue;
+      }
 
-    // Store in cache file
-    const cacheDir = '/tmp/odds-cache';
-    await fs.mkdir(cacheDir, { recursive: true });
-    
-    // Always update the main cache file (used for live comparison)
-    const mainCacheFile = path.join(cacheDir, 'pre-tournament-odds.json');
-    await fs.writeFile(mainCacheFile, JSON.stringify(cacheData, null, 2));
-    console.log(`[PRE-ODDS] Main cache updated: ${mainCacheFile}`);
-    
-    // Also save timestamped snapshot for historical tracking
-    const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
-    const snapshotFile = path.join(cacheDir, `odds-${dateStr}-${snapshotType}.json`);
-    await fs.writeFile(snapshotFile, JSON.stringify(cacheData, null, 2));
-    console.log(`[PRE-ODDS] Snapshot saved: ${snapshotFile}`);
-    
-    // Keep only last 7 days of snapshots (cleanup old files)
-    await cleanupOldSnapshots(cacheDir);
+      console.log(`[PRE-ODDS] Fetching odds for: ${tournament.name} (${tour.toUpperCase()})`);
+      const { odds, source } = await fetchOutrights(tour, tournament.name, context);
 
-    console.log(`[PRE-ODDS] Cached ${oddsData.length} players for ${tournament.name}`);
-    console.log(`[PRE-ODDS] Snapshot: ${cacheData.dayOfWeek} ${snapshotType}`);
+      if (odds.length === 0) {
+        results.push({ tour, tournament: tournament.name, recorded: false, reason: 'No odds available' });
+        continue;
+      }
 
-    return {
-      statusCode: 200,
-      body: JSON.stringify({
-        success: true,
-        tournament: tournament.name,
-        playerCount: oddsData.length,
-        fetchedAt: cacheData.fetchedAt,
-        snapshotType: snapshotType,
-        dayOfWeek: cacheData.dayOfWeek
-      })
-    };
+      const recorded = await recordOddsSnapshot({ tournament, tour, odds, source, snapshotType, context });
+      results.push({ tour, tournament: tournament.name, playerCount: odds.length, source, ...recorded });
 
-  } catch (error) {
-    console.error('[PRE-ODDS] Error:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({
-        success: false,
-        error: error.message
-      })
-    };
+    } catch (error) {
+      console.error(`[PRE-ODDS] ${tour.toUpperCase()} error:`, error.message);
+      results.push({ tour, recorded: false, error: error.message });
+    }
   }
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      success: results.some(r => r.recorded),
+      snapshotType,
+      fetchedAt: new Date().toISOString(),
+      results
+    })
+  };
 };
 
 /**
- * Clean up snapshot files older than 7 days
+ * Current outright prices in the odds-history shape (American odds)
  */
-async function cleanupOldSnapshots(cacheDir) {
-  try {
-    const files = await fs.readdir(cacheDir);
-    const now = Date.now();
-    const sevenDaysAgo = now - (7 * 24 * 60 * 60 * 1000);
-    
-    for (const file of files) {
-      if (file.startsWith('odds-') && file.endsWith('.json') && file !== 'pre-tournament-odds.json') {
-        const filePath = path.join(cacheDir, file);
-        const stats = await fs.stat(filePath);
-        
-        if (stats.mtimeMs < sevenDaysAgo) {
-          await fs.unlink(filePath);
-          console.log(`[PRE-ODDS] Cleaned up old snapshot: ${file}`);
-        }
-      }
-    }
-  } catch (error) {
-    console.log('[PRE-ODDS] Cleanup skipped:', error.message);
+async function fetchOutrights(tour, tournamentName, context) {
+  const dataGolfOdds = await fetchDataGolfOdds(toDataGolfTour(tour), getDataProvider());
+  if (dataGolfOdds.length > 0) {
+    console.log(`[PRE-ODDS] DataGolf returned ${dataGolfOdds.length} players`);
+    return { odds: toSnapshotOdds(dataGolfOdds), source: 'DataGolf' };
   }
+
+  console.log('[PRE-ODDS] DataGolf empty - scraping Oddschecker');
+  const scraped = await scrapeOddschecker(tournamentName, context).catch(err => {
+    console.error('[PRE-ODDS] Oddschecker scrape failed:', err.message);
+    return [];
+  });
+
+  return {
+    odds: scraped.map(o => ({
+      player: o.player,
+      odds: decimalToAmerican(o.odds),
+      bestOdds: decimalToAmerican(o.maxOdds),
+      bookmakerCount: o.bookmakerCount
+    })),
+    source: 'Oddschecker'
+  };
 }
 
 /**
- * Get current week's tournament
+ * Get this week's tournament for a tour
  */
-async function getCurrentTournament() {
+async function getCurrentTournament(tour) {
   try {
-    const baseUrl = process.env.URL || 'http://localhost:8888';
-    
-    // Try PGA Tour first
-    const pgaResponse = await axios.get(`${baseUrl}/.netlify/functions/fetch-tournament?tour=pga`, {
-      timeout: 10000
-    });
-    
-    if (pgaResponse.data && pgaResponse.data.name) {
-      return pgaResponse.data;
-    }
-
-    // Fall back to DP World Tour
-    const dpResponse = await axios.get(`${baseUrl}/.netlify/functions/fetch-tournament?tour=dp`, {
+    const baseUrl = config.siteUrl;
+    const response = await axios.get(`${baseUrl}/.netlify/functions/fetch-tournament?tour=${tour}`, {
       timeout: 10000
     });
     
-    return dpResponse.data;
+    return response.data?.fallback ? null : response.data;
   } catch (error) {
-    console.error('[PRE-ODDS] Error fetching tournament:', error.message);
+    console.error(`[PRE-ODDS] Error fetching ${tour.toUpperCase()} tournament:`, error.message);
     return null;
   }
 }
@@ -157,19 +109,13 @@ async function getCurrentTournament() {
 /**
  * Scrape Oddschecker for tournament odds
  */
-async function scrapeOddschecker(tournamentName) {
-  const oddsCheckerUrl = getOddsCheckerUrl(tournamentName);
+async function scrapeOddschecker(tournamentName, context) {
+  const oddsCheckerUrl = getOddscheckerUrl(await loadCourseCatalog(context), tournamentName);
   console.log(`[PRE-ODDS] Scraping: ${oddsCheckerUrl}`);
 
-  const response = await axios.get(oddsCheckerUrl, {
-    timeout: 15000,
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
-    }
-  });
+  const html = await getDataProvider().getOddscheckerPage(oddsCheckerUrl);
 
-  const $ = cheerio.load(response.data);
+  const $ = cheerio.load(html);
   const oddsData = [];
 
   // Parse odds table
@@ -224,39 +170,6 @@ async function scrapeOddschecker(tournamentName) {
   return oddsData;
 }
 
-/**
- * Get Oddschecker URL for tournament
- */
-function getOddsCheckerUrl(tournamentName) {
-  const name = tournamentName.toLowerCase();
-  
-  const urlMappings = {
-    'masters': 'https://www.oddschecker.com/golf/us-masters/winner',
-    'us open': 'https://www.oddschecker.com/golf/us-open/winner',
-    'open championship': 'https://www.oddschecker.com/golf/the-open/winner',
-    'pga championship': 'https://www.oddschecker.com/golf/uspga-championship/winner',
-    'players championship': 'https://www.oddschecker.com/golf/the-players-championship/winner',
-    'american express': 'https://www.oddschecker.com/golf/the-american-express/winner',
-    'farmers insurance': 'https://www.oddschecker.com/golf/farmers-insurance-open/winner',
-    'phoenix open': 'https://www.oddschecker.com/golf/waste-management-phoenix-open/winner',
-    'genesis': 'https://www.oddschecker.com/golf/genesis-invitational/winner',
-    'bay hill': 'https://www.oddschecker.com/golf/arnold-palmer-invitational/winner',
-    'heritage': 'https://www.oddschecker.com/golf/rbc-heritage/winner',
-    'memorial': 'https://www.oddschecker.com/golf/the-memorial-tournament/winner',
-    'travelers': 'https://www.oddschecker.com/golf/travelers-championship/winner'
-  };
-
-  for (const [key, url] of Object.entries(urlMappings)) {
-    if (name.includes(key)) return url;
-  }
-
-  const slug = tournamentName.toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, '')
-    .replace(/\s+/g, '-');
-  
-  return `https://www.oddschecker.com/golf/${slug}/winner`;
-}
-
 /**
  * Parse odds
  */
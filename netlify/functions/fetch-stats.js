@@ -1,12 +1,19 @@
-const axios = require('axios');
+const { getDataProvider, normalizePlayerName } = require('./shared-utils');
+const { APPROACH_BANDS } = require('./course-model');
+const { loadPlayerRegistry, recordAmbiguities } = require('./player-registry');
 
 /**
  * OPTIMIZED fetch-stats.js
  * Fetches player Strokes Gained statistics from DataGolf API
+ *
+ * POST { players: ["Scottie Scheffler", { name: "Tom Kim", dgId: 19195 }, ...], tour: 'pga' }
+ * tour (or fetch-tournament's feedTour) picks the field feed used when the skill-rating endpoints fail
+ * Players are matched to stats by dg_id (given, or resolved through the player registry) - a name
+ * that fits several players comes back notFound with its candidates under `ambiguities`.
  */
 exports.handler = async (event, context) => {
   try {
-    const { players } = JSON.parse(event.body || '{}');
+    const { players, tour = 'pga' } = JSON.parse(event.body || '{}');
     
     if (!players?.length) {
       return createErrorResponse('Players array required', 400);
@@ -14,25 +21,30 @@ exports.handler = async (event, context) => {
 
     console.log(`[STATS] Fetching stats for ${players.length} players`);
 
-    const apiKey = process.env.DATAGOLF_API_KEY || '07b56aee1a02854e9513b06af5cd';
-    
     // Fetch stats from DataGolf
-    const playerStats = await fetchDataGolfStats(apiKey);
+    const dataProvider = getDataProvider();
+    const [playerStats, approachSkill, registry] = await Promise.all([
+      fetchDataGolfStats(dataProvider, tour),
+      fetchApproachSkill(dataProvider),
+      loadPlayerRegistry({ context })
+    ]);
+    attachApproachSkill(playerStats, approachSkill);
     
     // Match requested players with fetched stats
-    const results = matchPlayersToStats(players, playerStats);
+    const { results, ambiguities } = matchPlayersToStats(players.map(toRequest), playerStats, registry);
+    await recordAmbiguities(ambiguities, context);
     
     const foundCount = results.filter(r => !r.stats.notFound).length;
-    console.log(`[STATS] Matched ${foundCount}/${players.length} players`);
+    console.log(`[STATS] Matched ${foundCount}/${players.length} players${ambiguities.length > 0 ? ` (${ambiguities.length} ambiguous)` : ''}`);
 
-    return createSuccessResponse(results, foundCount, players.length - foundCount);
+    return createSuccessResponse(results, foundCount, players.length - foundCount, false, null, ambiguities);
 
   } catch (error) {
     console.error('[STATS] Fatal error:', error.message);
     
     // Fallback to estimated stats
     const { players } = JSON.parse(event.body || '{}');
-    const estimatedResults = generateEstimatedStats(players);
+    const estimatedResults = generateEstimatedStats(players.map(p => toRequest(p).name));
     
     return createSuccessResponse(estimatedResults, 0, players.length, true, error.message);
   }
@@ -41,29 +53,22 @@ exports.handler = async (event, context) => {
 /**
  * Fetch stats from DataGolf API (tries multiple endpoints)
  */
-async function fetchDataGolfStats(apiKey) {
+async function fetchDataGolfStats(dataProvider, tour) {
   const ENDPOINTS = [
-    `https://feeds.datagolf.com/preds/skill-ratings?file_format=json&key=${apiKey}`,
-    `https://feeds.datagolf.com/historical-raw-data/skill-ratings?file_format=json&key=${apiKey}`,
-    `https://feeds.datagolf.com/field-updates?file_format=json&tour=pga&key=${apiKey}`
+    { name: 'preds/skill-ratings', fetch: () => dataProvider.getSkillRatings() },
+    { name: 'historical-raw-data/skill-ratings', fetch: () => dataProvider.getHistoricalSkillRatings() },
+    { name: 'field-updates', fetch: () => dataProvider.getField(tour) }
   ];
 
   console.log(`[STATS] Attempting ${ENDPOINTS.length} DataGolf endpoints...`);
 
-  for (const url of ENDPOINTS) {
+  for (const endpoint of ENDPOINTS) {
     try {
-      const endpoint = url.split('?')[0];
-      console.log(`[STATS] Trying: ${endpoint}`);
+      console.log(`[STATS] Trying: ${endpoint.name}`);
       
-      const response = await axios.get(url, {
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'Golf-Predictor-App/1.0',
-          'Accept': 'application/json'
-        }
-      });
-
-      const playerData = extractPlayerData(response.data);
+      const data = await endpoint.fetch();
+
+      const playerData = extractPlayerData(data);
       
       if (playerData?.length > 0) {
         console.log(`[STATS] ✅ Success! Found ${playerData.length} players`);
@@ -79,6 +84,48 @@ async function fetchDataGolfStats(apiKey) {
   return {};
 }
 
+/**
+ * Approach skill by distance bucket (SG per shot + proximity) for the hole-by-hole course fit
+ * Optional - players simply have no approach profile when it fails
+ */
+async function fetchApproachSkill(dataProvider) {
+  try {
+    const data = await dataProvider.getApproachSkill();
+    const rows = extractPlayerData(data) || data?.data || [];
+    const profiles = {};
+
+    for (const row of rows) {
+      const playerName = cleanPlayerName(row.player_name || '');
+      if (!playerName && !row.dg_id) continue;
+
+      const approach = {};
+      for (const band of APPROACH_BANDS) {
+        const sgPerShot = parseFloat(row[`${band.key}_fw_sg_per_shot`]);
+        const proximity = parseFloat(row[`${band.key}_fw_proximity_per_shot`]);
+        if (isNaN(sgPerShot) && isNaN(proximity)) continue;
+        approach[band.key] = {
+          sgPerShot: isNaN(sgPerShot) ? null : sgPerShot,
+          proximity: isNaN(proximity) ? null : proximity
+        };
+      }
+      if (Object.keys(approach).length > 0) profiles[row.dg_id ? `dg:${row.dg_id}` : normalizePlayerName(playerName)] = approach;
+    }
+
+    console.log(`[STATS] Approach skill for ${Object.keys(profiles).length} players`);
+    return profiles;
+  } catch (error) {
+    console.log(`[STATS] ⚠️ Approach skill unavailable: ${error.message}`);
+    return {};
+  }
+}
+
+function attachApproachSkill(playerStats, approachSkill) {
+  for (const [normalizedName, stats] of Object.entries(playerStats)) {
+    const approach = (stats.dgId && approachSkill[`dg:${stats.dgId}`]) || approachSkill[normalizedName];
+    if (approach) stats.approach = approach;
+  }
+}
+
 /**
  * Extract player data from various possible response structures
  */
@@ -95,6 +142,7 @@ function extractPlayerData(data) {
 
 /**
  * Process raw player data into normalized stats object
+ * Keyed by dg_id (`dg:<id>`) when the feed has one, else by normalized name
  */
 function processPlayerData(playerData) {
   const stats = {};
@@ -109,10 +157,11 @@ function processPlayerData(playerData) {
       
       if (!playerName) continue;
 
-      const normalizedName = normalizePlayerName(playerName);
+      const dgId = Number(player.dg_id) || null;
       
-      stats[normalizedName] = {
+      stats[dgId ? `dg:${dgId}` : normalizePlayerName(playerName)] = {
         name: playerName,
+        dgId,
         rank: player.datagolf_rank || player.rank || player.world_rank || (i + 1),
         sgTotal: parseFloat(player.sg_total || player.total_sg || player.sgTotal || 0),
         sgOTT: parseFloat(player.sg_ott || player.ott || player.sgOTT || 0),
@@ -130,41 +179,47 @@ function processPlayerData(playerData) {
 }
 
 /**
- * Match requested players with fetched stats
+ * Requested player - a name, or { name, dgId } when the caller already knows the dg_id
  */
-function matchPlayersToStats(requestedPlayers, statsData) {
-  return requestedPlayers.map(player => {
-    const normalizedName = normalizePlayerName(player);
-    
-    // Try exact match first
-    let stats = statsData[normalizedName];
-    
-    // Try last name match as fallback
+function toRequest(player) {
+  return typeof player === 'string'
+    ? { name: player, dgId: null }
+    : { name: player?.name || player?.player || '', dgId: Number(player?.dgId ?? player?.dg_id) || null };
+}
+
+/**
+ * Match requested players with fetched stats by dg_id
+ * Returns { results: [{ player, dgId, stats }], ambiguities }
+ * Stats rows without a dg_id are matched on the full normalized name - never on last name alone.
+ */
+function matchPlayersToStats(requestedPlayers, statsData, registry) {
+  const ambiguities = [];
+
+  // The stats feed's own dg_id/name pairs cover anyone the registry hasn't seen yet
+  Object.values(statsData).forEach(stats => {
+    if (stats.dgId && !registry.get(stats.dgId)) registry.addPlayer({ dgId: stats.dgId, name: stats.name });
+  });
+
+  const results = requestedPlayers.map(({ name, dgId }) => {
+    const resolved = registry.resolve(name, { dgId, source: 'fetch-stats' });
+    if (resolved.ambiguity) {
+      ambiguities.push(resolved.ambiguity);
+      return { player: name, dgId: null, stats: { ...createNotFoundStats(name), ambiguous: resolved.candidates } };
+    }
+
+    let stats = resolved.dgId ? statsData[`dg:${resolved.dgId}`] : null;
     if (!stats) {
-      stats = findByLastName(normalizedName, statsData);
+      stats = statsData[normalizePlayerName(cleanPlayerName(name))] || null;
     }
 
     return {
-      player,
-      stats: stats || createNotFoundStats(player)
+      player: name,
+      dgId: resolved.dgId || stats?.dgId || null,
+      stats: stats || createNotFoundStats(name)
     };
   });
-}
 
-/**
- * Find player by last name match
- */
-function findByLastName(normalizedName, statsData) {
-  const nameParts = normalizedName.split(' ');
-  const lastName = nameParts[nameParts.length - 1];
-  
-  const matchKey = Object.keys(statsData).find(key => {
-    const keyParts = key.split(' ');
-    const keyLastName = keyParts[keyParts.length - 1];
-    return keyLastName === lastName;
-  });
-  
-  return matchKey ? statsData[matchKey] : null;
+  return { results, ambiguities };
 }
 
 /**
@@ -214,7 +269,7 @@ function createNotFoundStats(playerName) {
 /**
  * Create success response
  */
-function createSuccessResponse(players, foundCount, missingCount, isEstimated = false, error = null) {
+function createSuccessResponse(players, foundCount, missingCount, isEstimated = false, error = null, ambiguities = []) {
   return {
     statusCode: 200,
     headers: {
@@ -228,6 +283,7 @@ function createSuccessResponse(players, foundCount, missingCount, isEstimated =
       foundCount,
       missingCount,
       usingEstimates: isEstimated,
+      ambiguities,
       error
     })
   };
@@ -255,16 +311,3 @@ function cleanPlayerName(name) {
     .replace(/\s+/g, ' ')
     .trim();
 }
-
-/**
- * Normalize player name for matching
- */
-function normalizePlayerName(name) {
-  const normalized = name
-    .toLowerCase()
-    .replace(/[^a-z\s]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
-  
-  return normalized.split(' ').sort().join(' ');
-}
@@ -1,4 +1,7 @@
-const axios = require('axios');
+const { getDataProvider, normalizePlayerName, toDataGolfTour } = require('./shared-utils');
+const { eventFormat } = require('./tour-registry');
+const { loadCourseCatalog, findEvent } = require('./course-catalog');
+const { isWithdrawal } = require('./betting-ledger');
 
 /**
  * Fetch tournament results from DataGolf API
@@ -7,6 +10,10 @@ const axios = require('axios');
  * - Uses historical-raw-data endpoint for completed tournaments
  * - Handles event_completed as boolean/string/number
  * - field-updates only returns CURRENT tournament, so we use historical data instead
+ *
+ * Results follow the event's format (course catalog over the tour's, see tour-registry eventFormat):
+ * short of the final round is 'MC' with a cut and 'WD' without one, and at a starting-strokes event
+ * each finisher carries startingStrokes - toPar stays the strokes actually played.
  */
 exports.handler = async (event, context) => {
   try {
@@ -18,11 +25,11 @@ exports.handler = async (event, context) => {
 
     console.log(`[RESULTS] Fetching results for: "${tournamentName}" (tour: ${tour}, eventId: ${eventId})`);
 
-    const apiKey = process.env.DATAGOLF_API_KEY || '07b56aee1a02854e9513b06af5cd';
-    const apiTour = tour === 'dp' ? 'euro' : (tour || 'pga');
+    const dataProvider = getDataProvider();
+    const apiTour = toDataGolfTour(tour);
 
     // Step 1: Find the tournament in the schedule
-    const tournamentInfo = await findTournamentInSchedule(apiTour, tournamentName, eventId, apiKey);
+    const tournamentInfo = await findTournamentInSchedule(apiTour, tournamentName, eventId, dataProvider);
     
     if (!tournamentInfo) {
       console.log(`[RESULTS] Tournament "${tournamentName}" not found in schedule`);
@@ -56,8 +63,10 @@ exports.handler = async (event, context) => {
     // Step 3: Fetch detailed results
     let results = [];
 
+    const format = await loadEventFormat(tour, tournamentInfo, context);
+
     // Try historical raw data endpoint (works for completed events)
-    results = await fetchHistoricalResults(apiTour, tournamentInfo, apiKey);
+    results = await fetchHistoricalResults(apiTour, tournamentInfo, dataProvider, format);
 
     // Last fallback: return just the winner from schedule
     if (results.length === 0 && hasRealWinner) {
@@ -76,6 +85,7 @@ exports.handler = async (event, context) => {
     return createSuccessResponse({
       status: results.length > 0 ? 'completed' : 'not_completed',
       tournamentName: tournamentInfo.event_name,
+      format,
       results,
       fetchedAt: new Date().toISOString()
     });
@@ -86,24 +96,42 @@ exports.handler = async (event, context) => {
   }
 };
 
+/**
+ * The event's format - the course catalog's overrides on the tour's, for the season it was played
+ */
+async function loadEventFormat(tour, tournamentInfo, context) {
+  const catalog = await loadCourseCatalog(context);
+  const catalogEvent = findEvent(catalog, tournamentInfo.event_name, tour);
+  const season = tournamentInfo.calendar_year || new Date().getFullYear();
+  return eventFormat(tour, catalogEvent?.format, { season });
+}
+
+/**
+ * Strokes a finisher started on (0 when the event has none or they aren't in the standings)
+ */
+function startingStrokesFor(format, playerName) {
+  if (!format.startingStrokes) return 0;
+  const key = normalizePlayerName(playerName);
+  const match = Object.entries(format.startingStrokes).find(([player]) => normalizePlayerName(player) === key);
+  return match ? match[1] : 0;
+}
+
 /**
  * Find tournament in DataGolf schedule with improved name matching
  */
-async function findTournamentInSchedule(tour, tournamentName, eventId, apiKey) {
-  const url = `https://feeds.datagolf.com/get-schedule?tour=${tour}&file_format=json&key=${apiKey}`;
-  
+async function findTournamentInSchedule(tour, tournamentName, eventId, dataProvider) {
   try {
-    const response = await axios.get(url, { timeout: 15000 });
+    const scheduleData = await dataProvider.getSchedule(tour);
     
-    if (!response.data?.schedule) return null;
+    if (!scheduleData?.schedule) return null;
 
-    const tournaments = Array.isArray(response.data.schedule) 
-      ? response.data.schedule 
-      : Object.values(response.data.schedule);
+    const tournaments = Array.isArray(scheduleData.schedule) 
+      ? scheduleData.schedule 
+      : Object.values(scheduleData.schedule);
 
     // Try exact eventId match first
     if (eventId) {
-      const idMatch = tournaments.find(t => t.event_id === eventId);
+      const idMatch = tournaments.find(t => Number(t.event_id) === Number(eventId));
       if (idMatch) return idMatch;
     }
 
@@ -158,13 +186,19 @@ async function findTournamentInSchedule(tour, tournamentName, eventId, apiKey) {
  * Primary: historical-event-data/events (finish positions, earnings)
  * Fallback: historical-raw-data/rounds (round-level scoring)
  */
-async function fetchHistoricalResults(tour, tournamentInfo, apiKey) {
+async function fetchHistoricalResults(tour, tournamentInfo, dataProvider, format) {
   // Try event-level data first (Scratch Plus - best source for finish positions)
-  const eventResults = await fetchEventFinishes(tour, tournamentInfo, apiKey);
-  if (eventResults.length > 0) return eventResults;
+  const eventResults = await fetchEventFinishes(tour, tournamentInfo, dataProvider);
+  if (eventResults.length > 0) {
+    await attachRoundScores(eventResults, tour, tournamentInfo, dataProvider);
+    if (format.startingStrokes) {
+      eventResults.forEach(result => { result.startingStrokes = startingStrokesFor(format, result.player); });
+    }
+    return eventResults;
+  }
   
   // Fallback to round-level data
-  const roundResults = await fetchFromRounds(tour, tournamentInfo, apiKey);
+  const roundResults = await fetchFromRounds(tour, tournamentInfo, dataProvider, format);
   if (roundResults.length > 0) return roundResults;
   
   return [];
@@ -174,22 +208,20 @@ async function fetchHistoricalResults(tour, tournamentInfo, apiKey) {
  * PRIMARY: Use historical-event-data/events endpoint (Scratch Plus)
  * Returns event-level finishes with position, earnings, points
  */
-async function fetchEventFinishes(tour, tournamentInfo, apiKey) {
+async function fetchEventFinishes(tour, tournamentInfo, dataProvider) {
   try {
     const year = new Date().getFullYear();
     
     // First get event list to find the correct event_id for this endpoint
     // (event IDs may differ between raw-data and event-data endpoints)
-    const eventListUrl = `https://feeds.datagolf.com/historical-event-data/event-list?tour=${tour}&file_format=json&key=${apiKey}`;
-    
     console.log(`[RESULTS] Fetching event list from historical-event-data...`);
-    const eventListResponse = await axios.get(eventListUrl, { timeout: 10000 });
+    const eventList = await dataProvider.getHistoricalEventList(tour);
     
     let eventId = tournamentInfo.event_id;
     
     // Try to find matching event in the event-data event list
-    if (eventListResponse.data) {
-      const events = Array.isArray(eventListResponse.data) ? eventListResponse.data : (eventListResponse.data.events || []);
+    if (eventList) {
+      const events = Array.isArray(eventList) ? eventList : (eventList.events || []);
       const match = events.find(e => {
         if (e.event_id === tournamentInfo.event_id) return true;
         const eName = (e.event_name || '').toLowerCase();
@@ -202,22 +234,20 @@ async function fetchEventFinishes(tour, tournamentInfo, apiKey) {
       }
     }
     
-    const url = `https://feeds.datagolf.com/historical-event-data/events?tour=${tour}&event_id=${eventId}&year=${year}&file_format=json&key=${apiKey}`;
-    
     console.log(`[RESULTS] Fetching event finishes: event_id=${eventId}, year=${year}`);
-    const response = await axios.get(url, { timeout: 15000 });
+    const data = await dataProvider.getHistoricalEvent(tour, eventId, year);
     
-    if (!response.data) return [];
+    if (!data) return [];
     
     // DEBUG: Log the actual response structure to understand format
-    const dataType = Array.isArray(response.data) ? 'array' : typeof response.data;
-    const dataKeys = typeof response.data === 'object' && !Array.isArray(response.data) ? Object.keys(response.data) : [];
-    const dataLength = Array.isArray(response.data) ? response.data.length : 'N/A';
+    const dataType = Array.isArray(data) ? 'array' : typeof data;
+    const dataKeys = typeof data === 'object' && !Array.isArray(data) ? Object.keys(data) : [];
+    const dataLength = Array.isArray(data) ? data.length : 'N/A';
     console.log(`[RESULTS] Response type: ${dataType}, keys: [${dataKeys.join(', ')}], length: ${dataLength}`);
     
     // Log first item to see field names
-    const firstItem = Array.isArray(response.data) ? response.data[0] : 
-                      (response.data.players?.[0] || response.data.results?.[0] || response.data[dataKeys[0]]?.[0]);
+    const firstItem = Array.isArray(data) ? data[0] : 
+                      (data.players?.[0] || data.results?.[0] || data[dataKeys[0]]?.[0]);
     if (firstItem) {
       console.log(`[RESULTS] First item keys: [${Object.keys(firstItem).join(', ')}]`);
       console.log(`[RESULTS] First item sample: ${JSON.stringify(firstItem).substring(0, 300)}`);
@@ -225,12 +255,12 @@ async function fetchEventFinishes(tour, tournamentInfo, apiKey) {
     
     // Handle response format - DataGolf returns players in event_stats field
     let players = [];
-    if (Array.isArray(response.data)) {
-      players = response.data;
-    } else if (typeof response.data === 'object') {
+    if (Array.isArray(data)) {
+      players = data;
+    } else if (typeof data === 'object') {
       // DataGolf uses 'event_stats' for historical-event-data/events
-      players = response.data.event_stats || response.data.players || response.data.results || 
-                response.data.field || response.data.leaderboard || response.data.data || [];
+      players = data.event_stats || data.players || data.results || 
+                data.field || data.leaderboard || data.data || [];
     }
     
     if (players.length === 0) {
@@ -249,6 +279,7 @@ async function fetchEventFinishes(tour, tournamentInfo, apiKey) {
     const results = players
       .map(p => ({
         player: p.player_name || p.player || '',
+        dgId: Number(p.dg_id) || null,
         position: p.fin_text || p.finish_position || p.position || 'N/A',
         score: p.total_score || 'N/A',
         toPar: p.total_to_par != null ? `${p.total_to_par > 0 ? '+' : ''}${p.total_to_par}` : 'N/A',
@@ -272,37 +303,35 @@ async function fetchEventFinishes(tour, tournamentInfo, apiKey) {
 
 /**
  * FALLBACK: Use historical-raw-data/rounds endpoint (Scratch Plus)
- * Aggregates round-level scoring into final positions
+ * Aggregates round-level scoring into final positions - ranked on strokes played plus starting strokes
  */
-async function fetchFromRounds(tour, tournamentInfo, apiKey) {
+async function fetchFromRounds(tour, tournamentInfo, dataProvider, format) {
   try {
     const year = new Date().getFullYear();
-    const url = `https://feeds.datagolf.com/historical-raw-data/rounds?tour=${tour}&event_id=${tournamentInfo.event_id}&year=${year}&file_format=json&key=${apiKey}`;
-    
     console.log(`[RESULTS] Fetching round data: event_id=${tournamentInfo.event_id}, year=${year}`);
 
-    const response = await axios.get(url, { timeout: 15000 });
+    const data = await dataProvider.getHistoricalRounds(tour, tournamentInfo.event_id, year);
     
-    if (!response.data) return [];
+    if (!data) return [];
 
     // DEBUG: Log response structure
-    const dataType = Array.isArray(response.data) ? 'array' : typeof response.data;
-    const dataKeys = typeof response.data === 'object' && !Array.isArray(response.data) ? Object.keys(response.data) : [];
-    const dataLength = Array.isArray(response.data) ? response.data.length : 'N/A';
+    const dataType = Array.isArray(data) ? 'array' : typeof data;
+    const dataKeys = typeof data === 'object' && !Array.isArray(data) ? Object.keys(data) : [];
+    const dataLength = Array.isArray(data) ? data.length : 'N/A';
     console.log(`[RESULTS] Rounds response type: ${dataType}, keys: [${dataKeys.join(', ')}], length: ${dataLength}`);
 
     let rounds = [];
-    if (Array.isArray(response.data)) {
-      rounds = response.data;
-    } else if (typeof response.data === 'object') {
+    if (Array.isArray(data)) {
+      rounds = data;
+    } else if (typeof data === 'object') {
       // DataGolf uses 'scores' for historical-raw-data/rounds
-      rounds = response.data.scores || response.data.rounds || response.data.scorecards || [];
+      rounds = data.scores || data.rounds || data.scorecards || [];
     }
     
     if (rounds.length === 0) {
       console.log(`[RESULTS] No rounds found`);
       // Log first item to debug
-      if (rounds.length === 0 && response.data.scores === undefined) {
+      if (rounds.length === 0 && data.scores === undefined) {
         console.log(`[RESULTS] Note: 'scores' field not found in response`);
       }
       return [];
@@ -316,6 +345,7 @@ async function fetchFromRounds(tour, tournamentInfo, apiKey) {
     console.log(`[RESULTS] Got ${rounds.length} round records`);
 
     const maxRound = Math.max(...rounds.map(r => r.round_num || r.round || 0));
+    const roundScores = extractRoundScores(rounds);
     
     // Group by player
     const playerScores = {};
@@ -325,7 +355,7 @@ async function fetchFromRounds(tour, tournamentInfo, apiKey) {
       if (!name) continue;
       
       if (!playerScores[name]) {
-        playerScores[name] = { player: name, rounds: 0, toPar: 0, fin_text: null };
+        playerScores[name] = { player: name, dgId: Number(round.dg_id) || null, rounds: 0, toPar: 0, fin_text: null };
       }
       
       playerScores[name].rounds++;
@@ -333,26 +363,37 @@ async function fetchFromRounds(tour, tournamentInfo, apiKey) {
       if (round.fin_text) playerScores[name].fin_text = round.fin_text;
     }
 
+    const officialTotal = p => p.toPar + startingStrokesFor(format, p.player);
     const madeCut = Object.values(playerScores)
       .filter(p => p.rounds >= maxRound)
-      .sort((a, b) => a.toPar - b.toPar)
+      .sort((a, b) => officialTotal(a) - officialTotal(b))
       .map((p, index) => ({
         player: p.player,
+        dgId: p.dgId,
         position: p.fin_text || String(index + 1),
         score: 'N/A',
-        toPar: `${p.toPar > 0 ? '+' : ''}${p.toPar}`
+        toPar: `${p.toPar > 0 ? '+' : ''}${p.toPar}`,
+        rounds: roundScores.get(normalizePlayerName(p.player)) || {},
+        ...(format.startingStrokes && { startingStrokes: startingStrokesFor(format, p.player) })
       }));
 
+    // Short of the final round is a missed cut - or a withdrawal at a no-cut event, when the feed
+    // says WD / DQ, or when the player stopped before the cut was even made
+    const hasCut = !!format.cut;
     const missedCut = Object.values(playerScores)
       .filter(p => p.rounds < maxRound)
       .map(p => ({
         player: p.player,
-        position: 'MC',
+        dgId: p.dgId,
+        position: isWithdrawal(p.fin_text) ? p.fin_text
+          : hasCut && p.rounds >= format.cut.afterRound ? 'MC' : 'WD',
         score: 'N/A',
-        toPar: `${p.toPar > 0 ? '+' : ''}${p.toPar}`
+        toPar: `${p.toPar > 0 ? '+' : ''}${p.toPar}`,
+        rounds: roundScores.get(normalizePlayerName(p.player)) || {}
       }));
 
-    console.log(`[RESULTS] Rounds data: ${madeCut.length} made cut, ${missedCut.length} MC`);
+    const withdrawn = missedCut.filter(p => isWithdrawal(p.position)).length;
+    console.log(`[RESULTS] Rounds data: ${madeCut.length} finished, ${missedCut.length - withdrawn} MC, ${withdrawn} WD/DQ`);
     return [...madeCut, ...missedCut];
 
   } catch (error) {
@@ -361,6 +402,53 @@ async function fetchFromRounds(tour, tournamentInfo, apiKey) {
   }
 }
 
+/**
+ * Add per-round scores ({ 1: 68, 2: 71, ... }) to event finishes so round matchups and
+ * 3-balls can be settled. Best effort - finishes are still returned without them.
+ */
+async function attachRoundScores(results, tour, tournamentInfo, dataProvider) {
+  try {
+    const data = await dataProvider.getHistoricalRounds(tour, tournamentInfo.event_id, new Date().getFullYear());
+    const rounds = Array.isArray(data) ? data : (data?.scores || data?.rounds || data?.scorecards || []);
+    const roundScores = extractRoundScores(rounds);
+
+    for (const result of results) {
+      result.rounds = roundScores.get(normalizePlayerName(result.player)) || {};
+    }
+    console.log(`[RESULTS] Round scores for ${roundScores.size} players`);
+  } catch (error) {
+    console.log(`[RESULTS] Round scores unavailable: ${error.response?.status || error.message}`);
+  }
+}
+
+/**
+ * Round scores by normalized player name
+ * Handles one record per round ({ round_num, score }) and one record per player ({ round_1: { score } })
+ */
+function extractRoundScores(records) {
+  const byPlayer = new Map();
+
+  for (const record of records) {
+    const name = record.player_name || record.player;
+    if (!name) continue;
+    const key = normalizePlayerName(name);
+    const scores = byPlayer.get(key) || {};
+
+    const roundNum = record.round_num || record.round;
+    if (roundNum && typeof record.score === 'number') {
+      scores[roundNum] = record.score;
+    }
+    for (let round = 1; round <= 4; round++) {
+      const score = record[`round_${round}`]?.score ?? record[`r${round}`];
+      if (typeof score === 'number') scores[round] = score;
+    }
+
+    byPlayer.set(key, scores);
+  }
+
+  return byPlayer;
+}
+
 function parsePosition(pos) {
   if (!pos) return 999;
   if (typeof pos === 'number') return pos;
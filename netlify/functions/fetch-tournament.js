@@ -1,18 +1,29 @@
-const axios = require('axios');
+const { getDataProvider } = require('./shared-utils');
+const { loadCourseCatalog, findEvent } = require('./course-catalog');
+const { getTour, toDataGolfTour, fromDataGolfTour, eventFormat } = require('./tour-registry');
 
 /**
  * OPTIMIZED fetch-tournament.js
  * Fetches current tournament info and field from DataGolf API
+ *
+ * GET ?tour=pga[&eventId=N]
+ *   Without eventId: this week's main event. With it: that event (404 when it isn't on this week).
+ *   events: every event on the tour's schedule this week - { eventId, season, name, course, dates, fieldSize,
+ *   purse, feedTour, primary } - for the app's event selector
+ *   feedTour: the tour that carries the event's field and prices (the tour's own id, or 'opp') -
+ *   pass it to fetch-odds and other DataGolf feeds
+ *   Fields come from each feed in the tour's fieldFeeds (tour-registry)
+ *   format: { type, label, rounds, holes, cut, fieldSize, startingStrokes, summary } - the tour's format with
+ *   the course-catalog event's overrides (signature events, majors, playoffs) and the real field size
  */
 exports.handler = async (event, context) => {
   try {
-    const tour = event.queryStringParameters?.tour || 'pga';
-    console.log(`[TOURNAMENT] Fetching ${tour.toUpperCase()} tour tournament`);
+    const { tour = 'pga', eventId = null } = event.queryStringParameters || {};
+    console.log(`[TOURNAMENT] Fetching ${tour.toUpperCase()} tour tournament${eventId ? ` (event ${eventId})` : ''}`);
 
-    const apiKey = process.env.DATAGOLF_API_KEY || '07b56aee1a02854e9513b06af5cd';
-    const apiTour = tour === 'dp' ? 'euro' : tour;
+    const apiTour = toDataGolfTour(getTour(tour).id);
     
-    return await fetchDataGolfTournament(apiTour, apiKey);
+    return await fetchDataGolfTournament(apiTour, eventId, getDataProvider(), context);
 
   } catch (error) {
     console.error('[TOURNAMENT] Error:', error.message);
@@ -23,14 +34,14 @@ exports.handler = async (event, context) => {
 /**
  * Fetch tournament data from DataGolf
  */
-async function fetchDataGolfTournament(tour, apiKey) {
+async function fetchDataGolfTournament(tour, eventId, dataProvider, context) {
   try {
     console.log(`[TOURNAMENT] Fetching DataGolf data for tour: ${tour}`);
     
-    // Fetch schedule and field in parallel
-    const [schedule, field] = await Promise.all([
-      fetchSchedule(tour, apiKey),
-      fetchField(tour, apiKey)
+    // Fetch schedule and fields in parallel
+    const [schedule, fields] = await Promise.all([
+      fetchSchedule(tour, dataProvider),
+      fetchFields(tour, dataProvider)
     ]);
 
     const currentTournament = findCurrentTournament(schedule);
@@ -40,9 +51,29 @@ async function fetchDataGolfTournament(tour, apiKey) {
       return createSuccessResponse(getFallbackTournament(tour));
     }
 
-    const tournamentData = buildTournamentData(currentTournament, field, tour);
+    const weekEvents = assignFields(findWeekEvents(schedule, currentTournament), fields, tour, currentTournament);
+    const selected = eventId
+      ? weekEvents.find(e => Number(e.event_id) === Number(eventId))
+      : (weekEvents.find(e => e.primary) || weekEvents[0]);
+
+    if (!selected) {
+      console.log(`[TOURNAMENT] Event ${eventId} is not on this week's schedule`);
+      return createErrorResponse(`Event ${eventId} is not on the ${getTour(tour).label} schedule this week`, 404);
+    }
+    if (selected.field.length === 0) {
+      if (eventId) {
+        return createErrorResponse(`No field published for ${selected.event_name} yet`, 404);
+      }
+      throw new Error(`No field for ${selected.event_name}`);
+    }
+
+    const catalog = await loadCourseCatalog(context);
+    const tournamentData = {
+      ...buildTournamentData(selected, selected.field, tour, catalog),
+      events: weekEvents.map(e => summarizeEvent(e, tour, catalog))
+    };
     
-    console.log(`[TOURNAMENT] ✅ ${tournamentData.name} (${tournamentData.fieldSize} players)`);
+    console.log(`[TOURNAMENT] ✅ ${tournamentData.name} (${tournamentData.fieldSize} players, ${weekEvents.length} event(s) this week)`);
     
     return createSuccessResponse(tournamentData);
 
@@ -56,53 +87,126 @@ async function fetchDataGolfTournament(tour, apiKey) {
 /**
  * Fetch tournament schedule from DataGolf
  */
-async function fetchSchedule(tour, apiKey) {
-  const url = `https://feeds.datagolf.com/get-schedule?tour=${tour}&file_format=json&key=${apiKey}`;
-  
+async function fetchSchedule(tour, dataProvider) {
   console.log(`[TOURNAMENT] Fetching schedule...`);
   
-  const response = await axios.get(url, {
-    timeout: 15000,
-    headers: {
-      'User-Agent': 'Golf-Predictor-App/1.0',
-      'Accept': 'application/json'
-    }
-  });
+  const data = await dataProvider.getSchedule(tour);
 
-  if (!response.data?.schedule) {
+  if (!data?.schedule) {
     throw new Error('Invalid schedule response from DataGolf');
   }
 
-  return Array.isArray(response.data.schedule) 
-    ? response.data.schedule 
-    : Object.values(response.data.schedule);
+  return Array.isArray(data.schedule) 
+    ? data.schedule 
+    : Object.values(data.schedule);
 }
 
 /**
- * Fetch field from betting odds endpoint
+ * Fetch fields from the betting odds endpoint - one per DataGolf feed that can carry this tour's events
+ * Returns [{ feedTour, eventName, field }] for the feeds that answered
  */
-async function fetchField(tour, apiKey) {
-  const url = `https://feeds.datagolf.com/betting-tools/outrights?tour=${tour}&market=win&odds_format=american&file_format=json&key=${apiKey}`;
-  
-  console.log(`[TOURNAMENT] Fetching field...`);
-  
-  const response = await axios.get(url, {
-    timeout: 15000,
-    headers: {
-      'User-Agent': 'Golf-Predictor-App/1.0',
-      'Accept': 'application/json'
+async function fetchFields(tour, dataProvider) {
+  const feeds = getTour(tour).fieldFeeds.map(toDataGolfTour);
+  console.log(`[TOURNAMENT] Fetching fields (${feeds.join(', ')})...`);
+
+  const responses = await Promise.allSettled(feeds.map(feed => dataProvider.getOutrights(feed, 'win')));
+
+  return feeds.flatMap((feed, i) => {
+    const data = responses[i].status === 'fulfilled' ? responses[i].value : null;
+    if (!data?.odds) {
+      console.log(`[TOURNAMENT] No ${feed} field: ${responses[i].reason?.message || 'invalid odds response'}`);
+      return [];
     }
+    return [{
+      feedTour: fromDataGolfTour(feed),
+      primary: feed === tour,
+      eventName: data.event_name || null,
+      field: data.odds.map((player, index) => ({
+        name: player.player_name,
+        rank: index + 1,
+        dg_id: player.dg_id || null
+      }))
+    }];
+  });
+}
+
+/**
+ * Every scheduled event starting within a few days of the current one (main + opposite-field / co-sanctioned)
+ */
+function findWeekEvents(tournaments, currentTournament) {
+  const windowMs = 3 * 24 * 60 * 60 * 1000;
+  const events = tournaments
+    .map(t => enrichTournamentWithDates(t))
+    .filter(t => t.startDate && Math.abs(t.startDate - currentTournament.startDate) <= windowMs);
+
+  return events.length > 0 ? events : [currentTournament];
+}
+
+/**
+ * Match each feed's field to its event by name; the tour's own feed goes to the current event when its
+ * name doesn't match any (DataGolf's odds and schedule names can differ). Name matches are settled first,
+ * so an opposite-field event listed as the current one keeps its own field - the tour's feed then takes
+ * the one event left, and stays unassigned when that's ambiguous.
+ */
+function assignFields(events, fields, tour, currentTournament) {
+  const withFields = events.map(e => ({ ...e, field: [], feedTour: null, primary: false }));
+  const assign = (match, feed) => Object.assign(match, { field: feed.field, feedTour: feed.feedTour, primary: feed.primary });
+
+  const unmatched = fields.filter(feed => {
+    const feedName = normalizeEventName(feed.eventName);
+    const match = feedName
+      ? withFields.find(e => !e.feedTour && eventNameMatches(normalizeEventName(e.event_name), feedName))
+      : null;
+    if (match) assign(match, feed);
+    return !match;
   });
 
-  if (!response.data?.odds) {
-    throw new Error('Invalid odds response from DataGolf');
+  const primaryFeed = unmatched.find(feed => feed.primary);
+  if (primaryFeed) {
+    const open = withFields.filter(e => !e.feedTour);
+    const match = open.find(e => isSameEvent(e, currentTournament)) || (open.length === 1 ? open[0] : null);
+    if (match) {
+      assign(match, primaryFeed);
+    } else {
+      console.log(`[TOURNAMENT] ⚠️ ${primaryFeed.feedTour} field "${primaryFeed.eventName}" matches no event this week - not assigned`);
+    }
   }
 
-  return response.data.odds.map((player, index) => ({
-    name: player.player_name,
-    rank: index + 1,
-    dg_id: player.dg_id || null
-  }));
+  return withFields.map(e => ({ ...e, feedTour: e.feedTour || fromDataGolfTour(tour) }));
+}
+
+/**
+ * Same schedule row - by event_id, else by name
+ */
+function isSameEvent(a, b) {
+  if (a.event_id && b.event_id) return Number(a.event_id) === Number(b.event_id);
+  return a.event_name === b.event_name;
+}
+
+function normalizeEventName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function eventNameMatches(a, b) {
+  return !!a && !!b && (a === b || a.includes(b) || b.includes(a));
+}
+
+/**
+ * One entry in the week's event list
+ */
+function summarizeEvent(tournament, apiTour, catalog) {
+  return {
+    eventId: tournament.event_id || null,
+    season: tournament.calendar_year || new Date().getFullYear(),
+    name: tournament.event_name,
+    course: tournament.course_name || tournament.course || getCourseForTournament(catalog, tournament.event_name, apiTour),
+    dates: formatDates(tournament),
+    start_date: tournament.startDate ? tournament.startDate.toISOString().split('T')[0] : null,
+    fieldSize: tournament.field.length || null,
+    purse: getPurse(catalog, tournament, apiTour),
+    feedTour: tournament.feedTour,
+    primary: tournament.primary
+  };
 }
 
 /**
@@ -206,17 +310,24 @@ function parseDate(dateStr) {
 /**
  * Build complete tournament data object
  */
-function buildTournamentData(tournament, field, apiTour) {
+function buildTournamentData(tournament, field, apiTour, catalog) {
+  const season = tournament.calendar_year || new Date().getFullYear();
+  const catalogEvent = findEvent(catalog, tournament.event_name, fromDataGolfTour(apiTour));
+
   return {
     name: tournament.event_name,
-    course: tournament.course_name || tournament.course || getCourseForTournament(tournament.event_name),
+    course: tournament.course_name || tournament.course || getCourseForTournament(catalog, tournament.event_name, apiTour),
     location: formatLocation(tournament),
     dates: formatDates(tournament),
-    tour: apiTour === 'euro' ? 'dp' : apiTour,
+    tour: fromDataGolfTour(apiTour),
     fieldSize: field.length,
     field,
     event_id: tournament.event_id || null,
-    calendar_year: tournament.calendar_year || new Date().getFullYear()
+    start_date: tournament.startDate ? tournament.startDate.toISOString().split('T')[0] : null,
+    calendar_year: season,
+    purse: getPurse(catalog, tournament, apiTour),
+    feedTour: tournament.feedTour || fromDataGolfTour(apiTour),
+    format: eventFormat(apiTour, catalogEvent?.format, { fieldSize: field.length, season })
   };
 }
 
@@ -261,61 +372,37 @@ function formatDates(tournament) {
 }
 
 /**
- * Get course name for tournament (fallback mapping)
+ * Get course name for tournament (fallback when DataGolf has none) from the course catalog
  */
-function getCourseForTournament(tournamentName) {
-  const name = tournamentName.toLowerCase();
-  
-  const COURSE_MAP = {
-    'pebble beach': 'Pebble Beach Golf Links, Spyglass Hill, Monterey Peninsula',
-    'farmers': 'Torrey Pines (South Course)',
-    'torrey pines': 'Torrey Pines (South Course)',
-    'waste management': 'TPC Scottsdale (Stadium Course)',
-    'phoenix': 'TPC Scottsdale (Stadium Course)',
-    'genesis': 'Riviera Country Club',
-    'american express': 'La Quinta Country Club, PGA West',
-    'sony': 'Waialae Country Club',
-    'players': 'TPC Sawgrass (Stadium Course)',
-    'masters': 'Augusta National Golf Club',
-    'memorial': 'Muirfield Village Golf Club',
-    'arnold palmer': 'Bay Hill Club & Lodge',
-    'heritage': 'Harbour Town Golf Links',
-    'travelers': 'TPC River Highlands'
-  };
-
-  for (const [key, course] of Object.entries(COURSE_MAP)) {
-    if (name.includes(key)) return course;
-  }
+function getCourseForTournament(catalog, tournamentName, apiTour) {
+  const event = findEvent(catalog, tournamentName, fromDataGolfTour(apiTour));
+  const course = event?.courseId ? catalog.courses.find(c => c.id === event.courseId) : null;
+  return course?.name || 'Course TBD';
+}
 
-  return 'Course TBD';
+/**
+ * Purse in USD - DataGolf's schedule when it has one, else the course catalog's event entry
+ */
+function getPurse(catalog, tournament, apiTour) {
+  if (tournament.purse) return Number(String(tournament.purse).replace(/[^0-9.]/g, '')) || null;
+  const event = findEvent(catalog, tournament.event_name, fromDataGolfTour(apiTour));
+  return event?.purse || null;
 }
 
 /**
- * Get fallback tournament data
+ * Get fallback tournament data - the tour's fallback event from the tour registry
  */
 function getFallbackTournament(tour) {
-  const FALLBACKS = {
-    'pga': {
-      name: 'Farmers Insurance Open',
-      course: 'Torrey Pines (South Course)',
-      location: 'San Diego, California',
-      dates: 'Jan 29 - Feb 1, 2026',
-      tour: 'pga',
-      fieldSize: 156,
-      field: generateBasicField(156)
-    },
-    'euro': {
-      name: 'Ras Al Khaimah Championship',
-      course: 'Al Hamra Golf Club',
-      location: 'Ras Al Khaimah, UAE',
-      dates: 'Jan 30 - Feb 2, 2026',
-      tour: 'dp',
-      fieldSize: 132,
-      field: generateBasicField(132)
-    }
-  };
+  const { id, fallback, fieldSize } = getTour(tour);
 
-  return { ...FALLBACKS[tour] || FALLBACKS['pga'], fallback: true };
+  return {
+    ...fallback,
+    tour: id,
+    fieldSize,
+    field: generateBasicField(fieldSize),
+    format: eventFormat(id),
+    fallback: true
+  };
 }
 
 /**
@@ -357,9 +444,9 @@ function createSuccessResponse(data) {
 /**
  * Create error response
  */
-function createErrorResponse(message) {
+function createErrorResponse(message, statusCode = 500) {
   return {
-    statusCode: 500,
+    statusCode,
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
       error: 'Failed to fetch tournament',
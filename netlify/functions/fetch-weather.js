@@ -1,5 +1,4 @@
-const axios = require('axios');
-const { getBlobStore } = require('./shared-utils');
+const { getBlobStore, getDataProvider, tournamentKeySegment } = require('./shared-utils');
 
 /**
  * WEATHER SERVICE - Standalone Netlify Function
@@ -14,6 +13,7 @@ const { getBlobStore } = require('./shared-utils');
  *   GET ?location=Dublin,Ohio&tournament=Memorial        → Current forecast (cached 3h)
  *   GET ?location=Dublin,Ohio&tournament=Memorial&actual=true → Fetch actual weather (post-tournament)
  *   GET ?tournament=Memorial&history=true                → Get all forecast snapshots + actual
+ *   Add &eventId=&season= (DataGolf) to key the cache and history by event instead of name
  */
 
 const WEATHER_CACHE_TTL_MS = 3 * 60 * 60 * 1000; // 3 hours
@@ -21,36 +21,33 @@ const WEATHER_CACHE_TTL_MS = 3 * 60 * 60 * 1000; // 3 hours
 exports.handler = async (event, context) => {
   try {
     const params = event.queryStringParameters || {};
-    const { location, tournament, tour = 'pga' } = params;
+    const { location, tournament, tour = 'pga', eventId, season } = params;
+    const tournamentKey = tournamentKeySegment({ name: tournament, eventId, season });
     const fetchActual = params.actual === 'true';
     const getHistory = params.history === 'true';
 
     // ==================== MODE 1: Get forecast history ====================
     if (getHistory && tournament) {
-      return await getWeatherHistory(tournament, tour, context);
+      return await getWeatherHistory(tournamentKey, tournament, tour, context);
     }
 
     if (!location) {
       return errorResponse('location parameter required', 400);
     }
 
-    const weatherApiKey = process.env.WEATHER_API_KEY;
-    if (!weatherApiKey) {
+    const dataProvider = getDataProvider();
+    if (!dataProvider.isConfigured('weather')) {
       return errorResponse('Weather API key not configured', 500);
     }
 
     const city = location.split(',')[0].trim();
-    const tournamentSlug = tournament 
-      ? tournament.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
-      : 'unknown';
-
     // ==================== MODE 2: Fetch actual weather (post-tournament) ====================
     if (fetchActual && tournament) {
-      return await fetchAndSaveActualWeather(city, tournamentSlug, tour, weatherApiKey, context);
+      return await fetchAndSaveActualWeather(city, tournamentKey, tour, dataProvider, context);
     }
 
     // ==================== MODE 3: Current forecast (with 3h cache) ====================
-    return await getForecastWithCache(city, tournamentSlug, tour, weatherApiKey, context);
+    return await getForecastWithCache(city, tournamentKey, tour, dataProvider, context);
 
   } catch (error) {
     console.error('[WEATHER] Fatal error:', error.message);
@@ -61,8 +58,8 @@ exports.handler = async (event, context) => {
 /**
  * Get current forecast, using 3h blob cache
  */
-async function getForecastWithCache(city, tournamentSlug, tour, apiKey, context) {
-  const cacheKey = `weather-current-${tour}-${tournamentSlug}`;
+async function getForecastWithCache(city, tournamentKey, tour, dataProvider, context) {
+  const cacheKey = `weather-current-${tour}-${tournamentKey}`;
 
   // Check cache
   try {
@@ -91,7 +88,7 @@ async function getForecastWithCache(city, tournamentSlug, tour, apiKey, context)
 
   // Fetch fresh forecast
   console.log(`[WEATHER] Fetching fresh forecast for ${city}...`);
-  const weather = await fetchFromWeatherAPI(city, apiKey);
+  const weather = await fetchFromWeatherAPI(city, dataProvider);
 
   if (!weather) {
     return errorResponse('Failed to fetch weather data', 502);
@@ -107,7 +104,7 @@ async function getForecastWithCache(city, tournamentSlug, tour, apiKey, context)
       timestamp: now,
       fetchedAt,
       city,
-      tournament: tournamentSlug,
+      tournament: tournamentKey,
       weather
     }));
     console.log(`[WEATHER] ✅ Cached forecast (key: ${cacheKey})`);
@@ -116,7 +113,7 @@ async function getForecastWithCache(city, tournamentSlug, tour, apiKey, context)
   }
 
   // Also save to history (append snapshot)
-  await saveWeatherSnapshot(tournamentSlug, tour, weather, fetchedAt, context);
+  await saveWeatherSnapshot(tournamentKey, tour, weather, fetchedAt, context);
 
   return successResponse({
     ...weather,
@@ -129,8 +126,8 @@ async function getForecastWithCache(city, tournamentSlug, tour, apiKey, context)
  * Save a forecast snapshot to the history blob
  * Each tournament gets a blob with an array of timestamped forecasts
  */
-async function saveWeatherSnapshot(tournamentSlug, tour, weather, fetchedAt, context) {
-  const historyKey = `weather-history-${tour}-${tournamentSlug}`;
+async function saveWeatherSnapshot(tournamentKey, tour, weather, fetchedAt, context) {
+  const historyKey = `weather-history-${tour}-${tournamentKey}`;
 
   try {
     const store = getBlobStore('weather-cache', context);
@@ -167,8 +164,8 @@ async function saveWeatherSnapshot(tournamentSlug, tour, weather, fetchedAt, con
  * Fetch and save actual weather (called post-tournament)
  * Uses WeatherAPI history endpoint for past dates
  */
-async function fetchAndSaveActualWeather(city, tournamentSlug, tour, apiKey, context) {
-  const historyKey = `weather-history-${tour}-${tournamentSlug}`;
+async function fetchAndSaveActualWeather(city, tournamentKey, tour, dataProvider, context) {
+  const historyKey = `weather-history-${tour}-${tournamentKey}`;
 
   try {
     const store = getBlobStore('weather-cache', context);
@@ -205,12 +202,9 @@ async function fetchAndSaveActualWeather(city, tournamentSlug, tour, apiKey, con
 
     for (let i = 0; i < dates.length; i++) {
       try {
-        const response = await axios.get('https://api.weatherapi.com/v1/history.json', {
-          params: { key: apiKey, q: city, dt: dates[i] },
-          timeout: 8000
-        });
+        const historyData = await dataProvider.getWeatherHistory(city, dates[i]);
 
-        const dayData = response.data?.forecast?.forecastday?.[0];
+        const dayData = historyData?.forecast?.forecastday?.[0];
         if (dayData) {
           actualDays.push({
             day: dayNames[i] || new Date(dates[i]).toLocaleDateString('en-US', { weekday: 'long' }),
@@ -264,14 +258,18 @@ async function fetchAndSaveActualWeather(city, tournamentSlug, tour, apiKey, con
 
 /**
  * Get weather history for a tournament
+ * History saved before event ids (keyed by name) is read when the event has none yet
  */
-async function getWeatherHistory(tournament, tour, context) {
-  const tournamentSlug = tournament.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
-  const historyKey = `weather-history-${tour}-${tournamentSlug}`;
+async function getWeatherHistory(tournamentKey, tournament, tour, context) {
+  const historyKey = `weather-history-${tour}-${tournamentKey}`;
+  const legacyKey = `weather-history-${tour}-${tournamentKeySegment(tournament)}`;
 
   try {
     const store = getBlobStore('weather-cache', context);
-    const history = await store.get(historyKey, { type: 'json' });
+    let history = await store.get(historyKey, { type: 'json' });
+    if (!history && legacyKey !== historyKey) {
+      history = await store.get(legacyKey, { type: 'json' });
+    }
 
     if (!history) {
       return successResponse({ forecasts: [], actual: null, comparison: null });
@@ -364,17 +362,14 @@ function buildWeatherComparison(history) {
 /**
  * Fetch forecast from WeatherAPI
  */
-async function fetchFromWeatherAPI(city, apiKey) {
+async function fetchFromWeatherAPI(city, dataProvider) {
   try {
-    const response = await axios.get('https://api.weatherapi.com/v1/forecast.json', {
-      params: { key: apiKey, q: city, days: 4, aqi: 'no' },
-      timeout: 8000
-    });
+    const forecastData = await dataProvider.getForecast(city, 4);
 
-    if (!response.data?.forecast) return null;
+    if (!forecastData?.forecast) return null;
 
     const dayNames = ['Thursday', 'Friday', 'Saturday', 'Sunday'];
-    const daily = response.data.forecast.forecastday.map((day, index) => ({
+    const daily = forecastData.forecast.forecastday.map((day, index) => ({
       day: dayNames[index] || new Date(day.date).toLocaleDateString('en-US', { weekday: 'long' }),
       date: day.date,
       tempHigh: Math.round(day.day.maxtemp_f),
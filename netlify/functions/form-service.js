@@ -0,0 +1,271 @@
+const { getBlobStore, getDataProvider, normalizePlayerName, tournamentKeySegment } = require('./shared-utils');
+const { loadCourseCatalog, findEvent, findCourseForTournament } = require('./course-catalog');
+
+/**
+ * FORM & HISTORY SERVICE
+ * One place for every player's recent finishes and finishes at this week's course
+ * 1. Recent results: the last few completed events on the tour (DataGolf historical event data)
+ * 2. Course history: past editions played at this week's course (matched through the course catalog,
+ *    else events with the same name)
+ * 3. Momentum: last three finishes vs the three before
+ *
+ * Built once per event and week for the whole field and cached in the 'form' blob store; refresh-form
+ * rebuilds it on a schedule so the prediction functions only read it. Each completed event's finishes
+ * never change, so they're cached on their own too.
+ * Used by: get-predictions, get-tournament-news, comp-courses (event finishes), refresh-form
+ */
+
+// ========================================
+// 🎯 FORM SERVICE CONFIGURATION - EDIT HERE
+// ========================================
+const FORM_SERVICE_CONFIG = {
+  recentEvents: 10,        // Most recent completed events searched for each player's results
+  historySeasons: 5,       // Seasons of course history
+  maxHistoryEvents: 6,
+  cacheHours: 24,          // A week's entry older than this is rebuilt on read (refresh-form runs twice a day)
+  momentumWindow: 3,       // Last 3 finishes vs the 3 before
+  momentumSwing: 10,       // Average finish moving this many places counts as hot / cold
+  missedCutFinish: 80      // Finish a missed cut / WD counts as for momentum
+};
+// ========================================
+
+const FORM_STORE = 'form';
+
+/**
+ * Recent results + course history for this week's field
+ * tournament: { name, course, field, event_id, calendar_year } from fetch-tournament - the cache is keyed by
+ * its event, so an opposite-field event doesn't overwrite the main one
+ * playerNames: players the caller needs (defaults to the field) - anyone missing from the cached week triggers a rebuild
+ * Returns { tour, week, tournament, course, builtAt, cached, players: [{ normalizedName, recentResults, courseHistory, momentum }] }
+ * Results: { tournament, year, date, position, madeCut } - most recent first
+ */
+async function getFormAndHistory({ tournament, tour = 'pga', playerNames = [], context = null, refresh = false }) {
+  const week = weekKey();
+  const empty = { tour, week, tournament: tournament?.name || null, course: null, builtAt: null, cached: false, players: [] };
+
+  const dataProvider = getDataProvider();
+  if (!dataProvider.isConfigured('datagolf')) {
+    console.log('[FORM] DataGolf API key not configured, skipping form data');
+    return empty;
+  }
+
+  const fieldNames = (tournament?.field || []).map(p => p.name).filter(Boolean);
+  const names = [...new Set([...fieldNames, ...playerNames])];
+  const wanted = (playerNames.length > 0 ? playerNames : names).map(normalizePlayerName);
+  const key = `${tour}-${week}-${tournamentKeySegment(tournament)}`;
+
+  let store = null;
+  try {
+    store = getBlobStore(FORM_STORE, context);
+    const cached = refresh ? null : await store.get(key, { type: 'json' });
+    if (isFresh(cached, tournament, wanted)) {
+      console.log(`[FORM] ✅ Using cached form for ${cached.tournament} (built ${cached.builtAt})`);
+      return { ...selectPlayers(cached, wanted), cached: true };
+    }
+  } catch (cacheError) {
+    console.log(`[FORM] Cache unavailable: ${cacheError.message}`);
+  }
+
+  try {
+    const built = await buildFormAndHistory({ tournament, tour, names, dataProvider, context });
+    const entry = { tour, week, ...built, builtAt: new Date().toISOString() };
+
+    if (store) {
+      try {
+        await store.set(key, JSON.stringify(entry));
+      } catch (saveError) {
+        console.log(`[FORM] ⚠️ Failed to cache form: ${saveError.message}`);
+      }
+    }
+    return { ...selectPlayers(entry, wanted), cached: false };
+  } catch (error) {
+    console.error('[FORM] Failed to fetch form data:', error.message);
+    return empty;
+  }
+}
+
+/**
+ * A cached week is usable when it's for the same tournament, recent enough and covers every wanted player
+ */
+function isFresh(cached, tournament, wanted) {
+  if (!cached?.players) return false;
+  if (tournament?.name && cached.tournament !== tournament.name) return false;
+  if (Date.now() - new Date(cached.builtAt).getTime() > FORM_SERVICE_CONFIG.cacheHours * 60 * 60 * 1000) return false;
+  return wanted.every(name => cached.players[name]);
+}
+
+function selectPlayers(entry, wanted) {
+  return {
+    ...entry,
+    players: wanted
+      .filter(name => entry.players[name])
+      .map(normalizedName => ({ normalizedName, ...entry.players[normalizedName] }))
+  };
+}
+
+// ==================== BUILD ====================
+
+async function buildFormAndHistory({ tournament, tour, names, dataProvider, context }) {
+  const { recentEvents, historySeasons, maxHistoryEvents } = FORM_SERVICE_CONFIG;
+  const [catalog, eventList] = await Promise.all([
+    loadCourseCatalog(context),
+    dataProvider.getHistoricalEventList(tour)
+  ]);
+
+  const completed = completedEvents(eventList);
+  const recent = completed.slice(0, recentEvents);
+
+  // This week's course: catalog course first, else past editions under the same name
+  const course = findCourseForTournament(catalog, {
+    courseName: tournament?.course,
+    tournamentName: tournament?.name,
+    tour
+  });
+  const firstSeason = new Date().getFullYear() - historySeasons;
+  const sameVenue = row => (course
+    ? findEvent(catalog, row.event, tour)?.courseId === course.id
+    : normalizeEventName(row.event) === normalizeEventName(tournament?.name));
+  const history = completed
+    .filter(row => row.year >= firstSeason && sameVenue(row))
+    .slice(0, maxHistoryEvents);
+
+  console.log(`[FORM] ${recent.length} recent events, ${history.length} past editions at ${course?.name || tournament?.course || 'unknown course'}`);
+
+  const events = [...new Map([...recent, ...history].map(e => [`${e.eventId}-${e.year}`, e])).values()];
+  const finishes = new Map();
+  await Promise.all(events.map(async e => {
+    finishes.set(`${e.eventId}-${e.year}`, finishesByPlayer(await loadEventFinishes(tour, e, dataProvider, context)));
+  }));
+
+  const resultsFor = (eventsToSearch, normalizedName) => eventsToSearch
+    .map(e => {
+      const finish = finishes.get(`${e.eventId}-${e.year}`)?.get(normalizedName);
+      return finish ? { tournament: e.event, year: e.year, date: e.date, position: finish.position, madeCut: finish.madeCut } : null;
+    })
+    .filter(Boolean);
+
+  const players = {};
+  for (const name of names) {
+    const normalizedName = normalizePlayerName(name);
+    const recentResults = resultsFor(recent, normalizedName);
+    players[normalizedName] = {
+      recentResults,
+      courseHistory: resultsFor(history, normalizedName),
+      momentum: momentumFrom(recentResults)
+    };
+  }
+
+  const withResults = Object.values(players).filter(p => p.recentResults.length > 0).length;
+  console.log(`[FORM] ✅ Compiled form data for ${names.length} players (${withResults} with recent results)`);
+
+  return {
+    tournament: tournament?.name || null,
+    course: course?.name || tournament?.course || null,
+    events: {
+      recent: recent.map(({ eventId, ...e }) => e),
+      history: history.map(({ eventId, ...e }) => e)
+    },
+    players
+  };
+}
+
+/**
+ * Completed events, newest first (the event list dates events by their final day)
+ */
+function completedEvents(eventList) {
+  const rows = Array.isArray(eventList) ? eventList : (eventList?.events || []);
+  const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+
+  return rows
+    .filter(row => row.event_id != null && row.date && new Date(row.date).getTime() < cutoff)
+    .map(row => ({
+      eventId: row.event_id,
+      event: row.event_name,
+      year: parseInt(row.calendar_year) || new Date(row.date).getFullYear(),
+      date: row.date
+    }))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+function finishesByPlayer(finishes) {
+  return new Map(finishes.map(f => [normalizePlayerName(f.player), f]));
+}
+
+/**
+ * Momentum from finishing positions (most recent first) - missed cuts count as a fixed poor finish
+ */
+function momentumFrom(results) {
+  const { momentumWindow, momentumSwing, missedCutFinish } = FORM_SERVICE_CONFIG;
+  if (results.length < momentumWindow + 1) return 'Unknown';
+
+  const finish = r => {
+    const position = parseInt(String(r.position || '').replace(/[^0-9]/g, ''));
+    return r.madeCut && !isNaN(position) ? position : missedCutFinish;
+  };
+  const average = list => list.reduce((sum, r) => sum + finish(r), 0) / list.length;
+  const recentAvg = average(results.slice(0, momentumWindow));
+  const olderAvg = average(results.slice(momentumWindow, momentumWindow * 2));
+
+  if (recentAvg < olderAvg - momentumSwing) return '📈 Hot (improving)';
+  if (recentAvg > olderAvg + momentumSwing) return '📉 Cold (declining)';
+  return '➡️ Steady';
+}
+
+// ==================== EVENT FINISHES ====================
+
+/**
+ * Finishes for one completed event ({ eventId, year, event }) - from the blob cache, else DataGolf (then cached)
+ * Returns [{ player, position, madeCut }]
+ */
+async function loadEventFinishes(tour, completedEvent, dataProvider, context) {
+  const key = `event-${tour}-${completedEvent.eventId}-${completedEvent.year}`;
+  let store = null;
+  try {
+    store = getBlobStore(FORM_STORE, context);
+    const cached = await store.get(key, { type: 'json' });
+    if (cached) return cached;
+  } catch (cacheError) {
+    console.log(`[FORM] Cache unavailable: ${cacheError.message}`);
+  }
+
+  try {
+    const data = await dataProvider.getHistoricalEvent(tour, completedEvent.eventId, completedEvent.year);
+    const rows = Array.isArray(data) ? data : (data?.event_stats || data?.players || data?.results || []);
+    const finishes = rows
+      .filter(r => r.player_name)
+      .map(r => {
+        const position = String(r.fin_text || r.finish_position || r.position || '');
+        return { player: r.player_name, position, madeCut: !/^(CUT|MC|WD|DQ)$/i.test(position) };
+      });
+
+    if (store && finishes.length > 0) {
+      await store.set(key, JSON.stringify(finishes));
+    }
+    return finishes;
+  } catch (error) {
+    console.log(`[FORM] ${completedEvent.event} ${completedEvent.year} failed: ${error.message}`);
+    return [];
+  }
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Week the form cache is keyed by: the Monday (UTC) starting this tournament week
+ */
+function weekKey(date = new Date()) {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+}
+
+function normalizeEventName(name) {
+  return String(name || '').toLowerCase().replace(/^the\s+/, '').replace(/[^a-z0-9]/g, '');
+}
+
+module.exports = {
+  FORM_SERVICE_CONFIG,
+  getFormAndHistory,
+  loadEventFinishes,
+  weekKey
+};
@@ -0,0 +1,121 @@
+const axios = require('axios');
+const { JOB_KINDS, createJob, getJob, updateJob, finishJob, loadJobResult } = require('./job-store');
+const { config } = require('./config');
+
+/**
+ * Generation Jobs
+ * Starts long Claude generations in the background and reports their progress (see job-store.js)
+ *
+ * POST { kind, tour, ...params } → 202 { jobId, kind, status: 'queued', statusUrl }
+ *   kind: predictions | avoid-picks | matchups | news | player-analysis
+ *   params: whatever that function takes (bankroll, excludePlayers, customMatchup, playerName, eventId)
+ *   503 with fallback: true when job storage isn't available - call the function directly instead.
+ * GET ?jobId=<id> → { jobId, kind, tour, subject, status, steps, currentStep, partial, error,
+ *   sharedJobId, createdAt, startedAt, completedAt, data }
+ *   `data` is the finished output - the same body the generating function returns.
+ */
+exports.handler = async (event, context) => {
+  try {
+    if (event.httpMethod === 'POST') {
+      return await startJob(JSON.parse(event.body || '{}'), context);
+    }
+    return await jobStatus(event.queryStringParameters?.jobId, context);
+
+  } catch (error) {
+    console.error('[JOBS] Error:', error.message);
+    return createErrorResponse(500, 'Job request failed', error.message);
+  }
+};
+
+async function startJob(body, context) {
+  const { kind, tour = 'pga' } = body;
+  const definition = JOB_KINDS[kind];
+  if (!definition) {
+    return createErrorResponse(400, 'Unknown job kind', `Expected one of: ${Object.keys(JOB_KINDS).join(', ')}`);
+  }
+  if (kind === 'player-analysis' && !body.playerName) {
+    return createErrorResponse(400, 'Player name required');
+  }
+
+  const params = {};
+  for (const name of definition.params) {
+    if (body[name] !== undefined && body[name] !== null) params[name] = body[name];
+  }
+
+  let job;
+  try {
+    job = await createJob({ kind, tour, params, context });
+  } catch (storageError) {
+    console.log(`[JOBS] Job storage unavailable: ${storageError.message}`);
+    return createErrorResponse(503, 'Job storage unavailable', storageError.message, { fallback: true });
+  }
+
+  try {
+    // Background functions answer 202 straight away and keep running
+    const baseUrl = config.siteUrl;
+    await axios.post(`${baseUrl}/.netlify/functions/run-job-background`, { jobId: job.jobId }, { timeout: 10000 });
+  } catch (triggerError) {
+    console.error(`[JOBS] Failed to start job ${job.jobId}:`, triggerError.message);
+    await updateJob(job.jobId, current => finishJob(current, { error: 'Could not start the job' }), context);
+    return createErrorResponse(502, 'Could not start the job', triggerError.message);
+  }
+
+  console.log(`[JOBS] ✅ Started ${kind} job ${job.jobId} (${tour.toUpperCase()})`);
+  return createSuccessResponse({
+    jobId: job.jobId,
+    kind,
+    tour,
+    status: job.status,
+    steps: job.steps,
+    statusUrl: `/.netlify/functions/generation-jobs?jobId=${job.jobId}`
+  }, 202);
+}
+
+async function jobStatus(jobId, context) {
+  if (!jobId) {
+    return createErrorResponse(400, 'jobId parameter required');
+  }
+
+  const job = await getJob(jobId, context);
+  if (!job) {
+    return createErrorResponse(404, 'Unknown job', jobId);
+  }
+
+  const data = job.status === 'done' ? await loadJobResult(job, context) : null;
+
+  return createSuccessResponse({
+    jobId: job.jobId,
+    kind: job.kind,
+    tour: job.tour,
+    subject: job.subject,
+    status: job.status,
+    steps: job.steps,
+    currentStep: job.currentStep,
+    partial: job.partial,
+    error: job.error,
+    sharedJobId: job.sharedJobId,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    data
+  });
+}
+
+function createSuccessResponse(data, statusCode = 200) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache, no-store, must-revalidate'
+    },
+    body: JSON.stringify(data)
+  };
+}
+
+function createErrorResponse(statusCode, error, message, extra = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ error, ...(message && { message }), ...extra })
+  };
+}
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { getBlobStore } = require('./shared-utils');
+const { newJobId, jobSteps, readJob, saveJob, getJob, updateJob, advanceStep, finishJob, loadJobResult } = require('./job-store');
+
+/**
+ * GENERATION LOCK
+ * One Claude generation per piece of content at a time - concurrent callers share the in-flight run
+ * instead of each paying for their own.
+ *
+ * Lease: 'generation-locks' blob store, key {kind}-{tour}-{subject-slug} → { jobId, owner, expiresAt }
+ *   Expires on its own, so a run killed by the function time limit never blocks the next one.
+ *   @netlify/blobs 8 has no conditional writes, so acquiring is write → short pause → read back:
+ *   of two callers racing for a free lock, only the one whose write landed last keeps it.
+ * Job: the 'jobs' store's record for the run (see job-store.js) - reportProgress writes each step to it.
+ *   While the run holds the lock a heartbeat renews the lease (and the job's expiry), so a long Claude
+ *   call between steps never lets it lapse; release stops the heartbeat.
+ *
+ * A caller that finds the lock held waits briefly for the result, else answers 202 with the job id;
+ * the app polls generation-jobs until the job is done.
+ * Used by: get-predictions, get-avoid-picks, get-matchup-predictions, get-tournament-news,
+ *          analyze-player, analyze-results, get-live-picks (and content-pipeline, which waits on jobs)
+ */
+
+// ========================================
+// 🎯 LOCK CONFIGURATION - EDIT HERE
+// ========================================
+const LOCK_CONFIG = {
+  leaseSeconds: 90,        // Longer than the 60s function limit - renewed by the heartbeat and at every reported step
+  heartbeatSeconds: 30,    // Lease renewal interval while the run is alive
+  settleMs: 300,           // Pause before reading a new lease back
+  waitForResultMs: 5000,   // A second caller waits this long for the in-flight result before answering 202
+  pollMs: 1000
+};
+// ========================================
+
+const LOCK_STORE = 'generation-locks';
+
+/**
+ * Take the lock for one generation
+ * Returns { acquired: true, jobId, ... } to go ahead, or { acquired: false, jobId } of the run in flight.
+ * jobId: the queued job this run belongs to (run-job-background) - it becomes the lock's job, or is
+ * marked as sharing the run in flight. Without one a new job id is minted.
+ * Without blob storage (local dev) there's nothing to coordinate through, so every caller goes ahead.
+ */
+async function acquireGenerationLock({ kind, tour, subject, context, jobId = null }) {
+  let store;
+  try {
+    store = getBlobStore(LOCK_STORE, context);
+  } catch (error) {
+    console.log(`[LOCK] Blobs unavailable, generating without a lock: ${error.message}`);
+    return { acquired: true, unmanaged: true };
+  }
+
+  const key = `${kind}-${tour}-${slugify(subject)}`;
+  try {
+    const existing = await store.get(key, { type: 'json' });
+    if (isLive(existing) && existing.jobId !== jobId) {
+      console.log(`[LOCK] ${key} held by job ${existing.jobId} - sharing its result`);
+      await shareJob(jobId, existing.jobId, subject, context);
+      return { acquired: false, key, kind, jobId: existing.jobId };
+    }
+
+    const now = Date.now();
+    const lease = {
+      jobId: jobId || newJobId(kind),
+      owner: crypto.randomUUID(),
+      kind,
+      tour,
+      subject,
+      startedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + LOCK_CONFIG.leaseSeconds * 1000).toISOString()
+    };
+    await store.set(key, JSON.stringify(lease));
+    await sleep(LOCK_CONFIG.settleMs);
+
+    const winner = await store.get(key, { type: 'json' });
+    if (winner?.owner !== lease.owner) {
+      console.log(`[LOCK] ${key} taken by job ${winner?.jobId} at the same moment - sharing its result`);
+      await shareJob(jobId, winner?.jobId, subject, context);
+      return { acquired: false, key, kind, jobId: winner?.jobId };
+    }
+
+    const queued = jobId ? await readJob(jobId, context) : null;
+    await saveJob({
+      jobId: lease.jobId,
+      kind,
+      tour,
+      params: {},
+      steps: jobSteps(kind),
+      currentStep: null,
+      partial: {},
+      sharedJobId: null,
+      createdAt: lease.startedAt,
+      ...queued,
+      subject,
+      status: 'running',
+      startedAt: queued?.startedAt || lease.startedAt,
+      expiresAt: lease.expiresAt,
+      completedAt: null,
+      result: null,
+      error: null
+    }, context);
+    console.log(`[LOCK] ✅ ${key} acquired (job ${lease.jobId})`);
+    const lock = { acquired: true, key, kind, jobId: lease.jobId, owner: lease.owner, store, context };
+    startHeartbeat(lock);
+    return lock;
+
+  } catch (error) {
+    console.log(`[LOCK] Lock check failed, generating without a lock: ${error.message}`);
+    return { acquired: true, unmanaged: true };
+  }
+}
+
+/**
+ * A queued job that lost the race follows the run in flight instead
+ */
+async function shareJob(jobId, sharedJobId, subject, context) {
+  if (!jobId || !sharedJobId) return;
+  await updateJob(jobId, { status: 'shared', sharedJobId, subject }, context);
+}
+
+/**
+ * Record the step a locked run has reached (with any partial results) and renew its lease
+ * Never throws - progress reporting must not fail a generation.
+ */
+async function reportProgress(lock, stepId, partial = null) {
+  if (!lock?.acquired || lock.unmanaged) return;
+
+  try {
+    await renewLease(lock, job => advanceStep(job, stepId, partial));
+    console.log(`[LOCK] Job ${lock.jobId}: ${stepId}`);
+  } catch (error) {
+    console.log(`[LOCK] ⚠️ Progress for job ${lock.jobId} not recorded: ${error.message}`);
+  }
+}
+
+/**
+ * Push the lease and the job's expiry out by leaseSeconds (change: optional edit to the job record)
+ */
+async function renewLease(lock, change = job => job) {
+  const expiresAt = new Date(Date.now() + LOCK_CONFIG.leaseSeconds * 1000).toISOString();
+  await updateJob(lock.jobId, job => ({ ...change(job), expiresAt }), lock.context);
+
+  const current = await lock.store.get(lock.key, { type: 'json' });
+  if (current?.owner === lock.owner) {
+    await lock.store.set(lock.key, JSON.stringify({ ...current, expiresAt }));
+  }
+}
+
+/**
+ * Renew the lease on a timer until release - unref'd, so it never keeps a finished function alive
+ * lock.renewing is the renewal in flight, which release waits out so it can't overwrite the finished job.
+ */
+function startHeartbeat(lock) {
+  lock.heartbeat = setInterval(() => {
+    if (!lock.acquired || lock.renewing) return;
+    lock.renewing = renewLease(lock)
+      .catch(error => console.log(`[LOCK] ⚠️ Lease renewal for job ${lock.jobId} failed: ${error.message}`))
+      .finally(() => { lock.renewing = null; });
+  }, LOCK_CONFIG.heartbeatSeconds * 1000);
+  lock.heartbeat.unref?.();
+}
+
+/**
+ * Finish the job and free the lock
+ * outcome: { result: { store, key } } where the output was saved, { result: { data } } to hand it over inline,
+ * or { error } when generation failed. Safe to call with no lock or one that wasn't acquired.
+ */
+async function releaseGenerationLock(lock, outcome = {}) {
+  if (!lock?.acquired || lock.unmanaged) return;
+  lock.acquired = false;
+  clearInterval(lock.heartbeat);
+  await lock.renewing;
+
+  try {
+    await updateJob(lock.jobId, job => finishJob(job, outcome), lock.context);
+
+    const current = await lock.store.get(lock.key, { type: 'json' });
+    if (current?.owner === lock.owner) {
+      await lock.store.delete(lock.key);
+    }
+    console.log(`[LOCK] ${lock.key} released (job ${lock.jobId} ${outcome.error ? 'failed' : 'done'})`);
+  } catch (error) {
+    console.log(`[LOCK] ⚠️ Failed to release ${lock.key} (lease expires on its own): ${error.message}`);
+  }
+}
+
+// ==================== JOBS ====================
+
+/**
+ * Poll a job until it finishes or maxWaitMs runs out (returns the last record seen)
+ */
+async function waitForGeneration(jobId, context, maxWaitMs = LOCK_CONFIG.waitForResultMs) {
+  const deadline = Date.now() + maxWaitMs;
+  let job = await getJob(jobId, context);
+  while (job && !['done', 'failed'].includes(job.status) && Date.now() < deadline) {
+    await sleep(LOCK_CONFIG.pollMs);
+    job = await getJob(jobId, context);
+  }
+  return job;
+}
+
+/**
+ * Response for a caller that lost the lock: the shared result if it lands within a few seconds, else 202 + job id
+ */
+async function inFlightResponse(lock, context) {
+  const job = lock.jobId ? await waitForGeneration(lock.jobId, context) : null;
+
+  if (job?.status === 'done') {
+    const data = await loadJobResult(job, context);
+    if (data) {
+      return jsonResponse(200, { ...data, deduplicated: true, jobId: job.jobId });
+    }
+  }
+  if (job?.status === 'failed') {
+    return jsonResponse(503, { error: 'Generation failed', message: job.error, jobId: job.jobId });
+  }
+
+  return jsonResponse(202, {
+    status: 'in_progress',
+    message: 'This is already being generated - poll for the result',
+    jobId: lock.jobId,
+    kind: lock.kind,
+    pollUrl: `/.netlify/functions/generation-jobs?jobId=${lock.jobId}`
+  });
+}
+
+function isLive(lease) {
+  return !!lease?.expiresAt && new Date(lease.expiresAt) > new Date();
+}
+
+function slugify(text) {
+  return String(text || 'all').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function jsonResponse(statusCode, data) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache, no-store, must-revalidate'
+    },
+    body: JSON.stringify(data)
+  };
+}
+
+module.exports = {
+  LOCK_CONFIG,
+  acquireGenerationLock,
+  releaseGenerationLock,
+  reportProgress,
+  waitForGeneration,
+  loadJobResult,
+  inFlightResponse
+};
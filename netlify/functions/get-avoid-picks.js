@@ -7,19 +7,31 @@ const {
   analyzeCourseSkillDemands,
   analyzeWeatherConditions,
   calculateClaudeCost,
-  generateBlobKey
+  generateBlobKey,
+  tournamentIdentity,
+  getDataProvider
 } = require('./shared-utils');
+const { resolveBankroll, recommendStakes, skillProfile, winProbability } = require('./staking-engine');
+const { fetchCompCourseHistory, formatCompHistory } = require('./comp-courses');
+const { acquireGenerationLock, releaseGenerationLock, reportProgress, inFlightResponse } = require('./generation-lock');
+const { config, requireSecret } = require('./config');
+const { createValidatedMessage } = require('./claude-output');
+const { formatPromptNote, formatOf, avoidThreshold } = require('./tour-registry');
 
 /**
  * Avoid Picks Endpoint - OPTIMIZED VERSION v2
  * NOW USES SHARED-UTILS.JS
  * Identifies players to avoid based on poor course fit
+ * body.eventId picks one of this week's events (fetch-tournament's events) - the main event by default
+ * The response's savedKey is the blob it was saved under (null when the save failed)
  */
 exports.handler = async (event, context) => {
+  let lock = null;
   try {
     const body = JSON.parse(event.body || '{}');
-    const { tour, excludePlayers = [] } = body;
-    const baseUrl = process.env.URL || 'http://localhost:8888';
+    const { tour, excludePlayers = [], jobId = null, eventId = null } = body;
+    const bankroll = resolveBankroll(body.bankroll);
+    const baseUrl = config.siteUrl;
 
     console.log(`[AVOID] Starting avoid picks analysis for ${tour || 'pga'} tour`);
     if (excludePlayers.length > 0) {
@@ -27,7 +39,7 @@ exports.handler = async (event, context) => {
     }
 
     // Step 1: Fetch tournament data
-    const tournamentResponse = await axios.get(`${baseUrl}/.netlify/functions/fetch-tournament?tour=${tour || 'pga'}`, {
+    const tournamentResponse = await axios.get(`${baseUrl}/.netlify/functions/fetch-tournament?tour=${tour || 'pga'}${eventId ? `&eventId=${eventId}` : ''}`, {
       timeout: 15000
     });
     const tournament = tournamentResponse.data;
@@ -49,12 +61,23 @@ exports.handler = async (event, context) => {
       };
     }
 
+    // One generation per tournament at a time - a concurrent caller shares this run's result
+    lock = await acquireGenerationLock({ kind: 'avoid-picks', tour: tour || 'pga', subject: tournament.name, context, jobId });
+    if (!lock.acquired) {
+      return await inFlightResponse(lock, context);
+    }
+
     // Step 3: Fetch odds for these players
+    await reportProgress(lock, 'odds', { tournament: { name: tournament.name, course: tournament.course } });
     console.log(`[AVOID] Fetching odds for ${playerNames.length} players...`);
     const oddsResponse = await axios.post(`${baseUrl}/.netlify/functions/fetch-odds`, {
       tournamentName: tournament.name,
       players: playerNames,
-      tour: tournament.tour
+      tour: tournament.tour,
+      feedTour: tournament.feedTour,
+      eventId: tournament.event_id,
+      season: tournament.calendar_year,
+      startDate: tournament.start_date
     }, {
       timeout: 20000
     });
@@ -72,6 +95,7 @@ exports.handler = async (event, context) => {
       .slice(0, 15); // Top 15 shortest odds (after exclusions)
     
     const favoriteNames = topFavorites.map(o => o.player);
+    await reportProgress(lock, 'stats', { favourites: favoriteNames });
     
     console.log(`[AVOID] Analyzing top ${favoriteNames.length} favorites (shortest odds)`);
     if (topFavorites.length > 0) {
@@ -79,7 +103,8 @@ exports.handler = async (event, context) => {
     }
     
     const statsResponse = await axios.post(`${baseUrl}/.netlify/functions/fetch-stats`, {
-      players: favoriteNames
+      players: favoriteNames,
+      tour: tournament.feedTour || tournament.tour
     }, {
       timeout: 25000
     });
@@ -88,24 +113,16 @@ exports.handler = async (event, context) => {
     // Step 5: Get weather forecast (fetch directly from Weather API like get-predictions)
     let weatherData = null;
     try {
-      const weatherApiKey = process.env.WEATHER_API_KEY;
-      if (weatherApiKey && tournament.location) {
+      const dataProvider = getDataProvider();
+      if (dataProvider.isConfigured('weather') && tournament.location) {
         const location = tournament.location.split(',')[0].trim();
         
         console.log('[AVOID] Fetching weather forecast...');
-        const weatherResponse = await axios.get('https://api.weatherapi.com/v1/forecast.json', {
-          params: {
-            key: weatherApiKey,
-            q: location,
-            days: 4,
-            aqi: 'no'
-          },
-          timeout: 8000
-        });
-
-        if (weatherResponse.data?.forecast) {
+        const forecastData = await dataProvider.getForecast(location, 4);
+
+        if (forecastData?.forecast) {
           const dayNames = ['Thursday', 'Friday', 'Saturday', 'Sunday'];
-          const daily = weatherResponse.data.forecast.forecastday.map((day, index) => ({
+          const daily = forecastData.forecast.forecastday.map((day, index) => ({
             day: dayNames[index] || new Date(day.date).toLocaleDateString('en-US', { weekday: 'long' }),
             date: day.date,
             tempHigh: Math.round(day.day.maxtemp_f),
@@ -141,10 +158,12 @@ exports.handler = async (event, context) => {
         
         return {
           player: stat.player,
+          dgId: stat.dgId || oddsEntry.dgId || null,
           odds: oddsEntry.odds,
           minOdds: oddsEntry.minOdds,
           maxOdds: oddsEntry.maxOdds,
           bookmakerCount: oddsEntry.bookmakerCount || 0,
+          dgOdds: oddsEntry.dgOdds || null,
           stats: stat.stats
         };
       })
@@ -168,13 +187,25 @@ exports.handler = async (event, context) => {
       };
     }
 
+    // Step 7.5: Comp-course history - results at the courses most like this one
+    const compHistory = await fetchCompCourseHistory({
+      compCourses: courseInfo.compCourses,
+      tour: tour || 'pga',
+      playerNames: playersWithOdds.map(p => p.player),
+      context
+    });
+    for (const p of playersWithOdds) {
+      p.compCourseHistory = compHistory.players[normalizePlayerName(p.player)] || [];
+    }
+
     // Analyze course demands (same as get-predictions)
     const courseDemands = analyzeCourseSkillDemands(courseInfo);
     const weatherAnalysis = analyzeWeatherConditions(weatherSummary);
 
     // Step 8: Call Claude for avoid picks
+    await reportProgress(lock, 'claude');
     const anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
+      apiKey: requireSecret('anthropic')
     });
 
     const prompt = buildAvoidPicksPrompt(
@@ -187,27 +218,39 @@ exports.handler = async (event, context) => {
     );
 
     console.log(`[AVOID] Calling Claude API...`);
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1500,
-      temperature: 0.4,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
+    const { data: avoidData, message, validation } = await createValidatedMessage({
+      client: anthropic,
+      request: {
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: 1500,
+        temperature: 0.4,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      },
+      type: 'avoidPicks',
+      ruleContext: {
+        players: playersWithOdds.map(p => ({ name: p.player, odds: p.odds })),
+        excludePlayers
+      },
+      label: `${tour || 'pga'}-${tournament.name}`,
+      context
     });
-
-    const responseText = message.content[0].text;
-    
-    // Parse JSON response
-    let avoidData;
+    console.log(`[AVOID] Analysis complete, ${avoidData.avoid.length} avoid picks${validation.repaired ? ' (repaired)' : ''}`);
+
+    // Step 9: Lay stakes - only where DataGolf's model price says the favourite is too short
+    const avoidPicks = avoidData.avoid.map(pick => ({
+      ...pick,
+      dgId: playersWithOdds.find(p => normalizePlayerName(p.player) === normalizePlayerName(pick.player))?.dgId || null
+    }));
+    await reportProgress(lock, 'enriching', { picks: avoidPicks.map(p => p.player) });
+    let staking = null;
     try {
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      avoidData = JSON.parse(jsonMatch ? jsonMatch[0] : responseText);
-      console.log(`[AVOID] Analysis complete, ${avoidData.avoid?.length || 0} avoid picks`);
-    } catch (parseError) {
-      console.error('[AVOID] Failed to parse Claude response:', responseText);
-      throw new Error('Invalid response format from AI');
+      staking = attachLayStakes(avoidPicks, playersWithOdds, bankroll);
+      console.log(`[AVOID] Staking: $${staking.totalStake} liability (${staking.exposurePct}% of $${bankroll})`);
+    } catch (stakingError) {
+      console.error('[AVOID] Stake recommendations failed:', stakingError.message);
     }
 
     // Calculate cost using shared utility
@@ -220,11 +263,15 @@ exports.handler = async (event, context) => {
         course: tournament.course,
         location: tournament.location,
         dates: tournament.dates,
-        tour: tournament.tour
+        tour: tournament.tour,
+        format: tournament.format,
+        ...tournamentIdentity(tournament)
       },
       weather: weatherSummary,
-      avoidPicks: avoidData.avoid || [],
+      avoidPicks,
+      staking,
       reasoning: avoidData.reasoning || '',
+      validation,
       generatedAt: new Date().toISOString(),
       tokensUsed: message.usage.input_tokens + message.usage.output_tokens,
       tokenBreakdown: {
@@ -235,14 +282,20 @@ exports.handler = async (event, context) => {
     };
 
     // Save to Netlify Blobs for caching
+    await reportProgress(lock, 'saving');
+    let savedKey = null;
     try {
-      await saveAvoidPicksToBlobs(responseData, context);
+      savedKey = await saveAvoidPicksToBlobs(responseData, context);
       console.log('[AVOID] ✅ Saved to Blobs for caching');
     } catch (saveError) {
       console.error('[AVOID] Failed to save to Blobs:', saveError.message);
       // Don't fail the request if save fails
     }
 
+    await releaseGenerationLock(lock, {
+      result: savedKey ? { store: 'avoid-picks', key: savedKey } : { data: responseData }
+    });
+
     // Return avoid picks
     return {
       statusCode: 200,
@@ -250,11 +303,12 @@ exports.handler = async (event, context) => {
         'Content-Type': 'application/json',
         'Cache-Control': 'no-cache, no-store, must-revalidate'
       },
-      body: JSON.stringify(responseData)
+      body: JSON.stringify({ ...responseData, savedKey })
     };
 
   } catch (error) {
     console.error('[AVOID] Error:', error);
+    await releaseGenerationLock(lock, { error: error.message });
     return {
       statusCode: 500,
       headers: { 'Content-Type': 'application/json' },
@@ -266,6 +320,31 @@ exports.handler = async (event, context) => {
   }
 };
 
+/**
+ * Recommend lay stakes (liability) for each avoid pick at the average market price
+ * The probability is DataGolf's win price only - our own view of the player is what Claude already used
+ */
+function attachLayStakes(avoidPicks, playersWithOdds, bankroll) {
+  const candidates = avoidPicks.map(pick => {
+    const player = playersWithOdds.find(p => normalizePlayerName(p.player) === normalizePlayerName(pick.player));
+    const { probability, source } = winProbability(player?.dgOdds, null);
+    return {
+      key: pick.player,
+      player: pick.player,
+      market: 'win',
+      side: 'lay',
+      probability,
+      probSource: source,
+      odds: player?.odds || null,
+      profile: skillProfile(player)
+    };
+  });
+
+  const { stakes, ...summary } = recommendStakes(candidates, { bankroll, source: 'avoidPicks' });
+  avoidPicks.forEach(pick => { pick.staking = stakes[pick.player]; });
+  return summary;
+}
+
 /**
  * Normalize player name for matching
  */
@@ -274,17 +353,18 @@ exports.handler = async (event, context) => {
  */
 function buildAvoidPicksPrompt(tournament, players, courseInfo, courseDemands, weatherAnalysis, excludePlayers = []) {
   const playerList = players.map((p, i) => 
-    `${p.player} [${formatAmericanOdds(p.odds)}] - R${p.stats.rank} | SG:${p.stats.sgTotal?.toFixed(2) || 'N/A'} (OTT:${p.stats.sgOTT?.toFixed(2) || 'N/A'} APP:${p.stats.sgAPP?.toFixed(2) || 'N/A'} ARG:${p.stats.sgARG?.toFixed(2) || 'N/A'} P:${p.stats.sgPutt?.toFixed(2) || 'N/A'})`
+    `${p.player} [${formatAmericanOdds(p.odds)}] - R${p.stats.rank} | SG:${p.stats.sgTotal?.toFixed(2) || 'N/A'} (OTT:${p.stats.sgOTT?.toFixed(2) || 'N/A'} APP:${p.stats.sgAPP?.toFixed(2) || 'N/A'} ARG:${p.stats.sgARG?.toFixed(2) || 'N/A'} P:${p.stats.sgPutt?.toFixed(2) || 'N/A'})${p.compCourseHistory?.length > 0 ? ` | Comps: ${formatCompHistory(p.compCourseHistory)}` : ''}`
   ).join('\n');
 
   const exclusionWarning = excludePlayers.length > 0 
     ? `\n🚫 EXCLUDED (already recommended as value picks - DO NOT select):\n${excludePlayers.join(', ')}\n` 
     : '';
+  const threshold = avoidThreshold(tournament);
 
   return `Golf analyst: Find 3 PUBLIC FAVORITES to AVOID based on poor course fit.
 
 TOURNAMENT: ${tournament.name}
-Course: ${courseInfo.courseName || courseInfo.eventName} | ${courseInfo.yardage || '?'}y Par ${courseInfo.par || '?'}
+${formatPromptNote(tournament)}Course: ${courseInfo.courseName || courseInfo.eventName} | ${courseInfo.yardage || '?'}y Par ${courseInfo.par || '?'}
 Course Demands: ${courseDemands}
 Weather Analysis: ${weatherAnalysis}
 ${exclusionWarning}
@@ -293,7 +373,7 @@ ${playerList}
 
 ANALYSIS FRAMEWORK (same as value picks):
 1. Course Fit (40%): Does their SG profile MISMATCH course demands?
-2. Course History (20%): Poor results at this venue?
+2. Course History (20%): Poor results at this venue, or at its comp courses${(courseInfo.compCourses || []).length > 0 ? ` (${courseInfo.compCourses.map(c => c.name).join(', ')})` : ''}? "Comps" are finishes at the most similar courses, similarity 0-1 in brackets.
 3. Recent Form (15%): Cold streak or inconsistent?
 4. Weather (15%): Do conditions expose their weaknesses?
 5. Value Assessment: Are odds too SHORT given above negatives?
@@ -303,6 +383,7 @@ Identify exactly 3 players who should be AVOIDED because:
 - They are PUBLIC FAVORITES (short odds = market backing)
 - BUT they have POOR statistical fit for THIS specific course
 - Their SG stats DON'T match what the course demands
+- An avoid is graded WRONG if the player finishes in the top ${threshold}${threshold < 20 ? ` (not the usual top 20 - this is a ${formatOf(tournament).fieldSize}-player field)` : ''}
 
 CRITICAL REQUIREMENTS:
 ${excludePlayers.length > 0 ? `- You CANNOT select: ${excludePlayers.join(', ')} (already in value picks)` : ''}
@@ -330,7 +411,7 @@ WEIGHTS: Course Fit 40%, History 20%, Form 15%, Weather 15%, Value 10%
 REASONING FORMAT - Use this EXACT structure with line breaks between sections:
 "Course fit: [Specific SG weakness vs course demands with numbers].
 
-History: [Poor results here or no history context].
+History: [Poor results here or at comp courses, or no history context].
 
 Form: [Recent struggles with specific finishes].
 
@@ -356,8 +437,9 @@ Return JSON with exactly 3 avoid picks:
  */
 async function saveAvoidPicksToBlobs(responseData, context) {
   const store = getBlobStore('avoid-picks', context);
-  const key = generateBlobKey(responseData.tournament.name, responseData.tournament.tour, responseData.generatedAt);
+  const key = generateBlobKey(responseData.tournament, responseData.tournament.tour, responseData.generatedAt);
 
   await store.set(key, JSON.stringify(responseData));
   console.log(`[AVOID] Saved to blob: ${key}`);
+  return key;
 }
@@ -0,0 +1,153 @@
+const axios = require('axios');
+const {
+  getBlobStore,
+  generatePlayerDataCacheKey,
+  isCacheValidForTournament
+} = require('./shared-utils');
+const { runQuantModel } = require('./quant-model');
+const { classifyVenueType, mergePlayerData } = require('./get-predictions');
+const { PICK_MARKETS } = require('./market-picks');
+const { DFS_SITES, parseSalaryCsv, projectFantasyPoints, buildLineups, toUploadCsv } = require('./dfs-optimizer');
+const { config } = require('./config');
+const { unsupportedMarketMessage } = require('./tour-registry');
+
+/**
+ * DFS Lineup Optimizer
+ * Projects DraftKings / FanDuel points from this week's player data and builds lineups
+ *
+ * POST { tour, eventId?, csv, lineups?, maxExposure?, minUnique?, locks?: [names], excludes?: [names] }
+ * eventId picks one of this week's events (fetch-tournament's events) - the main event by default.
+ * csv is the site's salary export as text - the site is detected from its headers.
+ * 400 for tours the DFS sites don't run contests on (markets.dfs in tour-registry).
+ * Uses the player data get-predictions cached for this tournament; without it, stats and
+ * odds are fetched fresh (no form / course history).
+ */
+exports.handler = async (event, context) => {
+  try {
+    const body = JSON.parse(event.body || '{}');
+    const { tour = 'pga', eventId = null, csv, lineups, maxExposure, minUnique, locks = [], excludes = [] } = body;
+    const baseUrl = config.siteUrl;
+
+    const unsupported = unsupportedMarketMessage(tour, 'dfs', 'DFS lineups');
+    if (unsupported) {
+      return createErrorResponse(400, 'DFS not offered', unsupported);
+    }
+
+    if (!csv) {
+      return createErrorResponse(400, 'Salary CSV required', 'Upload the DraftKings or FanDuel salary CSV for this slate');
+    }
+
+    let salaries;
+    try {
+      salaries = parseSalaryCsv(csv);
+    } catch (csvError) {
+      return createErrorResponse(400, 'Invalid salary CSV', csvError.message);
+    }
+
+    console.log(`[DFS] ${DFS_SITES[salaries.site].label} slate: ${salaries.players.length} players (${tour})`);
+
+    // Step 1: Tournament + player data
+    const tournamentResponse = await axios.get(`${baseUrl}/.netlify/functions/fetch-tournament?tour=${tour}${eventId ? `&eventId=${eventId}` : ''}`, {
+      timeout: 15000
+    });
+    const tournament = tournamentResponse.data;
+
+    const { players: playersWithData, courseInfo, source } = await loadPlayerData(tour, tournament, salaries.players, baseUrl, context);
+    console.log(`[DFS] ${playersWithData.length} players with data (${source})`);
+
+    // Step 2: Projections
+    const quantModel = runQuantModel(playersWithData, {
+      venueType: classifyVenueType(courseInfo, tournament),
+      courseInfo,
+      seedKey: `${tour}-${tournament.name}`
+    });
+    const projections = projectFantasyPoints(salaries.players, playersWithData, quantModel, salaries.site)
+      .sort((a, b) => (b.projection ?? -1) - (a.projection ?? -1));
+    const unmatched = projections.filter(p => p.projection === null).map(p => p.name);
+
+    if (unmatched.length > 0) {
+      console.log(`[DFS] ⚠️ No projection for ${unmatched.length} players: ${unmatched.slice(0, 10).join(', ')}`);
+    }
+
+    // Step 3: Lineups
+    const startTime = Date.now();
+    const optimized = buildLineups(projections, salaries.site, { lineups, maxExposure, minUnique, locks, excludes });
+    console.log(`[DFS] ✅ Built ${optimized.lineups.length} lineups in ${Date.now() - startTime}ms`);
+
+    return createSuccessResponse({
+      tournament: {
+        name: tournament.name,
+        course: tournament.course,
+        dates: tournament.dates,
+        tour: tournament.tour
+      },
+      site: salaries.site,
+      siteLabel: DFS_SITES[salaries.site].label,
+      salaryCap: DFS_SITES[salaries.site].salaryCap,
+      dataSource: source,
+      settings: { lineups, maxExposure, minUnique, locks, excludes },
+      projections,
+      unmatched,
+      ...optimized,
+      uploadCsv: toUploadCsv(optimized.lineups, salaries.site),
+      generatedAt: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('[DFS] Error:', error.message);
+    return createErrorResponse(500, 'Failed to build DFS lineups', error.message);
+  }
+};
+
+/**
+ * This week's merged player data - the predictions cache when it's valid, otherwise fresh stats + odds
+ */
+async function loadPlayerData(tour, tournament, salaryPlayers, baseUrl, context) {
+  try {
+    const store = getBlobStore('cache', context);
+    const cached = await store.get(generatePlayerDataCacheKey(tour, tournament), { type: 'json' });
+    if (isCacheValidForTournament(cached, tournament)) {
+      return { players: cached.players, courseInfo: cached.courseInfo || {}, source: 'predictions cache' };
+    }
+  } catch (cacheError) {
+    console.log(`[DFS] Cache unavailable: ${cacheError.message}`);
+  }
+
+  const playerNames = salaryPlayers.map(p => p.name);
+  const [statsResponse, oddsResponse, courseInfo] = await Promise.all([
+    axios.post(`${baseUrl}/.netlify/functions/fetch-stats`, { players: playerNames, tour: tournament.feedTour || tournament.tour }, { timeout: 30000 }),
+    axios.post(`${baseUrl}/.netlify/functions/fetch-odds`,
+      { tournamentName: tournament.name, players: playerNames, tour: tournament.tour, feedTour: tournament.feedTour,
+        eventId: tournament.event_id, season: tournament.calendar_year, startDate: tournament.start_date, markets: Object.keys(PICK_MARKETS) },
+      { timeout: 20000 }
+    ),
+    axios.get(`${baseUrl}/.netlify/functions/fetch-course-info?tour=${tour}&tournament=${encodeURIComponent(tournament.name)}`, { timeout: 10000 })
+      .then(r => r.data)
+      .catch(() => ({ courseName: tournament.course }))
+  ]);
+
+  return {
+    players: mergePlayerData(statsResponse.data.players, oddsResponse.data.odds),
+    courseInfo,
+    source: 'fresh stats + odds'
+  };
+}
+
+function createSuccessResponse(data) {
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache, no-store, must-revalidate'
+    },
+    body: JSON.stringify(data)
+  };
+}
+
+function createErrorResponse(statusCode, error, message) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ error, message })
+  };
+}
@@ -1,4 +1,4 @@
-const axios = require('axios');
+const { getDataProvider, toDataGolfTour } = require('./shared-utils');
 
 /**
  * Fetch COMPLETE tournament field from DataGolf field-updates endpoint
@@ -8,28 +8,25 @@ const axios = require('axios');
 exports.handler = async (event, context) => {
   try {
     const tour = event.queryStringParameters?.tour || 'pga';
-    const apiKey = process.env.DATAGOLF_API_KEY || '07b56aee1a02854e9513b06af5cd';
-    const apiTour = tour === 'dp' ? 'euro' : tour;
-
-    const url = `https://feeds.datagolf.com/field-updates?tour=${apiTour}&file_format=json&key=${apiKey}`;
+    const apiTour = toDataGolfTour(tour);
     
     console.log(`[FIELD] Fetching complete field for ${apiTour} tour`);
     
-    const response = await axios.get(url, { timeout: 10000 });
+    const data = await getDataProvider().getField(apiTour);
     
-    if (!response.data?.field) {
+    if (!data?.field) {
       return {
         statusCode: 200,
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
-          tournament: response.data?.event_name || 'Unknown',
+          tournament: data?.event_name || 'Unknown',
           field: [],
           count: 0
         })
       };
     }
 
-    const players = response.data.field
+    const players = data.field
       .filter(p => p.player_name)
       .map(p => ({
         name: p.player_name,
@@ -37,13 +34,13 @@ exports.handler = async (event, context) => {
         country: p.country || null
       }));
 
-    console.log(`[FIELD] ✅ ${players.length} players in field for ${response.data.event_name}`);
+    console.log(`[FIELD] ✅ ${players.length} players in field for ${data.event_name}`);
 
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        tournament: response.data.event_name,
+        tournament: data.event_name,
         field: players,
         count: players.length
       })
@@ -1,13 +1,16 @@
-const { getBlobStore, getLatestBlobForTournament } = require('./shared-utils');
+const { getBlobStore } = require('./shared-utils');
+const { getLatestContent } = require('./content-pipeline');
 
 /**
  * Get Latest Avoid Picks from Blobs - OPTIMIZED v2
  * Returns the most recent saved avoid picks for a tour
  * NOW SUPPORTS: ?tournament= filter for current tournament matching
+ * ?eventId=&season= match by DataGolf event id instead of name
  */
 exports.handler = async (event, context) => {
   try {
-    const { tour = 'pga', tournament = '' } = event.queryStringParameters || {};
+    const { tour = 'pga', tournament = '', eventId = '', season = '' } = event.queryStringParameters || {};
+    const filter = eventId ? { name: tournament, eventId, season } : (tournament || null);
     
     console.log(`[LATEST-AVOID] Fetching latest avoid picks for ${tour}${tournament ? ` (filter: "${tournament}")` : ''}`);
     
@@ -27,8 +30,8 @@ exports.handler = async (event, context) => {
       };
     }
     
-    // Use smart blob lookup that filters by tournament name
-    const result = await getLatestBlobForTournament(store, tour, tournament || null);
+    // Pipeline manifest first (pre-generated content), then the newest blob for the tournament
+    const result = await getLatestContent(store, 'avoidPicks', tour, filter, context);
     
     if (!result) {
       console.log(`[LATEST-AVOID] No cached avoid picks found for ${tour}`);
@@ -61,7 +64,8 @@ exports.handler = async (event, context) => {
         generatedAt: latestData.generatedAt,
         fromCache: true,
         cacheKey: latestKey,
-        isFallback: !!fallback
+        isFallback: !!fallback,
+        fromPipeline: !!result.fromPipeline
       })
     };
     
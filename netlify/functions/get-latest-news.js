@@ -0,0 +1,83 @@
+const { getBlobStore } = require('./shared-utils');
+const { getLatestContent } = require('./content-pipeline');
+
+/**
+ * Get Latest News & Preview from Blobs
+ * Returns the most recent saved news & preview for a tour
+ * NOW SUPPORTS: ?tournament= filter for current tournament matching
+ * ?eventId=&season= match by DataGolf event id instead of name
+ */
+exports.handler = async (event, context) => {
+  try {
+    const { tour = 'pga', tournament = '', eventId = '', season = '' } = event.queryStringParameters || {};
+    const filter = eventId ? { name: tournament, eventId, season } : (tournament || null);
+    
+    console.log(`[LATEST-NEWS] Fetching latest news preview for ${tour}${tournament ? ` (filter: "${tournament}")` : ''}`);
+    
+    let store;
+    try {
+      store = getBlobStore('news', context);
+      console.log(`[LATEST-NEWS] Store created successfully`);
+    } catch (storeError) {
+      console.error(`[LATEST-NEWS] Failed to create store:`, storeError);
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ 
+          error: 'No cached news preview found',
+          message: 'Blobs not configured or no news preview saved yet'
+        })
+      };
+    }
+    
+    // Pipeline manifest first (pre-generated content), then the newest blob for the tournament
+    const result = await getLatestContent(store, 'news', tour, filter, context);
+    
+    if (!result) {
+      console.log(`[LATEST-NEWS] No cached news preview found for ${tour}`);
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ 
+          error: 'No cached news preview found',
+          message: 'No news preview has been saved yet for this tour'
+        })
+      };
+    }
+    
+    const { data: latestData, key: latestKey, fallback } = result;
+    
+    if (fallback) {
+      console.log(`[LATEST-NEWS] ⚠️ No match for "${tournament}", returning fallback from ${latestKey}`);
+    } else {
+      console.log(`[LATEST-NEWS] ✅ Returning cached data from ${latestKey}`);
+    }
+    
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'public, max-age=300'
+      },
+      body: JSON.stringify({
+        ...latestData,
+        generatedAt: latestData.generatedAt,
+        fromCache: true,
+        cacheKey: latestKey,
+        isFallback: !!fallback,
+        fromPipeline: !!result.fromPipeline
+      })
+    };
+    
+  } catch (error) {
+    console.error('[LATEST-NEWS] Error:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        error: 'Failed to fetch latest news preview',
+        message: error.message
+      })
+    };
+  }
+};
@@ -1,14 +1,17 @@
-const { getBlobStore, getLatestBlobForTournament } = require('./shared-utils');
+const { getBlobStore } = require('./shared-utils');
+const { getLatestContent } = require('./content-pipeline');
 
 /**
  * Get Latest Predictions from Blobs - OPTIMIZED v2
  * Returns the most recent saved predictions for a tour
  * NOW SUPPORTS: ?tournament= filter to get data for specific tournament
- * USES: shared-utils getLatestBlobForTournament() for smart matching
+ * ?eventId=&season= match by DataGolf event id instead of name
+ * USES: content-pipeline getLatestContent() - the pipeline's manifest, then shared-utils getLatestBlobForTournament()
  */
 exports.handler = async (event, context) => {
   try {
-    const { tour = 'pga', tournament = '' } = event.queryStringParameters || {};
+    const { tour = 'pga', tournament = '', eventId = '', season = '' } = event.queryStringParameters || {};
+    const filter = eventId ? { name: tournament, eventId, season } : (tournament || null);
     
     console.log(`[LATEST-PRED] Fetching latest predictions for ${tour}${tournament ? ` (filter: "${tournament}")` : ''}`);
     
@@ -30,8 +33,8 @@ exports.handler = async (event, context) => {
       };
     }
     
-    // Use smart blob lookup that filters by tournament name
-    const result = await getLatestBlobForTournament(store, tour, tournament || null);
+    // Pipeline manifest first (pre-generated content), then the newest blob for the tournament
+    const result = await getLatestContent(store, 'predictions', tour, filter, context);
     
     if (!result) {
       console.log(`[LATEST-PRED] No cached predictions found for ${tour}`);
@@ -65,7 +68,8 @@ exports.handler = async (event, context) => {
         generatedAt: latestData.metadata?.generatedAt || latestData.generatedAt,
         fromCache: true,
         cacheKey: latestKey,
-        isFallback: !!fallback
+        isFallback: !!fallback,
+        fromPipeline: !!result.fromPipeline
       })
     };
     
@@ -1,5 +1,4 @@
-const axios = require('axios');
-const { normalizePlayerName, formatAmericanOdds } = require('./shared-utils');
+const { normalizePlayerName, formatAmericanOdds, getDataProvider, toDataGolfTour } = require('./shared-utils');
 
 /**
  * Fetch current live odds for all players from DataGolf betting-tools/outrights
@@ -9,22 +8,19 @@ const { normalizePlayerName, formatAmericanOdds } = require('./shared-utils');
 exports.handler = async (event, context) => {
   try {
     const tour = event.queryStringParameters?.tour || 'pga';
-    const apiKey = process.env.DATAGOLF_API_KEY || '07b56aee1a02854e9513b06af5cd';
-    const apiTour = tour === 'dp' ? 'euro' : tour;
-
-    const url = `https://feeds.datagolf.com/betting-tools/outrights?tour=${apiTour}&market=win&odds_format=american&file_format=json&key=${apiKey}`;
+    const apiTour = toDataGolfTour(tour);
 
     console.log(`[LIVE-ODDS] Fetching outrights for ${apiTour}`);
-    const response = await axios.get(url, { timeout: 10000 });
+    const data = await getDataProvider().getOutrights(apiTour, 'win');
 
-    if (!response.data?.odds) {
+    if (!data?.odds) {
       return createResponse(200, { odds: {}, count: 0 });
     }
 
     // Build a normalized name → odds object
     const oddsMap = {};
     
-    for (const entry of response.data.odds) {
+    for (const entry of data.odds) {
       const name = entry.player_name;
       if (!name) continue;
 
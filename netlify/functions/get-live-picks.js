@@ -1,13 +1,17 @@
 const Anthropic = require('@anthropic-ai/sdk');
-const axios = require('axios');
 const {
   getBlobStore,
+  getDataProvider,
   normalizePlayerName,
   formatAmericanOdds,
   americanToDecimal,
   calculateClaudeCost,
   getLatestBlobForTournament
 } = require('./shared-utils');
+const { acquireGenerationLock, releaseGenerationLock, inFlightResponse } = require('./generation-lock');
+const { requireSecret } = require('./config');
+const { createValidatedMessage, OutputValidationError } = require('./claude-output');
+const { getTour, hasMarket, unsupportedMarketMessage, formatPromptNote } = require('./tour-registry');
 
 /**
  * GET-LIVE-PICKS - In-Tournament Live Value Picks
@@ -20,19 +24,26 @@ const {
  * 
  * GET ?tour=pga
  * GET ?tour=pga&refresh=true  (bypass cache)
+ * 400 for tours without DataGolf in-play data; live SG is only added where the tour has it (tour-registry)
  */
 
 const LIVE_CACHE_TTL_MS = 15 * 60 * 1000; // 15 min cache for live picks
 
 exports.handler = async (event, context) => {
+  let lock = null;
   try {
     const params = event.queryStringParameters || {};
     const tour = params.tour || 'pga';
     const forceRefresh = params.refresh === 'true';
-    const apiKey = process.env.DATAGOLF_API_KEY || '07b56aee1a02854e9513b06af5cd';
+    const dataProvider = getDataProvider();
 
     console.log(`[LIVE] Fetching live picks for ${tour.toUpperCase()}...`);
 
+    const unsupported = unsupportedMarketMessage(tour, 'inPlay', 'Live picks');
+    if (unsupported) {
+      return errorResponse(unsupported, 400);
+    }
+
     // Check cache first
     if (!forceRefresh) {
       try {
@@ -52,11 +63,7 @@ exports.handler = async (event, context) => {
     console.log('[LIVE] Fetching in-play probabilities...');
     let inPlayData = null;
     try {
-      const inPlayResponse = await axios.get(
-        `https://feeds.datagolf.com/preds/in-play?tour=${tour}&dead_heat=no&odds_format=american&file_format=json&key=${apiKey}`,
-        { timeout: 10000 }
-      );
-      inPlayData = inPlayResponse.data;
+      inPlayData = await dataProvider.getInPlay(tour);
       console.log(`[LIVE] In-play data: ${inPlayData?.data?.length || 0} players`);
     } catch (err) {
       console.log(`[LIVE] In-play fetch failed: ${err.message}`);
@@ -77,39 +84,41 @@ exports.handler = async (event, context) => {
       name: inPlayData.event_name || inPlayData.tournament || inPlayData.event || '', // Will be filled from odds response
       round: inPlayData.current_round ?? players[0]?.round ?? '?',
       course: inPlayData.course || inPlayData.course_name || '',
-      status: inPlayData.status || 'in_progress'
+      status: inPlayData.status || 'in_progress',
+      tour: getTour(tour).id
     };
 
     console.log(`[LIVE] Tournament: ${tournamentInfo.name || '(will get from odds)'}, Round: ${tournamentInfo.round}`);
 
-    // Step 2: Fetch live tournament stats (SG breakdown)
-    console.log('[LIVE] Fetching live tournament stats...');
+    // Step 2: Fetch live tournament stats (SG breakdown) - only some tours have them
     let liveStats = {};
-    try {
-      const statsResponse = await axios.get(
-        `https://feeds.datagolf.com/preds/live-tournament-stats?stats=sg_ott,sg_app,sg_arg,sg_putt,sg_total,sg_t2g&round=event_avg&display=value&file_format=json&key=${apiKey}`,
-        { timeout: 10000 }
-      );
-      const statsData = statsResponse.data?.data || statsResponse.data?.players || statsResponse.data || [];
-      if (Array.isArray(statsData)) {
-        statsData.forEach(p => {
-          const name = p.player_name || p.name || '';
-          if (name) {
-            liveStats[normalizePlayerName(name)] = {
-              name,
-              sgTotal: p.sg_total || 0,
-              sgOTT: p.sg_ott || 0,
-              sgAPP: p.sg_app || 0,
-              sgARG: p.sg_arg || 0,
-              sgPutt: p.sg_putt || 0,
-              sgT2G: p.sg_t2g || 0
-            };
-          }
-        });
-        console.log(`[LIVE] Stats loaded for ${Object.keys(liveStats).length} players`);
+    if (hasMarket(tour, 'liveStats')) {
+      console.log('[LIVE] Fetching live tournament stats...');
+      try {
+        const liveStatsData = await dataProvider.getLiveTournamentStats();
+        const statsData = liveStatsData?.data || liveStatsData?.players || liveStatsData || [];
+        if (Array.isArray(statsData)) {
+          statsData.forEach(p => {
+            const name = p.player_name || p.name || '';
+            if (name) {
+              liveStats[normalizePlayerName(name)] = {
+                name,
+                sgTotal: p.sg_total || 0,
+                sgOTT: p.sg_ott || 0,
+                sgAPP: p.sg_app || 0,
+                sgARG: p.sg_arg || 0,
+                sgPutt: p.sg_putt || 0,
+                sgT2G: p.sg_t2g || 0
+              };
+            }
+          });
+          console.log(`[LIVE] Stats loaded for ${Object.keys(liveStats).length} players`);
+        }
+      } catch (err) {
+        console.log(`[LIVE] Stats fetch failed: ${err.message}`);
       }
-    } catch (err) {
-      console.log(`[LIVE] Stats fetch failed: ${err.message}`);
+    } else {
+      console.log(`[LIVE] No live SG stats for the ${getTour(tour).label}`);
     }
 
     // Step 3: Fetch live outright odds from books (multiple markets)
@@ -120,12 +129,7 @@ exports.handler = async (event, context) => {
     const oddsMarkets = ['win', 'top_5', 'top_10', 'top_20'];
     try {
       const oddsResponses = await Promise.allSettled(
-        oddsMarkets.map(market =>
-          axios.get(
-            `https://feeds.datagolf.com/betting-tools/outrights?tour=${tour}&market=${market}&odds_format=american&file_format=json&key=${apiKey}`,
-            { timeout: 10000 }
-          )
-        )
+        oddsMarkets.map(market => dataProvider.getOutrights(tour, market))
       );
 
       oddsMarkets.forEach((market, i) => {
@@ -134,7 +138,7 @@ exports.handler = async (event, context) => {
           return;
         }
 
-        const responseData = oddsResponses[i].value.data;
+        const responseData = oddsResponses[i].value;
         
         // Get tournament name from odds response (in-play doesn't have it)
         if (!tournamentInfo.name && responseData?.event_name) {
@@ -237,6 +241,8 @@ exports.handler = async (event, context) => {
       const predResult = await getLatestBlobForTournament(predStore, tour, searchName);
       if (predResult?.data?.predictions) {
         preTournamentPicks = predResult.data.predictions;
+        // The event's own format (signature event, playoff) was saved with the picks
+        if (predResult.data.tournament?.format) tournamentInfo.format = predResult.data.tournament.format;
         console.log(`[LIVE] Found ${preTournamentPicks.length} pre-tournament picks for comparison`);
       }
     } catch (e) {
@@ -247,24 +253,35 @@ exports.handler = async (event, context) => {
     const mergedPlayers = buildMergedPlayerList(players, liveStats, liveOdds);
     console.log(`[LIVE] Merged data for ${mergedPlayers.length} players`);
 
+    // One live read per tour at a time - a concurrent caller shares this run's result
+    lock = await acquireGenerationLock({ kind: 'live-picks', tour, subject: tournamentInfo.name, context });
+    if (!lock.acquired) {
+      return await inFlightResponse(lock, context);
+    }
+
     // Step 6: Build prompt and call Claude
     const prompt = buildLivePicksPrompt(tournamentInfo, mergedPlayers, preTournamentPicks);
 
     console.log('[LIVE] Sending to Claude...');
-    const client = new Anthropic();
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      messages: [{ role: 'user', content: prompt }]
-    });
-
-    const responseText = message.content[0]?.text || '';
-    let livePicks;
+    const client = new Anthropic({ apiKey: requireSecret('anthropic') });
+    let livePicks, message, validation;
     try {
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      livePicks = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+      ({ data: livePicks, message, validation } = await createValidatedMessage({
+        client,
+        request: {
+          model: 'claude-sonnet-4-20250514',
+          max_tokens: 2000,
+          messages: [{ role: 'user', content: prompt }]
+        },
+        type: 'livePicks',
+        ruleContext: { players: mergedPlayers },
+        label: `${tour}-${tournamentInfo.name}`,
+        context
+      }));
     } catch (parseErr) {
+      if (!(parseErr instanceof OutputValidationError)) throw parseErr;
       console.error('[LIVE] Parse failed:', parseErr.message);
+      await releaseGenerationLock(lock, { error: 'Failed to parse AI response' });
       return errorResponse('Failed to parse AI response', 500);
     }
 
@@ -279,24 +296,31 @@ exports.handler = async (event, context) => {
       topMoverUp: livePicks?.topMoverUp || null,
       topMoverDown: livePicks?.topMoverDown || null,
       playerCount: mergedPlayers.length,
+      validation,
       generatedAt: new Date().toISOString(),
       timestamp: Date.now(),
       cost
     };
 
     // Save to cache
+    let cached = false;
     try {
       const store = getBlobStore('live-picks', context);
       await store.set(`live-${tour}-latest`, JSON.stringify(result));
+      cached = true;
       console.log('[LIVE] ✅ Cached live picks');
     } catch (e) {
       console.log(`[LIVE] Cache save failed: ${e.message}`);
     }
 
+    await releaseGenerationLock(lock, {
+      result: cached ? { store: 'live-picks', key: `live-${tour}-latest` } : { data: result }
+    });
     return successResponse(result);
 
   } catch (error) {
     console.error('[LIVE] Fatal error:', error.message);
+    await releaseGenerationLock(lock, { error: error.message });
     return errorResponse(error.message, 500);
   }
 };
@@ -424,7 +448,7 @@ function buildLivePicksPrompt(tournament, players, preTournamentPicks) {
   return `You are a live golf betting analyst. A tournament is currently in progress. Analyze the live data and find VALUE bets for the remainder of the tournament.
 
 TOURNAMENT: ${tournament.name} (Round ${tournament.round})
-${prePicksSection}
+${formatPromptNote(tournament)}${prePicksSection}
 LIVE LEADERBOARD + STATS + ODDS (sorted by current position):
 
 TOP 30:
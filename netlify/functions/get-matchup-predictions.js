@@ -5,8 +5,19 @@ const {
   normalizePlayerName,
   formatAmericanOdds,
   calculateClaudeCost,
-  generateBlobKey
+  generateBlobKey,
+  tournamentIdentity,
+  getDataProvider,
+  americanToDecimal
 } = require('./shared-utils');
+const { runQuantModel } = require('./quant-model');
+const { classifyVenueType } = require('./get-predictions');
+const { MATCHUP_MARKETS, parseMatchupLines, priceMatchupLines, selectMatchupEdges } = require('./matchup-markets');
+const { resolveBankroll, recommendStakes, skillProfile } = require('./staking-engine');
+const { acquireGenerationLock, releaseGenerationLock, reportProgress, inFlightResponse } = require('./generation-lock');
+const { config, requireSecret } = require('./config');
+const { createValidatedMessage } = require('./claude-output');
+const { getTour, hasMarket, formatOf, simulationFormat, formatPromptNote } = require('./tour-registry');
 
 /**
  * Matchup Predictions Endpoint - PERFORMANCE OPTIMIZED
@@ -15,18 +26,24 @@ const {
  * - Weather conditions analysis
  * - Recent form and course history data
  * - Better prompt with analytical framework
+ * - Real bookmaker matchup / 3-ball lines priced by the quant model, with the best edges flagged
+ * - Fractional-Kelly stakes on every pick that has a bookmaker line to bet into
+ * body.eventId picks one of this week's events (fetch-tournament's events) - the main event by default
+ * The response's savedKey is the blob it was saved under (null when the save failed)
  */
 
 exports.handler = async (event, context) => {
+  let lock = null;
   try {
     const body = JSON.parse(event.body || '{}');
-    const { tour, customMatchup } = body;
-    const baseUrl = process.env.URL || 'http://localhost:8888';
+    const { tour, customMatchup, jobId = null, eventId = null } = body;
+    const bankroll = resolveBankroll(body.bankroll);
+    const baseUrl = config.siteUrl;
 
     console.log(`[MATCHUP] Starting matchup analysis for ${tour || 'pga'} tour`);
 
     // Step 1: Fetch tournament data
-    const tournamentResponse = await axios.get(`${baseUrl}/.netlify/functions/fetch-tournament?tour=${tour || 'pga'}`, {
+    const tournamentResponse = await axios.get(`${baseUrl}/.netlify/functions/fetch-tournament?tour=${tour || 'pga'}${eventId ? `&eventId=${eventId}` : ''}`, {
       timeout: 15000
     });
     const tournament = tournamentResponse.data;
@@ -38,28 +55,55 @@ exports.handler = async (event, context) => {
       throw new Error('No players found in tournament field');
     }
 
+    // One generation per tournament (and custom matchup) at a time - a concurrent caller shares this run's result
+    const subject = customMatchup?.playerA && customMatchup?.playerB
+      ? `${tournament.name} ${customMatchup.playerA} vs ${customMatchup.playerB}`
+      : tournament.name;
+    lock = await acquireGenerationLock({ kind: 'matchups', tour: tour || 'pga', subject, context, jobId });
+    if (!lock.acquired) {
+      return await inFlightResponse(lock, context);
+    }
+
     // Step 3: Fetch odds for these players
+    await reportProgress(lock, 'odds', { tournament: { name: tournament.name, course: tournament.course } });
     console.log(`[MATCHUP] Fetching odds for ${playerNames.length} players...`);
     const oddsResponse = await axios.post(`${baseUrl}/.netlify/functions/fetch-odds`, {
       tournamentName: tournament.name,
       players: playerNames,
-      tour: tournament.tour
+      tour: tournament.tour,
+      feedTour: tournament.feedTour,
+      eventId: tournament.event_id,
+      season: tournament.calendar_year,
+      startDate: tournament.start_date
     }, {
       timeout: 20000
     });
     const oddsData = oddsResponse.data;
     console.log(`[MATCHUP] Received odds for ${oddsData.odds.length} players`);
 
-    // Step 4: Get top 50 players by odds for detailed stats
+    // Step 3.5: Bookmaker matchup and 3-ball lines
+    const bookLines = await fetchBookMatchupLines(tournament.feedTour || tournament.tour || tour || 'pga');
+
+    // Step 4: Get top 50 players by odds for detailed stats, plus everyone in a book line
     const topPlayerNames = oddsData.odds
       .sort((a, b) => a.odds - b.odds)
       .slice(0, 50)
       .map(o => o.player);
+    const statsNames = new Set(topPlayerNames.map(normalizePlayerName));
+    for (const player of bookLines.flatMap(line => line.players)) {
+      const oddsEntry = oddsData.odds.find(o => normalizePlayerName(o.player) === normalizePlayerName(player.name));
+      if (oddsEntry && !statsNames.has(normalizePlayerName(oddsEntry.player))) {
+        statsNames.add(normalizePlayerName(oddsEntry.player));
+        topPlayerNames.push(oddsEntry.player);
+      }
+    }
     
     console.log(`[MATCHUP] Fetching stats for top ${topPlayerNames.length} players`);
+    await reportProgress(lock, 'stats', { bookLines: bookLines.length });
     
     const statsResponse = await axios.post(`${baseUrl}/.netlify/functions/fetch-stats`, {
-      players: topPlayerNames
+      players: topPlayerNames,
+      tour: tournament.feedTour || tournament.tour
     }, {
       timeout: 15000  // Reduced from 30s to avoid function timeout
     });
@@ -68,24 +112,16 @@ exports.handler = async (event, context) => {
     // Step 5: Get weather forecast with detailed analysis
     let weatherData = null;
     try {
-      const weatherApiKey = process.env.WEATHER_API_KEY;
-      if (weatherApiKey && tournament.location) {
+      const dataProvider = getDataProvider();
+      if (dataProvider.isConfigured('weather') && tournament.location) {
         const location = tournament.location.split(',')[0].trim();
         
         // Fetch detailed weather forecast
-        const weatherResponse = await axios.get('https://api.weatherapi.com/v1/forecast.json', {
-          params: {
-            key: weatherApiKey,
-            q: location,
-            days: 4,
-            aqi: 'no'
-          },
-          timeout: 8000
-        });
-
-        if (weatherResponse.data?.forecast) {
+        const forecastData = await dataProvider.getForecast(location, 4);
+
+        if (forecastData?.forecast) {
           const dayNames = ['Thursday', 'Friday', 'Saturday', 'Sunday'];
-          const daily = weatherResponse.data.forecast.forecastday.map((day, index) => ({
+          const daily = forecastData.forecast.forecastday.map((day, index) => ({
             day: dayNames[index] || new Date(day.date).toLocaleDateString('en-US', { weekday: 'long' }),
             date: day.date,
             tempHigh: Math.round(day.day.maxtemp_f),
@@ -152,7 +188,8 @@ exports.handler = async (event, context) => {
           sgOTT: stat.stats.sgOTT,
           sgAPP: stat.stats.sgAPP,
           sgARG: stat.stats.sgARG,
-          sgPutt: stat.stats.sgPutt
+          sgPutt: stat.stats.sgPutt,
+          approach: stat.stats.approach || null
         };
       })
       .filter(p => p !== null)
@@ -160,9 +197,14 @@ exports.handler = async (event, context) => {
 
     console.log(`[MATCHUP] ${playersWithData.length} players with complete data`);
 
+    // Step 9: Fair prices for the book lines from the quant model's player skill
+    await reportProgress(lock, 'model');
+    const bookMatchups = priceBookMatchups(bookLines, playersWithData, tournament, courseInfo, tour);
+
     // Step 10: Build enhanced prompt for Claude
+    await reportProgress(lock, 'claude', { bookMatchups: bookMatchups.length });
     const anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
+      apiKey: requireSecret('anthropic')
     });
 
     const prompt = buildEnhancedMatchupPrompt(
@@ -176,27 +218,33 @@ exports.handler = async (event, context) => {
     );
 
     console.log(`[MATCHUP] Calling Claude API with enhanced analysis...`);
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 3000,
-      temperature: 0.4,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
+    const { data: matchupData, message, validation } = await createValidatedMessage({
+      client: anthropic,
+      request: {
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: 3000,
+        temperature: 0.4,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      },
+      type: 'matchups',
+      ruleContext: { players: playersWithData, customMatchup },
+      label: subject,
+      context
     });
+    console.log(`[MATCHUP] Analysis complete - ${matchupData.suggestedMatchups.length} matchups generated${validation.repaired ? ' (repaired)' : ''}`);
 
-    const responseText = message.content[0].text;
-    
-    // Parse JSON response
-    let matchupData;
+    // Step 11: Stakes - Claude's matchups are only staked where a book offers the same pairing
+    const suggestedMatchups = matchupData.suggestedMatchups || [];
+    await reportProgress(lock, 'enriching', { suggestedMatchups: suggestedMatchups.length });
+    let staking = null;
     try {
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      matchupData = JSON.parse(jsonMatch ? jsonMatch[0] : responseText);
-      console.log(`[MATCHUP] Analysis complete - ${matchupData.suggestedMatchups?.length || 0} matchups generated`);
-    } catch (parseError) {
-      console.error('[MATCHUP] Failed to parse Claude response:', responseText);
-      throw new Error('Invalid response format from AI');
+      staking = attachMatchupStakes(suggestedMatchups, matchupData.customMatchup, bookMatchups, playersWithData, bankroll);
+      console.log(`[MATCHUP] Staking: $${staking.totalStake} recommended (${staking.exposurePct}% of $${bankroll})`);
+    } catch (stakingError) {
+      console.error('[MATCHUP] Stake recommendations failed:', stakingError.message);
     }
 
     // Calculate cost using shared utility
@@ -209,7 +257,9 @@ exports.handler = async (event, context) => {
         course: tournament.course,
         location: tournament.location,
         dates: tournament.dates,
-        tour: tournament.tour
+        tour: tournament.tour,
+        format: tournament.format,
+        ...tournamentIdentity(tournament)
       },
       weather: weatherSummary,
       dailyForecast: weatherData?.daily || [],
@@ -227,8 +277,11 @@ exports.handler = async (event, context) => {
         demands: courseDemands,
         weatherImpact: weatherAnalysis
       },
-      suggestedMatchups: matchupData.suggestedMatchups || [],
+      suggestedMatchups,
       customMatchup: matchupData.customMatchup || null,
+      bookMatchups,
+      staking,
+      validation,
       generatedAt: new Date().toISOString(),
       tokensUsed: message.usage.input_tokens + message.usage.output_tokens,
       tokenBreakdown: {
@@ -239,16 +292,23 @@ exports.handler = async (event, context) => {
     };
 
     // Save to Netlify Blobs for caching
+    await reportProgress(lock, 'saving');
+    let savedKey = null;
     try {
       const store = getBlobStore('matchups', context);
-      const key = generateBlobKey(responseData.tournament.name, responseData.tournament.tour, responseData.generatedAt);
+      const key = generateBlobKey(responseData.tournament, responseData.tournament.tour, responseData.generatedAt);
 
       await store.set(key, JSON.stringify(responseData));
+      savedKey = key;
       console.log(`[MATCHUP] Saved to blob: ${key}`);
     } catch (saveError) {
       console.error('[MATCHUP] Failed to save to Blobs:', saveError.message);
     }
 
+    await releaseGenerationLock(lock, {
+      result: savedKey ? { store: 'matchups', key: savedKey } : { data: responseData }
+    });
+
     // Return matchup predictions
     return {
       statusCode: 200,
@@ -256,11 +316,12 @@ exports.handler = async (event, context) => {
         'Content-Type': 'application/json',
         'Cache-Control': 'no-cache, no-store, must-revalidate'
       },
-      body: JSON.stringify(responseData)
+      body: JSON.stringify({ ...responseData, savedKey })
     };
 
   } catch (error) {
     console.error('[MATCHUP] Error:', error);
+    await releaseGenerationLock(lock, { error: error.message });
     return {
       statusCode: 500,
       headers: { 'Content-Type': 'application/json' },
@@ -273,151 +334,134 @@ exports.handler = async (event, context) => {
 };
 
 /**
- * Fetch recent form and course history for players
- * (Copied from get-predictions.js)
+ * Fetch every matchup market DataGolf has lines for (markets not offered yet are skipped)
  */
-async function fetchRecentFormAndHistory(playerNames, courseName, tour) {
-  const apiKey = process.env.DATAGOLF_API_KEY;
-  
-  if (!apiKey) {
-    console.log('[MATCHUP-FORM] DataGolf API key not configured, skipping form data');
-    return { players: [] };
+async function fetchBookMatchupLines(tour) {
+  const dataProvider = getDataProvider();
+  if (!dataProvider.isConfigured('datagolf')) {
+    console.log('[MATCHUP] DataGolf API key not configured, skipping bookmaker lines');
+    return [];
   }
-  
-  const apiTour = tour === 'dp' ? 'euro' : (tour || 'pga');
-  
+  if (!hasMarket(tour, 'matchups')) {
+    console.log(`[MATCHUP] No matchup lines for the ${getTour(tour).label}, skipping bookmaker lines`);
+    return [];
+  }
+
+  const markets = Object.keys(MATCHUP_MARKETS);
+  const responses = await Promise.allSettled(markets.map(market => dataProvider.getMatchups(tour, market)));
+
+  return markets.flatMap((market, i) => {
+    if (responses[i].status !== 'fulfilled') {
+      console.log(`[MATCHUP] ${market} lines unavailable: ${responses[i].reason?.message}`);
+      return [];
+    }
+    const lines = parseMatchupLines(responses[i].value, market);
+    console.log(`[MATCHUP] ${market}: ${lines.length} lines`);
+    return lines;
+  });
+}
+
+/**
+ * Price book lines with the quant model and flag the best edges
+ * Returns null when there are no lines, so saved blobs stay small off-week
+ */
+function priceBookMatchups(bookLines, playersWithData, tournament, courseInfo, tour) {
+  if (bookLines.length === 0) return null;
+
   try {
-    console.log(`[MATCHUP-FORM] Fetching recent tournament results...`);
-    
-    // Fetch schedule to get recent tournaments
-    const scheduleUrl = `https://feeds.datagolf.com/get-schedule?tour=${apiTour}&file_format=json&key=${apiKey}`;
-    const scheduleResponse = await axios.get(scheduleUrl, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Golf-Predictor-App/1.0',
-        'Accept': 'application/json'
-      }
+    const seedKey = `${tour || 'pga'}-${tournament.name}`;
+    const quantModel = runQuantModel(playersWithData, {
+      venueType: classifyVenueType(courseInfo, tournament),
+      courseInfo,
+      seedKey,
+      config: simulationFormat(tournament)
     });
 
-    const tournaments = Array.isArray(scheduleResponse.data.schedule) 
-      ? scheduleResponse.data.schedule 
-      : Object.values(scheduleResponse.data.schedule);
+    const lines = priceMatchupLines(bookLines, quantModel, { seedKey, eventRounds: formatOf(tournament).rounds });
+    const edges = selectMatchupEdges(lines);
+    console.log(`[MATCHUP] Priced ${lines.filter(l => l.tieProb !== null).length}/${lines.length} book lines, ${edges.length} edges flagged`);
 
-    const now = new Date();
-    
-    // Get completed tournaments
-    const completedTournaments = tournaments
-      .filter(t => {
-        let tourneyEndDate;
-        
-        if (t.end_date) {
-          tourneyEndDate = new Date(t.end_date);
-        } else if (t.start_date) {
-          tourneyEndDate = new Date(t.start_date);
-          tourneyEndDate.setDate(tourneyEndDate.getDate() + 4);
-        } else if (t.date) {
-          tourneyEndDate = new Date(t.date);
-          tourneyEndDate.setDate(tourneyEndDate.getDate() + 4);
-        } else {
-          return false;
-        }
-        
-        const oneDayAgo = new Date(now.getTime() - 1 * 24 * 60 * 60 * 1000);
-        return tourneyEndDate < oneDayAgo;
-      })
-      .sort((a, b) => {
-        const aDate = new Date(a.end_date || a.start_date || a.date);
-        const bDate = new Date(b.end_date || b.start_date || b.date);
-        return bDate - aDate;
-      })
-      .slice(0, 10);
+    return { lines, edges, pricedAt: new Date().toISOString() };
+  } catch (error) {
+    console.error('[MATCHUP] Book line pricing failed:', error.message);
+    return null;
+  }
+}
 
-    // For each player, compile their recent results
-    const playerFormData = {};
-    
-    for (const player of playerNames) {
-      playerFormData[normalizePlayerName(player)] = {
-        recentResults: [],
-        courseHistory: [],
-        momentum: 'unknown'
-      };
-    }
+/**
+ * Recommend stakes for Claude's matchups and the flagged book edges
+ * Probability per side: DataGolf's matchup price with the vig removed, else the quant model's fair price.
+ * Claude matchups take the tournament matchup line for the same pairing at its best price; without
+ * one there's nothing to bet into, so they get no stake.
+ */
+function attachMatchupStakes(suggestedMatchups, customMatchup, bookMatchups, playersWithData, bankroll) {
+  const lines = bookMatchups?.lines || [];
+  const findPlayer = name => playersWithData.find(p => normalizePlayerName(p.name) === normalizePlayerName(name));
+  const candidates = [];
+
+  const claudeMatchups = customMatchup ? [...suggestedMatchups, customMatchup] : suggestedMatchups;
+  claudeMatchups.forEach((matchup, i) => {
+    const names = [matchup.playerA?.name, matchup.playerB?.name];
+    const line = findBookLine(lines, 'tournament_matchups', null, names);
+    const sideIndex = line ? line.players.findIndex(p => normalizePlayerName(p.name) === normalizePlayerName(matchup.pick)) : -1;
+    const side = sideIndex >= 0 ? line.sides[sideIndex] : null;
+
+    candidates.push({
+      key: `claude:${i}`,
+      player: matchup.pick,
+      market: 'tournament_matchups',
+      ...sideProbability(line, sideIndex),
+      odds: side?.bestOdds || null,
+      profile: skillProfile(findPlayer(matchup.pick)),
+      noLine: !side
+    });
+  });
+
+  (bookMatchups?.edges || []).forEach((edge, i) => {
+    const line = findBookLine(lines, edge.market, edge.round, [edge.pick, ...edge.opponents]);
+    const sideIndex = line ? line.players.findIndex(p => p.name === edge.pick) : -1;
+
+    candidates.push({
+      key: `book:${i}`,
+      player: edge.pick,
+      market: edge.market,
+      ...sideProbability(line, sideIndex),
+      odds: edge.odds,
+      profile: skillProfile(findPlayer(edge.pick))
+    });
+  });
 
-    // Fetch results for recent tournaments (only first 5 to save time)
-    for (const tournament of completedTournaments.slice(0, 5)) {
-      try {
-        const fieldUrl = `https://feeds.datagolf.com/field-updates?tour=${apiTour}&file_format=json&key=${apiKey}`;
-        const fieldResponse = await axios.get(fieldUrl, {
-          timeout: 10000,
-          headers: {
-            'User-Agent': 'Golf-Predictor-App/1.0',
-            'Accept': 'application/json'
-          }
-        });
-
-        if (fieldResponse.data?.field) {
-          const isCourseMatch = tournament.course?.toLowerCase().includes(courseName?.toLowerCase().split(' ')[0]) ||
-                                courseName?.toLowerCase().includes(tournament.course?.toLowerCase().split(' ')[0]);
-
-          for (const playerResult of fieldResponse.data.field) {
-            if (!playerResult.player_name) continue;
-            
-            const normalizedName = normalizePlayerName(playerResult.player_name);
-            if (playerFormData[normalizedName]) {
-              const result = {
-                tournament: tournament.event_name,
-                date: tournament.date,
-                position: playerResult.finish_position || playerResult.position,
-                score: playerResult.total_to_par,
-                madeCut: playerResult.made_cut !== false
-              };
-
-              playerFormData[normalizedName].recentResults.push(result);
-
-              if (isCourseMatch) {
-                playerFormData[normalizedName].courseHistory.push(result);
-              }
-            }
-          }
-        }
-      } catch (error) {
-        console.log(`[MATCHUP-FORM] Failed to fetch results for ${tournament.event_name}`);
-      }
-    }
+  const { stakes, ...summary } = recommendStakes(candidates, { bankroll, source: 'matchups' });
 
-    // Calculate momentum
-    for (const normalizedName in playerFormData) {
-      const recent = playerFormData[normalizedName].recentResults;
-      if (recent.length >= 3) {
-        const recentPositions = recent.slice(0, 3).map(r => parseInt(r.position) || 999);
-        const olderPositions = recent.slice(3, 6).map(r => parseInt(r.position) || 999);
-        
-        if (recentPositions.length > 0 && olderPositions.length > 0) {
-          const recentAvg = recentPositions.reduce((a, b) => a + b, 0) / recentPositions.length;
-          const olderAvg = olderPositions.reduce((a, b) => a + b, 0) / olderPositions.length;
-          
-          if (recentAvg < olderAvg - 10) {
-            playerFormData[normalizedName].momentum = '📈 Hot';
-          } else if (recentAvg > olderAvg + 10) {
-            playerFormData[normalizedName].momentum = '📉 Cold';
-          } else {
-            playerFormData[normalizedName].momentum = '➡️ Steady';
-          }
-        }
-      }
-    }
+  claudeMatchups.forEach((matchup, i) => {
+    const staking = stakes[`claude:${i}`];
+    if (candidates[i].noLine) staking.limits = ['No bookmaker line'];
+    matchup.staking = staking;
+  });
+  (bookMatchups?.edges || []).forEach((edge, i) => { edge.staking = stakes[`book:${i}`]; });
 
-    return {
-      players: Object.keys(playerFormData).map(normalizedName => ({
-        normalizedName,
-        ...playerFormData[normalizedName]
-      }))
-    };
+  return summary;
+}
 
-  } catch (error) {
-    console.error('[MATCHUP-FORM] Error fetching form data:', error.message);
-    return { players: [] };
+function findBookLine(lines, market, round, names) {
+  const wanted = names.map(name => normalizePlayerName(name || '')).sort().join('|');
+  return lines.find(line =>
+    line.market === market &&
+    (round === null || line.round === round) &&
+    line.players.map(p => normalizePlayerName(p.name)).sort().join('|') === wanted
+  ) || null;
+}
+
+function sideProbability(line, sideIndex) {
+  if (!line || sideIndex < 0) return { probability: null, probSource: null };
+
+  if (line.dgOdds) {
+    const implied = line.dgOdds.map(odds => 1 / americanToDecimal(odds));
+    const total = implied.reduce((sum, p) => sum + p, 0);
+    return { probability: implied[sideIndex] / total, probSource: 'DataGolf' };
   }
+  const fairProb = line.sides[sideIndex]?.fairProb;
+  return { probability: fairProb ?? null, probSource: fairProb == null ? null : 'Quant model' };
 }
 
 /**
@@ -449,7 +493,7 @@ YOU MUST analyze this specific matchup and include it in your response as "custo
   return `Golf analyst: Generate 4-5 intelligent head-to-head matchup predictions.
 
 TOURNAMENT: ${tournament.name}
-Course: ${courseDemands}
+${formatPromptNote(tournament)}Course: ${courseDemands}
 Weather: ${weatherAnalysis}
 
 TOP 50 PLAYERS (with SG stats):
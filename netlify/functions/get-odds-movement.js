@@ -0,0 +1,71 @@
+const { normalizePlayerName } = require('./shared-utils');
+const { loadOddsHistory, summarizeLineMovement } = require('./odds-history');
+
+/**
+ * Get Odds Movement
+ * Opening / current / closing outright price per player plus the biggest movers,
+ * built from the odds-history series recorded by fetch-pre-tournament-odds and fetch-odds
+ *
+ * GET ?tour=pga[&tournament=Name][&eventId=14&season=2026][&player=Name]
+ * ?eventId= (with ?season=) picks that edition's series; without it or ?tournament= the most recently
+ * updated series for the tour is used.
+ * ?player= trims the response to one player's line history.
+ */
+exports.handler = async (event, context) => {
+  try {
+    const { tour = 'pga', tournament = '', eventId = '', season = '', player = '' } = event.queryStringParameters || {};
+    const edition = eventId ? { name: tournament, eventId, season } : tournament || null;
+
+    console.log(`[ODDS-MOVE] Loading line history for ${tour}${tournament || eventId ? ` (${tournament || `event ${eventId}`})` : ''}`);
+
+    let history;
+    try {
+      history = await loadOddsHistory(tour, edition, context);
+    } catch (storeError) {
+      console.error('[ODDS-MOVE] Blob store unavailable:', storeError.message);
+      return createErrorResponse(503, 'Blobs not available', storeError.message);
+    }
+
+    if (!history || !history.snapshots?.length) {
+      return createErrorResponse(404, 'No odds history found', 'No odds snapshots have been recorded yet for this tournament');
+    }
+
+    const movement = summarizeLineMovement(history);
+
+    if (player) {
+      const target = normalizePlayerName(player);
+      movement.players = movement.players.filter(p => normalizePlayerName(p.player) === target);
+    }
+
+    console.log(`[ODDS-MOVE] ✅ ${history.tournament.name}: ${movement.snapshotCount} snapshots, ${movement.players.length} players`);
+
+    return createSuccessResponse({
+      tournament: history.tournament,
+      tour: history.tour,
+      ...movement
+    });
+
+  } catch (error) {
+    console.error('[ODDS-MOVE] Error:', error.message);
+    return createErrorResponse(500, 'Failed to load odds movement', error.message);
+  }
+};
+
+function createSuccessResponse(data) {
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'public, max-age=300'
+    },
+    body: JSON.stringify(data)
+  };
+}
+
+function createErrorResponse(statusCode, error, message) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ error, message })
+  };
+}
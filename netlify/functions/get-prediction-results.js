@@ -1,15 +1,34 @@
-const { getBlobStore, normalizePlayerName, americanToDecimal } = require('./shared-utils');
+const { getBlobStore, tournamentRef, isSameTournament } = require('./shared-utils');
+const { parseStakingPlan, describeEachWayTerms, runBankroll } = require('./betting-ledger');
+const {
+  analyzeValuePicks,
+  analyzeAvoidPicks,
+  analyzeMatchups,
+  analyzeMarketPicks,
+  analyzeClosingLineValue,
+  summarizeClv
+} = require('./results-scoring');
+const { loadOddsHistory, getClosingLine } = require('./odds-history');
+const { findManifest } = require('./content-pipeline');
 const axios = require('axios');
+const { config } = require('./config');
 
 /**
- * Analyze ALL prediction performance - Value Picks, Avoid Picks, and Matchups
+ * Analyze ALL prediction performance - Value Picks, Market Picks, Avoid Picks, and Matchups
  * Reads saved data from Netlify Blobs across all three stores
- * Returns grouped by tournament with results for each category
+ * Returns grouped by tournament with results for each category - one saved artifact per tournament
+ * and category is graded (the pipeline's, else the last before tee-off - see gradedArtifact)
+ *
+ * Value picks are settled as real bets (see betting-ledger.js). Staking plan via query string:
+ * ?market=each_way|win|top_5|top_10|top_20|make_cut|miss_cut&stake=100&bankroll=10000&ewFraction=1/5&ewPlaces=5
+ *
+ * Every pick is also graded on closing-line value against the odds-history series (see results-scoring.js)
  */
 exports.handler = async (event, context) => {
   try {
     const tour = event.queryStringParameters?.tour || 'pga';
-    const baseUrl = process.env.URL || 'http://localhost:8888';
+    const baseUrl = config.siteUrl;
+    const stakingPlan = parseStakingPlan(event.queryStringParameters || {});
 
     console.log(`[RESULTS] Fetching all saved data for ${tour} tour...`);
 
@@ -51,8 +70,8 @@ exports.handler = async (event, context) => {
       });
     }
 
-    // Load all blob data and group by tournament name
-    const tournamentMap = {};
+    // Load every saved artifact, grouped by tournament (event id + season, else name) and category
+    const savedByTournament = {};
 
     const loadBlobs = async (storeName, blobs, category) => {
       const store = getBlobStore(storeName, context);
@@ -61,62 +80,10 @@ exports.handler = async (event, context) => {
           const data = await store.get(blob.key, { type: 'json' });
           if (!data || !data.tournament?.name) continue;
 
-          const name = data.tournament.name;
-          if (!tournamentMap[name]) {
-            tournamentMap[name] = {
-              tournament: data.tournament,
-              generatedAt: data.generatedAt || data.metadata?.generatedAt,
-              predictions: [],
-              avoidPicks: [],
-              matchups: []
-            };
-          }
-
-          // Track most recent timestamp
-          const dataTime = new Date(data.generatedAt || data.metadata?.generatedAt || 0).getTime();
-          const existingTime = new Date(tournamentMap[name].generatedAt || 0).getTime();
-          if (dataTime > existingTime) {
-            tournamentMap[name].generatedAt = data.generatedAt || data.metadata?.generatedAt;
-          }
-
-          // MERGE all unique players from all blobs (not just first blob)
-          if (category === 'predictions') {
-            const newPicks = data.predictions || [];
-            for (const pick of newPicks) {
-              const isDuplicate = tournamentMap[name].predictions.some(existing =>
-                normalizePlayerName(existing.player) === normalizePlayerName(pick.player)
-              );
-              if (!isDuplicate) {
-                tournamentMap[name].predictions.push(pick);
-              }
-            }
-          } else if (category === 'avoidPicks') {
-            const newPicks = data.avoidPicks || [];
-            for (const pick of newPicks) {
-              const isDuplicate = tournamentMap[name].avoidPicks.some(existing =>
-                normalizePlayerName(existing.player) === normalizePlayerName(pick.player)
-              );
-              if (!isDuplicate) {
-                tournamentMap[name].avoidPicks.push(pick);
-              }
-            }
-          } else if (category === 'matchups') {
-            const newMatchups = data.suggestedMatchups || [];
-            for (const matchup of newMatchups) {
-              // Dedupe matchups by pick name + opponent name
-              const pickName = matchup.pick || '';
-              const opponentName = matchup.playerA?.name === pickName ? matchup.playerB?.name : matchup.playerA?.name;
-              const isDuplicate = tournamentMap[name].matchups.some(existing => {
-                const existPick = existing.pick || '';
-                const existOpp = existing.playerA?.name === existPick ? existing.playerB?.name : existing.playerA?.name;
-                return normalizePlayerName(existPick) === normalizePlayerName(pickName) &&
-                       normalizePlayerName(existOpp) === normalizePlayerName(opponentName);
-              });
-              if (!isDuplicate) {
-                tournamentMap[name].matchups.push(matchup);
-              }
-            }
-          }
+          const tournamentKey = tournamentRef(data.tournament) || data.tournament.name;
+          const saved = savedByTournament[tournamentKey] = savedByTournament[tournamentKey] ||
+            { tournament: data.tournament, predictions: [], avoidPicks: [], matchups: [] };
+          saved[category].push({ key: blob.key, data });
         } catch (err) {
           console.log(`[RESULTS] Error reading ${category} blob ${blob.key}: ${err.message}`);
         }
@@ -129,17 +96,45 @@ exports.handler = async (event, context) => {
       loadBlobs('matchups', matchupBlobs, 'matchups')
     ]);
 
+    // Grade ONE artifact per tournament and category - every pipeline regeneration saves another,
+    // and counting them all would stake the same bets several times over
+    const tournamentMap = {};
+    await Promise.all(Object.entries(savedByTournament).map(async ([tournamentKey, saved]) => {
+      const manifest = await findManifest(tour, saved.tournament, context);
+      const fromPipeline = manifest?.tournament && isSameTournament(manifest.tournament, saved.tournament) ? manifest.artifacts : {};
+
+      const predictions = gradedArtifact(saved.predictions, fromPipeline.predictions?.key)?.data;
+      const avoid = gradedArtifact(saved.avoidPicks, fromPipeline.avoidPicks?.key)?.data;
+      const matchups = gradedArtifact(saved.matchups, fromPipeline.matchups?.key)?.data;
+      const graded = [predictions, avoid, matchups].filter(Boolean);
+
+      tournamentMap[tournamentKey] = {
+        tournament: (predictions || graded[0]).tournament,
+        generatedAt: graded.map(generatedAt).filter(Boolean).sort().pop() || null,
+        predictions: predictions?.predictions || [],
+        marketPicks: predictions?.marketPicks || {},
+        avoidPicks: avoid?.avoidPicks || [],
+        matchups: matchups?.suggestedMatchups || [],
+        bookMatchups: matchups?.bookMatchups?.edges || [],
+        artifactsSaved: { predictions: saved.predictions.length, avoidPicks: saved.avoidPicks.length, matchups: saved.matchups.length }
+      };
+    }));
+
     console.log(`[RESULTS] Found ${Object.keys(tournamentMap).length} unique tournaments`);
     
-    // Log merged counts
-    for (const [name, tData] of Object.entries(tournamentMap)) {
-      console.log(`[RESULTS] "${name}" - ${tData.predictions.length} value picks, ${tData.avoidPicks.length} avoid picks, ${tData.matchups.length} matchups`);
+    for (const [tournamentKey, tData] of Object.entries(tournamentMap)) {
+      const { predictions, avoidPicks, matchups } = tData.artifactsSaved;
+      console.log(`[RESULTS] "${tData.tournament.name}" (${tournamentKey}) - ${tData.predictions.length} value picks, ${tData.avoidPicks.length} avoid picks, ${tData.matchups.length} matchups (graded 1 of ${predictions}/${avoidPicks}/${matchups} saved)`);
     }
 
+    // Odds histories for CLV, all at once - one sequential read per tournament outlasts the function
+    const oddsHistories = await loadOddsHistories(tour, tournamentMap, context);
+
     // For each tournament, fetch results and analyze
     const tournaments = [];
 
-    for (const [tournamentName, tData] of Object.entries(tournamentMap)) {
+    for (const [tournamentKey, tData] of Object.entries(tournamentMap)) {
+      const tournamentName = tData.tournament.name;
       try {
         console.log(`[RESULTS] Fetching results for: ${tournamentName}`);
 
@@ -160,17 +155,35 @@ exports.handler = async (event, context) => {
         }
 
         let valueAnalysis = null;
+        let marketAnalysis = null;
         let avoidAnalysis = null;
         let matchupAnalysis = null;
+        let bookMatchupAnalysis = null;
+
+        // Saves from before event formats only have their tour - the format the results came back with stands in
+        const format = tData.tournament.format || resultsData.format || tData.tournament.tour || tour;
 
         if (tData.predictions?.length > 0) {
-          valueAnalysis = analyzeValuePicks(tData.predictions, results);
+          valueAnalysis = analyzeValuePicks(tData.predictions, results, stakingPlan, format);
+        }
+        if (Object.values(tData.marketPicks).some(picks => picks.length > 0)) {
+          marketAnalysis = analyzeMarketPicks(tData.marketPicks, results, stakingPlan);
         }
         if (tData.avoidPicks?.length > 0) {
-          avoidAnalysis = analyzeAvoidPicks(tData.avoidPicks, results);
+          avoidAnalysis = analyzeAvoidPicks(tData.avoidPicks, results, stakingPlan, format);
         }
         if (tData.matchups?.length > 0) {
-          matchupAnalysis = analyzeMatchups(tData.matchups, results);
+          matchupAnalysis = analyzeMatchups(tData.matchups, results, stakingPlan);
+        }
+        if (tData.bookMatchups.length > 0) {
+          bookMatchupAnalysis = analyzeMatchups(tData.bookMatchups, results, stakingPlan);
+        }
+
+        const clvAnalysis = gradeClosingLine(tData, oddsHistories[tournamentKey]);
+        if (clvAnalysis) {
+          attachClv(valueAnalysis?.picks, clvAnalysis.value.picks);
+          attachClv(avoidAnalysis?.picks, clvAnalysis.avoid.picks);
+          matchupAnalysis?.matchups.forEach((m, i) => { m.clv = clvAnalysis.matchups.matchups[i]?.clv ?? null; });
         }
 
         tournaments.push({
@@ -178,11 +191,16 @@ exports.handler = async (event, context) => {
           generatedAt: tData.generatedAt,
           status: 'completed',
           valuePicks: tData.predictions || [],
+          marketPicks: tData.marketPicks,
           avoidPicks: tData.avoidPicks || [],
           matchups: tData.matchups || [],
+          bookMatchups: tData.bookMatchups,
           valueAnalysis,
+          marketAnalysis,
           avoidAnalysis,
-          matchupAnalysis
+          matchupAnalysis,
+          bookMatchupAnalysis,
+          clvAnalysis
         });
 
       } catch (error) {
@@ -192,55 +210,126 @@ exports.handler = async (event, context) => {
           generatedAt: tData.generatedAt,
           status: 'error',
           valuePicks: tData.predictions || [],
+          marketPicks: tData.marketPicks,
           avoidPicks: tData.avoidPicks || [],
           matchups: tData.matchups || [],
+          bookMatchups: tData.bookMatchups,
           valueAnalysis: null,
+          marketAnalysis: null,
           avoidAnalysis: null,
-          matchupAnalysis: null
+          matchupAnalysis: null,
+          bookMatchupAnalysis: null,
+          clvAnalysis: null
         });
       }
     }
 
-    // Sort by date (most recent first)
+    // Run the bankroll forward oldest-first, then attach each tournament's before/after
     tournaments.sort((a, b) =>
-      new Date(b.generatedAt || 0).getTime() - new Date(a.generatedAt || 0).getTime()
+      new Date(a.generatedAt || 0).getTime() - new Date(b.generatedAt || 0).getTime()
     );
 
+    const ledgered = tournaments.filter(t => t.valueAnalysis?.ledger);
+    const bankroll = runBankroll(
+      ledgered.map(t => ({ tournament: t.tournament.name, date: t.generatedAt, ledger: t.valueAnalysis.ledger })),
+      stakingPlan.startingBankroll
+    );
+
+    // History runs in entry order - one entry per ledgered tournament
+    bankroll.history.forEach((entry, i) => {
+      ledgered[i].valueAnalysis.ledger.bankrollBefore = entry.bankrollBefore;
+      ledgered[i].valueAnalysis.ledger.bankrollAfter = entry.bankrollAfter;
+    });
+
+    // Sort by date (most recent first)
+    tournaments.reverse();
+
     // Summary stats
     const completedTournaments = tournaments.filter(t => t.status === 'completed').length;
     let overallROI = 0;
     let totalBets = 0;
     let matchupWins = 0;
     let matchupTotal = 0;
+    let matchupProfit = 0;
     let avoidCorrect = 0;
     let avoidTotal = 0;
+    let avoidProfit = 0;
+    const marketRecord = { picks: 0, hits: 0, profit: 0, markets: {} };
+    const bookMatchupRecord = { wins: 0, losses: 0, pushes: 0, deadHeats: 0, total: 0, profit: 0 };
 
     tournaments.forEach(t => {
       if (t.valueAnalysis) {
         overallROI += t.valueAnalysis.totalROI;
-        totalBets += t.valueAnalysis.totalPicks;
+        totalBets += t.valueAnalysis.ledger.betCount;
       }
       if (t.matchupAnalysis) {
         matchupWins += t.matchupAnalysis.wins;
         matchupTotal += t.matchupAnalysis.totalMatchups;
+        matchupProfit += t.matchupAnalysis.totalROI || 0;
+      }
+      if (t.bookMatchupAnalysis) {
+        bookMatchupRecord.wins += t.bookMatchupAnalysis.wins;
+        bookMatchupRecord.losses += t.bookMatchupAnalysis.losses;
+        bookMatchupRecord.pushes += t.bookMatchupAnalysis.pushes;
+        bookMatchupRecord.deadHeats += t.bookMatchupAnalysis.deadHeats;
+        bookMatchupRecord.total += t.bookMatchupAnalysis.totalMatchups;
+        bookMatchupRecord.profit = Math.round((bookMatchupRecord.profit + (t.bookMatchupAnalysis.totalROI || 0)) * 100) / 100;
       }
       if (t.avoidAnalysis) {
         avoidCorrect += t.avoidAnalysis.correctAvoids;
         avoidTotal += t.avoidAnalysis.totalPicks;
+        avoidProfit += t.avoidAnalysis.totalROI || 0;
+      }
+      if (t.marketAnalysis) {
+        marketRecord.picks += t.marketAnalysis.totalPicks;
+        marketRecord.hits += t.marketAnalysis.hits;
+        marketRecord.profit = Math.round((marketRecord.profit + t.marketAnalysis.totalROI) * 100) / 100;
+        for (const [market, m] of Object.entries(t.marketAnalysis.markets)) {
+          const total = marketRecord.markets[market] = marketRecord.markets[market] || { label: m.label, picks: 0, hits: 0, profit: 0 };
+          total.picks += m.picks;
+          total.hits += m.hits;
+          total.profit = Math.round((total.profit + m.profit) * 100) / 100;
+        }
       }
     });
 
+    // Season CLV: every graded pick/side across all tournaments
+    const clvTournaments = tournaments.filter(t => t.clvAnalysis);
+    const seasonClv = {
+      tournaments: clvTournaments.length,
+      value: summarizeClv(clvTournaments.flatMap(t => t.clvAnalysis.value.picks)),
+      avoid: summarizeClv(clvTournaments.flatMap(t => t.clvAnalysis.avoid.picks)),
+      matchups: summarizeClv(clvTournaments.flatMap(t => t.clvAnalysis.matchups.matchups)),
+      overall: summarizeClv(clvTournaments.flatMap(t => [
+        ...t.clvAnalysis.value.picks,
+        ...t.clvAnalysis.avoid.picks,
+        ...t.clvAnalysis.matchups.matchups.flatMap(m => [m.pick, m.opponent])
+      ]))
+    };
+
     console.log(`[RESULTS] ✅ Processed ${tournaments.length} tournaments`);
+    console.log(`[RESULTS] CLV: ${seasonClv.overall.graded} graded, avg ${seasonClv.overall.avgClv ?? 'n/a'} pts`);
+    console.log(`[RESULTS] Ledger: ${bankroll.betCount} bets, staked $${bankroll.totalStaked}, P/L $${bankroll.profit} (${bankroll.yield}% yield), bankroll $${bankroll.currentBankroll}`);
 
     return createSuccessResponse({
       tournaments,
       summary: {
         totalTournaments: tournaments.length,
         completedTournaments,
-        overallROI,
+        overallROI: Math.round(overallROI * 100) / 100,
         totalBets,
-        matchupRecord: { wins: matchupWins, total: matchupTotal },
-        avoidRecord: { correct: avoidCorrect, total: avoidTotal }
+        ledger: {
+          stakingPlan: {
+            ...stakingPlan,
+            eachWayTerms: describeEachWayTerms(stakingPlan.eachWay)
+          },
+          ...bankroll
+        },
+        matchupRecord: { wins: matchupWins, total: matchupTotal, profit: Math.round(matchupProfit * 100) / 100 },
+        bookMatchupRecord,
+        avoidRecord: { correct: avoidCorrect, total: avoidTotal, profit: Math.round(avoidProfit * 100) / 100 },
+        marketRecord,
+        clv: seasonClv
       }
     });
 
@@ -250,134 +339,88 @@ exports.handler = async (event, context) => {
   }
 };
 
-// ==================== ANALYSIS FUNCTIONS ====================
-
-function analyzeValuePicks(predictions, results) {
-  const analysis = {
-    totalPicks: predictions.length,
-    wins: 0, top5s: 0, top10s: 0, top20s: 0,
-    madeCut: 0, missedCut: 0, notFound: 0,
-    totalROI: 0,
-    picks: []
-  };
-
-  for (const pick of predictions) {
-    const playerResult = findPlayer(pick.player, results);
-    const position = playerResult ? parsePosition(playerResult.position) : null;
-    let performance = 'not-found';
-    let roi = -100;
-
-    if (!playerResult) {
-      analysis.notFound++;
-    } else if (position === 1) {
-      analysis.wins++;
-      performance = 'win';
-      const dec = americanToDecimal(pick.odds);
-      roi = dec ? (100 * dec) - 100 : 0;
-    } else if (position <= 5) {
-      analysis.top5s++;
-      performance = 'top-5';
-    } else if (position <= 10) {
-      analysis.top10s++;
-      performance = 'top-10';
-    } else if (position <= 20) {
-      analysis.top20s++;
-      performance = 'top-20';
-    } else if (position <= 65) {
-      analysis.madeCut++;
-      performance = 'made-cut';
-    } else {
-      analysis.missedCut++;
-      performance = 'missed-cut';
-    }
-
-    analysis.totalROI += roi;
-    analysis.picks.push({
-      player: pick.player,
-      odds: pick.odds,
-      position: playerResult?.position || 'N/A',
-      performance,
-      roi
-    });
-  }
+// ==================== CLOSING LINE VALUE ====================
 
-  return analysis;
+/**
+ * Odds history for every tournament in tournamentMap, read in parallel - { [tournamentKey]: history | null }
+ * Looked up by the saved tournament's event id + season, so a repeat event gets its own year's line
+ */
+async function loadOddsHistories(tour, tournaments, context) {
+  const entries = Object.entries(tournaments);
+  const histories = await Promise.all(entries.map(([, tData]) =>
+    loadOddsHistory(tData.tournament.tour || tour, tData.tournament, context).catch(error => {
+      console.log(`[RESULTS] Odds history unavailable for "${tData.tournament.name}": ${error.message}`);
+      return null;
+    })
+  ));
+  return Object.fromEntries(entries.map(([tournamentKey], i) => [tournamentKey, histories[i]]));
 }
 
-function analyzeAvoidPicks(avoidPicks, results) {
-  const analysis = {
-    totalPicks: avoidPicks.length,
-    correctAvoids: 0,
-    wrongAvoids: 0,
-    picks: []
-  };
-
-  for (const pick of avoidPicks) {
-    const playerResult = findPlayer(pick.player, results);
-    const position = playerResult ? parsePosition(playerResult.position) : null;
-    let verdict = 'correct';
+/**
+ * Grade a tournament's picks against its closing line, or null when no odds history was recorded
+ */
+function gradeClosingLine(tData, history) {
+  try {
+    const closingLine = getClosingLine(history, tData.generatedAt);
 
-    if (playerResult && position && position <= 20) {
-      analysis.wrongAvoids++;
-      verdict = 'wrong';
-    } else {
-      analysis.correctAvoids++;
+    if (!closingLine) {
+      console.log(`[RESULTS] No closing line for "${tData.tournament.name}" - CLV skipped`);
+      return null;
     }
 
-    analysis.picks.push({
-      player: pick.player,
-      odds: pick.odds,
-      position: playerResult?.position || 'MC/WD',
-      verdict
-    });
+    return analyzeClosingLineValue({
+      valuePicks: tData.predictions,
+      avoidPicks: tData.avoidPicks,
+      matchups: tData.matchups
+    }, closingLine);
+  } catch (error) {
+    console.log(`[RESULTS] CLV failed for "${tData.tournament.name}": ${error.message}`);
+    return null;
   }
-
-  return analysis;
 }
 
-function analyzeMatchups(matchups, results) {
-  const analysis = {
-    totalMatchups: matchups.length,
-    wins: 0, losses: 0, pushes: 0,
-    matchups: []
-  };
-
-  for (const m of matchups) {
-    const pickName = m.pick;
-    const otherName = m.playerA?.name === pickName ? m.playerB?.name : m.playerA?.name;
-    const pickPos = parsePosition(findPlayer(pickName, results)?.position);
-    const otherPos = parsePosition(findPlayer(otherName, results)?.position);
-
-    let result = 'push';
-    if (pickPos < otherPos) { analysis.wins++; result = 'win'; }
-    else if (pickPos > otherPos) { analysis.losses++; result = 'loss'; }
-    else { analysis.pushes++; }
-
-    analysis.matchups.push({
-      pick: pickName,
-      pickPosition: findPlayer(pickName, results)?.position || 'MC/WD',
-      opponent: otherName,
-      opponentPosition: findPlayer(otherName, results)?.position || 'MC/WD',
-      result
-    });
-  }
+// ==================== GRADED ARTIFACT ====================
 
-  return analysis;
+/**
+ * The one saved artifact a tournament is graded on: the pipeline manifest's, else the last one
+ * generated before tee-off, else (all generated late) the first one
+ * saved: [{ key, data }] for one tournament and category
+ */
+function gradedArtifact(saved, manifestKey) {
+  if (saved.length === 0) return null;
+  const fromManifest = manifestKey && saved.find(s => s.key === manifestKey);
+  if (fromManifest) return fromManifest;
+
+  const byTime = [...saved].sort((a, b) => new Date(generatedAt(a.data) || 0) - new Date(generatedAt(b.data) || 0));
+  const teeOff = teeOffTime(saved[0].data.tournament);
+  const beforeStart = teeOff ? byTime.filter(s => new Date(generatedAt(s.data) || 0) < teeOff) : byTime;
+  return beforeStart.length > 0 ? beforeStart[beforeStart.length - 1] : byTime[0];
 }
 
-// ==================== HELPERS ====================
+function generatedAt(data) {
+  return data.generatedAt || data.metadata?.generatedAt || null;
+}
 
-function findPlayer(name, results) {
-  return results.find(r => normalizePlayerName(r.player) === normalizePlayerName(name));
+/**
+ * Round-one tee-off (midday UTC on the start date, as the pipeline's freeze uses) - null when unknown
+ */
+function teeOffTime(tournament) {
+  const startDate = tournament?.start_date || tournament?.startDate;
+  if (!startDate) return null;
+  const teeOff = new Date(`${String(startDate).slice(0, 10)}T12:00:00Z`);
+  return isNaN(teeOff.getTime()) ? null : teeOff;
 }
 
-function parsePosition(pos) {
-  if (!pos) return 999;
-  if (typeof pos === 'number') return pos;
-  const num = parseInt(String(pos).replace(/[^0-9]/g, ''));
-  return isNaN(num) ? 999 : num;
+function attachClv(analysisPicks, clvPicks) {
+  if (!analysisPicks) return;
+  analysisPicks.forEach((pick, i) => {
+    pick.clv = clvPicks[i]?.clv ?? null;
+    pick.closingOdds = clvPicks[i]?.closingOdds ?? null;
+  });
 }
 
+// ==================== HELPERS ====================
+
 function createSuccessResponse(data) {
   return {
     statusCode: 200,
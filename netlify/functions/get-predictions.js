@@ -9,9 +9,23 @@ const {
   analyzeWeatherConditions,
   calculateClaudeCost,
   generateBlobKey,
+  tournamentIdentity,
   generatePlayerDataCacheKey,
   isCacheValidForTournament
 } = require('./shared-utils');
+const { runQuantModel, findModelPlayer, summarizeModel } = require('./quant-model');
+const { playerCourseFit } = require('./course-model');
+const { fetchCompCourseHistory, formatCompHistory } = require('./comp-courses');
+const { fetchSgForm, formatSgForm } = require('./sg-form');
+const { getFormAndHistory } = require('./form-service');
+const { PICK_MARKETS, selectMarketPicks } = require('./market-picks');
+const { decimalToAmerican } = require('./odds-history');
+const { resolveBankroll, recommendStakes, skillProfile, winProbability } = require('./staking-engine');
+const { acquireGenerationLock, releaseGenerationLock, reportProgress, inFlightResponse } = require('./generation-lock');
+const { config, requireSecret } = require('./config');
+const { createValidatedMessage } = require('./claude-output');
+const { isSamePlayer } = require('./player-registry');
+const { formatPromptNote, simulationFormat, pickBands } = require('./tour-registry');
 
 /**
  * Main prediction endpoint - OPTIMIZED VERSION v3
@@ -20,20 +34,32 @@ const {
  * - Uses shared utilities (eliminates 300+ lines of duplicated code)
  * - All helper functions centralized in shared-utils
  * - Consistent across all endpoints
+ * ?eventId= picks one of this week's events (fetch-tournament's events) - the main event by default
+ * The response's savedKey is the blob it was saved under (null when the save failed)
  */
 
+const CLAUDE_SETTINGS = {
+  model: 'claude-sonnet-4-20250514',
+  max_tokens: 2000,  // Reduced from 2500 - need to finish under 25s
+  temperature: 0.5   // Higher for faster generation
+};
+
 exports.handler = async (event, context) => {
+  let lock = null;
   try {
     const tour = event.queryStringParameters?.tour || 'pga';
     const reqId = event.queryStringParameters?.reqId || 'unknown';
     const forceRefresh = event.queryStringParameters?.refresh === 'true';
-    const baseUrl = process.env.URL || 'http://localhost:8888';
+    const bankroll = resolveBankroll(event.queryStringParameters?.bankroll);
+    const jobId = event.queryStringParameters?.jobId || null;
+    const eventId = event.queryStringParameters?.eventId || null;
+    const baseUrl = config.siteUrl;
 
-    console.log(`[START] Predictions for ${tour.toUpperCase()} tour - Request ID: ${reqId}${forceRefresh ? ' (FORCE REFRESH)' : ''}`);
+    console.log(`[START] Predictions for ${tour.toUpperCase()} tour${eventId ? ` (event ${eventId})` : ''} - Request ID: ${reqId}${forceRefresh ? ' (FORCE REFRESH)' : ''}`);
 
     // Step 1: ALWAYS fetch current tournament info first (lightweight call)
     // This ensures we know WHICH tournament we're dealing with before checking cache
-    const tournamentResponse = await axios.get(`${baseUrl}/.netlify/functions/fetch-tournament?tour=${tour}`, {
+    const tournamentResponse = await axios.get(`${baseUrl}/.netlify/functions/fetch-tournament?tour=${tour}${eventId ? `&eventId=${eventId}` : ''}`, {
       timeout: 15000
     });
     const tournament = tournamentResponse.data;
@@ -44,9 +70,18 @@ exports.handler = async (event, context) => {
 
     console.log(`[TOURNAMENT] ${tournament.name} (${tournament.field.length} players)`);
 
+    // Step 1.5: One generation per tournament at a time - a concurrent caller shares this run's result
+    lock = await acquireGenerationLock({ kind: 'predictions', tour, subject: tournament.name, context, jobId });
+    if (!lock.acquired) {
+      return await inFlightResponse(lock, context);
+    }
+    await reportProgress(lock, 'stats', {
+      tournament: { name: tournament.name, course: tournament.course, fieldSize: tournament.field.length }
+    });
+
     // Step 2: Try to get cached player data (unless force refresh)
     // Cache key is now TOURNAMENT-SPECIFIC so different weeks never collide
-    const cacheKey = generatePlayerDataCacheKey(tour, tournament.name);
+    const cacheKey = generatePlayerDataCacheKey(tour, tournament);
     let playersWithData = null;
     let weatherData = null;
     let courseInfo = null;
@@ -56,7 +91,7 @@ exports.handler = async (event, context) => {
         const store = getBlobStore('cache', context);
         const cached = await store.get(cacheKey, { type: 'json' });
         
-        if (isCacheValidForTournament(cached, tournament.name)) {
+        if (isCacheValidForTournament(cached, tournament)) {
           const cacheAge = Date.now() - cached.timestamp;
           console.log(`[CACHE] ✅ Using cached player data for "${tournament.name}" (${Math.round(cacheAge / 1000 / 60)} min old)`);
           playersWithData = cached.players;
@@ -76,7 +111,7 @@ exports.handler = async (event, context) => {
     // This ensures weather is always fresh even when player data is cached
     try {
       const weatherResponse = await axios.get(
-        `${baseUrl}/.netlify/functions/fetch-weather?location=${encodeURIComponent(tournament.location)}&tournament=${encodeURIComponent(tournament.name)}&tour=${tour}`,
+        `${baseUrl}/.netlify/functions/fetch-weather?location=${encodeURIComponent(tournament.location)}&tournament=${encodeURIComponent(tournament.name)}&tour=${tour}&eventId=${tournament.event_id || ''}&season=${tournament.calendar_year || ''}`,
         { timeout: 10000 }
       );
       weatherData = weatherResponse.data;
@@ -93,23 +128,26 @@ exports.handler = async (event, context) => {
       const playerNames = tournament.field.map(p => p.name);
 
       // Fetch stats, odds, course info, and form IN PARALLEL (weather already fetched above)
-      const [statsResponse, oddsResponse, courseInfoResponse, recentFormData] = await Promise.all([
+      const [statsResponse, oddsResponse, courseInfoResponse, recentFormData, sgForm] = await Promise.all([
         // Stats
         axios.post(`${baseUrl}/.netlify/functions/fetch-stats`, 
-          { players: playerNames }, 
+          { players: tournament.field.map(p => ({ name: p.name, dgId: p.dg_id })), tour: tournament.feedTour || tournament.tour }, 
           { timeout: 30000 }
         ),
         // Odds
         axios.post(`${baseUrl}/.netlify/functions/fetch-odds`, 
-          { tournamentName: tournament.name, players: playerNames, tour: tournament.tour }, 
+          { tournamentName: tournament.name, players: playerNames, tour: tournament.tour, feedTour: tournament.feedTour,
+            eventId: tournament.event_id, season: tournament.calendar_year, startDate: tournament.start_date, markets: Object.keys(PICK_MARKETS) }, 
           { timeout: 20000 }
         ),
         // Course info
         axios.get(`${baseUrl}/.netlify/functions/fetch-course-info?tour=${tour}&tournament=${encodeURIComponent(tournament.name)}`, 
           { timeout: 10000 }
         ).then(r => r.data),
-        // Recent form and course history
-        fetchRecentFormAndHistory(playerNames, tournament.course, tour)
+        // Recent form and course history (week cache, kept warm by refresh-form)
+        getFormAndHistory({ tournament, tour, playerNames, context }),
+        // Round-level strokes-gained form
+        fetchSgForm(playerNames, tour, context)
       ]);
 
       const statsData = statsResponse.data;
@@ -118,8 +156,16 @@ exports.handler = async (event, context) => {
 
       console.log(`[DATA] Stats: ${statsData.players.length}, Odds: ${oddsData.odds.length}, Course: ${courseInfo.courseName || courseInfo.eventName}, Form data: ${recentFormData.players.length}`);
 
+      // Step 2e: Comp-course history (needs the comp list from course info)
+      const compHistory = await fetchCompCourseHistory({
+        compCourses: courseInfo.compCourses,
+        tour,
+        playerNames,
+        context
+      });
+
       // Step 2f: Merge player data (stats + odds + form)
-      playersWithData = mergePlayerData(statsData.players, oddsData.odds, recentFormData.players);
+      playersWithData = mergePlayerData(statsData.players, oddsData.odds, recentFormData.players, compHistory.players, sgForm);
 
       console.log(`[MERGE] ${playersWithData.length} players with complete data`);
       
@@ -128,7 +174,7 @@ exports.handler = async (event, context) => {
         const store = getBlobStore('cache', context);
         await store.set(cacheKey, JSON.stringify({
           timestamp: Date.now(),
-          tournament: { name: tournament.name, eventId: tournament.eventId },
+          tournament: { name: tournament.name, ...tournamentIdentity(tournament) },
           players: playersWithData,
           courseInfo: courseInfo
         }));
@@ -147,37 +193,51 @@ exports.handler = async (event, context) => {
     
     console.log(`[CLAUDE] Analyzing top ${topPlayers.length} players (optimized from ${playersWithData.length})`);
 
-    // Step 4: Call Claude API
-    const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    // Step 3.5: Run the quant model on the full field (independent of Claude)
+    await reportProgress(lock, 'model');
+    let quantModel = null;
+    try {
+      const modelStartTime = Date.now();
+      quantModel = runQuantModel(playersWithData, {
+        venueType: classifyVenueType(courseInfo, tournament),
+        courseInfo,
+        seedKey: `${tour}-${tournament.name}`,
+        config: simulationFormat(tournament)
+      });
+      console.log(`[MODEL] ✅ Simulated ${quantModel.simulations} tournaments for ${quantModel.players.length} players (${Date.now() - modelStartTime}ms)`);
+    } catch (modelError) {
+      console.error(`[MODEL] ❌ Quant model failed:`, modelError.message);
+      // Continue anyway - Claude picks don't depend on the model
+    }
+
+    // Step 4: Call Claude API - the model's favourites are shown while Claude works
+    await reportProgress(lock, 'claude', {
+      modelFavourites: (quantModel?.players || []).slice(0, 5).map(p => ({ player: p.player, winProb: p.winProb, fairOdds: p.fairOdds }))
+    });
+    const anthropic = new Anthropic({ apiKey: requireSecret('anthropic') });
     const prompt = buildClaudePrompt(tournament, topPlayers, weatherData.summary, courseInfo);
 
-    let message, predictions;
+    let message, predictions, validation;
     try {
       const claudeStartTime = Date.now();
       console.log(`[CLAUDE] Sending request to Claude API...`);
-      message = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 2000,  // Reduced from 2500 - need to finish under 25s
-        temperature: 0.5,  // Higher for faster generation
-        messages: [{ role: 'user', content: prompt }]
-      });
+      ({ data: predictions, message, validation } = await createValidatedMessage({
+        client: anthropic,
+        request: { ...CLAUDE_SETTINGS, messages: [{ role: 'user', content: prompt }] },
+        type: 'predictions',
+        ruleContext: { players: topPlayers, bands: pickBands(tournament) },
+        label: `${tour}-${tournament.name}`,
+        context
+      }));
       const claudeDuration = ((Date.now() - claudeStartTime) / 1000).toFixed(1);
-      console.log(`[CLAUDE] ✅ Received response from Claude API (took ${claudeDuration}s)`);
+      console.log(`[CLAUDE] ✅ Received ${predictions.picks.length} picks from Claude API (took ${claudeDuration}s${validation.repaired ? ', repaired' : ''})`);
     } catch (claudeError) {
-      console.error(`[CLAUDE] ❌ API call failed:`, claudeError.message);
+      console.error(`[CLAUDE] ❌ Generation failed:`, claudeError.message);
       throw new Error(`Claude API error: ${claudeError.message}`);
     }
-
-    // Step 5: Parse Claude response
-    try {
-      predictions = parseClaudeResponse(message.content[0].text);
-      console.log(`[CLAUDE] Generated ${predictions.picks?.length || 0} picks`);
-    } catch (parseError) {
-      console.error(`[CLAUDE] ❌ Failed to parse response:`, parseError.message);
-      throw new Error(`Failed to parse Claude response: ${parseError.message}`);
-    }
     
     // Step 6: Enrich predictions with odds breakdown
+    await reportProgress(lock, 'enriching', { picks: (predictions.picks || []).map(p => p.player) });
     try {
       enrichPredictionsWithOdds(predictions, topPlayers);
       console.log(`[ENRICH] ✅ Added odds breakdown to predictions`);
@@ -186,6 +246,30 @@ exports.handler = async (event, context) => {
       // Continue anyway - enrichment is not critical
     }
 
+    // Step 7: Attach model probabilities and edge to each Claude pick
+    if (quantModel) {
+      attachModelToPicks(predictions, quantModel);
+    }
+
+    // Step 7.5: Placement and cut market value picks (priced from fetch-odds, no Claude call)
+    let marketPicks = {};
+    try {
+      marketPicks = selectMarketPicks(playersWithData, quantModel);
+      const counts = Object.entries(marketPicks).map(([market, picks]) => `${market}:${picks.length}`).join(' ');
+      console.log(`[MARKETS] ✅ Market picks - ${counts}`);
+    } catch (marketError) {
+      console.error(`[MARKETS] ❌ Market picks failed:`, marketError.message);
+    }
+
+    // Step 7.75: Fractional-Kelly stakes for every value and market pick
+    let staking = null;
+    try {
+      staking = attachStakes(predictions, marketPicks, playersWithData, bankroll);
+      console.log(`[STAKING] ✅ $${staking.totalStake} recommended (${staking.exposurePct}% of $${bankroll})`);
+    } catch (stakingError) {
+      console.error(`[STAKING] ❌ Stake recommendations failed:`, stakingError.message);
+    }
+
     // Step 8: Calculate costs
     const cost = calculateClaudeCost(message.usage);
 
@@ -197,7 +281,8 @@ exports.handler = async (event, context) => {
         location: tournament.location,
         dates: tournament.dates,
         tour: tournament.tour,
-        eventId: tournament.eventId
+        format: tournament.format,
+        ...tournamentIdentity(tournament)
       },
       weather: weatherData.summary,
       dailyForecast: weatherData.daily,
@@ -214,6 +299,10 @@ exports.handler = async (event, context) => {
         difficulty: courseInfo.difficulty,
         rewards: courseInfo.rewards || [],
         avgScore: courseInfo.avgScore,
+        compCourses: courseInfo.compCourses || [],
+        holeModel: courseInfo.holeModel
+          ? { source: courseInfo.holeModel.source, metrics: courseInfo.holeModel.metrics, sgWeights: courseInfo.holeModel.sgWeights }
+          : null,
         source: courseInfo.source
       },
       courseAnalysis: {
@@ -223,6 +312,10 @@ exports.handler = async (event, context) => {
         notes: predictions.courseNotes || ''
       },
       predictions: predictions.picks || predictions,
+      marketPicks,
+      quantModel,
+      staking,
+      validation,
       generatedAt,
       tokensUsed: message.usage.input_tokens + message.usage.output_tokens,
       tokenBreakdown: {
@@ -233,11 +326,13 @@ exports.handler = async (event, context) => {
     };
 
     // Step 9: Save predictions to Netlify Blobs for results tracking
+    await reportProgress(lock, 'saving');
+    let savedKey = null;
     try {
       console.log('[SAVE] Attempting to save to Netlify Blobs...');
       
       // Wrap save in timeout to prevent blocking request
-      await Promise.race([
+      savedKey = await Promise.race([
         savePredictionsToBlobs(responseData, context),
         new Promise((_, reject) => 
           setTimeout(() => reject(new Error('Blob save timeout after 3s')), 3000)
@@ -251,6 +346,11 @@ exports.handler = async (event, context) => {
       // Don't fail the request if save fails
     }
 
+    // Unsaved output goes to the job inline, so pollers and lock joiners still get it
+    await releaseGenerationLock(lock, {
+      result: savedKey ? { store: 'predictions', key: savedKey } : { data: responseData }
+    });
+
     // Step 12: Return response
     return {
       statusCode: 200,
@@ -258,11 +358,12 @@ exports.handler = async (event, context) => {
         'Content-Type': 'application/json',
         'Cache-Control': 'no-cache, no-store, must-revalidate'
       },
-      body: JSON.stringify(responseData)
+      body: JSON.stringify({ ...responseData, savedKey })
     };
 
   } catch (error) {
     console.error('[ERROR]', error.message);
+    await releaseGenerationLock(lock, { error: error.message });
     return {
       statusCode: 500,
       body: JSON.stringify({ 
@@ -279,186 +380,15 @@ exports.handler = async (event, context) => {
  * The old inline fetchWeather() function has been removed.
  */
 
-/**
- * Fetch recent form and course history for players
- */
-async function fetchRecentFormAndHistory(playerNames, courseName, tour) {
-  const apiKey = process.env.DATAGOLF_API_KEY;
-  
-  if (!apiKey) {
-    console.log('[FORM] DataGolf API key not configured, skipping form data');
-    return { players: [] };
-  }
-  
-  const apiTour = tour === 'dp' ? 'euro' : (tour || 'pga');
-  
-  try {
-    console.log(`[FORM] Fetching recent tournament results...`);
-    
-    // Fetch schedule to get recent tournaments
-    const scheduleUrl = `https://feeds.datagolf.com/get-schedule?tour=${apiTour}&file_format=json&key=${apiKey}`;
-    const scheduleResponse = await axios.get(scheduleUrl, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Golf-Predictor-App/1.0',
-        'Accept': 'application/json'
-      }
-    });
-
-    const tournaments = Array.isArray(scheduleResponse.data.schedule) 
-      ? scheduleResponse.data.schedule 
-      : Object.values(scheduleResponse.data.schedule);
-
-    console.log(`[FORM] Fetched ${tournaments.length} tournaments from schedule`);
-    
-    // Log a sample to see the structure
-    if (tournaments.length > 0) {
-      const sample = tournaments[0];
-      console.log(`[FORM] Sample tournament structure:`, JSON.stringify({
-        event_name: sample.event_name,
-        event_completed: sample.event_completed,
-        date: sample.date,
-        start_date: sample.start_date,
-        end_date: sample.end_date
-      }));
-    }
-
-    const now = new Date();
-    
-    // Get completed tournaments (where tournament finished at least 2 days ago)
-    const completedTournaments = tournaments
-      .filter(t => {
-        // Try to find tournament end date
-        let tourneyEndDate;
-        
-        if (t.end_date) {
-          tourneyEndDate = new Date(t.end_date);
-        } else if (t.start_date) {
-          // If only start_date, assume 4-day tournament
-          tourneyEndDate = new Date(t.start_date);
-          tourneyEndDate.setDate(tourneyEndDate.getDate() + 4);
-        } else if (t.date) {
-          // If generic date, assume it's start date + 4 days
-          tourneyEndDate = new Date(t.date);
-          tourneyEndDate.setDate(tourneyEndDate.getDate() + 4);
-        } else {
-          return false;
-        }
-        
-        // Tournament is completed if it ended at least 1 day ago
-        const oneDayAgo = new Date(now.getTime() - 1 * 24 * 60 * 60 * 1000);
-        return tourneyEndDate < oneDayAgo;
-      })
-      .sort((a, b) => {
-        const aDate = new Date(a.end_date || a.start_date || a.date);
-        const bDate = new Date(b.end_date || b.start_date || b.date);
-        return bDate - aDate;
-      })
-      .slice(0, 10);
-
-    console.log(`[FORM] Found ${completedTournaments.length} recent completed tournaments`);
-
-    // For each player, compile their recent results
-    const playerFormData = {};
-    
-    for (const player of playerNames) {
-      playerFormData[normalizePlayerName(player)] = {
-        recentResults: [],
-        courseHistory: [],
-        momentum: 'unknown'
-      };
-    }
-
-    // Fetch results for recent tournaments
-    for (const tournament of completedTournaments.slice(0, 5)) {
-      try {
-        const fieldUrl = `https://feeds.datagolf.com/field-updates?tour=${apiTour}&file_format=json&key=${apiKey}`;
-        const fieldResponse = await axios.get(fieldUrl, {
-          timeout: 10000,
-          headers: {
-            'User-Agent': 'Golf-Predictor-App/1.0',
-            'Accept': 'application/json'
-          }
-        });
-
-        if (fieldResponse.data?.field) {
-          const isCourseMatch = tournament.course?.toLowerCase().includes(courseName?.toLowerCase().split(' ')[0]) ||
-                                courseName?.toLowerCase().includes(tournament.course?.toLowerCase().split(' ')[0]);
-
-          for (const playerResult of fieldResponse.data.field) {
-            if (!playerResult.player_name) continue;
-            
-            const normalizedName = normalizePlayerName(playerResult.player_name);
-            if (playerFormData[normalizedName]) {
-              const result = {
-                tournament: tournament.event_name,
-                date: tournament.date,
-                position: playerResult.finish_position || playerResult.position,
-                score: playerResult.total_to_par,
-                madeCut: playerResult.made_cut !== false
-              };
-
-              // Add to recent results
-              playerFormData[normalizedName].recentResults.push(result);
-
-              // If this is the same course, add to course history
-              if (isCourseMatch) {
-                playerFormData[normalizedName].courseHistory.push(result);
-              }
-            }
-          }
-        }
-      } catch (error) {
-        console.log(`[FORM] Failed to fetch results for ${tournament.event_name}:`, error.message);
-      }
-    }
-
-    // Calculate momentum for each player
-    for (const normalizedName in playerFormData) {
-      const recent = playerFormData[normalizedName].recentResults;
-      if (recent.length >= 3) {
-        // Get average position from first 3 vs last 3 results
-        const recentPositions = recent.slice(0, 3).map(r => parseInt(r.position) || 999);
-        const olderPositions = recent.slice(3, 6).map(r => parseInt(r.position) || 999);
-        
-        if (recentPositions.length > 0 && olderPositions.length > 0) {
-          const recentAvg = recentPositions.reduce((a, b) => a + b, 0) / recentPositions.length;
-          const olderAvg = olderPositions.reduce((a, b) => a + b, 0) / olderPositions.length;
-          
-          if (recentAvg < olderAvg - 10) {
-            playerFormData[normalizedName].momentum = '📈 Hot (improving)';
-          } else if (recentAvg > olderAvg + 10) {
-            playerFormData[normalizedName].momentum = '📉 Cold (declining)';
-          } else {
-            playerFormData[normalizedName].momentum = '➡️ Steady';
-          }
-        }
-      }
-    }
-
-    console.log(`[FORM] ✅ Compiled form data for ${Object.keys(playerFormData).length} players`);
-
-    return {
-      players: Object.keys(playerFormData).map(normalizedName => ({
-        normalizedName,
-        ...playerFormData[normalizedName]
-      }))
-    };
-
-  } catch (error) {
-    console.error('[FORM] Failed to fetch form data:', error.message);
-    return { players: [] };
-  }
-}
-
 /**
  * Merge stats and odds data for all players
  */
-function mergePlayerData(statsPlayers, oddsPlayers, formPlayers = []) {
+function mergePlayerData(statsPlayers, oddsPlayers, formPlayers = [], compHistory = {}, sgForm = {}) {
   return statsPlayers
     .map(stat => {
+      // Same dg_id when both feeds have one, else the same name
       const oddsEntry = oddsPlayers.find(o => 
-        normalizePlayerName(o.player) === normalizePlayerName(stat.player)
+        isSamePlayer({ dgId: o.dgId, name: o.player }, { dgId: stat.dgId, name: stat.player })
       );
       
       if (!oddsEntry) return null;
@@ -473,6 +403,7 @@ function mergePlayerData(statsPlayers, oddsPlayers, formPlayers = []) {
       
       return {
         name: stat.player,
+        dgId: stat.dgId || oddsEntry.dgId || null,
         rank: stat.stats.rank,
         odds: americanOdds,  // American odds (e.g., +225)
         americanOdds: formatAmericanOdds(americanOdds), // Formatted string (e.g., "+225")
@@ -481,38 +412,26 @@ function mergePlayerData(statsPlayers, oddsPlayers, formPlayers = []) {
         bestBookmaker: oddsEntry.bestBookmaker,
         worstBookmaker: oddsEntry.worstBookmaker,
         bookmakerCount: oddsEntry.bookmakerCount,
+        dgOdds: oddsEntry.dgOdds || null,  // DataGolf model win price
+        marketOdds: oddsEntry.marketOdds || null,  // top_5 / top_10 / top_20 / make_cut / miss_cut prices
         sgTotal: stat.stats.sgTotal,
         sgOTT: stat.stats.sgOTT,
         sgAPP: stat.stats.sgAPP,
         sgARG: stat.stats.sgARG,
         sgPutt: stat.stats.sgPutt,
+        approach: stat.stats.approach || null,  // SG per shot + proximity by approach distance
         // Recent form
         recentResults: formData?.recentResults || [],
         courseHistory: formData?.courseHistory || [],
-        momentum: formData?.momentum || 'Unknown'
+        compCourseHistory: compHistory[normalizePlayerName(stat.player)] || [],  // Results at the most similar courses
+        sgForm: sgForm[normalizePlayerName(stat.player)] || null,  // Time-decayed, field-adjusted SG by category
+        momentum: sgForm[normalizePlayerName(stat.player)]?.momentum || formData?.momentum || 'Unknown'
       };
     })
     .filter(p => p !== null)
     .sort((a, b) => a.odds - b.odds); // Lower American odds come first (e.g., +200 before +500)
 }
 
-/**
- * Parse Claude's JSON response with error handling
- */
-function parseClaudeResponse(responseText) {
-  try {
-    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('No JSON found in AI response');
-    }
-    return JSON.parse(jsonMatch[0]);
-  } catch (error) {
-    console.error('[PARSE ERROR]', error.message);
-    console.error('[RESPONSE]', responseText.substring(0, 500));
-    throw new Error('Invalid response format from AI');
-  }
-}
-
 /**
  * Enrich predictions with odds breakdown from full player dataset
  */
@@ -526,14 +445,90 @@ function enrichPredictionsWithOdds(predictions, playersWithData) {
     
     return playerData ? {
       ...pick,
+      dgId: playerData.dgId || null,  // lets results grading match the finish by dg_id
       minOdds: playerData.minOdds,
       maxOdds: playerData.maxOdds,
       bestBookmaker: playerData.bestBookmaker,
-      worstBookmaker: playerData.worstBookmaker
+      worstBookmaker: playerData.worstBookmaker,
+      dgOdds: playerData.dgOdds,
+      marketOdds: playerData.marketOdds || undefined  // lets the ledger settle value picks in placement markets
     } : pick;
   });
 }
 
+/**
+ * Attach quant model probabilities and market edge to each Claude pick
+ */
+function attachModelToPicks(predictions, quantModel) {
+  if (!predictions.picks?.length) return;
+
+  predictions.picks = predictions.picks.map(pick => {
+    const modelPlayer = findModelPlayer(quantModel, pick.player);
+    if (!modelPlayer) return pick;
+
+    return {
+      ...pick,
+      model: {
+        projectedStrokes: modelPlayer.projectedStrokes,
+        winProb: modelPlayer.winProb,
+        top5Prob: modelPlayer.top5Prob,
+        top10Prob: modelPlayer.top10Prob,
+        top20Prob: modelPlayer.top20Prob,
+        makeCutProb: modelPlayer.makeCutProb,
+        fairOdds: modelPlayer.fairOdds,
+        marketWinProb: modelPlayer.marketWinProb,
+        edge: modelPlayer.edge,
+        expectedValue: modelPlayer.expectedValue
+      }
+    };
+  });
+}
+
+/**
+ * Recommend stakes for Claude's value picks (win market at the best price) and the market picks
+ * Each pick gets a `staking` entry the ledger settles against; returns the staking summary
+ */
+function attachStakes(predictions, marketPicks, playersWithData, bankroll) {
+  const findPlayer = name => playersWithData.find(p => normalizePlayerName(p.name) === normalizePlayerName(name));
+  const candidates = [];
+
+  (predictions.picks || []).forEach(pick => {
+    const { probability, source } = winProbability(pick.dgOdds, pick.model?.winProb);
+    candidates.push({
+      key: `win:${pick.player}`,
+      player: pick.player,
+      market: 'win',
+      probability,
+      probSource: source,
+      odds: pick.minOdds ? decimalToAmerican(pick.minOdds) : null,
+      profile: skillProfile(findPlayer(pick.player))
+    });
+  });
+
+  Object.entries(marketPicks).forEach(([market, picks]) => picks.forEach(pick => {
+    candidates.push({
+      key: `${market}:${pick.player}`,
+      player: pick.player,
+      market,
+      probability: pick.fairProb,
+      probSource: pick.probSource,
+      odds: pick.bestOdds,
+      profile: skillProfile(findPlayer(pick.player))
+    });
+  }));
+
+  const { stakes, ...summary } = recommendStakes(candidates, { bankroll, source: 'predictions' });
+
+  if (predictions.picks?.length) {
+    predictions.picks = predictions.picks.map(pick => ({ ...pick, staking: stakes[`win:${pick.player}`] }));
+  }
+  Object.keys(marketPicks).forEach(market => {
+    marketPicks[market] = marketPicks[market].map(pick => ({ ...pick, staking: stakes[`${market}:${pick.player}`] }));
+  });
+
+  return summary;
+}
+
 /**
  * Build enhanced prompt for Claude with weather analysis
  * 
@@ -578,6 +573,7 @@ function buildClaudePrompt(tournament, players, weatherSummary, courseInfo) {
 
   // Determine venue type
   const venueType = classifyVenueType(courseInfo, tournament);
+  const compNames = (courseInfo.compCourses || []).map(c => c.name).join(', ');
 
   // Format player lists
   const formatPlayerList = (playerList) => playerList
@@ -592,12 +588,27 @@ function buildClaudePrompt(tournament, players, weatherSummary, courseInfo) {
         formStr += ` | Last5: ${results}`;
       }
       
+      // Strokes-gained form (time-decayed, field-adjusted)
+      if (p.sgForm) {
+        formStr += ` | FormSG: ${formatSgForm(p.sgForm)}`;
+      }
+      
       // Course history
       if (p.courseHistory?.length > 0) {
         const courseResults = p.courseHistory.map(r => 
           `${r.position || 'MC'}${r.madeCut ? '' : '(MC)'}`
         ).join(',');
         formStr += ` | ThisCourse: ${courseResults}`;
+      } else if (p.compCourseHistory?.length > 0) {
+        // No venue history - finishes at the most similar courses stand in
+        formStr += ` | Comps: ${formatCompHistory(p.compCourseHistory)}`;
+      }
+      
+      // Numeric course fit from the hole model (strokes/round) + proximity in the course's main approach band
+      const fit = playerCourseFit(p, courseInfo.holeModel);
+      if (fit) {
+        const proximity = fit.keyBand?.proximity ? ` ${fit.keyBand.band.replace('_', '-')}y:${fit.keyBand.proximity.toFixed(1)}ft` : '';
+        formStr += ` | Fit:${fit.strokes >= 0 ? '+' : ''}${fit.strokes.toFixed(2)}${proximity}`;
       }
       
       // Momentum
@@ -610,10 +621,13 @@ function buildClaudePrompt(tournament, players, weatherSummary, courseInfo) {
     })
     .join('\n');
 
-  return `Golf analyst: Find 6 VALUE picks (1 favorite <+1900, 5 value picks +1900+).
+  // Odds bands for this field - the validator checks the same ones
+  const { picks, favoriteMaxOdds, longshotOdds, minLongshots } = pickBands(tournament);
+
+  return `Golf analyst: Find ${picks} VALUE picks (1 favorite <+${favoriteMaxOdds}, ${picks - 1} value picks +${favoriteMaxOdds}+).
 
 TOURNAMENT: ${tournament.name}
-Course: ${courseInfo.courseName || courseInfo.eventName} | ${courseInfo.yardage || '?'}y Par ${courseInfo.par || '?'}
+${formatPromptNote(tournament)}Course: ${courseInfo.courseName || courseInfo.eventName} | ${courseInfo.yardage || '?'}y Par ${courseInfo.par || '?'}
 Venue type: ${venueType}
 Greens: ${courseInfo.greens || 'Unknown'}
 
@@ -627,26 +641,26 @@ ${weatherAnalysis}
 
 PLAYERS (sorted by odds):
 ${formatPlayerList(players)}
-
+${players.some(p => p.sgForm) ? '\nFormSG = recent strokes gained per round, most recent rounds weighted most and adjusted for field strength: total [O=OTT A=APP G=ARG P=Putt], rounds counted, ↗/↘ = trending up/down. Prefer it over raw finishes when judging form.\n' : ''}${courseInfo.holeModel ? '\nFit = strokes/round this layout adds or costs each player vs an average course (from SG splits and approach skill by distance), with their proximity in the most common approach band.\n' : ''}
 WEIGHTS: Course Fit 35%, Course History 25%, Recent Form 20%, Weather 10%, Quality 10%
 
 IMPORTANT ANALYSIS RULES:
 1. COURSE HISTORY IS KING: A player with strong history at this specific venue (multiple top-20s or better) should be weighted heavily even if other stats are mediocre. Past venue performance is the single most predictive factor in golf.
-2. VENUE TYPE MATTERS: When a player has no history at THIS course, look for results at similar venue types (${venueType}). A player who thrives at desert courses but has never played this specific desert course still has an edge over someone with no desert experience.
+2. COMP COURSES FOR NEW VISITORS: When a player has no history at THIS course, use their "Comps" - finishes at the courses most similar to this one${compNames ? ` (${compNames})` : ''}, similarity 0-1 in brackets. Weight them below real venue history, and the less similar the comp, the less it counts. Without comps, look for results at similar venue types (${venueType}).
 3. PUTTING CONTEXT: Do NOT treat SG:Putt as a standalone predictor. SG:Putt varies enormously by green type (bentgrass vs bermuda vs poa). A player ranked #5 in SG:Putt on bentgrass may putt poorly on bermuda. Consider the green surface (${courseInfo.greens || 'unknown'}) when evaluating putting stats.
 4. WEATHER IS A TIEBREAKER: Weather should only influence your pick when two players are otherwise equal. Never pick a player primarily because of weather conditions, and never avoid one primarily for weather.
-5. DIVERSIFICATION: Your 6 picks MUST represent at least 3 different player profiles. If you notice 3+ picks share the same primary strength (e.g., all elite putters, or all bombers), REPLACE one with a differently-profiled player. Diversification reduces model risk.
+5. DIVERSIFICATION: Your ${picks} picks MUST represent at least 3 different player profiles. If you notice 3+ picks share the same primary strength (e.g., all elite putters, or all bombers), REPLACE one with a differently-profiled player. Diversification reduces model risk.
 
 PICK REQUIREMENTS:
-- Pick #1: <+1900 (best VALUE favorite, NOT lowest odds)
-- Picks #2-6: +1900+ (at least 3 picks +4000+)
+- Pick #1: <+${favoriteMaxOdds} (best VALUE favorite, NOT lowest odds)
+- Picks #2-${picks}: +${favoriteMaxOdds}+ (at least ${minLongshots} picks +${longshotOdds}+)
 
 REASONING FORMAT - Use this EXACT structure with line breaks:
 "Course fit: [Specific SG stat matching course demands, with green surface context for putting].
 
-History: [Results at THIS venue. If none, results at similar ${venueType} venues].
+History: [Results at THIS venue. If none, comp-course results, or results at similar ${venueType} venues].
 
-Form: [Last 3-5 tournaments with specific finishes and momentum direction].
+Form: [Recent strokes-gained form (FormSG) and its trend, with specific finishes for context].
 
 Weather: [Brief note only - how conditions mildly favor/disfavor, NOT a primary factor].
 
@@ -673,8 +687,8 @@ DIVERSIFICATION CHECK (do this before returning):
 - Ensure at least 1 pick is primarily a "course history" pick (strong venue results)
 
 CHECK BEFORE RETURNING:
-- Pick #1 < +1900? Picks #2-6 all +1900+? 3+ picks +4000+?
-- At least 3 different player profiles across all 6 picks?
+- Pick #1 < +${favoriteMaxOdds}? Picks #2-${picks} all +${favoriteMaxOdds}+? ${minLongshots}+ picks +${longshotOdds}+?
+- At least 3 different player profiles across all ${picks} picks?
 - No pick where weather is the #1 reason?
 
 Return JSON:
@@ -746,9 +760,9 @@ function classifyVenueType(courseInfo, tournament) {
  */
 async function savePredictionsToBlobs(responseData, context) {
   const store = getBlobStore('predictions', context);
-  const key = generateBlobKey(responseData.tournament.name, responseData.tournament.tour, responseData.generatedAt);
+  const key = generateBlobKey(responseData.tournament, responseData.tournament.tour, responseData.generatedAt);
 
-  // Save EXACTLY the same data structure as returned to user
+  // Same structure as returned to the user - except the quant model, cut down to its summary (the picks keep their numbers)
   const predictionData = {
     tournament: responseData.tournament,
     weather: responseData.weather,
@@ -756,6 +770,10 @@ async function savePredictionsToBlobs(responseData, context) {
     courseInfo: responseData.courseInfo,
     courseAnalysis: responseData.courseAnalysis,
     predictions: responseData.predictions,
+    marketPicks: responseData.marketPicks,
+    quantModel: summarizeModel(responseData.quantModel),
+    staking: responseData.staking,
+    validation: responseData.validation,
     generatedAt: responseData.generatedAt,
     tokensUsed: responseData.tokensUsed,
     tokenBreakdown: responseData.tokenBreakdown,
@@ -769,4 +787,11 @@ async function savePredictionsToBlobs(responseData, context) {
 
   await store.set(key, JSON.stringify(predictionData));
   console.log(`[SAVE] Saved to blob: ${key}`);
+  return key;
 }
+
+// Exposed so scripts/backtest.js can replay the CURRENT prompt against past tournaments
+exports.CLAUDE_SETTINGS = CLAUDE_SETTINGS;
+exports.buildClaudePrompt = buildClaudePrompt;
+exports.classifyVenueType = classifyVenueType;
+exports.mergePlayerData = mergePlayerData;
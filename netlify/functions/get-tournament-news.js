@@ -8,8 +8,15 @@ const {
   analyzeCourseSkillDemands,
   analyzeWeatherConditions,
   calculateClaudeCost,
-  generateBlobKey
+  generateBlobKey,
+  tournamentIdentity,
+  getDataProvider
 } = require('./shared-utils');
+const { getFormAndHistory } = require('./form-service');
+const { acquireGenerationLock, releaseGenerationLock, reportProgress, inFlightResponse } = require('./generation-lock');
+const { config, requireSecret } = require('./config');
+const { isSamePlayer } = require('./player-registry');
+const { formatPromptNote } = require('./tour-registry');
 
 /**
  * Tournament News & Preview Endpoint - UPGRADED VERSION v2
@@ -20,11 +27,14 @@ const {
  * - RSS news feeds
  * - Comprehensive preview generation
  * - Blob storage for caching
+ * ?eventId= picks one of this week's events (fetch-tournament's events) - the main event by default
+ * The response's savedKey is the blob it was saved under (null when the save failed)
  */
 exports.handler = async (event, context) => {
   console.log('[NEWS] Function invoked');
   console.log('[NEWS] Method:', event.httpMethod);
 
+  let lock = null;
   try {
     // Determine tour from multiple possible sources
     let tour = 'pga'; // Default
@@ -47,14 +57,16 @@ exports.handler = async (event, context) => {
       }
     }
     
-    const baseUrl = process.env.URL || 'http://localhost:8888';
+    const jobId = event.queryStringParameters?.jobId || null;
+    const eventId = event.queryStringParameters?.eventId || null;
+    const baseUrl = config.siteUrl;
     console.log(`[NEWS] Starting comprehensive preview for ${tour} tour`);
 
     // Step 1: Get current tournament info
     let tournament;
     try {
       console.log('[NEWS] Fetching tournament info...');
-      const tournamentResponse = await axios.get(`${baseUrl}/.netlify/functions/fetch-tournament?tour=${tour}`, {
+      const tournamentResponse = await axios.get(`${baseUrl}/.netlify/functions/fetch-tournament?tour=${tour}${eventId ? `&eventId=${eventId}` : ''}`, {
         timeout: 15000
       });
       tournament = tournamentResponse.data;
@@ -64,6 +76,13 @@ exports.handler = async (event, context) => {
       throw new Error('Could not fetch tournament information');
     }
 
+    // Step 1.5: One preview per tournament at a time - a concurrent caller shares this run's result
+    lock = await acquireGenerationLock({ kind: 'news', tour, subject: tournament.name, context, jobId });
+    if (!lock.acquired) {
+      return await inFlightResponse(lock, context);
+    }
+    await reportProgress(lock, 'course', { tournament: { name: tournament.name, course: tournament.course } });
+
     // Step 2: Fetch golf news from RSS feeds (in parallel with other data)
     const newsPromise = fetchGolfNews(tournament.name, tour);
 
@@ -86,24 +105,16 @@ exports.handler = async (event, context) => {
     // Step 4: Get weather forecast with detailed analysis
     let weatherData = null;
     try {
-      const weatherApiKey = process.env.WEATHER_API_KEY;
-      if (weatherApiKey && tournament.location) {
+      const dataProvider = getDataProvider();
+      if (dataProvider.isConfigured('weather') && tournament.location) {
         const location = tournament.location.split(',')[0].trim();
         
         console.log('[NEWS] Fetching weather forecast...');
-        const weatherResponse = await axios.get('https://api.weatherapi.com/v1/forecast.json', {
-          params: {
-            key: weatherApiKey,
-            q: location,
-            days: 4,
-            aqi: 'no'
-          },
-          timeout: 8000
-        });
-
-        if (weatherResponse.data?.forecast) {
+        const forecastData = await dataProvider.getForecast(location, 4);
+
+        if (forecastData?.forecast) {
           const dayNames = ['Thursday', 'Friday', 'Saturday', 'Sunday'];
-          const daily = weatherResponse.data.forecast.forecastday.map((day, index) => ({
+          const daily = forecastData.forecast.forecastday.map((day, index) => ({
             day: dayNames[index] || new Date(day.date).toLocaleDateString('en-US', { weekday: 'long' }),
             date: day.date,
             tempHigh: Math.round(day.day.maxtemp_f),
@@ -136,7 +147,9 @@ exports.handler = async (event, context) => {
     console.log('[NEWS] Weather impact analyzed');
 
     // Step 6: Get top players from tournament field with stats and odds
-    const playerNames = tournament.field ? tournament.field.slice(0, 30).map(p => p.name) : [];
+    await reportProgress(lock, 'stats');
+    const fieldPlayers = tournament.field ? tournament.field.slice(0, 30) : [];
+    const playerNames = fieldPlayers.map(p => p.name);
     console.log(`[NEWS] Analyzing top ${playerNames.length} players`);
 
     let playersWithData = [];
@@ -145,11 +158,12 @@ exports.handler = async (event, context) => {
         // Fetch stats and odds in parallel
         const [statsResponse, oddsResponse] = await Promise.all([
           axios.post(`${baseUrl}/.netlify/functions/fetch-stats`, 
-            { players: playerNames }, 
+            { players: fieldPlayers.map(p => ({ name: p.name, dgId: p.dg_id })), tour: tournament.feedTour || tournament.tour }, 
             { timeout: 25000 }
           ),
           axios.post(`${baseUrl}/.netlify/functions/fetch-odds`, 
-            { tournamentName: tournament.name, players: playerNames, tour: tournament.tour }, 
+            { tournamentName: tournament.name, players: playerNames, tour: tournament.tour, feedTour: tournament.feedTour,
+              eventId: tournament.event_id, season: tournament.calendar_year, startDate: tournament.start_date }, 
             { timeout: 20000 }
           )
         ]);
@@ -158,13 +172,14 @@ exports.handler = async (event, context) => {
         const oddsData = oddsResponse.data;
 
         // Get recent form data
-        const formData = await fetchRecentFormAndHistory(playerNames, tournament.course, tour);
+        const formData = await getFormAndHistory({ tournament, tour, playerNames, context });
 
         // Merge player data
         playersWithData = statsData.players
           .map(stat => {
+            // Same dg_id when both feeds have one, else the same name
             const oddsEntry = oddsData.odds.find(o => 
-              normalizePlayerName(o.player) === normalizePlayerName(stat.player)
+              isSamePlayer({ dgId: o.dgId, name: o.player }, { dgId: stat.dgId, name: stat.player })
             );
             
             const formEntry = formData.players.find(f => 
@@ -175,6 +190,7 @@ exports.handler = async (event, context) => {
             
             return {
               name: stat.player,
+              dgId: stat.dgId || oddsEntry.dgId || null,
               rank: stat.stats.rank,
               odds: oddsEntry.odds,
               sgTotal: stat.stats.sgTotal,
@@ -184,7 +200,7 @@ exports.handler = async (event, context) => {
               sgPutt: stat.stats.sgPutt,
               recentForm: formEntry?.recentResults?.slice(0, 3) || [],
               courseHistory: formEntry?.courseHistory || [],
-              momentum: formEntry?.momentum || 'unknown'
+              momentum: formEntry?.momentum || 'Unknown'
             };
           })
           .filter(p => p !== null)
@@ -203,9 +219,10 @@ exports.handler = async (event, context) => {
     console.log(`[NEWS] ${newsArticles.length} news articles fetched`);
 
     // Step 8: Call Claude API for comprehensive preview
+    await reportProgress(lock, 'claude', { articles: newsArticles.length });
     console.log('[NEWS] Calling Claude API for comprehensive preview...');
     const anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
+      apiKey: requireSecret('anthropic')
     });
 
     const prompt = buildEnhancedPreviewPrompt(
@@ -252,7 +269,8 @@ exports.handler = async (event, context) => {
         course: tournament.course,
         location: tournament.location,
         dates: tournament.dates,
-        tour: tournament.tour
+        tour: tournament.tour,
+        ...tournamentIdentity(tournament)
       },
       weather: weatherSummary,
       dailyForecast: weatherData?.daily || [],
@@ -288,16 +306,23 @@ exports.handler = async (event, context) => {
     };
 
     // Step 9: Save to Netlify Blobs for caching
+    await reportProgress(lock, 'saving');
+    let savedKey = null;
     try {
       const store = getBlobStore('news', context);
-      const key = generateBlobKey(responseData.tournament.name, responseData.tournament.tour, responseData.generatedAt);
+      const key = generateBlobKey(responseData.tournament, responseData.tournament.tour, responseData.generatedAt);
 
       await store.set(key, JSON.stringify(responseData));
+      savedKey = key;
       console.log(`[NEWS] Saved to blob: ${key}`);
     } catch (saveError) {
       console.error('[NEWS] Failed to save to Blobs:', saveError.message);
     }
 
+    await releaseGenerationLock(lock, {
+      result: savedKey ? { store: 'news', key: savedKey } : { data: responseData }
+    });
+
     console.log(`[NEWS] Success! Returning comprehensive preview`);
 
     // Return news and preview
@@ -307,12 +332,13 @@ exports.handler = async (event, context) => {
         'Content-Type': 'application/json',
         'Cache-Control': 'no-cache, no-store, must-revalidate'
       },
-      body: JSON.stringify(responseData)
+      body: JSON.stringify({ ...responseData, savedKey })
     };
 
   } catch (error) {
     console.error('[NEWS] Fatal error:', error.message);
     console.error('[NEWS] Stack trace:', error.stack);
+    await releaseGenerationLock(lock, { error: error.message });
     
     return {
       statusCode: 500,
@@ -327,148 +353,6 @@ exports.handler = async (event, context) => {
   }
 };
 
-/**
- * Fetch recent form and course history for players
- */
-async function fetchRecentFormAndHistory(playerNames, courseName, tour) {
-  const apiKey = process.env.DATAGOLF_API_KEY;
-  
-  if (!apiKey) {
-    console.log('[NEWS-FORM] DataGolf API key not configured, skipping form data');
-    return { players: [] };
-  }
-  
-  const apiTour = tour === 'dp' ? 'euro' : (tour || 'pga');
-  
-  try {
-    // Fetch schedule
-    const scheduleUrl = `https://feeds.datagolf.com/get-schedule?tour=${apiTour}&file_format=json&key=${apiKey}`;
-    const scheduleResponse = await axios.get(scheduleUrl, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Golf-Predictor-App/1.0',
-        'Accept': 'application/json'
-      }
-    });
-
-    const tournaments = Array.isArray(scheduleResponse.data.schedule) 
-      ? scheduleResponse.data.schedule 
-      : Object.values(scheduleResponse.data.schedule);
-
-    const now = new Date();
-    
-    // Get completed tournaments
-    const completedTournaments = tournaments
-      .filter(t => {
-        let tourneyEndDate;
-        
-        if (t.end_date) {
-          tourneyEndDate = new Date(t.end_date);
-        } else if (t.start_date) {
-          tourneyEndDate = new Date(t.start_date);
-          tourneyEndDate.setDate(tourneyEndDate.getDate() + 4);
-        } else if (t.date) {
-          tourneyEndDate = new Date(t.date);
-          tourneyEndDate.setDate(tourneyEndDate.getDate() + 4);
-        } else {
-          return false;
-        }
-        
-        const oneDayAgo = new Date(now.getTime() - 1 * 24 * 60 * 60 * 1000);
-        return tourneyEndDate < oneDayAgo;
-      })
-      .sort((a, b) => {
-        const aDate = new Date(a.end_date || a.start_date || a.date);
-        const bDate = new Date(b.end_date || b.start_date || b.date);
-        return bDate - aDate;
-      })
-      .slice(0, 8);
-
-    const playerFormData = {};
-    
-    for (const player of playerNames) {
-      playerFormData[normalizePlayerName(player)] = {
-        recentResults: [],
-        courseHistory: [],
-        momentum: 'unknown'
-      };
-    }
-
-    // Fetch results for recent tournaments (first 5 to save time)
-    for (const tournament of completedTournaments.slice(0, 5)) {
-      try {
-        const fieldUrl = `https://feeds.datagolf.com/field-updates?tour=${apiTour}&file_format=json&key=${apiKey}`;
-        const fieldResponse = await axios.get(fieldUrl, {
-          timeout: 10000,
-          headers: {
-            'User-Agent': 'Golf-Predictor-App/1.0',
-            'Accept': 'application/json'
-          }
-        });
-
-        if (fieldResponse.data?.field) {
-          const isCourseMatch = tournament.course?.toLowerCase().includes(courseName?.toLowerCase().split(' ')[0]) ||
-                                courseName?.toLowerCase().includes(tournament.course?.toLowerCase().split(' ')[0]);
-
-          for (const playerResult of fieldResponse.data.field) {
-            if (!playerResult.player_name) continue;
-            
-            const normalizedName = normalizePlayerName(playerResult.player_name);
-            if (playerFormData[normalizedName]) {
-              const result = {
-                tournament: tournament.event_name,
-                position: playerResult.finish_position || playerResult.position,
-                madeCut: playerResult.made_cut !== false
-              };
-
-              playerFormData[normalizedName].recentResults.push(result);
-
-              if (isCourseMatch) {
-                playerFormData[normalizedName].courseHistory.push(result);
-              }
-            }
-          }
-        }
-      } catch (error) {
-        // Continue on error
-      }
-    }
-
-    // Calculate momentum
-    for (const normalizedName in playerFormData) {
-      const recent = playerFormData[normalizedName].recentResults;
-      if (recent.length >= 3) {
-        const recentPositions = recent.slice(0, 3).map(r => parseInt(r.position) || 999);
-        const olderPositions = recent.slice(3, 6).map(r => parseInt(r.position) || 999);
-        
-        if (recentPositions.length > 0 && olderPositions.length > 0) {
-          const recentAvg = recentPositions.reduce((a, b) => a + b, 0) / recentPositions.length;
-          const olderAvg = olderPositions.reduce((a, b) => a + b, 0) / olderPositions.length;
-          
-          if (recentAvg < olderAvg - 10) {
-            playerFormData[normalizedName].momentum = '📈 Hot';
-          } else if (recentAvg > olderAvg + 10) {
-            playerFormData[normalizedName].momentum = '📉 Cold';
-          } else {
-            playerFormData[normalizedName].momentum = '➡️ Steady';
-          }
-        }
-      }
-    }
-
-    return {
-      players: Object.keys(playerFormData).map(normalizedName => ({
-        normalizedName,
-        ...playerFormData[normalizedName]
-      }))
-    };
-
-  } catch (error) {
-    console.error('[NEWS-FORM] Error fetching form data:', error.message);
-    return { players: [] };
-  }
-}
-
 /**
  * Fetch golf news from RSS feeds with robust error handling
  */
@@ -594,9 +478,9 @@ function buildEnhancedPreviewPrompt(tournament, newsArticles, players, courseInf
   ).join('\n');
 
   const playersText = players.slice(0, 15).map(p => {
-    const form = p.recentForm?.map(r => r.position ? `T${r.position}` : 'MC').join(', ') || 'No data';
+    const form = p.recentForm?.map(r => (r.madeCut ? r.position || '?' : 'MC')).join(', ') || 'No data';
     const courseHist = p.courseHistory?.length > 0 
-      ? p.courseHistory.map(r => `T${r.position}`).join(', ')
+      ? p.courseHistory.map(r => `${r.madeCut ? r.position || '?' : 'MC'} '${String(r.year).slice(-2)}`).join(', ')
       : 'No history';
 
     return `${p.name} [${formatAmericanOdds(p.odds)}] - R${p.rank} | SG:${p.sgTotal?.toFixed(2) || '?'} (OTT:${p.sgOTT?.toFixed(2) || '?'} APP:${p.sgAPP?.toFixed(2) || '?'} ARG:${p.sgARG?.toFixed(2) || '?'} P:${p.sgPutt?.toFixed(2) || '?'}) | Last3: ${form} | Course: ${courseHist} | ${p.momentum}`;
@@ -609,7 +493,7 @@ Name: ${tournament.name}
 Course: ${courseInfo.courseName || courseInfo.eventName} | ${courseInfo.yardage || '?'}y Par ${courseInfo.par || '?'}
 Location: ${tournament.location}
 Dates: ${tournament.dates}
-
+${formatPromptNote(tournament)}
 COURSE DEMANDS ANALYSIS:
 ${courseDemands}
 
@@ -0,0 +1,30 @@
+const { DEFAULT_TOUR, publicTours } = require('./tour-registry');
+
+/**
+ * Get Tours
+ * The tours the app can switch between, straight from tour-registry.js
+ *
+ * GET → { defaultTour, tours: [{ id, label, shortLabel, markets, fieldSize, rounds, cut, formatSummary }] }
+ *   markets: { outrights, placements, matchups, inPlay, liveStats, dfs, makeCut } - what DataGolf covers,
+ *   so the app can switch off tabs a tour doesn't have
+ */
+exports.handler = async (event, context) => {
+  try {
+    return createResponse(200, { defaultTour: DEFAULT_TOUR, tours: publicTours() });
+
+  } catch (error) {
+    console.error('[TOURS] Error:', error.message);
+    return createResponse(500, { error: 'Failed to load tours' });
+  }
+};
+
+function createResponse(statusCode, data) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'public, max-age=3600'
+    },
+    body: JSON.stringify(data)
+  };
+}
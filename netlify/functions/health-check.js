@@ -0,0 +1,41 @@
+const { config, integrationStatus } = require('./config');
+
+/**
+ * Health Check
+ * Which integrations this deploy has configured - variable names only, never their values (see config.js)
+ *
+ * GET → { status: 'ok' | 'degraded', checkedAt, dataProvider, integrations: [{ id, label, required, configured, missing, usedFor }] }
+ * Answers 503 while a required integration is missing, so uptime monitors flag the deploy.
+ */
+exports.handler = async (event, context) => {
+  try {
+    const integrations = integrationStatus({ siteId: context?.site?.id });
+    const healthy = integrations.every(i => i.configured || !i.required);
+
+    if (!healthy) {
+      console.log(`[HEALTH] Degraded - missing ${integrations.filter(i => i.required && !i.configured).map(i => i.label).join(', ')}`);
+    }
+
+    return createResponse(healthy ? 200 : 503, {
+      status: healthy ? 'ok' : 'degraded',
+      checkedAt: new Date().toISOString(),
+      dataProvider: config.dataProvider,
+      integrations
+    });
+
+  } catch (error) {
+    console.error('[HEALTH] Error:', error.message);
+    return createResponse(500, { status: 'error', error: 'Health check failed' });
+  }
+};
+
+function createResponse(statusCode, data) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache, no-store, must-revalidate'
+    },
+    body: JSON.stringify(data)
+  };
+}
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const { getBlobStore } = require('./shared-utils');
+
+/**
+ * JOB STORE
+ * Long Claude generations run as jobs: generation-jobs starts one and hands back its id,
+ * run-job-background runs the generating function, and each step it passes is written here
+ * so the app can show real progress - and pick the job back up after a page refresh.
+ *
+ * 'jobs' blob store, key job-{jobId} →
+ *   { jobId, kind, tour, subject, params, status: queued|running|done|failed|shared,
+ *     steps: [{ id, label, status: pending|running|done|failed, startedAt, completedAt }], currentStep,
+ *     partial, result: { store, key } | { data }, error, sharedJobId, createdAt, startedAt, completedAt, expiresAt }
+ * A "shared" job found the same content already being generated (see generation-lock.js) and
+ * follows that job instead of running its own.
+ * Used by: generation-lock, generation-jobs, run-job-background
+ */
+
+// ========================================
+// 🎯 JOB CONFIGURATION - EDIT HERE
+// ========================================
+const JOB_CONFIG = {
+  queuedTimeoutSeconds: 120,   // A job the background function never picked up counts as failed after this
+  retentionDays: 7
+};
+
+// Jobs the app can start - the function each one runs and the steps it reports
+const JOB_KINDS = {
+  predictions: {
+    function: 'get-predictions',
+    method: 'GET',
+    params: ['bankroll', 'refresh', 'eventId'],
+    steps: [
+      { id: 'field', label: 'Fetching field' },
+      { id: 'stats', label: 'Fetching stats, odds & form' },
+      { id: 'model', label: 'Running quant model' },
+      { id: 'claude', label: 'Calling Claude' },
+      { id: 'enriching', label: 'Enriching picks' },
+      { id: 'saving', label: 'Saving' }
+    ]
+  },
+  'avoid-picks': {
+    function: 'get-avoid-picks',
+    method: 'POST',
+    params: ['bankroll', 'excludePlayers', 'eventId'],
+    steps: [
+      { id: 'field', label: 'Fetching field' },
+      { id: 'odds', label: 'Fetching odds' },
+      { id: 'stats', label: 'Fetching stats, weather & course' },
+      { id: 'claude', label: 'Calling Claude' },
+      { id: 'enriching', label: 'Pricing lay stakes' },
+      { id: 'saving', label: 'Saving' }
+    ]
+  },
+  matchups: {
+    function: 'get-matchup-predictions',
+    method: 'POST',
+    params: ['bankroll', 'customMatchup', 'eventId'],
+    steps: [
+      { id: 'field', label: 'Fetching field' },
+      { id: 'odds', label: 'Fetching odds & book lines' },
+      { id: 'stats', label: 'Fetching stats, weather & course' },
+      { id: 'model', label: 'Pricing book lines' },
+      { id: 'claude', label: 'Calling Claude' },
+      { id: 'enriching', label: 'Staking matchups' },
+      { id: 'saving', label: 'Saving' }
+    ]
+  },
+  news: {
+    function: 'get-tournament-news',
+    method: 'GET',
+    params: ['eventId'],
+    steps: [
+      { id: 'field', label: 'Fetching field' },
+      { id: 'course', label: 'Course & weather' },
+      { id: 'stats', label: 'Fetching player stats & odds' },
+      { id: 'claude', label: 'Calling Claude' },
+      { id: 'saving', label: 'Saving' }
+    ]
+  },
+  'player-analysis': {
+    function: 'analyze-player',
+    method: 'POST',
+    params: ['playerName', 'eventId'],
+    steps: [
+      { id: 'field', label: 'Fetching field' },
+      { id: 'stats', label: 'Fetching stats, odds & course' },
+      { id: 'claude', label: 'Calling Claude' }
+    ]
+  }
+};
+// ========================================
+
+const JOB_STORE = 'jobs';
+const JOB_ID_PATTERN = /^[a-z]+-[a-z0-9]+-[a-f0-9]{8}$/;
+const FINISHED = ['done', 'failed'];
+
+function newJobId(kind) {
+  return `${kind.toLowerCase().replace(/[^a-z]/g, '')}-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function jobSteps(kind) {
+  return (JOB_KINDS[kind]?.steps || []).map(step => ({ ...step, status: 'pending', startedAt: null, completedAt: null }));
+}
+
+/**
+ * Queue a job for run-job-background - throws when blob storage isn't available
+ */
+async function createJob({ kind, tour, params = {}, context }) {
+  const now = Date.now();
+  const job = {
+    jobId: newJobId(kind),
+    kind,
+    tour,
+    subject: null,
+    params,
+    status: 'queued',
+    steps: jobSteps(kind),
+    currentStep: null,
+    partial: {},
+    result: null,
+    error: null,
+    sharedJobId: null,
+    createdAt: new Date(now).toISOString(),
+    startedAt: null,
+    completedAt: null,
+    expiresAt: new Date(now + JOB_CONFIG.queuedTimeoutSeconds * 1000).toISOString()
+  };
+  await saveJob(job, context);
+  return job;
+}
+
+async function saveJob(job, context) {
+  await getBlobStore(JOB_STORE, context).set(`job-${job.jobId}`, JSON.stringify(job));
+  return job;
+}
+
+/**
+ * The stored record as-is (no sharing or expiry applied) - null for unknown ids
+ */
+async function readJob(jobId, context) {
+  if (!JOB_ID_PATTERN.test(jobId || '')) return null;
+  return getBlobStore(JOB_STORE, context).get(`job-${jobId}`, { type: 'json' });
+}
+
+/**
+ * Job record by id, as callers should see it
+ * A shared job reports the progress and outcome of the job it follows; a queued or running
+ * job whose lease ran out is reported as failed.
+ */
+async function getJob(jobId, context) {
+  const job = await readJob(jobId, context);
+  if (!job) return null;
+
+  if (job.status === 'shared' && job.sharedJobId) {
+    const shared = await readJob(job.sharedJobId, context);
+    if (shared) {
+      const { jobId: sharedJobId, params, createdAt, ...progress } = withExpiry(shared);
+      return { ...job, ...progress, sharedJobId };
+    }
+  }
+  return withExpiry(job);
+}
+
+function withExpiry(job) {
+  if (!FINISHED.includes(job.status) && job.expiresAt && new Date(job.expiresAt) < new Date()) {
+    return {
+      ...job,
+      status: 'failed',
+      error: job.status === 'queued' ? 'Job never started' : 'Generation timed out'
+    };
+  }
+  return job;
+}
+
+/**
+ * Read-modify-write one job record - changes is an object or a function of the current record
+ */
+async function updateJob(jobId, changes, context) {
+  const job = await readJob(jobId, context);
+  if (!job) return null;
+  const next = typeof changes === 'function' ? changes(job) : { ...job, ...changes };
+  return saveJob(next, context);
+}
+
+/**
+ * Move a job on to stepId: the step in progress is marked done, partial results are merged in
+ * Steps the kind doesn't declare are added as they're reported.
+ */
+function advanceStep(job, stepId, partial = null) {
+  const now = new Date().toISOString();
+  const steps = (job.steps || []).map(step =>
+    step.status === 'running' && step.id !== stepId ? { ...step, status: 'done', completedAt: now } : step
+  );
+
+  if (stepId) {
+    const index = steps.findIndex(step => step.id === stepId);
+    const current = index >= 0 ? steps[index] : { id: stepId, label: stepId, status: 'pending', startedAt: null, completedAt: null };
+    const started = current.status === 'running' ? current : { ...current, status: 'running', startedAt: now };
+    if (index >= 0) steps[index] = started;
+    else steps.push(started);
+
+    // Steps skipped on the way (e.g. a cache hit) count as done
+    const reached = index >= 0 ? index : steps.length - 1;
+    steps.forEach((step, i) => {
+      if (i < reached && step.status === 'pending') steps[i] = { ...step, status: 'done', completedAt: now };
+    });
+  }
+
+  return {
+    ...job,
+    steps,
+    currentStep: stepId,
+    partial: partial ? { ...job.partial, ...partial } : job.partial
+  };
+}
+
+/**
+ * Close the job: every step still open is marked done (or the running one failed)
+ */
+function finishJob(job, { result = null, error = null } = {}) {
+  const now = new Date().toISOString();
+  return {
+    ...job,
+    status: error ? 'failed' : 'done',
+    steps: (job.steps || []).map(step => {
+      if (step.status === 'running') return { ...step, status: error ? 'failed' : 'done', completedAt: now };
+      if (step.status === 'pending' && !error) return { ...step, status: 'done', completedAt: now };
+      return step;
+    }),
+    currentStep: null,
+    result,
+    error,
+    completedAt: now,
+    expiresAt: new Date(Date.now() + JOB_CONFIG.retentionDays * 24 * 60 * 60 * 1000).toISOString()
+  };
+}
+
+/**
+ * A finished job's output - inline, or read back from where the generating function saved it
+ */
+async function loadJobResult(job, context) {
+  if (!job?.result) return null;
+  if (job.result.data) return job.result.data;
+  try {
+    return await getBlobStore(job.result.store, context).get(job.result.key, { type: 'json' });
+  } catch (error) {
+    console.log(`[JOBS] Job ${job.jobId} result unreadable: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  JOB_CONFIG,
+  JOB_KINDS,
+  newJobId,
+  jobSteps,
+  createJob,
+  saveJob,
+  readJob,
+  getJob,
+  updateJob,
+  advanceStep,
+  finishJob,
+  loadJobResult
+};
@@ -0,0 +1,165 @@
+const {
+  CatalogValidationError,
+  loadCourseCatalog,
+  saveCourseCatalog,
+  validateCatalog,
+  validateCourse,
+  findCourse,
+  applySetupChanges
+} = require('./course-catalog');
+const { config } = require('./config');
+
+/**
+ * Course Catalog Admin Endpoint
+ * Read and edit the course catalog (see course-catalog.js) without a deploy
+ *
+ * GET                    - the whole catalog plus any validation problems
+ * GET ?id=<courseId>     - one course; &year=2026 applies that year's setup
+ * GET ?name=<course>     - look a course up the way fetch-course-info does
+ *
+ * POST { action, ... }   - requires the x-admin-token header (COURSE_CATALOG_ADMIN_TOKEN)
+ *   upsertCourse   { course }                  add or replace a course
+ *   upsertEvent    { event }                   add or replace an event
+ *   addSetupChange { courseId, change: { year, changes, note } }  e.g. new tees or a grass conversion
+ *   deleteCourse   { courseId }                fails while an event still points at it
+ *   deleteEvent    { eventId }
+ * Every successful edit saves a new catalog version.
+ */
+exports.handler = async (event, context) => {
+  try {
+    if (event.httpMethod === 'GET') {
+      return await handleGet(event.queryStringParameters || {}, context);
+    }
+    if (event.httpMethod !== 'POST') {
+      return createErrorResponse(405, 'Method not allowed', 'Use GET to read the catalog or POST to edit it');
+    }
+
+    const adminToken = config.courseCatalogAdminToken;
+    if (!adminToken) {
+      return createErrorResponse(503, 'Catalog editing disabled', 'Set COURSE_CATALOG_ADMIN_TOKEN to enable edits');
+    }
+    if (event.headers?.['x-admin-token'] !== adminToken) {
+      return createErrorResponse(401, 'Unauthorized', 'Missing or invalid x-admin-token header');
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    const catalog = await loadCourseCatalog(context);
+    const edited = applyEdit(catalog, body);
+
+    const saved = await saveCourseCatalog(edited, context);
+    console.log(`[CATALOG] ✅ ${body.action} applied - catalog v${saved.version}`);
+
+    return createSuccessResponse({
+      action: body.action,
+      version: saved.version,
+      updatedAt: saved.updatedAt,
+      courses: saved.courses.length,
+      events: saved.events.length
+    });
+
+  } catch (error) {
+    if (error instanceof CatalogValidationError) {
+      return createErrorResponse(400, 'Invalid catalog edit', error.message, error.errors);
+    }
+    if (error instanceof CatalogEditError || error instanceof SyntaxError) {
+      return createErrorResponse(400, 'Invalid catalog edit', error.message);
+    }
+    console.error('[CATALOG] Error:', error.message);
+    return createErrorResponse(500, 'Course catalog request failed', error.message);
+  }
+};
+
+async function handleGet(params, context) {
+  const catalog = await loadCourseCatalog(context);
+  const year = parseInt(params.year) || null;
+
+  if (params.id || params.name) {
+    const course = params.id
+      ? catalog.courses.find(c => c.id === params.id)
+      : findCourse(catalog, { courseName: params.name, year });
+    if (!course) {
+      return createErrorResponse(404, 'Course not found', params.id || params.name);
+    }
+    return createSuccessResponse({ version: catalog.version, course: params.id ? applySetupChanges(course, year) : course });
+  }
+
+  return createSuccessResponse({
+    ...catalog,
+    problems: validateCatalog(catalog)
+  });
+}
+
+// ==================== EDITS ====================
+
+class CatalogEditError extends Error {}
+
+/**
+ * Apply one edit to a copy of the catalog (validated as a whole when saved)
+ */
+function applyEdit(catalog, { action, course, event, courseId, eventId, change }) {
+  const courses = [...catalog.courses];
+  const events = [...catalog.events];
+
+  switch (action) {
+    case 'upsertCourse': {
+      const errors = validateCourse(course);
+      if (errors.length > 0) throw new CatalogValidationError(errors);
+      const withDefaults = { dataGolfIds: [], setupChanges: [], keyFeatures: [], rewards: [], ...course };
+      return { ...catalog, courses: replaceById(courses, withDefaults), events };
+    }
+
+    case 'upsertEvent':
+      if (!event?.id) throw new CatalogEditError('event with an id is required');
+      return { ...catalog, courses, events: replaceById(events, { tour: null, courseId: null, oddscheckerSlug: null, ...event }) };
+
+    case 'addSetupChange': {
+      const target = courses.find(c => c.id === courseId);
+      if (!target) throw new CatalogEditError(`Unknown course ${courseId}`);
+      if (!change?.year) throw new CatalogEditError('change.year is required');
+      const setupChanges = [...(target.setupChanges || []).filter(c => c.year !== change.year), change]
+        .sort((a, b) => a.year - b.year);
+      return { ...catalog, courses: replaceById(courses, { ...target, setupChanges }), events };
+    }
+
+    case 'deleteCourse': {
+      if (!courses.some(c => c.id === courseId)) throw new CatalogEditError(`Unknown course ${courseId}`);
+      const usedBy = events.filter(e => e.courseId === courseId).map(e => e.id);
+      if (usedBy.length > 0) throw new CatalogEditError(`Course ${courseId} is used by ${usedBy.join(', ')}`);
+      return { ...catalog, courses: courses.filter(c => c.id !== courseId), events };
+    }
+
+    case 'deleteEvent':
+      if (!events.some(e => e.id === eventId)) throw new CatalogEditError(`Unknown event ${eventId}`);
+      return { ...catalog, courses, events: events.filter(e => e.id !== eventId) };
+
+    default:
+      throw new CatalogEditError(`Unknown action "${action}"`);
+  }
+}
+
+function replaceById(items, item) {
+  const index = items.findIndex(existing => existing.id === item.id);
+  if (index === -1) return [...items, item];
+  const updated = [...items];
+  updated[index] = item;
+  return updated;
+}
+
+function createSuccessResponse(data) {
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache, no-store, must-revalidate'
+    },
+    body: JSON.stringify(data)
+  };
+}
+
+function createErrorResponse(statusCode, error, message, problems) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ error, message, ...(problems && { problems }) })
+  };
+}
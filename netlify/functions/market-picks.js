@@ -0,0 +1,120 @@
+const { americanToDecimal } = require('./shared-utils');
+const { findModelPlayer } = require('./quant-model');
+
+/**
+ * MARKET PICKS
+ * Value selections in the placement (top 5/10/20) and cut (make/miss) markets
+ * 1. Price: best book price per market from fetch-odds (player.marketOdds)
+ * 2. Fair probability: DataGolf's model price for that market, else the quant model's simulated probability
+ * 3. Pick the best positive expected-value prices per market
+ *
+ * Each pick carries a `bets` entry at the price we'd actually take, so betting-ledger settles it as-is.
+ * Used by: get-predictions, results-scoring (grading thresholds)
+ */
+
+// ========================================
+// 🎯 MARKET PICK CONFIGURATION - EDIT HERE
+// ========================================
+const MARKET_PICK_CONFIG = {
+  picksPerMarket: 3,
+  minEdge: 0.02,          // Fair probability must beat the book's implied probability by 2 pts
+  minBookmakers: 2        // Ignore prices only one book is offering
+};
+
+// Market key → display label, finishing threshold and quant model probability
+const PICK_MARKETS = {
+  top_5:    { label: 'Top 5',    places: 5,  modelProb: p => p.top5Prob },
+  top_10:   { label: 'Top 10',   places: 10, modelProb: p => p.top10Prob },
+  top_20:   { label: 'Top 20',   places: 20, modelProb: p => p.top20Prob },
+  make_cut: { label: 'Make Cut', places: null, modelProb: p => p.makeCutProb },
+  miss_cut: { label: 'Miss Cut', places: null, modelProb: p => p.makeCutProb == null ? null : 1 - p.makeCutProb }
+};
+// ========================================
+
+/**
+ * Select value picks for every market that has prices
+ * players: merged player data (with marketOdds from fetch-odds)
+ * Returns { top_5: [...], top_10: [...], ... } - markets without value are empty arrays
+ */
+function selectMarketPicks(players, quantModel, config = {}) {
+  const settings = { ...MARKET_PICK_CONFIG, ...config };
+  const selections = {};
+
+  for (const [market, definition] of Object.entries(PICK_MARKETS)) {
+    const candidates = [];
+
+    for (const player of players) {
+      const price = player.marketOdds?.[market];
+      if (!price?.bestOdds || (price.bookmakerCount || 0) < settings.minBookmakers) continue;
+
+      const fair = getFairProbability(price, findModelPlayer(quantModel, player.name), definition);
+      if (fair.probability == null) continue;
+
+      const bestDecimal = americanToDecimal(price.bestOdds);
+      const impliedProb = 1 / bestDecimal;
+      const edge = fair.probability - impliedProb;
+      if (edge < settings.minEdge) continue;
+
+      candidates.push({
+        player: player.name,
+        dgId: player.dgId || null,
+        market,
+        marketLabel: definition.label,
+        odds: price.odds,
+        bestOdds: price.bestOdds,
+        bestBookmaker: price.bestBookmaker,
+        dgOdds: price.dgOdds,
+        winOdds: player.odds,
+        fairProb: round(fair.probability, 4),
+        probSource: fair.source,
+        impliedProb: round(impliedProb, 4),
+        edge: round(edge, 4),
+        expectedValue: round(fair.probability * bestDecimal - 1, 3),
+        bets: [{ market, odds: price.bestOdds, bookmaker: price.bestBookmaker }]
+      });
+    }
+
+    selections[market] = candidates.sort((a, b) => b.expectedValue - a.expectedValue);
+  }
+
+  // Never back a player to finish top-N and to miss the cut in the same week
+  const backed = new Set(['top_5', 'top_10', 'top_20', 'make_cut']
+    .flatMap(market => selections[market].slice(0, settings.picksPerMarket).map(p => p.player)));
+  selections.miss_cut = selections.miss_cut.filter(p => !backed.has(p.player));
+
+  for (const market of Object.keys(selections)) {
+    selections[market] = selections[market].slice(0, settings.picksPerMarket);
+  }
+
+  return selections;
+}
+
+function getFairProbability(price, modelPlayer, definition) {
+  if (price.dgOdds) {
+    return { probability: 1 / americanToDecimal(price.dgOdds), source: 'DataGolf' };
+  }
+  const modelProb = modelPlayer ? definition.modelProb(modelPlayer) : null;
+  return { probability: modelProb ?? null, source: 'Quant model' };
+}
+
+/**
+ * Did a finish land a market? position: numeric finish or null for MC/WD/DQ
+ */
+function isMarketHit(market, position) {
+  if (market === 'make_cut') return position !== null;
+  if (market === 'miss_cut') return position === null;
+  const places = PICK_MARKETS[market]?.places;
+  return position !== null && places !== null && position <= places;
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  MARKET_PICK_CONFIG,
+  PICK_MARKETS,
+  selectMarketPicks,
+  isMarketHit
+};
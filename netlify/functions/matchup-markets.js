@@ -0,0 +1,222 @@
+const { normalizePlayerName, americanToDecimal } = require('./shared-utils');
+const { findModelPlayer, simulateGroup, probabilityToAmerican } = require('./quant-model');
+
+/**
+ * MATCHUP MARKETS
+ * Real bookmaker lines for tournament matchups, round matchups and 3-balls (DataGolf /betting-tools/matchups)
+ * 1. Parse each line into sides with every book's price and the best one
+ * 2. Fair price per side from player skill: the quant model's strokes gained vs field,
+ *    simulated over whole-stroke scores for the line's rounds (1 for round markets, the event's rounds for tournament)
+ * 3. Expected value at the best price under the line's tie rule, then flag the best edges
+ *
+ * Tie rules:
+ *   void         - head-to-head tie refunds the stake (push)
+ *   separate-bet - the tie was its own outcome, so both sides lose
+ *   dead-heat    - 3-balls: a tie for low score pays odds divided by the number tied
+ *
+ * Tournament matchups are simulated over the event's rounds (72 holes, 54 at LIV) without a cut; the cut
+ * only decides matchups between very unequal players, which are rarely priced close enough to flag.
+ * Used by: get-matchup-predictions, results-scoring (settlement)
+ */
+
+// ========================================
+// 🎯 MATCHUP MARKET CONFIGURATION - EDIT HERE
+// ========================================
+const MATCHUP_MARKET_CONFIG = {
+  minExpectedValue: 0.03,  // Flag sides worth at least +3% per unit staked at the best price
+  minBookmakers: 2,        // Ignore lines only one book is offering
+  maxFlagged: 10,          // Best edges saved for grading
+  simulations: 20000
+};
+
+const MATCHUP_MARKETS = {
+  tournament_matchups: { label: 'Tournament Matchup', rounds: null }, // null: the event's rounds
+  round_matchups:      { label: 'Round Matchup', rounds: 1 },
+  '3_balls':           { label: '3-Ball', rounds: 1 }
+};
+// ========================================
+
+const MODEL_BOOK = 'datagolf';
+const SIDES = ['p1', 'p2', 'p3'];
+
+// ==================== PARSING ====================
+
+/**
+ * Normalize one DataGolf matchups response into lines
+ * Returns [{ id, market, round, ties, players: [{ name, dgId }], books: { book: [odds per player] }, dgOdds }]
+ * DataGolf returns match_list as a message string when a market isn't offered yet.
+ */
+function parseMatchupLines(data, market) {
+  if (!data || !Array.isArray(data.match_list)) return [];
+
+  const lines = [];
+  for (const raw of data.match_list) {
+    const sides = SIDES.filter(side => raw[`${side}_player_name`]);
+    if (sides.length < 2) continue;
+
+    const players = sides.map(side => ({
+      name: displayName(raw[`${side}_player_name`]),
+      dgId: raw[`${side}_dg_id`] || null
+    }));
+
+    const books = {};
+    let dgOdds = null;
+    for (const [book, prices] of Object.entries(raw.odds || {})) {
+      const odds = sides.map(side => parseInt(prices?.[side]));
+      if (odds.some(o => isNaN(o) || o === 0)) continue;
+      if (book === MODEL_BOOK) dgOdds = odds;
+      else books[book] = odds;
+    }
+
+    const round = market === 'tournament_matchups' ? null : (raw.round_num || data.round_num || null);
+    lines.push({
+      id: [market, round || 'event', ...players.map(p => normalizePlayerName(p.name))].join('|'),
+      market,
+      round,
+      ties: market === '3_balls' ? 'dead-heat' : /separate/i.test(raw.ties || '') ? 'separate-bet' : 'void',
+      players,
+      books,
+      dgOdds
+    });
+  }
+
+  return lines;
+}
+
+// ==================== PRICING ====================
+
+/**
+ * Fair price and expected value for every side of every line
+ * Lines with a player the model has no projection for are returned unpriced (fair: null)
+ * eventRounds: rounds in the event (tour-registry format) - what tournament matchups are simulated over
+ * Tournament matchups start each player on their starting strokes when the event has them (the model's startingStrokes)
+ */
+function priceMatchupLines(lines, quantModel, { seedKey = '', eventRounds = 4, config = {} } = {}) {
+  const settings = { ...MATCHUP_MARKET_CONFIG, ...config };
+
+  return lines.map(line => {
+    const modelPlayers = line.players.map(p => findModelPlayer(quantModel, p.name));
+    const bookCount = Object.keys(line.books).length;
+    const priceable = modelPlayers.every(Boolean) && bookCount > 0;
+
+    const fixedRounds = MATCHUP_MARKETS[line.market].rounds;
+    const simulated = priceable
+      ? simulateGroup(modelPlayers.map(p => p.strokesGainedVsField), {
+          rounds: fixedRounds || eventRounds,
+          seedKey: `${seedKey}|${line.id}`,
+          simulations: settings.simulations,
+          startingStrokes: fixedRounds ? null : modelPlayers.map(p => p.startingStrokes || 0)
+        })
+      : null;
+
+    const sides = line.players.map((player, i) => {
+      const best = bestPrice(line.books, i);
+      const side = {
+        player: player.name,
+        bestOdds: best?.odds ?? null,
+        bestBookmaker: best?.bookmaker ?? null,
+        dgOdds: line.dgOdds ? line.dgOdds[i] : null,
+        fairProb: null,
+        fairOdds: null,
+        expectedValue: null
+      };
+      if (!simulated || !best) return side;
+
+      const outcome = simulated.players[i];
+      const fairProb = fairWinProbability(outcome, simulated.tieProb, line.ties);
+      side.fairProb = round(fairProb, 4);
+      side.fairOdds = probabilityToAmerican(fairProb);
+      side.expectedValue = round(expectedReturn(outcome, simulated.tieProb, line.ties, americanToDecimal(best.odds)) - 1, 3);
+      return side;
+    });
+
+    return {
+      ...line,
+      label: MATCHUP_MARKETS[line.market].label,
+      bookmakerCount: bookCount,
+      tieProb: simulated ? simulated.tieProb : null,
+      sides
+    };
+  });
+}
+
+/**
+ * Win probability in the sense the book prices it: conditional on no tie when ties are void,
+ * the dead-heat share for 3-balls, and outright when the tie was a separate bet
+ */
+function fairWinProbability(outcome, tieProb, ties) {
+  if (ties === 'dead-heat') return outcome.share;
+  if (ties === 'void') return tieProb < 1 ? outcome.outright / (1 - tieProb) : 0;
+  return outcome.outright;
+}
+
+/**
+ * Expected return per unit staked at decimal odds (stake included)
+ */
+function expectedReturn(outcome, tieProb, ties, decimalOdds) {
+  if (ties === 'dead-heat') return outcome.share * decimalOdds;
+  if (ties === 'void') return outcome.outright * decimalOdds + tieProb;
+  return outcome.outright * decimalOdds;
+}
+
+function bestPrice(books, index) {
+  let best = null;
+  for (const [bookmaker, odds] of Object.entries(books)) {
+    if (!best || odds[index] > best.odds) best = { bookmaker, odds: odds[index] };
+  }
+  return best;
+}
+
+// ==================== EDGES ====================
+
+/**
+ * The best positive-EV sides across all priced lines, shaped like saved matchups so they
+ * can be graded: pick + opponents, the price taken, the tie rule and the round
+ */
+function selectMatchupEdges(pricedLines, config = {}) {
+  const settings = { ...MATCHUP_MARKET_CONFIG, ...config };
+
+  return pricedLines
+    .filter(line => line.bookmakerCount >= settings.minBookmakers)
+    .flatMap(line => line.sides
+      .filter(side => side.expectedValue !== null && side.expectedValue >= settings.minExpectedValue)
+      .map(side => ({
+        market: line.market,
+        label: line.label,
+        round: line.round,
+        ties: line.ties,
+        pick: side.player,
+        opponents: line.players.map(p => p.name).filter(name => name !== side.player),
+        odds: side.bestOdds,
+        bookmaker: side.bestBookmaker,
+        dgOdds: side.dgOdds,
+        fairProb: side.fairProb,
+        fairOdds: side.fairOdds,
+        expectedValue: side.expectedValue
+      })))
+    .sort((a, b) => b.expectedValue - a.expectedValue)
+    .slice(0, settings.maxFlagged);
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * DataGolf names are "Last, First" - show them the way the rest of the app does
+ */
+function displayName(name) {
+  const [last, first] = String(name).split(',').map(part => part.trim());
+  return first ? `${first} ${last}` : last;
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  MATCHUP_MARKET_CONFIG,
+  MATCHUP_MARKETS,
+  parseMatchupLines,
+  priceMatchupLines,
+  selectMatchupEdges
+};
@@ -0,0 +1,276 @@
+const { getBlobStore, normalizePlayerName, americanToDecimal, tournamentIdentity, tournamentKeySegment } = require('./shared-utils');
+
+/**
+ * ODDS HISTORY
+ * Time series of outright prices per tournament, stored in the 'odds-history' blob store
+ * Key: {tour}-e{eventId}-{season} (name slug without an event id)
+ *      → { tournament, tour, updatedAt, snapshots: [{ fetchedAt, source, snapshotType, odds }] }
+ *
+ * Every price is American. `odds` is the bookmaker average, `bestOdds` the best available.
+ * Used by: fetch-pre-tournament-odds (scheduled), fetch-odds (on demand), get-odds-movement,
+ *          get-prediction-results (closing line value)
+ */
+
+const STORE_NAME = 'odds-history';
+const MAX_SNAPSHOTS = 120;                   // ~2 months of twice-daily pulls
+const ON_DEMAND_MIN_INTERVAL_MS = 60 * 60 * 1000;
+const MOVERS_LIMIT = 5;
+
+// ==================== KEYS & CONVERSION ====================
+
+/**
+ * One series per edition - tournament is a fetch-tournament object or a plain name
+ */
+function generateOddsHistoryKey(tour, tournament) {
+  return `${tour}-${tournamentKeySegment(tournament)}`;
+}
+
+/**
+ * Convert decimal odds to American (rounded to the nearest 5 like a sportsbook board)
+ */
+function decimalToAmerican(decimalOdds) {
+  if (!decimalOdds || decimalOdds <= 1) return null;
+  const american = decimalOdds >= 2
+    ? (decimalOdds - 1) * 100
+    : -100 / (decimalOdds - 1);
+  return Math.round(american / 5) * 5;
+}
+
+function impliedProbability(americanOdds) {
+  if (!americanOdds) return null;
+  return 1 / americanToDecimal(americanOdds);
+}
+
+// ==================== RECORDING ====================
+
+/**
+ * Append one pull of outright prices to the tournament's time series
+ * odds: [{ player, odds, bestOdds?, bookmakerCount? }] (American)
+ * On-demand pulls closer than an hour to the previous snapshot are skipped so
+ * repeated prediction runs don't flood the series.
+ */
+async function recordOddsSnapshot({ tournament, tour, odds, source, snapshotType = 'scheduled', context = null }) {
+  if (!tournament?.name || !Array.isArray(odds) || odds.length === 0) {
+    return { recorded: false, reason: 'No tournament or odds' };
+  }
+
+  const store = getBlobStore(STORE_NAME, context);
+  const key = generateOddsHistoryKey(tour, tournament);
+  const existing = await store.get(key, { type: 'json' }).catch(() => null);
+  const { eventId, season } = tournamentIdentity(tournament);
+
+  const history = existing || {
+    tournament: { name: tournament.name, eventId, season },
+    tour,
+    snapshots: []
+  };
+
+  const now = new Date();
+
+  // Start date arrives later for on-demand pulls, so take it whenever it changes.
+  // A later date once the old one has passed is a new edition under a name key - start its series fresh.
+  const previousStart = history.tournament.startDate;
+  if (tournament.start_date && tournament.start_date !== previousStart) {
+    const newEdition = previousStart && new Date(previousStart) < now && new Date(tournament.start_date) > new Date(previousStart);
+    if (newEdition && history.snapshots.length > 0) {
+      console.log(`[ODDS-HISTORY] New edition of ${tournament.name} (${previousStart} → ${tournament.start_date}), starting a fresh series`);
+      history.snapshots = [];
+    }
+    history.tournament.startDate = tournament.start_date;
+  }
+
+  const last = history.snapshots[history.snapshots.length - 1];
+  if (snapshotType === 'on-demand' && last && now - new Date(last.fetchedAt) < ON_DEMAND_MIN_INTERVAL_MS) {
+    console.log(`[ODDS-HISTORY] Skipped on-demand snapshot for ${tournament.name} (last one ${Math.round((now - new Date(last.fetchedAt)) / 60000)} min ago)`);
+    return { recorded: false, reason: 'Recent snapshot exists', key };
+  }
+
+  history.snapshots.push({
+    fetchedAt: now.toISOString(),
+    source,
+    snapshotType,
+    odds: odds
+      .filter(o => o.player && o.odds)
+      .map(o => ({
+        player: o.player,
+        odds: o.odds,
+        bestOdds: o.bestOdds || null,
+        bookmakerCount: o.bookmakerCount || null
+      }))
+  });
+  history.snapshots = history.snapshots.slice(-MAX_SNAPSHOTS);
+  history.updatedAt = now.toISOString();
+
+  await store.setJSON(key, history);
+  console.log(`[ODDS-HISTORY] ✅ ${snapshotType} snapshot #${history.snapshots.length} for ${tournament.name} (${source})`);
+
+  return { recorded: true, key, snapshotCount: history.snapshots.length };
+}
+
+// ==================== LOADING ====================
+
+/**
+ * Load one tournament's series, or the most recently updated one for the tour
+ * tournament: an object with eventId/season (or event_id/calendar_year) finds that edition; a plain name
+ * only finds series recorded without an event id
+ */
+async function loadOddsHistory(tour, tournament = null, context = null) {
+  const store = getBlobStore(STORE_NAME, context);
+
+  if (tournament) {
+    return store.get(generateOddsHistoryKey(tour, tournament), { type: 'json' }).catch(() => null);
+  }
+
+  const { blobs } = await store.list({ prefix: `${tour}-` });
+  let latest = null;
+
+  for (const blob of blobs || []) {
+    const history = await store.get(blob.key, { type: 'json' }).catch(() => null);
+    if (history?.updatedAt && (!latest || new Date(history.updatedAt) > new Date(latest.updatedAt))) {
+      latest = history;
+    }
+  }
+
+  return latest;
+}
+
+// ==================== LINE MOVEMENT ====================
+
+/**
+ * Opening, current and closing price per player plus the biggest movers
+ * Closing = last snapshot taken before the start date (only once the tournament has started).
+ * Movement is measured in implied win probability so +400→+300 and +8000→+6000 compare fairly.
+ */
+function summarizeLineMovement(history, now = new Date()) {
+  const snapshots = sortSnapshots(history);
+  const closingSnapshot = findClosingSnapshot(snapshots, history?.tournament?.startDate, now);
+  const closingCutoff = closingSnapshot ? closingSnapshot.fetchedAt : null;
+
+  const byPlayer = new Map();
+  for (const snapshot of snapshots) {
+    for (const entry of snapshot.odds || []) {
+      const key = normalizePlayerName(entry.player);
+      if (!byPlayer.has(key)) byPlayer.set(key, { player: entry.player, history: [] });
+      byPlayer.get(key).history.push({
+        fetchedAt: snapshot.fetchedAt,
+        odds: entry.odds,
+        bestOdds: entry.bestOdds
+      });
+    }
+  }
+
+  const players = [];
+  for (const { player, history: points } of byPlayer.values()) {
+    const opening = points[0];
+    const current = points[points.length - 1];
+    const closing = closingCutoff
+      ? points.filter(p => p.fetchedAt <= closingCutoff).pop() || null
+      : null;
+
+    const reference = closing || current;
+    const openingProb = impliedProbability(opening.odds);
+    const referenceProb = impliedProbability(reference.odds);
+    const probChange = openingProb && referenceProb ? round(referenceProb - openingProb, 4) : 0;
+
+    players.push({
+      player,
+      opening,
+      current,
+      closing,
+      oddsChange: reference.odds - opening.odds,
+      probChange,
+      direction: probChange > 0 ? 'shortened' : probChange < 0 ? 'drifted' : 'flat',
+      history: points
+    });
+  }
+
+  players.sort((a, b) => a.current.odds - b.current.odds);
+
+  const moved = players.filter(p => p.history.length > 1);
+  return {
+    snapshotCount: snapshots.length,
+    firstFetchedAt: snapshots[0]?.fetchedAt || null,
+    lastFetchedAt: snapshots[snapshots.length - 1]?.fetchedAt || null,
+    closingCutoff,
+    players,
+    movers: {
+      shortened: moved.filter(p => p.probChange > 0).sort((a, b) => b.probChange - a.probChange).slice(0, MOVERS_LIMIT).map(toMover),
+      drifted: moved.filter(p => p.probChange < 0).sort((a, b) => a.probChange - b.probChange).slice(0, MOVERS_LIMIT).map(toMover)
+    }
+  };
+}
+
+// ==================== CLOSING LINE ====================
+
+/**
+ * Closing prices for a finished tournament, keyed by normalized player name
+ * Uses the recorded start date; older series recorded before start dates were captured
+ * fall back to the Thursday on/after `fallbackFrom` (the prediction's generatedAt).
+ */
+function getClosingLine(history, fallbackFrom = null, now = new Date()) {
+  const startDate = history?.tournament?.startDate || (fallbackFrom ? assumeThursdayStart(fallbackFrom) : null);
+  const closingSnapshot = findClosingSnapshot(sortSnapshots(history), startDate, now);
+  if (!closingSnapshot) return null;
+
+  const prices = new Map();
+  for (const entry of closingSnapshot.odds || []) {
+    prices.set(normalizePlayerName(entry.player), entry);
+  }
+
+  return {
+    fetchedAt: closingSnapshot.fetchedAt,
+    source: closingSnapshot.source,
+    startDate,
+    startDateAssumed: !history?.tournament?.startDate,
+    prices
+  };
+}
+
+function sortSnapshots(history) {
+  return (history?.snapshots || [])
+    .slice()
+    .sort((a, b) => new Date(a.fetchedAt) - new Date(b.fetchedAt));
+}
+
+/**
+ * Last snapshot before the start date - only once the tournament has actually started
+ */
+function findClosingSnapshot(snapshots, startDate, now) {
+  if (!startDate) return null;
+  const start = new Date(startDate);
+  if (now < start) return null;
+
+  const preStart = snapshots.filter(s => new Date(s.fetchedAt) < start);
+  return preStart.length > 0 ? preStart[preStart.length - 1] : null;
+}
+
+function assumeThursdayStart(timestamp) {
+  const date = new Date(timestamp);
+  const daysUntilThursday = (4 - date.getUTCDay() + 7) % 7;
+  date.setUTCDate(date.getUTCDate() + daysUntilThursday);
+  return date.toISOString().split('T')[0];
+}
+
+function toMover(p) {
+  return {
+    player: p.player,
+    openingOdds: p.opening.odds,
+    latestOdds: (p.closing || p.current).odds,
+    probChange: p.probChange
+  };
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  generateOddsHistoryKey,
+  decimalToAmerican,
+  impliedProbability,
+  recordOddsSnapshot,
+  loadOddsHistory,
+  summarizeLineMovement,
+  getClosingLine
+};
@@ -0,0 +1,313 @@
+const { getBlobStore, getDataProvider, normalizePlayerName } = require('./shared-utils');
+const { TOURS, tourIds } = require('./tour-registry');
+
+/**
+ * PLAYER REGISTRY
+ * One identity per player, keyed by DataGolf dg_id: canonical name, aliases, nationality, tour.
+ * Built from the DataGolf rankings and each tour's field feed, merged into what was stored before
+ * (players who drop out of the rankings keep their identity) and cached in the 'player-registry'
+ * blob store for a day.
+ *
+ * Names resolve to a dg_id by exact (token-order-free) match on the canonical name or an alias -
+ * never by last name alone. A name that fits more than one dg_id isn't guessed: it comes back
+ * unmatched with its candidates, and the ambiguity is logged and kept in the 'ambiguities' report.
+ *
+ * 'player-registry' store:
+ *   registry    → { builtAt, sources, players: [{ dgId, name, aliases, country, tour, amateur }], collisions }
+ *   ambiguities → { updatedAt, entries: [{ name, source, candidates: [{ dgId, name, country, tour }], count, firstSeen, lastSeen }] }
+ * Used by: fetch-stats, fetch-odds, get-predictions, get-tournament-news, results-scoring (via dgId on results)
+ */
+
+// ========================================
+// 🎯 REGISTRY CONFIGURATION - EDIT HERE
+// ========================================
+const REGISTRY_CONFIG = {
+  maxAgeHours: 24,          // Stored registry older than this is rebuilt on load
+  fieldTours: tourIds(),    // Field feeds merged in on each build (rankings cover every tour)
+  maxAmbiguities: 200       // Entries kept in the ambiguity report
+};
+
+// Names the feeds don't agree on - every name in a group is the same player
+const ALIAS_GROUPS = [
+  ['Matt Fitzpatrick', 'Matthew Fitzpatrick'],
+  ['Tom Kim', 'Joohyung Kim', 'Joo-hyung Kim'],
+  ['Ben An', 'Byeong Hun An'],
+  ['Cam Davis', 'Cameron Davis'],
+  ['Nico Echavarria', 'Nicolas Echavarria'],
+  ['Alex Noren', 'Alexander Noren'],
+  ['Dan Brown', 'Daniel Brown']
+];
+// ========================================
+
+const REGISTRY_STORE = 'player-registry';
+const REGISTRY_KEY = 'registry';
+const AMBIGUITY_KEY = 'ambiguities';
+
+// DataGolf primary_tour → the app's tour ids (each tour's rankingCodes)
+const TOUR_IDS = Object.fromEntries(
+  Object.entries(TOURS).flatMap(([id, tour]) => tour.rankingCodes.map(code => [code, id]))
+);
+
+let cachedRegistry = null;
+
+/**
+ * The registry, from memory, the blob store or a fresh build (in that order)
+ * Never throws - with no feeds and nothing stored it's empty and every lookup falls back to the caller's own data
+ */
+async function loadPlayerRegistry({ context = null, refresh = false } = {}) {
+  if (!refresh && cachedRegistry && isFresh(cachedRegistry)) return cachedRegistry;
+
+  let store = null;
+  let stored = null;
+  try {
+    store = getBlobStore(REGISTRY_STORE, context);
+    stored = await store.get(REGISTRY_KEY, { type: 'json' });
+    if (!refresh && isFresh(stored)) {
+      cachedRegistry = createPlayerRegistry(stored);
+      return cachedRegistry;
+    }
+  } catch (error) {
+    console.log(`[PLAYERS] Registry store unavailable: ${error.message}`);
+  }
+
+  const built = await buildRegistryData(stored);
+  if (store && built.players.length > 0) {
+    try {
+      await store.set(REGISTRY_KEY, JSON.stringify(built));
+      console.log(`[PLAYERS] ✅ Saved registry (${built.players.length} players)`);
+    } catch (error) {
+      console.log(`[PLAYERS] Registry not saved: ${error.message}`);
+    }
+  }
+
+  // Keep serving a stale registry over an empty one when every feed failed
+  cachedRegistry = createPlayerRegistry(built.players.length > 0 ? built : (stored || built));
+  return cachedRegistry;
+}
+
+function isFresh(data) {
+  const count = data?.players?.length ?? data?.size;
+  if (!data?.builtAt || !count) return false;
+  return Date.now() - new Date(data.builtAt).getTime() < REGISTRY_CONFIG.maxAgeHours * 60 * 60 * 1000;
+}
+
+/**
+ * Rankings + field feeds merged into the previously stored players
+ */
+async function buildRegistryData(previous = null) {
+  const dataProvider = getDataProvider();
+  const registry = createPlayerRegistry(previous || { players: [] });
+  const sources = {};
+
+  if (!dataProvider.isConfigured('datagolf')) {
+    console.log('[PLAYERS] DataGolf API key not configured, registry not rebuilt');
+    return { ...registry.toJSON(), builtAt: previous?.builtAt || null, sources };
+  }
+
+  const feeds = [
+    { name: 'rankings', fetch: () => dataProvider.getRankings(), rows: data => data?.rankings, tour: null },
+    ...REGISTRY_CONFIG.fieldTours.map(tour => ({
+      name: `field-${tour}`,
+      fetch: () => dataProvider.getField(tour),
+      rows: data => data?.field,
+      tour
+    }))
+  ];
+
+  const responses = await Promise.allSettled(feeds.map(feed => feed.fetch()));
+  feeds.forEach((feed, i) => {
+    const rows = responses[i].status === 'fulfilled' ? feed.rows(responses[i].value) : null;
+    if (!Array.isArray(rows)) {
+      console.log(`[PLAYERS] ${feed.name} unavailable: ${responses[i].reason?.message || 'no players'}`);
+      sources[feed.name] = 0;
+      return;
+    }
+    rows.forEach(row => registry.addPlayer({
+      dgId: row.dg_id,
+      name: row.player_name,
+      country: row.country,
+      tour: TOUR_IDS[String(row.primary_tour || '').toUpperCase()] || feed.tour,
+      amateur: row.am === 1 || row.am === true
+    }));
+    sources[feed.name] = rows.length;
+  });
+
+  const data = { ...registry.toJSON(), builtAt: new Date().toISOString(), sources };
+  console.log(`[PLAYERS] Built registry: ${data.players.length} players, ${data.collisions.length} shared names (${JSON.stringify(sources)})`);
+  return data;
+}
+
+/**
+ * Registry over stored data ({ players }) - lookups by dg_id and by name
+ */
+function createPlayerRegistry(data = {}) {
+  const players = new Map();
+  const nameIndex = new Map();
+
+  const indexName = (name, dgId) => {
+    const key = normalizePlayerName(cleanName(name));
+    if (!key) return;
+    if (!nameIndex.has(key)) nameIndex.set(key, new Set());
+    nameIndex.get(key).add(dgId);
+  };
+
+  /**
+   * Add or merge one player - a name that differs from the canonical one becomes an alias
+   */
+  const addPlayer = ({ dgId, name, aliases = [], country = null, tour = null, amateur = false }) => {
+    const id = Number(dgId);
+    if (!id || !name) return null;
+
+    const canonical = displayName(name);
+    const existing = players.get(id);
+    const entry = existing
+      ? {
+        ...existing,
+        country: country || existing.country,
+        tour: tour || existing.tour,
+        amateur: amateur || existing.amateur
+      }
+      : { dgId: id, name: canonical, aliases: [], country, tour, amateur };
+
+    const known = new Set([entry.name, ...entry.aliases].map(n => normalizePlayerName(n)));
+    for (const alias of [canonical, ...aliases.map(displayName), ...groupAliases(canonical)]) {
+      const key = normalizePlayerName(alias);
+      if (!known.has(key)) {
+        entry.aliases = [...entry.aliases, alias];
+        known.add(key);
+      }
+    }
+
+    players.set(id, entry);
+    [entry.name, ...entry.aliases].forEach(n => indexName(n, id));
+    return entry;
+  };
+
+  (data.players || []).forEach(addPlayer);
+
+  /**
+   * dg_id for a name - { player, dgId, matchedBy: 'dgId'|'name'|null, candidates, ambiguity }
+   * ambiguity ({ name, source, candidates }) is set when the name fits several players - collect it for recordAmbiguities
+   * dgId: a dg_id the caller already has (trusted over the name)
+   * within: dg_ids to choose from when the name fits several players (e.g. this week's field)
+   * source: where the name came from, for the ambiguity report
+   */
+  const resolve = (name, { dgId = null, within = null, source = null } = {}) => {
+    const id = Number(dgId) || null;
+    if (id) {
+      return { player: players.get(id) || null, dgId: id, matchedBy: 'dgId', candidates: [] };
+    }
+
+    let ids = [...(nameIndex.get(normalizePlayerName(cleanName(name || ''))) || [])];
+    if (ids.length > 1 && within) {
+      const allowed = new Set([...within].map(Number));
+      const narrowed = ids.filter(candidate => allowed.has(candidate));
+      if (narrowed.length > 0) ids = narrowed;
+    }
+
+    if (ids.length === 1) {
+      return { player: players.get(ids[0]), dgId: ids[0], matchedBy: 'name', candidates: [] };
+    }
+    if (ids.length > 1) {
+      const candidates = ids.map(candidate => summarize(players.get(candidate)));
+      console.log(`[PLAYERS] ⚠️ "${name}" matches ${candidates.length} players: ${candidates.map(c => `${c.name} (${c.dgId}, ${c.country || '?'})`).join(', ')}`);
+      return { player: null, dgId: null, matchedBy: null, candidates, ambiguity: { name, source, candidates } };
+    }
+    return { player: null, dgId: null, matchedBy: null, candidates: [] };
+  };
+
+  const toJSON = () => {
+    const all = [...players.values()];
+    const collisions = [...nameIndex.entries()]
+      .filter(([, ids]) => ids.size > 1)
+      .map(([key, ids]) => ({ name: key, dgIds: [...ids] }));
+    return { players: all, collisions };
+  };
+
+  return {
+    builtAt: data.builtAt || null,
+    get size() { return players.size; },
+    get: dgId => players.get(Number(dgId)) || null,
+    addPlayer,
+    resolve,
+    toJSON
+  };
+}
+
+/**
+ * Same player? By dg_id when both sides have one, else by normalized name
+ * a, b: { dgId, name } (or { dgId, player })
+ */
+function isSamePlayer(a, b) {
+  if (!a || !b) return false;
+  if (a.dgId && b.dgId) return Number(a.dgId) === Number(b.dgId);
+  const nameA = a.name || a.player;
+  const nameB = b.name || b.player;
+  return !!nameA && !!nameB && normalizePlayerName(cleanName(nameA)) === normalizePlayerName(cleanName(nameB));
+}
+
+/**
+ * Add this run's ambiguous names to the stored report - never throws
+ */
+async function recordAmbiguities(ambiguities, context = null) {
+  if (!ambiguities?.length) return;
+  try {
+    const store = getBlobStore(REGISTRY_STORE, context);
+    const report = (await store.get(AMBIGUITY_KEY, { type: 'json' })) || { entries: [] };
+    const now = new Date().toISOString();
+
+    for (const ambiguity of ambiguities) {
+      const key = normalizePlayerName(cleanName(ambiguity.name || ''));
+      const existing = report.entries.find(e => normalizePlayerName(cleanName(e.name)) === key && e.source === ambiguity.source);
+      if (existing) {
+        existing.count++;
+        existing.lastSeen = now;
+        existing.candidates = ambiguity.candidates;
+      } else {
+        report.entries.push({ ...ambiguity, count: 1, firstSeen: now, lastSeen: now });
+      }
+    }
+
+    report.entries = report.entries
+      .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen))
+      .slice(0, REGISTRY_CONFIG.maxAmbiguities);
+    report.updatedAt = now;
+    await store.set(AMBIGUITY_KEY, JSON.stringify(report));
+  } catch (error) {
+    console.log(`[PLAYERS] Ambiguity report not saved: ${error.message}`);
+  }
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * DataGolf names are "Last, First" - canonical names read "First Last"
+ */
+function displayName(name) {
+  const cleaned = String(name).replace(/[\u{1F1E6}-\u{1F1FF}]/gu, '').replace(/\([^)]*\)/g, '').trim();
+  const [last, first] = cleaned.split(',').map(part => part.trim());
+  return (first ? `${first} ${last}` : last).replace(/\s+/g, ' ');
+}
+
+function cleanName(name) {
+  return displayName(name || '');
+}
+
+function groupAliases(name) {
+  const key = normalizePlayerName(name);
+  const group = ALIAS_GROUPS.find(names => names.some(n => normalizePlayerName(n) === key));
+  return group ? group.filter(n => normalizePlayerName(n) !== key) : [];
+}
+
+function summarize(player) {
+  return { dgId: player.dgId, name: player.name, country: player.country, tour: player.tour };
+}
+
+module.exports = {
+  REGISTRY_CONFIG,
+  loadPlayerRegistry,
+  createPlayerRegistry,
+  isSamePlayer,
+  recordAmbiguities,
+  displayName
+};
@@ -0,0 +1,437 @@
+const { normalizePlayerName, americanToDecimal } = require('./shared-utils');
+const { approachFit } = require('./course-model');
+
+/**
+ * QUANT MODEL
+ * Deterministic numeric model that runs alongside the Claude picks:
+ * 1. SG splits (weighted by the course's hole model, else venue type) + approach-profile course fit
+ *    + recent form (SG form when available, else finishes) + course history (comp-course history for players new to the venue) → projected strokes per round
+ * 2. Seeded Monte Carlo of the tournament → win / top-5 / top-10 / top-20 / make-cut probabilities
+ * 3. Edge against the (de-vigged) market win price from fetch-odds
+ *
+ * Same inputs always give the same output - the simulation RNG is seeded from the tournament name.
+ * Used by: get-predictions
+ */
+
+// ========================================
+// 🎯 MODEL CONFIGURATION - EDIT HERE
+// ========================================
+const MODEL_CONFIG = {
+  simulations: 10000,
+  rounds: 4,               // rounds / cutAfterRound / cutSize are the PGA Tour format - callers pass the
+  cutAfterRound: 2,        // tour's own through config (tour-registry simulationFormat); cutAfterRound null = no cut
+  cutSize: 65,             // Top 65 and ties (continuous scores, so no ties in simulation)
+  cutWithinShots: null,    // Also through: anyone within this many shots of the lead (signature events)
+  startingStrokes: null,   // { [player]: strokes } each player starts on (TOUR Championship) - from simulationFormat
+  roundStdDev: 2.75,       // Tour-average round-to-round scoring spread (strokes)
+  formWeight: 0.35,        // Max strokes/round that recent form can move a player
+  sgFormWeight: 0.3,       // Share of the gap between SG form and baseline skill counted as form
+  sgFormCap: 1.5,          // Largest form gap (strokes/round) that counts
+  historyWeight: 0.25,     // Max strokes/round that course history can move a player
+  compHistoryWeight: 0.15, // Same for comp-course history, used only without venue history (scaled by similarity)
+  resultDecay: 0.8         // Each older result counts 80% of the one after it
+};
+
+// How much each SG category matters at each venue type (1.0 = neutral)
+// Keys match the first word of classifyVenueType() in get-predictions
+const VENUE_SG_WEIGHTS = {
+  desert:       { ott: 1.15, app: 1.00, arg: 0.90, putt: 0.95 },
+  links:        { ott: 0.90, app: 1.00, arg: 1.20, putt: 0.85 },
+  coastal:      { ott: 0.95, app: 1.05, arg: 1.10, putt: 0.90 },
+  mountain:     { ott: 1.10, app: 1.05, arg: 0.90, putt: 0.95 },
+  resort:       { ott: 1.00, app: 1.00, arg: 1.00, putt: 1.05 },
+  championship: { ott: 1.00, app: 1.15, arg: 1.00, putt: 0.90 },
+  tpc:          { ott: 0.95, app: 1.15, arg: 1.00, putt: 0.95 },
+  southern:     { ott: 1.00, app: 1.05, arg: 1.00, putt: 1.00 },
+  northern:     { ott: 1.00, app: 1.05, arg: 1.00, putt: 1.00 },
+  parkland:     { ott: 1.00, app: 1.00, arg: 1.00, putt: 1.00 }
+};
+// ========================================
+
+/**
+ * Run the full model for a field
+ * players: merged player data from get-predictions (sgOTT/sgAPP/..., recentResults, courseHistory, odds)
+ */
+function runQuantModel(players, { venueType, courseInfo = {}, seedKey = '', config = {} } = {}) {
+  const settings = { ...MODEL_CONFIG, ...config };
+  const holeModel = courseInfo.holeModel || null;
+  const sgWeights = getSgWeights(venueType, holeModel);
+
+  const projections = players.map(p => projectPlayer(p, sgWeights, holeModel, settings));
+
+  // Projected strokes are relative to the field average at this course
+  const fieldMean = projections.reduce((sum, p) => sum + p.skill, 0) / (projections.length || 1);
+  const courseBaseline = parseFloat(courseInfo.avgScore) || parseFloat(courseInfo.par) || 72;
+
+  for (const p of projections) {
+    p.strokesGainedVsField = round(p.skill - fieldMean, 3);
+    p.projectedStrokes = round(courseBaseline - p.strokesGainedVsField, 2);
+  }
+
+  const probabilities = simulateTournament(projections, settings, hashSeed(seedKey));
+  const marketProbs = getMarketWinProbabilities(players);
+
+  const results = projections.map((p, i) => {
+    const prob = probabilities[i];
+    const market = marketProbs[i];
+    const bestDecimal = p.bestDecimalOdds || (market ? market.decimalOdds : null);
+
+    return {
+      player: p.player,
+      odds: p.odds,
+      projectedStrokes: p.projectedStrokes,
+      strokesGainedVsField: p.strokesGainedVsField,
+      startingStrokes: p.startingStrokes,
+      components: p.components,
+      winProb: prob.win,
+      top5Prob: prob.top5,
+      top10Prob: prob.top10,
+      top20Prob: prob.top20,
+      makeCutProb: prob.makeCut,
+      fairOdds: probabilityToAmerican(prob.win),
+      marketWinProb: market ? market.probability : null,
+      edge: market ? round(prob.win - market.probability, 4) : null,
+      expectedValue: bestDecimal ? round(prob.win * bestDecimal - 1, 3) : null
+    };
+  });
+
+  results.sort((a, b) => b.winProb - a.winProb);
+
+  return {
+    method: 'SG projection + Monte Carlo',
+    simulations: settings.simulations,
+    rounds: settings.rounds,
+    cutAfterRound: settings.cutAfterRound,
+    roundStdDev: settings.roundStdDev,
+    venueType: venueType || 'Unknown',
+    sgWeights,
+    sgWeightSource: holeModel ? `hole model (${holeModel.source})` : 'venue type',
+    courseBaseline,
+    players: results
+  };
+}
+
+// ==================== PROJECTION ====================
+
+function getVenueSgWeights(venueType) {
+  const key = (venueType || '').toLowerCase().split(/[\s/(]/)[0];
+  return VENUE_SG_WEIGHTS[key] || VENUE_SG_WEIGHTS.parkland;
+}
+
+/**
+ * SG weights for this course: a real hole list replaces the venue-type table outright;
+ * a layout estimated from par/yardage only adjusts it (it knows length, not character)
+ */
+function getSgWeights(venueType, holeModel) {
+  if (holeModel?.source === 'holes') return holeModel.sgWeights;
+
+  const venue = getVenueSgWeights(venueType);
+  if (!holeModel) return venue;
+  const weights = {};
+  for (const key of Object.keys(venue)) {
+    weights[key] = round(venue[key] * holeModel.sgWeights[key], 3);
+  }
+  return weights;
+}
+
+/**
+ * Skill in strokes gained per round vs an average tour player
+ */
+function projectPlayer(player, sgWeights, holeModel, settings) {
+  const hasSplits = [player.sgOTT, player.sgAPP, player.sgARG, player.sgPutt].some(v => typeof v === 'number');
+
+  const baseSkill = hasSplits
+    ? (player.sgOTT || 0) * sgWeights.ott +
+      (player.sgAPP || 0) * sgWeights.app +
+      (player.sgARG || 0) * sgWeights.arg +
+      (player.sgPutt || 0) * sgWeights.putt
+    : (player.sgTotal || 0);
+
+  const courseFit = approachFit(player.approach, holeModel) || 0;
+  const form = player.sgForm?.total != null
+    ? sgFormToStrokes(player.sgForm, player.sgTotal || 0, settings)
+    : resultsToStrokes(player.recentResults, settings.resultDecay) * settings.formWeight;
+  const history = player.courseHistory?.length > 0
+    ? resultsToStrokes(player.courseHistory, settings.resultDecay) * settings.historyWeight
+    : compHistoryToStrokes(player.compCourseHistory, settings);
+
+  return {
+    player: player.name,
+    odds: player.odds,
+    bestDecimalOdds: player.minOdds > 1 ? player.minOdds : null,
+    skill: baseSkill + courseFit + form + history,
+    startingStrokes: startingStrokesFor(player.name, settings.startingStrokes),
+    components: {
+      sg: round(baseSkill, 3),
+      courseFit: round(courseFit, 3),
+      form: round(form, 3),
+      courseHistory: round(history, 3)
+    }
+  };
+}
+
+function startingStrokesFor(name, startingStrokes) {
+  if (!startingStrokes) return 0;
+  const key = normalizePlayerName(name);
+  const match = Object.entries(startingStrokes).find(([player]) => normalizePlayerName(player) === key);
+  return match ? match[1] : 0;
+}
+
+/**
+ * Decay-weighted finish score in [-1, 1] (most recent result first)
+ */
+function resultsToStrokes(results, decay) {
+  if (!Array.isArray(results) || results.length === 0) return 0;
+
+  let weighted = 0;
+  let totalWeight = 0;
+
+  results.slice(0, 8).forEach((r, i) => {
+    const weight = Math.pow(decay, i);
+    weighted += finishToScore(r) * weight;
+    totalWeight += weight;
+  });
+
+  return totalWeight > 0 ? weighted / totalWeight : 0;
+}
+
+/**
+ * SG form: how far recent field-adjusted SG runs above or below the player's baseline skill,
+ * trusted in proportion to how many rounds it's built on
+ */
+function sgFormToStrokes(sgForm, baselineTotal, settings) {
+  const gap = Math.max(-settings.sgFormCap, Math.min(settings.sgFormCap, sgForm.total - baselineTotal));
+  return gap * (sgForm.reliability ?? 1) * settings.sgFormWeight;
+}
+
+/**
+ * Comp-course history: decay-weighted finishes, each comp counting by how similar its course is
+ */
+function compHistoryToStrokes(results, settings) {
+  if (!Array.isArray(results) || results.length === 0) return 0;
+  const similarity = results.reduce((sum, r) => sum + (r.similarity || 0), 0) / results.length;
+  return resultsToStrokes(results, settings.resultDecay) * similarity * settings.compHistoryWeight;
+}
+
+function finishToScore(result) {
+  if (result.madeCut === false) return -1;
+  const position = parseInt(String(result.position || '').replace(/[^0-9]/g, ''));
+  if (isNaN(position)) return -1;
+  if (position === 1) return 1;
+  if (position <= 5) return 0.8;
+  if (position <= 10) return 0.6;
+  if (position <= 20) return 0.3;
+  if (position <= 40) return 0;
+  return -0.3;
+}
+
+// ==================== SIMULATION ====================
+
+/**
+ * Simulate the tournament and count finishes per player
+ * Each round: score = -skill + N(0, roundStdDev), added to the player's starting strokes. Lowest total wins.
+ * With no cut everyone plays every round and makeCut is null.
+ */
+function simulateTournament(projections, settings, seed) {
+  const n = projections.length;
+  const random = mulberry32(seed);
+  const normal = createNormalSampler(random);
+  const counts = projections.map(() => ({ win: 0, top5: 0, top10: 0, top20: 0, makeCut: 0 }));
+
+  if (n === 0) return [];
+
+  const totals = new Float64Array(n);
+  const order = new Array(n);
+  const hasCut = !!settings.cutAfterRound;
+  const cutSize = hasCut ? Math.min(settings.cutSize, n) : n;
+
+  for (let sim = 0; sim < settings.simulations; sim++) {
+    for (let i = 0; i < n; i++) {
+      totals[i] = projections[i].startingStrokes;
+      order[i] = i;
+    }
+
+    let alive = order;
+    for (let round = 1; round <= settings.rounds; round++) {
+      for (const i of alive) {
+        totals[i] += normal() * settings.roundStdDev - projections[i].skill;
+      }
+      if (hasCut && round === settings.cutAfterRound) {
+        const ranked = alive.slice().sort((a, b) => totals[a] - totals[b]);
+        const cutLine = settings.cutWithinShots ? totals[ranked[0]] + settings.cutWithinShots : -Infinity;
+        alive = ranked.filter((i, position) => position < cutSize || totals[i] <= cutLine);
+        for (const i of alive) counts[i].makeCut++;
+      }
+    }
+
+    const finishers = alive.slice().sort((a, b) => totals[a] - totals[b]);
+    finishers.forEach((i, position) => {
+      if (position === 0) counts[i].win++;
+      if (position < 5) counts[i].top5++;
+      if (position < 10) counts[i].top10++;
+      if (position < 20) counts[i].top20++;
+    });
+  }
+
+  const sims = settings.simulations;
+  return counts.map(c => ({
+    win: round(c.win / sims, 4),
+    top5: round(c.top5 / sims, 4),
+    top10: round(c.top10 / sims, 4),
+    top20: round(c.top20 / sims, 4),
+    makeCut: hasCut ? round(c.makeCut / sims, 4) : null
+  }));
+}
+
+/**
+ * Simulate a small group (head-to-head or 3-ball) over whole-stroke scores
+ * skills: strokes gained per round vs the field (strokesGainedVsField from runQuantModel)
+ * Scores are rounded to whole strokes each round, so ties happen as often as they do on the course.
+ * startingStrokes: what each player starts on (TOUR Championship tournament matchups), else level
+ * Returns per player { outright, share } (share splits ties for low score dead-heat style) plus the tie probability.
+ */
+function simulateGroup(skills, { rounds = 1, seedKey = '', simulations = MODEL_CONFIG.simulations, roundStdDev = MODEL_CONFIG.roundStdDev, startingStrokes = null } = {}) {
+  const n = skills.length;
+  const random = mulberry32(hashSeed(seedKey));
+  const normal = createNormalSampler(random);
+  const outright = new Array(n).fill(0);
+  const share = new Array(n).fill(0);
+  const totals = new Array(n);
+  let ties = 0;
+
+  for (let sim = 0; sim < simulations; sim++) {
+    for (let i = 0; i < n; i++) {
+      totals[i] = startingStrokes ? startingStrokes[i] : 0;
+      for (let round = 0; round < rounds; round++) {
+        totals[i] += Math.round(normal() * roundStdDev - skills[i]);
+      }
+    }
+
+    const low = Math.min(...totals);
+    const leaders = totals.reduce((list, total, i) => (total === low ? [...list, i] : list), []);
+    if (leaders.length === 1) outright[leaders[0]]++;
+    else ties++;
+    for (const i of leaders) share[i] += 1 / leaders.length;
+  }
+
+  return {
+    players: skills.map((_, i) => ({
+      outright: round(outright[i] / simulations, 4),
+      share: round(share[i] / simulations, 4)
+    })),
+    tieProb: round(ties / simulations, 4)
+  };
+}
+
+/**
+ * Small seeded PRNG so simulations are reproducible
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function createNormalSampler(random) {
+  let spare = null;
+  return function () {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+    // Box-Muller: two normals per pair of uniforms
+    const u = random() || Number.MIN_VALUE;
+    const v = random();
+    const mag = Math.sqrt(-2 * Math.log(u));
+    spare = mag * Math.sin(2 * Math.PI * v);
+    return mag * Math.cos(2 * Math.PI * v);
+  };
+}
+
+function hashSeed(key) {
+  let hash = 2166136261;
+  for (const ch of String(key)) {
+    hash ^= ch.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// ==================== MARKET COMPARISON ====================
+
+/**
+ * Market win probabilities with the bookmaker margin removed (normalized to sum to 1)
+ */
+function getMarketWinProbabilities(players) {
+  const implied = players.map(p => {
+    if (!p.odds) return null;
+    const decimalOdds = americanToDecimal(p.odds);
+    return decimalOdds > 1 ? { decimalOdds, raw: 1 / decimalOdds } : null;
+  });
+
+  const overround = implied.reduce((sum, m) => sum + (m ? m.raw : 0), 0);
+  if (overround <= 0) return implied;
+
+  return implied.map(m => m ? {
+    decimalOdds: m.decimalOdds,
+    probability: round(m.raw / overround, 4)
+  } : null);
+}
+
+/**
+ * Fair American price for a probability - null at 0 or 1, which have no price
+ * (a sure thing would be -Infinity, and JSON turns that into null anyway)
+ */
+function probabilityToAmerican(probability) {
+  if (!probability || probability <= 0 || probability >= 1) return null;
+  if (probability >= 0.5) return -Math.round((probability / (1 - probability)) * 100);
+  return Math.round(((1 - probability) / probability) * 100);
+}
+
+/**
+ * Look up a player's model output by name
+ */
+function findModelPlayer(model, playerName) {
+  if (!model?.players) return null;
+  const target = normalizePlayerName(playerName);
+  return model.players.find(p => normalizePlayerName(p.player) === target) || null;
+}
+
+/**
+ * The part of a model run worth saving: its settings plus the players the app's model board shows
+ * (top by win probability, top by edge), without per-player components. Picks carry their own
+ * numbers (get-predictions attachModelToPicks), so the full ~156-player field isn't kept.
+ */
+function summarizeModel(model, { topByWin = 10, topByEdge = 5 } = {}) {
+  if (!model?.players) return null;
+
+  const { players, ...settings } = model;
+  const byEdge = players.filter(p => p.edge != null).sort((a, b) => b.edge - a.edge).slice(0, topByEdge);
+  const shown = new Set([...players.slice(0, topByWin), ...byEdge]);
+
+  return {
+    ...settings,
+    fieldSize: players.length,
+    players: players.filter(p => shown.has(p)).map(({ components, ...p }) => p)
+  };
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  MODEL_CONFIG,
+  runQuantModel,
+  simulateGroup,
+  findModelPlayer,
+  summarizeModel,
+  probabilityToAmerican
+};
@@ -0,0 +1,82 @@
+const axios = require('axios');
+const { getFormAndHistory } = require('./form-service');
+const { config } = require('./config');
+const { tourIds } = require('./tour-registry');
+
+/**
+ * Scheduled Function: Refresh Form & Course History
+ *
+ * Rebuilds this week's recent results + course history for the whole field of every event on each
+ * tour's schedule this week - main and opposite-field (see form-service.js)
+ * so get-predictions and get-tournament-news read it from the 'form' blob store
+ * instead of pulling DataGolf event data on every request.
+ *
+ * Schedule: 0 6,18 * * * (6 AM and 6 PM UTC) - see netlify.toml
+ */
+exports.handler = async (event, context) => {
+  console.log('[REFRESH-FORM] Starting scheduled form refresh...');
+  const results = [];
+
+  for (const tour of tourIds()) {
+    try {
+      const tournament = await getCurrentTournament(tour);
+
+      if (!tournament?.name) {
+        console.log(`[REFRESH-FORM] No ${tour.toUpperCase()} tournament found`);
+        results.push({ tour, refreshed: false, reason: 'No tournament this week' });
+        continue;
+      }
+
+      // The main event, then every other event on this week's schedule (opposite fields)
+      const others = (tournament.events || []).filter(e => e.eventId && Number(e.eventId) !== Number(tournament.event_id));
+      for (const weekEvent of [tournament, ...others]) {
+        const eventTournament = weekEvent === tournament ? tournament : await getCurrentTournament(tour, weekEvent.eventId);
+        if (!eventTournament?.name) {
+          results.push({ tour, tournament: weekEvent.name, refreshed: false, reason: 'Event not available' });
+          continue;
+        }
+
+        const form = await getFormAndHistory({ tournament: eventTournament, tour, context, refresh: true });
+        console.log(`[REFRESH-FORM] ✅ ${eventTournament.name}: ${form.players.length} players`);
+        results.push({
+          tour,
+          tournament: eventTournament.name,
+          eventId: eventTournament.event_id || null,
+          week: form.week,
+          refreshed: form.players.length > 0,
+          playerCount: form.players.length
+        });
+      }
+
+    } catch (error) {
+      console.error(`[REFRESH-FORM] ${tour.toUpperCase()} error:`, error.message);
+      results.push({ tour, refreshed: false, error: error.message });
+    }
+  }
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      success: results.some(r => r.refreshed),
+      refreshedAt: new Date().toISOString(),
+      results
+    })
+  };
+};
+
+/**
+ * Get this week's tournament (with its field) for a tour - the main event, or eventId's
+ */
+async function getCurrentTournament(tour, eventId = null) {
+  try {
+    const baseUrl = config.siteUrl;
+    const response = await axios.get(`${baseUrl}/.netlify/functions/fetch-tournament?tour=${tour}${eventId ? `&eventId=${eventId}` : ''}`, {
+      timeout: 10000
+    });
+
+    return response.data?.fallback ? null : response.data;
+  } catch (error) {
+    console.error(`[REFRESH-FORM] Error fetching ${tour.toUpperCase()} tournament:`, error.message);
+    return null;
+  }
+}
@@ -0,0 +1,533 @@
+const { normalizePlayerName, americanToDecimal } = require('./shared-utils');
+const { settleLedger, summarizeBets, parseFinishPosition, isWithdrawal, DEFAULT_STAKING_PLAN } = require('./betting-ledger');
+const { impliedProbability } = require('./odds-history');
+const { PICK_MARKETS, isMarketHit } = require('./market-picks');
+const { formatOf, avoidThreshold } = require('./tour-registry');
+
+/**
+ * RESULTS SCORING
+ * Grades value picks, avoid picks and matchups against final tournament results,
+ * and against the closing line (CLV)
+ * Used by: get-prediction-results, scripts/backtest.js
+ */
+
+// ==================== ANALYSIS FUNCTIONS ====================
+
+/**
+ * Grade value picks by finishing band. Outside the top 20 it's the event's format (tour-registry formatOf):
+ * with a cut, a placed finish made it and 'MC' missed it - whatever the cut rule was (top 65, top 50 or within
+ * 10 shots, top 70 at a major); at a no-cut event (LIV, signature events, playoffs) every finisher is
+ * 'finished'. WD / DQ is 'withdrew' either way.
+ * format: the saved tournament (its `format`, else its tour's) or a tour id
+ */
+function analyzeValuePicks(predictions, results, stakingPlan, format = 'pga') {
+  const { cut } = formatOf(format);
+  const ledger = settleLedger(predictions, results, stakingPlan);
+  const analysis = {
+    totalPicks: predictions.length,
+    wins: 0, top5s: 0, top10s: 0, top20s: 0,
+    madeCut: 0, missedCut: 0, withdrawn: 0, notFound: 0,
+    totalROI: ledger.profit,
+    ledger,
+    picks: []
+  };
+
+  for (const pick of predictions) {
+    const playerResult = findPlayer(pick.player, results, pick.dgId);
+    const position = playerResult ? parsePosition(playerResult.position) : null;
+    let performance = 'not-found';
+
+    if (!playerResult) {
+      analysis.notFound++;
+    } else if (position === 1) {
+      analysis.wins++;
+      performance = 'win';
+    } else if (position <= 5) {
+      analysis.top5s++;
+      performance = 'top-5';
+    } else if (position <= 10) {
+      analysis.top10s++;
+      performance = 'top-10';
+    } else if (position <= 20) {
+      analysis.top20s++;
+      performance = 'top-20';
+    } else if (position !== UNPLACED) {
+      analysis.madeCut++;
+      performance = cut ? 'made-cut' : 'finished';
+    } else if (!cut || isWithdrawal(playerResult.position)) {
+      analysis.withdrawn++;
+      performance = 'withdrew';
+    } else {
+      analysis.missedCut++;
+      performance = 'missed-cut';
+    }
+
+    // P/L for this pick is the sum of its settled bets
+    const pickBets = ledger.bets.filter(b => b.player === pick.player);
+    analysis.picks.push({
+      player: pick.player,
+      odds: pick.odds,
+      position: playerResult?.position || 'N/A',
+      performance,
+      stake: pickBets.reduce((sum, b) => sum + b.stake, 0),
+      roi: Math.round(pickBets.reduce((sum, b) => sum + b.profit, 0) * 100) / 100,
+      deadHeat: pickBets.some(b => b.status === 'dead-heat'),
+      bets: pickBets
+    });
+  }
+
+  return analysis;
+}
+
+/**
+ * Grade avoid picks: a top-20 finish means the avoid was wrong - top 10 / top 5 in smaller fields
+ * (tour-registry avoidThreshold), since a top 20 is most of a 30-player TOUR Championship
+ * Avoids saved with a recommended lay stake (the liability) are settled as lays at the recorded price
+ * format: the saved tournament or a tour id, as for analyzeValuePicks
+ */
+function analyzeAvoidPicks(avoidPicks, results, stakingPlan = DEFAULT_STAKING_PLAN, format = 'pga') {
+  const threshold = avoidThreshold(format);
+  const analysis = {
+    totalPicks: avoidPicks.length,
+    threshold,
+    correctAvoids: 0,
+    wrongAvoids: 0,
+    picks: []
+  };
+  const bets = [];
+
+  for (const pick of avoidPicks) {
+    const playerResult = findPlayer(pick.player, results, pick.dgId);
+    const position = playerResult ? parsePosition(playerResult.position) : null;
+    let verdict = 'correct';
+
+    if (playerResult && position && position <= threshold) {
+      analysis.wrongAvoids++;
+      verdict = 'wrong';
+    } else {
+      analysis.correctAvoids++;
+    }
+
+    const bet = stakingPlan.stakes === 'recommended' && pick.staking?.stake > 0
+      ? settleLay(pick, playerResult, position)
+      : null;
+    if (bet) bets.push(bet);
+
+    analysis.picks.push({
+      player: pick.player,
+      odds: pick.odds,
+      position: playerResult?.position || 'MC/WD',
+      verdict,
+      stake: bet?.stake ?? 0,
+      roi: bet?.profit ?? 0
+    });
+  }
+
+  if (bets.length > 0) {
+    analysis.ledger = { bets, ...summarizeBets(bets) };
+    analysis.totalROI = analysis.ledger.profit;
+  }
+
+  return analysis;
+}
+
+/**
+ * Settle a lay of the win market: the liability is lost if the player wins,
+ * otherwise it wins liability / (odds - 1). A non-runner voids the bet.
+ */
+function settleLay(pick, playerResult, position) {
+  const liability = pick.staking.stake;
+  const decimalOdds = americanToDecimal(pick.staking.odds);
+  const layProfit = liability / (decimalOdds - 1);
+
+  let status = 'won';
+  let returns = liability + layProfit;
+  if (!playerResult) {
+    status = 'void';
+    returns = liability;
+  } else if (position === 1) {
+    status = 'lost';
+    returns = 0;
+  }
+
+  returns = Math.round(returns * 100) / 100;
+  return {
+    player: pick.player,
+    market: 'lay',
+    stake: liability,
+    decimalOdds: Math.round(decimalOdds * 100) / 100,
+    bookmaker: null,
+    status,
+    returns,
+    profit: Math.round((returns - liability) * 100) / 100
+  };
+}
+
+/**
+ * Grade matchups. Claude's suggestions compare finishing positions; bookmaker lines (entries with
+ * a `market`, from matchup-markets) are settled as bets at the recorded price:
+ *   tournament matchups - made cut beats missed cut, then lowest total (36 holes if both missed);
+ *     at a no-cut event everyone plays every round, so it's the lowest total. Totals include
+ *     starting strokes at the TOUR Championship (the official leaderboard the books settle on)
+ *   round matchups / 3-balls - that round's score only; no score for a player voids the bet
+ *   ties - void lines push, separate-bet lines lose, 3-balls pay dead-heat (odds ÷ players tied)
+ * Book lines are staked at their recommended stake (flat plan stake for older saves); Claude's
+ * matchups only carry a bet when a recommended stake was recorded against a book line.
+ */
+function analyzeMatchups(matchups, results, stakingPlan = DEFAULT_STAKING_PLAN) {
+  const analysis = {
+    totalMatchups: matchups.length,
+    wins: 0, losses: 0, pushes: 0, deadHeats: 0, voids: 0,
+    matchups: []
+  };
+  const bets = [];
+
+  for (const m of matchups) {
+    if (m.market) {
+      const settled = settleBookMatchup(m, results, matchupStake(m, stakingPlan));
+      if (settled.bet) bets.push(settled.bet);
+      if (settled.result === 'win') analysis.wins++;
+      else if (settled.result === 'loss') analysis.losses++;
+      else if (settled.result === 'push') analysis.pushes++;
+      else if (settled.result === 'dead-heat') analysis.deadHeats++;
+      else analysis.voids++;
+      analysis.matchups.push(settled);
+      continue;
+    }
+
+    const pickName = m.pick;
+    const otherName = m.playerA?.name === pickName ? m.playerB?.name : m.playerA?.name;
+    const pickPos = parsePosition(findPlayer(pickName, results)?.position);
+    const otherPos = parsePosition(findPlayer(otherName, results)?.position);
+
+    let result = 'push';
+    if (pickPos < otherPos) { analysis.wins++; result = 'win'; }
+    else if (pickPos > otherPos) { analysis.losses++; result = 'loss'; }
+    else { analysis.pushes++; }
+
+    const stake = m.staking?.odds ? matchupStake(m, stakingPlan) : 0;
+    const bet = stake > 0 ? settleStakedMatchup(m, stake, result) : null;
+    if (bet) bets.push(bet);
+
+    analysis.matchups.push({
+      pick: pickName,
+      pickPosition: findPlayer(pickName, results)?.position || 'MC/WD',
+      opponent: otherName,
+      opponentPosition: findPlayer(otherName, results)?.position || 'MC/WD',
+      result,
+      ...(bet && { odds: m.staking.odds, roi: bet.profit, bet })
+    });
+  }
+
+  if (bets.length > 0) {
+    analysis.ledger = { bets, ...summarizeBets(bets) };
+    analysis.totalROI = analysis.ledger.profit;
+  }
+
+  return analysis;
+}
+
+/**
+ * Stake for a matchup bet: the recommendation when one was recorded and the plan uses them, else flat
+ */
+function matchupStake(m, stakingPlan) {
+  if (stakingPlan.stakes === 'recommended' && m.staking) return m.staking.stake;
+  return stakingPlan.stake;
+}
+
+/**
+ * A Claude matchup staked into the book's tournament matchup line (ties void)
+ */
+function settleStakedMatchup(m, stake, result) {
+  const decimalOdds = americanToDecimal(m.staking.odds);
+  const returns = result === 'win' ? stake * decimalOdds : result === 'loss' ? 0 : stake;
+
+  return {
+    player: m.pick,
+    market: m.staking.market,
+    stake,
+    decimalOdds: Math.round(decimalOdds * 100) / 100,
+    bookmaker: null,
+    status: { win: 'won', loss: 'lost' }[result] || 'void',
+    returns: Math.round(returns * 100) / 100,
+    profit: Math.round((returns - stake) * 100) / 100
+  };
+}
+
+function settleBookMatchup(m, results, stake) {
+  const names = [m.pick, ...(m.opponents || [])];
+  const scores = names.map(name => matchupScore(findPlayer(name, results), m));
+  const decimalOdds = americanToDecimal(m.odds);
+
+  let result = 'void';
+  let returns = stake;
+  if (scores.every(s => s !== null)) {
+    const low = Math.min(...scores);
+    const tied = scores.filter(s => s === low).length;
+
+    if (scores[0] !== low) {
+      result = 'loss';
+      returns = 0;
+    } else if (tied === 1) {
+      result = 'win';
+      returns = stake * decimalOdds;
+    } else if (m.ties === 'dead-heat') {
+      result = 'dead-heat';
+      returns = stake * decimalOdds / tied;
+    } else if (m.ties === 'separate-bet') {
+      result = 'loss';
+      returns = 0;
+    } else {
+      result = 'push';
+    }
+  }
+
+  returns = Math.round(returns * 100) / 100;
+  const bet = stake > 0 ? {
+    player: m.pick,
+    market: m.market,
+    stake,
+    decimalOdds: Math.round(decimalOdds * 100) / 100,
+    bookmaker: m.bookmaker || null,
+    // Pushes refund the stake, so they settle like a void bet
+    status: { win: 'won', loss: 'lost', 'dead-heat': 'dead-heat' }[result] || 'void',
+    returns,
+    profit: Math.round((returns - stake) * 100) / 100
+  } : null;
+
+  return {
+    market: m.market,
+    label: m.label,
+    round: m.round,
+    ties: m.ties,
+    pick: m.pick,
+    pickPosition: formatMatchupScore(scores[0], findPlayer(m.pick, results), m),
+    opponent: (m.opponents || []).join(' / '),
+    opponentPosition: (m.opponents || [])
+      .map((name, i) => formatMatchupScore(scores[i + 1], findPlayer(name, results), m))
+      .join(' / '),
+    odds: m.odds,
+    expectedValue: m.expectedValue,
+    result,
+    stake,
+    roi: bet ? bet.profit : 0,
+    bet
+  };
+}
+
+/**
+ * Comparable score for a matchup (lower wins), or null when the player has no score to settle on
+ * Tournament matchups rank anyone who made the cut ahead of anyone who missed it, on their total
+ * including any starting strokes (results carry them from fetch-tournament-results).
+ */
+function matchupScore(playerResult, m) {
+  if (!playerResult) return null;
+
+  if (m.round) {
+    const score = playerResult.rounds?.[m.round];
+    return typeof score === 'number' ? score : null;
+  }
+
+  const played = parseToPar(playerResult.toPar);
+  const toPar = played === null ? null : played + (playerResult.startingStrokes || 0);
+  const position = parseFinishPosition(playerResult.position);
+  if (position !== null) return toPar ?? position;
+  return /WD|DQ/i.test(String(playerResult.position)) ? null : 1000 + (toPar ?? 0);
+}
+
+function formatMatchupScore(score, playerResult, m) {
+  if (score === null) return playerResult ? 'No score' : 'N/A';
+  return m.round ? `R${m.round}: ${score}` : String(playerResult.position);
+}
+
+function parseToPar(toPar) {
+  if (typeof toPar === 'number') return toPar;
+  if (toPar === 'E') return 0;
+  const value = parseInt(String(toPar || ''));
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Grade placement / cut market picks ({ top_5: [...], make_cut: [...] }) against each market's threshold
+ * Every pick carries its own bet, so the ledger settles it at the recorded price (dead heats included)
+ */
+function analyzeMarketPicks(marketPicks, results, stakingPlan) {
+  const picks = Object.values(marketPicks || {}).flat();
+  const ledger = settleLedger(picks, results, stakingPlan);
+  const analysis = {
+    totalPicks: picks.length,
+    hits: 0,
+    totalROI: ledger.profit,
+    ledger,
+    markets: {},
+    picks: []
+  };
+
+  for (const pick of picks) {
+    const playerResult = findPlayer(pick.player, results, pick.dgId);
+    // Cut markets on a WD / DQ are void (see betting-ledger settleBet) - neither a hit nor a pick
+    const voided = ['make_cut', 'miss_cut'].includes(pick.market) && !!playerResult && isWithdrawal(playerResult.position);
+    const hit = playerResult && !voided ? isMarketHit(pick.market, parseFinishPosition(playerResult.position)) : null;
+    const pickBets = ledger.bets.filter(b => b.player === pick.player && b.market === pick.market);
+    const roi = Math.round(pickBets.reduce((sum, b) => sum + b.profit, 0) * 100) / 100;
+
+    if (!analysis.markets[pick.market]) {
+      analysis.markets[pick.market] = { label: PICK_MARKETS[pick.market]?.label || pick.market, picks: 0, hits: 0, profit: 0 };
+    }
+    const market = analysis.markets[pick.market];
+    if (voided) analysis.totalPicks--;
+    else market.picks++;
+    market.profit = Math.round((market.profit + roi) * 100) / 100;
+    if (hit) {
+      market.hits++;
+      analysis.hits++;
+    }
+
+    analysis.picks.push({
+      player: pick.player,
+      market: pick.market,
+      marketLabel: market.label,
+      odds: pick.bestOdds,
+      position: playerResult?.position || 'N/A',
+      performance: voided ? 'withdrew' : hit === null ? 'not-found' : hit ? 'hit' : 'miss',
+      stake: pickBets.reduce((sum, b) => sum + b.stake, 0),
+      roi,
+      deadHeat: pickBets.some(b => b.status === 'dead-heat'),
+      bets: pickBets
+    });
+  }
+
+  return analysis;
+}
+
+// ==================== CLOSING LINE VALUE ====================
+
+/**
+ * Grade every pick against the closing price (the book average from the last odds snapshot before tee-off)
+ * CLV = implied win probability difference in percentage points, positive when we beat the close:
+ *   back (value picks, matchup pick side):   closing prob − our prob   (price shortened after we took it)
+ *   fade (avoid picks, matchup opponent):    our prob − closing prob   (price drifted after we faded it)
+ * closingLine: from odds-history getClosingLine()
+ */
+function analyzeClosingLineValue({ valuePicks = [], avoidPicks = [], matchups = [] }, closingLine) {
+  if (!closingLine) return null;
+
+  const value = valuePicks.map(pick => ({
+    player: pick.player,
+    ...gradeClv(pick.odds, lookupClosing(closingLine, pick.player), 'back')
+  }));
+
+  const avoid = avoidPicks.map(pick => ({
+    player: pick.player,
+    ...gradeClv(pick.odds, lookupClosing(closingLine, pick.player), 'fade')
+  }));
+
+  const matchupSides = matchups.map(m => {
+    const pickSide = m.playerA?.name === m.pick ? m.playerA : m.playerB;
+    const opponentSide = pickSide === m.playerA ? m.playerB : m.playerA;
+    const pick = { player: pickSide?.name, ...gradeClv(pickSide?.odds, lookupClosing(closingLine, pickSide?.name), 'back') };
+    const opponent = { player: opponentSide?.name, ...gradeClv(opponentSide?.odds, lookupClosing(closingLine, opponentSide?.name), 'fade') };
+    const graded = [pick, opponent].filter(side => side.clv !== null);
+
+    return {
+      pick,
+      opponent,
+      clv: graded.length > 0 ? round(graded.reduce((sum, side) => sum + side.clv, 0) / graded.length, 2) : null
+    };
+  });
+
+  const all = [...value, ...avoid, ...matchupSides.flatMap(m => [m.pick, m.opponent])];
+
+  return {
+    closingFetchedAt: closingLine.fetchedAt,
+    closingSource: closingLine.source,
+    startDateAssumed: closingLine.startDateAssumed,
+    value: { ...summarizeClv(value), picks: value },
+    avoid: { ...summarizeClv(avoid), picks: avoid },
+    matchups: { ...summarizeClv(matchupSides), matchups: matchupSides },
+    overall: summarizeClv(all)
+  };
+}
+
+function lookupClosing(closingLine, playerName) {
+  if (!playerName) return null;
+  return closingLine.prices.get(normalizePlayerName(playerName)) || null;
+}
+
+function gradeClv(ourOdds, closing, side) {
+  const ourProb = impliedProbability(ourOdds);
+  const closingProb = closing ? impliedProbability(closing.odds) : null;
+
+  if (!ourProb || !closingProb) {
+    return { side, ourOdds: ourOdds || null, closingOdds: closing?.odds || null, clv: null, beatClose: null };
+  }
+
+  const diff = side === 'back' ? closingProb - ourProb : ourProb - closingProb;
+  const clv = round(diff * 100, 2);
+
+  return { side, ourOdds, closingOdds: closing.odds, clv, beatClose: clv > 0 };
+}
+
+/**
+ * Average CLV and beat-the-close rate over graded entries (ungraded ones are skipped)
+ * Also used for the season roll-up in get-prediction-results
+ */
+function summarizeClv(entries) {
+  const graded = entries.filter(e => e.clv !== null && e.clv !== undefined);
+  const total = graded.reduce((sum, e) => sum + e.clv, 0);
+
+  return {
+    graded: graded.length,
+    avgClv: graded.length > 0 ? round(total / graded.length, 2) : null,
+    beatCloseRate: graded.length > 0 ? round(graded.filter(e => e.clv > 0).length / graded.length, 3) : null
+  };
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * A player's finish - by dg_id when the pick and the results both carry one, else by full name
+ * A name shared by more than one finisher is left ungraded rather than guessed
+ */
+function findPlayer(name, results, dgId = null) {
+  if (dgId) {
+    const byId = results.find(r => r.dgId && Number(r.dgId) === Number(dgId));
+    if (byId) return byId;
+  }
+
+  const matches = results.filter(r =>
+    normalizePlayerName(r.player) === normalizePlayerName(name) &&
+    (!dgId || !r.dgId || Number(r.dgId) === Number(dgId))
+  );
+  if (matches.length > 1) {
+    console.log(`[RESULTS] ⚠️ "${name}" matches ${matches.length} finishers (dg_ids ${matches.map(r => r.dgId).join(', ')}) - not graded`);
+    return null;
+  }
+  return matches[0] || null;
+}
+
+// MC / WD / DQ and anything else without a finishing position
+const UNPLACED = 999;
+
+function parsePosition(pos) {
+  if (!pos) return UNPLACED;
+  if (typeof pos === 'number') return pos;
+  const num = parseInt(String(pos).replace(/[^0-9]/g, ''));
+  return isNaN(num) ? UNPLACED : num;
+}
+
+module.exports = {
+  analyzeValuePicks,
+  analyzeAvoidPicks,
+  analyzeMatchups,
+  analyzeMarketPicks,
+  analyzeClosingLineValue,
+  summarizeClv,
+  findPlayer,
+  parsePosition
+};
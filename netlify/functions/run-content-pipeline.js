@@ -0,0 +1,115 @@
+const axios = require('axios');
+const {
+  PIPELINE_CONFIG,
+  loadManifest,
+  saveWeek,
+  buildFingerprint,
+  stalenessReason
+} = require('./content-pipeline');
+const { config } = require('./config');
+
+/**
+ * Scheduled Function: Content Pipeline Check
+ *
+ * Every hour, for each tour: find this week's events (the main one plus any opposite-field event),
+ * compare each one's field and favourites' prices with its manifest, and hand stale events to
+ * content-pipeline-background, which regenerates predictions, avoid picks, matchups and news in order
+ * (see content-pipeline.js).
+ * Generation runs in the background function - four Claude calls don't fit a scheduled run.
+ *
+ * Schedule: 15 * * * * (every hour at :15) - see netlify.toml
+ */
+exports.handler = async (event, context) => {
+  console.log('[PIPELINE] Checking tours for stale content...');
+  const baseUrl = config.siteUrl;
+  const results = [];
+
+  for (const tour of PIPELINE_CONFIG.tours) {
+    let tournaments;
+    try {
+      const main = await getCurrentTournament(tour);
+
+      if (!main?.name) {
+        console.log(`[PIPELINE] No ${tour.toUpperCase()} tournament found`);
+        results.push({ tour, triggered: false, reason: 'No tournament this week' });
+        continue;
+      }
+
+      await saveWeek(tour, main, context);
+      tournaments = [main, ...await getOtherEvents(tour, main)];
+    } catch (error) {
+      console.error(`[PIPELINE] ${tour.toUpperCase()} error:`, error.message);
+      results.push({ tour, triggered: false, error: error.message });
+      continue;
+    }
+
+    for (const tournament of tournaments) {
+      results.push(await checkEvent(tour, tournament, baseUrl, context));
+    }
+  }
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      success: results.every(r => !r.error),
+      checkedAt: new Date().toISOString(),
+      results
+    })
+  };
+};
+
+/**
+ * Compare one event's content with its manifest and trigger a background run when it's stale
+ */
+async function checkEvent(tour, tournament, baseUrl, context) {
+  try {
+    const [manifest, fingerprint] = await Promise.all([
+      loadManifest(tour, context, tournament.event_id || null),
+      buildFingerprint(tournament, tour)
+    ]);
+    const reason = stalenessReason(manifest, tournament, fingerprint);
+
+    if (!reason) {
+      console.log(`[PIPELINE] ${tour.toUpperCase()} ${tournament.name}: content is current`);
+      return { tour, tournament: tournament.name, eventId: tournament.event_id || null, triggered: false, status: manifest?.status };
+    }
+
+    // Background functions answer 202 straight away and keep running
+    await axios.post(`${baseUrl}/.netlify/functions/content-pipeline-background`,
+      { tour, tournament, fingerprint, reason },
+      { timeout: 10000 }
+    );
+    console.log(`[PIPELINE] ${tour.toUpperCase()} ${tournament.name}: triggered (${reason})`);
+    return { tour, tournament: tournament.name, eventId: tournament.event_id || null, triggered: true, reason };
+
+  } catch (error) {
+    console.error(`[PIPELINE] ${tour.toUpperCase()} ${tournament.name} error:`, error.message);
+    return { tour, tournament: tournament.name, eventId: tournament.event_id || null, triggered: false, error: error.message };
+  }
+}
+
+/**
+ * The week's other events with a published field (opposite-field events), each with its own field
+ */
+async function getOtherEvents(tour, main) {
+  const others = (main.events || []).filter(e => e.eventId && e.eventId !== main.event_id && e.fieldSize);
+  const tournaments = await Promise.all(others.map(e => getCurrentTournament(tour, e.eventId)));
+  return tournaments.filter(t => t?.name);
+}
+
+/**
+ * Get this week's tournament (with its field) for a tour - the main event, or eventId's
+ */
+async function getCurrentTournament(tour, eventId = null) {
+  try {
+    const baseUrl = config.siteUrl;
+    const response = await axios.get(`${baseUrl}/.netlify/functions/fetch-tournament?tour=${tour}${eventId ? `&eventId=${eventId}` : ''}`, {
+      timeout: 10000
+    });
+
+    return response.data?.fallback ? null : response.data;
+  } catch (error) {
+    console.error(`[PIPELINE] Error fetching ${tour.toUpperCase()} tournament:`, error.message);
+    return null;
+  }
+}
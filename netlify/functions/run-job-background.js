@@ -0,0 +1,86 @@
+const { JOB_KINDS, readJob, updateJob, advanceStep, finishJob } = require('./job-store');
+const { LOCK_CONFIG } = require('./generation-lock');
+
+// Required up front so the bundler packages every generating function with this one
+const HANDLERS = {
+  'get-predictions': require('./get-predictions').handler,
+  'get-avoid-picks': require('./get-avoid-picks').handler,
+  'get-matchup-predictions': require('./get-matchup-predictions').handler,
+  'get-tournament-news': require('./get-tournament-news').handler,
+  'analyze-player': require('./analyze-player').handler
+};
+
+/**
+ * Background Function: Run Generation Job
+ *
+ * Runs one job queued by generation-jobs: calls the generating function's handler in-process with
+ * the job id, so its steps land on the job record as they happen (see job-store.js).
+ * Triggered by generation-jobs; Netlify answers the caller with 202 and lets this run up to 15 minutes.
+ *
+ * POST { jobId }
+ */
+exports.handler = async (event, context) => {
+  let jobId = null;
+  try {
+    ({ jobId } = JSON.parse(event.body || '{}'));
+    const job = await readJob(jobId, context);
+    const definition = JOB_KINDS[job?.kind];
+
+    if (!definition || job.status !== 'queued') {
+      console.error(`[JOBS] Job ${jobId} not found or already started`);
+      return;
+    }
+
+    await updateJob(jobId, current => ({
+      ...advanceStep(current, 'field'),
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + LOCK_CONFIG.leaseSeconds * 1000).toISOString()
+    }), context);
+    console.log(`[JOBS] Running ${job.kind} job ${jobId} (${job.tour.toUpperCase()})`);
+
+    const response = await HANDLERS[definition.function](buildEvent(job, definition), context);
+
+    // The lock records the outcome of a normal run - anything still open returned before taking it
+    // (no tournament, bad input, ...) or ran without a lock
+    const after = await readJob(jobId, context);
+    if (['queued', 'running'].includes(after?.status)) {
+      const body = parseBody(response);
+      const outcome = response?.statusCode === 200
+        ? { result: { data: body } }
+        : { error: body?.message || body?.error || `Generation failed (${response?.statusCode})` };
+      await updateJob(jobId, current => finishJob(current, outcome), context);
+    }
+    console.log(`[JOBS] Job ${jobId} finished (${response?.statusCode})`);
+
+  } catch (error) {
+    console.error(`[JOBS] Job ${jobId} failed:`, error.message);
+    if (jobId) {
+      await updateJob(jobId, current => finishJob(current, { error: error.message }), context).catch(() => {});
+    }
+  }
+};
+
+/**
+ * The request the app would have sent the function, plus the job id it reports progress to
+ */
+function buildEvent(job, definition) {
+  const params = { ...job.params, tour: job.tour, jobId: job.jobId };
+
+  if (definition.method === 'GET') {
+    const queryStringParameters = {};
+    for (const [name, value] of Object.entries(params)) {
+      queryStringParameters[name] = String(value);
+    }
+    return { httpMethod: 'GET', queryStringParameters, body: null };
+  }
+  return { httpMethod: 'POST', queryStringParameters: {}, body: JSON.stringify(params) };
+}
+
+function parseBody(response) {
+  try {
+    return JSON.parse(response?.body || '{}');
+  } catch (parseError) {
+    return {};
+  }
+}
@@ -1,4 +1,5 @@
 const { getStore } = require('@netlify/blobs');
+const { config } = require('./config');
 
 /**
  * Save predictions using Netlify Blobs for persistent storage
@@ -19,7 +20,7 @@ exports.handler = async (event, context) => {
     console.log(`[SAVE] Saving predictions for ${tournament.name}`);
 
     // Check if Netlify Blobs is properly configured
-    if (!process.env.NETLIFY) {
+    if (!config.isNetlify) {
       console.log('[SAVE] Not running on Netlify - skipping blob storage');
       return {
         statusCode: 200,
@@ -0,0 +1,259 @@
+const { getBlobStore, getDataProvider, normalizePlayerName } = require('./shared-utils');
+
+/**
+ * SG FORM MODEL
+ * Recent form as strokes gained, not finishing positions
+ * 1. Round-level SG for the last few completed events (DataGolf historical-raw-data/rounds)
+ * 2. Field-strength adjustment: raw SG is measured against that week's field, so each round's SG:Total
+ *    gets the field's strength added (mean current DataGolf skill of the players in it, relative to the
+ *    average field). Category SG stays field-relative - how a field's strength splits by category isn't observable.
+ * 3. Exponentially weighted average per category, most recent round first, with a reliability
+ *    (0-1, from the number of rounds) for models to shrink small samples by
+ * 4. Trend: short half-life rating minus the long one
+ *
+ * Completed events never change, so each event's rounds are cached in the 'sg-form' blob store.
+ * Used by: get-predictions (mergePlayerData → prompt + quant model)
+ */
+
+// ========================================
+// 🎯 SG FORM CONFIGURATION - EDIT HERE
+// ========================================
+const SG_FORM_CONFIG = {
+  events: 8,               // Most recent completed events pulled
+  halfLifeRounds: 12,      // A round 12 rounds back counts half as much as the latest
+  trendHalfLifeRounds: 4,  // Short-window rating the trend is measured with
+  shrinkRounds: 6,         // reliability = n / (n + 6): how much of the rating a model should trust
+  minRounds: 4,            // Fewer rounds than this → no rating
+  hotTrend: 0.4,           // Trend (strokes/round) that counts as hot / cold
+  categories: ['total', 'ott', 'app', 'arg', 'putt']
+};
+// ========================================
+
+const FORM_STORE = 'sg-form';
+
+/**
+ * SG form ratings for the requested players
+ * Returns { [normalizedName]: { total, ott, app, arg, putt, trend, rounds, reliability, events, lastEvent, momentum } }
+ */
+async function fetchSgForm(playerNames, tour = 'pga', context = null) {
+  const dataProvider = getDataProvider();
+  if (!dataProvider.isConfigured('datagolf') || !playerNames?.length) return {};
+
+  try {
+    const [eventList, skillRatings] = await Promise.all([
+      dataProvider.getHistoricalEventList(tour),
+      dataProvider.getSkillRatings().catch(error => {
+        console.log(`[SG-FORM] Skill ratings unavailable, no field-strength adjustment: ${error.message}`);
+        return null;
+      })
+    ]);
+
+    const events = recentCompletedEvents(eventList);
+    console.log(`[SG-FORM] Pulling rounds for ${events.length} events: ${events.map(e => e.event_name).join(', ')}`);
+
+    const eventRounds = await Promise.all(events.map(e => loadEventRounds(tour, e, dataProvider, context)));
+    const skill = skillByPlayer(skillRatings);
+    const strengths = eventRounds.map(rounds => fieldStrength(rounds, skill));
+    const knownStrengths = strengths.filter(s => s !== null);
+    const baseline = knownStrengths.length > 0 ? knownStrengths.reduce((a, b) => a + b, 0) / knownStrengths.length : 0;
+
+    // Every round, most recent first, with the field adjustment applied to SG:Total
+    const roundsByPlayer = new Map();
+    events.forEach((event, i) => {
+      const adjustment = strengths[i] === null ? 0 : strengths[i] - baseline;
+      const rounds = [...eventRounds[i]].sort((a, b) => b.round - a.round);
+      for (const r of rounds) {
+        const key = normalizePlayerName(r.player);
+        if (!roundsByPlayer.has(key)) roundsByPlayer.set(key, []);
+        roundsByPlayer.get(key).push({
+          event: event.event_name,
+          sg: { ...r.sg, total: r.sg.total === null ? null : r.sg.total + adjustment }
+        });
+      }
+    });
+
+    const ratings = {};
+    for (const name of playerNames) {
+      const key = normalizePlayerName(name);
+      const rating = rateRounds(roundsByPlayer.get(key) || []);
+      if (rating) ratings[key] = rating;
+    }
+
+    console.log(`[SG-FORM] ✅ SG form for ${Object.keys(ratings).length}/${playerNames.length} players (field baseline ${baseline.toFixed(2)})`);
+    return ratings;
+  } catch (error) {
+    console.log(`[SG-FORM] ⚠️ SG form unavailable: ${error.message}`);
+    return {};
+  }
+}
+
+// ==================== RATING ====================
+
+/**
+ * Exponentially weighted SG per category over a player's rounds (most recent first)
+ */
+function rateRounds(rounds) {
+  const { minRounds, halfLifeRounds, trendHalfLifeRounds, shrinkRounds, hotTrend, categories } = SG_FORM_CONFIG;
+  const counted = rounds.filter(r => typeof r.sg.total === 'number');
+  if (counted.length < minRounds) return null;
+
+  const rating = {};
+  for (const category of categories) {
+    const values = counted.map(r => r.sg[category]);
+    const average = weightedAverage(values, halfLifeRounds);
+    rating[category] = average === null ? null : round(average, 2);
+  }
+
+  const longTotal = weightedAverage(counted.map(r => r.sg.total), halfLifeRounds);
+  const shortTotal = weightedAverage(counted.map(r => r.sg.total), trendHalfLifeRounds);
+  const trend = round(shortTotal - longTotal, 2);
+
+  return {
+    ...rating,
+    trend,
+    rounds: counted.length,
+    reliability: round(counted.length / (counted.length + shrinkRounds), 2),
+    events: new Set(counted.map(r => r.event)).size,
+    lastEvent: counted[0].event,
+    momentum: trend >= hotTrend ? '📈 Hot (improving)' : trend <= -hotTrend ? '📉 Cold (declining)' : '➡️ Steady'
+  };
+}
+
+function weightedAverage(values, halfLife) {
+  const decay = Math.pow(0.5, 1 / halfLife);
+  let weighted = 0;
+  let totalWeight = 0;
+  let index = 0;
+  for (const value of values) {
+    if (typeof value === 'number') {
+      const weight = Math.pow(decay, index);
+      weighted += value * weight;
+      totalWeight += weight;
+    }
+    index++;
+  }
+  return totalWeight > 0 ? weighted / totalWeight : null;
+}
+
+/**
+ * Field strength: mean current skill (DataGolf SG:Total) of the players who teed it up
+ */
+function fieldStrength(rounds, skill) {
+  const players = new Set(rounds.map(r => normalizePlayerName(r.player)));
+  const ratings = [...players].map(name => skill.get(name)).filter(v => typeof v === 'number');
+  if (ratings.length < 20) return null;
+  return ratings.reduce((a, b) => a + b, 0) / ratings.length;
+}
+
+function skillByPlayer(skillRatings) {
+  const rows = skillRatings?.players || skillRatings?.ratings || (Array.isArray(skillRatings) ? skillRatings : []);
+  const skill = new Map();
+  for (const row of rows) {
+    const value = parseFloat(row.sg_total);
+    if (row.player_name && !isNaN(value)) skill.set(normalizePlayerName(row.player_name), value);
+  }
+  return skill;
+}
+
+// ==================== DATA ====================
+
+/**
+ * Most recent events that finished at least a day ago, newest first (the event list dates events by their final day)
+ */
+function recentCompletedEvents(eventList) {
+  const rows = Array.isArray(eventList) ? eventList : (eventList?.events || []);
+  const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+
+  return rows
+    .filter(e => e.event_id != null && e.date && new Date(e.date).getTime() < cutoff)
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, SG_FORM_CONFIG.events);
+}
+
+/**
+ * One event's rounds as [{ player, round, sg: { total, ott, app, arg, putt } }] - blob cache first, then DataGolf
+ */
+async function loadEventRounds(tour, event, dataProvider, context) {
+  const year = event.calendar_year || new Date(event.date).getFullYear();
+  const key = `${tour}-${event.event_id}-${year}`;
+  let store = null;
+  try {
+    store = getBlobStore(FORM_STORE, context);
+    const cached = await store.get(key, { type: 'json' });
+    if (cached) return cached;
+  } catch (cacheError) {
+    console.log(`[SG-FORM] Cache unavailable: ${cacheError.message}`);
+  }
+
+  try {
+    const data = await dataProvider.getHistoricalRounds(tour, event.event_id, year);
+    const records = Array.isArray(data) ? data : (data?.scores || data?.rounds || data?.scorecards || []);
+    const rounds = extractRoundSg(records);
+
+    if (store && rounds.length > 0) {
+      await store.set(key, JSON.stringify(rounds));
+    }
+    return rounds;
+  } catch (error) {
+    console.log(`[SG-FORM] ${event.event_name} ${year} rounds failed: ${error.response?.status || error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Round SG from either record shape: one per round ({ round_num, sg_total, ... })
+ * or one per player ({ round_1: { sg_total, ... }, round_2: ... })
+ */
+function extractRoundSg(records) {
+  const rounds = [];
+  const toSg = source => ({
+    total: toNumber(source.sg_total),
+    ott: toNumber(source.sg_ott),
+    app: toNumber(source.sg_app),
+    arg: toNumber(source.sg_arg),
+    putt: toNumber(source.sg_putt)
+  });
+
+  for (const record of records) {
+    const player = record.player_name || record.player;
+    if (!player) continue;
+
+    const roundNum = record.round_num || record.round;
+    if (roundNum && record.sg_total != null) {
+      rounds.push({ player, round: roundNum, sg: toSg(record) });
+    }
+    for (let roundNumber = 1; roundNumber <= 4; roundNumber++) {
+      const detail = record[`round_${roundNumber}`];
+      if (detail && detail.sg_total != null) rounds.push({ player, round: roundNumber, sg: toSg(detail) });
+    }
+  }
+
+  return rounds;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Short prompt form: "+1.25 [O+0.30 A+0.60 G+0.10 P+0.20] 24r ↗"
+ */
+function formatSgForm(form) {
+  if (!form) return '';
+  const signed = value => (value === null ? 'n/a' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}`);
+  const arrow = form.trend >= SG_FORM_CONFIG.hotTrend ? ' ↗' : form.trend <= -SG_FORM_CONFIG.hotTrend ? ' ↘' : '';
+  return `${signed(form.total)} [O${signed(form.ott)} A${signed(form.app)} G${signed(form.arg)} P${signed(form.putt)}] ${form.rounds}r${arrow}`;
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  SG_FORM_CONFIG,
+  fetchSgForm,
+  rateRounds,
+  formatSgForm
+};
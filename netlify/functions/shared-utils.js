@@ -1,4 +1,10 @@
 const { getStore } = require('@netlify/blobs');
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { describeHoleModel } = require('./course-model');
+const { config, isConfigured } = require('./config');
+const { toDataGolfTour } = require('./tour-registry');
 
 /**
  * SHARED UTILITIES FOR GOLF PREDICTOR
@@ -13,8 +19,8 @@ const { getStore } = require('@netlify/blobs');
  * Eliminates duplicate getStore setup code
  */
 function getBlobStore(storeName, context = null) {
-  const siteID = process.env.SITE_ID || context?.site?.id;
-  const token = process.env.NETLIFY_AUTH_TOKEN;
+  const siteID = config.siteId || context?.site?.id;
+  const token = config.netlifyAuthToken;
   
   if (!siteID || !token) {
     throw new Error(`Blob store not configured: missing ${!siteID ? 'SITE_ID' : 'NETLIFY_AUTH_TOKEN'}`);
@@ -74,9 +80,19 @@ function americanToDecimal(americanOdds) {
 
 /**
  * Analyze course skill demands based on course characteristics
+ * With a hole-by-hole model (fetch-course-info) the demands are numeric - SG weights from the layout;
+ * otherwise they're inferred from the catalog's descriptive fields.
  * Used by: get-predictions, get-avoid-picks
  */
 function analyzeCourseSkillDemands(courseInfo) {
+  if (courseInfo.holeModel?.source === 'holes') {
+    const lines = describeHoleModel(courseInfo.holeModel).split('\n');
+    if (courseInfo.greens && courseInfo.greens !== 'Information not available') {
+      lines.splice(4, 0, greensDemand(courseInfo.greens, 5));  // after the four ranked SG demands
+    }
+    return lines.join('\n');
+  }
+
   const demands = [];
 
   // Yardage analysis
@@ -115,16 +131,7 @@ function analyzeCourseSkillDemands(courseInfo) {
 
   // Green analysis - MORE NUANCED (putting stats vary enormously by surface)
   if (courseInfo.greens) {
-    const greens = courseInfo.greens.toLowerCase();
-    if (greens.includes('fast') || greens.includes('firm') || greens.includes('bentgrass')) {
-      demands.push('6. SG:Putt (Context-dependent) - Fast bentgrass greens reward touch putters, but tour-wide SG:Putt may not reflect surface-specific ability');
-    } else if (greens.includes('poa') || greens.includes('bumpy')) {
-      demands.push('6. SG:APP (Critical) - Poa greens are inconsistent; approach precision (proximity to hole) matters more than putting skill');
-    } else if (greens.includes('bermuda')) {
-      demands.push('6. SG:Putt (Surface-specific) - Bermuda greens play differently from bentgrass; look for players with bermuda putting experience');
-    } else {
-      demands.push('6. SG:Putt (Moderate) - Standard greens; putting matters but is less predictive than approach play');
-    }
+    demands.push(greensDemand(courseInfo.greens, 6));
   }
 
   // Difficulty analysis
@@ -146,6 +153,21 @@ function analyzeCourseSkillDemands(courseInfo) {
   return demands.join('\n');
 }
 
+/**
+ * Green surface demand - the hole model has no surface data, so both paths use this
+ */
+function greensDemand(greensText, number) {
+  const greens = greensText.toLowerCase();
+  if (greens.includes('fast') || greens.includes('firm') || greens.includes('bentgrass')) {
+    return `${number}. SG:Putt (Context-dependent) - Fast bentgrass greens reward touch putters, but tour-wide SG:Putt may not reflect surface-specific ability`;
+  } else if (greens.includes('poa') || greens.includes('bumpy')) {
+    return `${number}. SG:APP (Critical) - Poa greens are inconsistent; approach precision (proximity to hole) matters more than putting skill`;
+  } else if (greens.includes('bermuda')) {
+    return `${number}. SG:Putt (Surface-specific) - Bermuda greens play differently from bentgrass; look for players with bermuda putting experience`;
+  }
+  return `${number}. SG:Putt (Moderate) - Standard greens; putting matters but is less predictive than approach play`;
+}
+
 /**
  * Analyze weather conditions and their impact on play
  * 
@@ -246,23 +268,82 @@ function calculateClaudeCost(usage) {
   };
 }
 
-// ==================== BLOB KEY GENERATION ====================
+// ==================== TOURNAMENT IDENTITY & BLOB KEYS ====================
 
 /**
- * Generate consistent blob key from tournament and date
- * Used for saving predictions, avoid picks, matchups
+ * DataGolf event_id + season for a tournament - the identity every saved artifact is keyed by
+ * Names change (sponsor renames) and repeat every year; event_id + season never collide.
+ * Accepts fetch-tournament's shape ({ event_id, calendar_year }) or a saved one ({ eventId, season }).
+ * Returns { eventId, season } - nulls when the tournament has no DataGolf id
  */
-function generateBlobKey(tournamentName, tour, timestamp) {
-  const tournamentSlug = tournamentName
+function tournamentIdentity(tournament) {
+  if (!tournament || typeof tournament !== 'object') return { eventId: null, season: null };
+
+  const eventId = Number(tournament.eventId ?? tournament.event_id) || null;
+  const startYear = parseInt(String(tournament.startDate || tournament.start_date || '').slice(0, 4));
+  const season = Number(tournament.season ?? tournament.calendar_year) || (isNaN(startYear) ? null : startYear);
+  return { eventId, season: eventId ? season : null };
+}
+
+/**
+ * Key segment for a tournament: "e{eventId}-{season}", or null without an event id
+ */
+function tournamentRef(tournament) {
+  const { eventId, season } = tournamentIdentity(tournament);
+  if (!eventId) return null;
+  return season ? `e${eventId}-${season}` : `e${eventId}`;
+}
+
+/**
+ * Key segment for per-tournament caches: the event ref when known, the name slug otherwise
+ */
+function tournamentKeySegment(tournament) {
+  return tournamentRef(tournament) || slugify(tournamentName(tournament)) || 'unknown';
+}
+
+/**
+ * Same tournament? By event_id + season when both sides have one, else by name
+ * Either side may be a tournament object or a plain name
+ */
+function isSameTournament(a, b) {
+  const idA = tournamentIdentity(a);
+  const idB = tournamentIdentity(b);
+  if (idA.eventId && idB.eventId) {
+    return idA.eventId === idB.eventId && (!idA.season || !idB.season || idA.season === idB.season);
+  }
+  const nameA = tournamentName(a).toLowerCase().trim();
+  const nameB = tournamentName(b).toLowerCase().trim();
+  return !!nameA && nameA === nameB;
+}
+
+function tournamentName(tournament) {
+  if (!tournament) return '';
+  if (typeof tournament === 'string') return tournament;
+  return tournament.name || tournament.event_name || tournament.tournamentName || '';
+}
+
+function slugify(value) {
+  return String(value || '')
     .toLowerCase()
     .replace(/[^a-z0-9]+/g, '-')
     .replace(/^-|-$/g, '');
+}
+
+/**
+ * Generate consistent blob key from tournament and date
+ * Used for saving predictions, avoid picks, matchups, news
+ * tournament: tournament object (keyed by event id + season) or a bare name (legacy keys)
+ * Format: tour-e{eventId}-{season}-name-slug-YYYY-MM-DD-HHMM (tour-name-slug-YYYY-MM-DD-HHMM without an id)
+ */
+function generateBlobKey(tournament, tour, timestamp) {
+  const ref = tournamentRef(tournament);
+  const tournamentSlug = slugify(tournamentName(tournament));
   
   const date = new Date(timestamp);
   const dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
   const timeStr = `${String(date.getHours()).padStart(2, '0')}${String(date.getMinutes()).padStart(2, '0')}`;
   
-  return `${tour}-${tournamentSlug}-${dateStr}-${timeStr}`;
+  return `${tour}-${ref ? `${ref}-` : ''}${tournamentSlug}-${dateStr}-${timeStr}`;
 }
 
 // ==================== CACHE VALIDATION ====================
@@ -271,20 +352,16 @@ function generateBlobKey(tournamentName, tour, timestamp) {
  * Generate a tournament-specific cache key for player data
  * Ensures cache is automatically invalidated when tournament changes
  */
-function generatePlayerDataCacheKey(tour, tournamentName) {
-  if (!tournamentName) return `player-data-${tour}`;
-  const slug = tournamentName
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-|-$/g, '');
-  return `player-data-${tour}-${slug}`;
+function generatePlayerDataCacheKey(tour, tournament) {
+  if (!tournament) return `player-data-${tour}`;
+  return `player-data-${tour}-${tournamentKeySegment(tournament)}`;
 }
 
 /**
  * Validate that cached data matches the current tournament
  * Returns true if cache is valid (same tournament and not expired)
  */
-function isCacheValidForTournament(cachedData, currentTournamentName, maxAgeMs = 12 * 60 * 60 * 1000) {
+function isCacheValidForTournament(cachedData, currentTournament, maxAgeMs = 12 * 60 * 60 * 1000) {
   if (!cachedData || !cachedData.timestamp) return false;
   
   // Check age
@@ -294,12 +371,10 @@ function isCacheValidForTournament(cachedData, currentTournamentName, maxAgeMs =
     return false;
   }
   
-  // Check tournament name match (if we have both)
-  if (currentTournamentName && cachedData.tournament?.name) {
-    const cachedName = cachedData.tournament.name.toLowerCase().trim();
-    const currentName = currentTournamentName.toLowerCase().trim();
-    if (cachedName !== currentName) {
-      console.log(`[CACHE-VALIDATE] Tournament mismatch! Cached: "${cachedData.tournament.name}" vs Current: "${currentTournamentName}"`);
+  // Check tournament match (if we have both) - event id + season, else name
+  if (currentTournament && cachedData.tournament?.name) {
+    if (!isSameTournament(cachedData.tournament, currentTournament)) {
+      console.log(`[CACHE-VALIDATE] Tournament mismatch! Cached: "${cachedData.tournament.name}" vs Current: "${tournamentName(currentTournament)}"`);
       return false;
     }
   }
@@ -308,11 +383,22 @@ function isCacheValidForTournament(cachedData, currentTournamentName, maxAgeMs =
 }
 
 /**
- * Find the latest blob matching a specific tournament name
+ * Find the latest blob for a specific tournament
  * Used by get-latest-* functions to return data for the CURRENT tournament
+ * tournament: tournament object or name. With an event id the blobs keyed for it are listed directly;
+ * older blobs are matched by their saved tournament (event id + season, else name).
  * Falls back to most recent blob if no tournament filter provided
  */
-async function getLatestBlobForTournament(store, tour, tournamentName = null) {
+async function getLatestBlobForTournament(store, tour, tournament = null) {
+  const ref = tournamentRef(tournament);
+  if (ref) {
+    const keyed = await latestBlobWithPrefix(store, `${tour}-${ref}-`);
+    if (keyed) {
+      console.log(`[BLOB-FILTER] ✅ Found ${ref} in ${keyed.key}`);
+      return keyed;
+    }
+  }
+
   let blobs;
   try {
     const listResult = await store.list({ prefix: `${tour}-` });
@@ -324,21 +410,12 @@ async function getLatestBlobForTournament(store, tour, tournamentName = null) {
   
   if (!blobs || blobs.length === 0) return null;
   
-  // Sort by DATE portion of key (not tournament name!)
-  // Key format: tour-tournament-slug-YYYY-MM-DD-HHMM
-  // Extract date by matching the date pattern at the end
-  const sortedBlobs = blobs.sort((a, b) => {
-    const datePatternA = a.key.match(/(\d{4}-\d{2}-\d{2}-\d{4})$/);
-    const datePatternB = b.key.match(/(\d{4}-\d{2}-\d{2}-\d{4})$/);
-    const dateA = datePatternA ? datePatternA[1] : '0000-00-00-0000';
-    const dateB = datePatternB ? datePatternB[1] : '0000-00-00-0000';
-    return dateB.localeCompare(dateA); // Most recent first
-  });
+  const sortedBlobs = sortBlobsByDate(blobs);
   
   console.log(`[BLOB-FILTER] Found ${sortedBlobs.length} blobs, newest: ${sortedBlobs[0].key}`);
   
   // If no tournament filter, just return the most recent valid blob
-  if (!tournamentName) {
+  if (!tournament) {
     for (const blob of sortedBlobs) {
       try {
         const data = await store.get(blob.key, { type: 'json' });
@@ -352,17 +429,18 @@ async function getLatestBlobForTournament(store, tour, tournamentName = null) {
   }
   
   // With tournament filter: find matching blob
+  const wanted = tournamentName(tournament);
   for (const blob of sortedBlobs) {
     try {
       const data = await store.get(blob.key, { type: 'json' });
       if (!data) continue;
       
-      const blobTournament = data.tournament?.name || data.tournamentName || '';
-      if (blobTournament.toLowerCase().trim() === tournamentName.toLowerCase().trim()) {
-        console.log(`[BLOB-FILTER] ✅ Found match: "${blobTournament}" in ${blob.key}`);
+      const blobTournament = data.tournament || data.tournamentName || '';
+      if (isSameTournament(blobTournament, tournament)) {
+        console.log(`[BLOB-FILTER] ✅ Found match: "${tournamentName(blobTournament)}" in ${blob.key}`);
         return { data, key: blob.key };
       } else {
-        console.log(`[BLOB-FILTER] Skipping "${blobTournament}" (looking for "${tournamentName}")`);
+        console.log(`[BLOB-FILTER] Skipping "${tournamentName(blobTournament)}" (looking for "${wanted}")`);
       }
     } catch (err) {
       console.log(`[BLOB-FILTER] Error reading blob ${blob.key}: ${err.message}`);
@@ -371,7 +449,7 @@ async function getLatestBlobForTournament(store, tour, tournamentName = null) {
   }
   
   // Fallback: return most recent blob with isFallback flag
-  console.log(`[BLOB-FILTER] No match for "${tournamentName}", falling back to most recent`);
+  console.log(`[BLOB-FILTER] No match for "${wanted}", falling back to most recent`);
   try {
     const data = await store.get(sortedBlobs[0].key, { type: 'json' });
     return data ? { data, key: sortedBlobs[0].key, fallback: true } : null;
@@ -380,6 +458,271 @@ async function getLatestBlobForTournament(store, tour, tournamentName = null) {
   }
 }
 
+async function latestBlobWithPrefix(store, prefix) {
+  try {
+    const { blobs } = await store.list({ prefix });
+    for (const blob of sortBlobsByDate(blobs || [])) {
+      const data = await store.get(blob.key, { type: 'json' });
+      if (data) return { data, key: blob.key };
+    }
+  } catch (err) {
+    console.log(`[BLOB-FILTER] Failed to read ${prefix}*: ${err.message}`);
+  }
+  return null;
+}
+
+/**
+ * Newest first, by the DATE portion of the key (not the tournament name!)
+ * Key format ends in YYYY-MM-DD-HHMM
+ */
+function sortBlobsByDate(blobs) {
+  const dateOf = blob => blob.key.match(/(\d{4}-\d{2}-\d{2}-\d{4})$/)?.[1] || '0000-00-00-0000';
+  return [...blobs].sort((a, b) => dateOf(b).localeCompare(dateOf(a)));
+}
+
+// ==================== DATA PROVIDERS ====================
+
+/**
+ * External data requests (DataGolf, WeatherAPI, Oddschecker) go through a data provider
+ * so the whole pipeline can run against recorded fixtures instead of the live APIs.
+ *
+ * DATA_PROVIDER=live (default) | fixture
+ * DATA_PROVIDER_FIXTURES_DIR   - where fixtures are read from (default: ./fixtures next to this file)
+ * DATA_PROVIDER_RECORD_DIR     - when set, the live provider also writes every response here
+ *
+ * Every method returns the raw response body, exactly as the upstream API sends it.
+ * Tours are passed as app tour ids ('pga', 'dp', 'kft', 'liv') and mapped to DataGolf codes here (tour-registry).
+ */
+
+const DATAGOLF_BASE_URL = 'https://feeds.datagolf.com';
+const WEATHER_BASE_URL = 'https://api.weatherapi.com/v1';
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function fixtureSlug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Request definitions shared by all providers: what to call live, and where the fixture lives
+ */
+const DATA_REQUESTS = {
+  getSchedule: (tour) => ({
+    source: 'datagolf',
+    endpoint: '/get-schedule',
+    params: { tour: toDataGolfTour(tour) },
+    fixture: `datagolf/schedule-${toDataGolfTour(tour)}.json`
+  }),
+  getField: (tour) => ({
+    source: 'datagolf',
+    endpoint: '/field-updates',
+    params: { tour: toDataGolfTour(tour) },
+    fixture: `datagolf/field-updates-${toDataGolfTour(tour)}.json`
+  }),
+  getOutrights: (tour, market = 'win') => ({
+    source: 'datagolf',
+    endpoint: '/betting-tools/outrights',
+    params: { tour: toDataGolfTour(tour), market, odds_format: 'american' },
+    fixture: `datagolf/outrights-${toDataGolfTour(tour)}-${market}.json`
+  }),
+  getMatchups: (tour, market = 'tournament_matchups') => ({
+    source: 'datagolf',
+    endpoint: '/betting-tools/matchups',
+    params: { tour: toDataGolfTour(tour), market, odds_format: 'american' },
+    fixture: `datagolf/matchups-${toDataGolfTour(tour)}-${market}.json`
+  }),
+  getRankings: () => ({
+    source: 'datagolf',
+    endpoint: '/preds/get-dg-rankings',
+    params: {},
+    fixture: 'datagolf/dg-rankings.json'
+  }),
+  getSkillRatings: () => ({
+    source: 'datagolf',
+    endpoint: '/preds/skill-ratings',
+    params: {},
+    fixture: 'datagolf/skill-ratings.json'
+  }),
+  getApproachSkill: (period = 'l24') => ({
+    source: 'datagolf',
+    endpoint: '/preds/approach-skill',
+    params: { period },
+    fixture: `datagolf/approach-skill-${period}.json`
+  }),
+  getHistoricalSkillRatings: () => ({
+    source: 'datagolf',
+    endpoint: '/historical-raw-data/skill-ratings',
+    params: {},
+    fixture: 'datagolf/historical-skill-ratings.json'
+  }),
+  getInPlay: (tour) => ({
+    source: 'datagolf',
+    endpoint: '/preds/in-play',
+    params: { tour: toDataGolfTour(tour), dead_heat: 'no', odds_format: 'american' },
+    fixture: `datagolf/in-play-${toDataGolfTour(tour)}.json`
+  }),
+  getLiveTournamentStats: () => ({
+    source: 'datagolf',
+    endpoint: '/preds/live-tournament-stats',
+    params: { stats: 'sg_ott,sg_app,sg_arg,sg_putt,sg_total,sg_t2g', round: 'event_avg', display: 'value' },
+    fixture: 'datagolf/live-tournament-stats.json'
+  }),
+  getHistoricalEventList: (tour) => ({
+    source: 'datagolf',
+    endpoint: '/historical-event-data/event-list',
+    params: { tour: toDataGolfTour(tour) },
+    fixture: `datagolf/event-list-${toDataGolfTour(tour)}.json`
+  }),
+  getHistoricalEvent: (tour, eventId, year) => ({
+    source: 'datagolf',
+    endpoint: '/historical-event-data/events',
+    params: { tour: toDataGolfTour(tour), event_id: eventId, year },
+    fixture: `datagolf/event-${toDataGolfTour(tour)}-${eventId}-${year}.json`
+  }),
+  getHistoricalRounds: (tour, eventId, year) => ({
+    source: 'datagolf',
+    endpoint: '/historical-raw-data/rounds',
+    params: { tour: toDataGolfTour(tour), event_id: eventId, year },
+    fixture: `datagolf/rounds-${toDataGolfTour(tour)}-${eventId}-${year}.json`
+  }),
+  getForecast: (location, days = 4) => ({
+    source: 'weather',
+    endpoint: '/forecast.json',
+    params: { q: location, days, aqi: 'no' },
+    fixture: `weather/forecast-${fixtureSlug(location)}.json`
+  }),
+  getWeatherHistory: (location, date) => ({
+    source: 'weather',
+    endpoint: '/history.json',
+    params: { q: location, dt: date },
+    fixture: `weather/history-${fixtureSlug(location)}-${date}.json`
+  }),
+  getOddscheckerPage: (url) => ({
+    source: 'oddschecker',
+    url,
+    fixture: `oddschecker/${fixtureSlug(url.replace(/^https?:\/\/[^/]+\//, ''))}.html`
+  })
+};
+
+/**
+ * Live provider - calls the real APIs
+ */
+function createLiveDataProvider() {
+  const recordDir = config.recordDir;
+
+  const fetchLive = async (request) => {
+    if (request.source === 'datagolf') {
+      const apiKey = config.datagolfApiKey;
+      if (!apiKey) throw new Error('DataGolf API key not configured');
+      const response = await axios.get(`${DATAGOLF_BASE_URL}${request.endpoint}`, {
+        params: { ...request.params, file_format: 'json', key: apiKey },
+        timeout: 15000,
+        headers: {
+          'User-Agent': 'Golf-Predictor-App/1.0',
+          'Accept': 'application/json'
+        }
+      });
+      return response.data;
+    }
+
+    if (request.source === 'weather') {
+      const apiKey = config.weatherApiKey;
+      if (!apiKey) throw new Error('Weather API key not configured');
+      const response = await axios.get(`${WEATHER_BASE_URL}${request.endpoint}`, {
+        params: { ...request.params, key: apiKey },
+        timeout: 8000
+      });
+      return response.data;
+    }
+
+    const response = await axios.get(request.url, {
+      timeout: 15000,
+      responseType: 'text',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+      }
+    });
+    return response.data;
+  };
+
+  const fetchAndRecord = async (request) => {
+    const data = await fetchLive(request);
+    if (recordDir) {
+      try {
+        const file = path.join(recordDir, request.fixture);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+        console.log(`[DATA-PROVIDER] Recorded ${request.fixture}`);
+      } catch (err) {
+        console.log(`[DATA-PROVIDER] Failed to record ${request.fixture}: ${err.message}`);
+      }
+    }
+    return data;
+  };
+
+  return buildDataProvider('live', fetchAndRecord, (source) => {
+    if (source === 'datagolf' || source === 'weather') return isConfigured(source);
+    return true;
+  });
+}
+
+/**
+ * Fixture provider - replays recorded responses from disk, never touches the network
+ * A missing fixture throws, so callers fall back exactly as they would on an API failure
+ */
+function createFixtureDataProvider() {
+  const fixturesDir = config.fixturesDir || DEFAULT_FIXTURES_DIR;
+
+  const readFixture = async (request) => {
+    const file = path.join(fixturesDir, request.fixture);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No fixture recorded for ${request.fixture}`);
+    }
+    const raw = fs.readFileSync(file, 'utf8');
+    return file.endsWith('.json') ? JSON.parse(raw) : raw;
+  };
+
+  return buildDataProvider('fixture', readFixture, () => true);
+}
+
+function buildDataProvider(name, fetchRequest, isConfigured) {
+  const provider = { name, isConfigured };
+  for (const [method, describe] of Object.entries(DATA_REQUESTS)) {
+    provider[method] = (...args) => fetchRequest(describe(...args));
+  }
+  return provider;
+}
+
+const DATA_PROVIDER_FACTORIES = {
+  live: createLiveDataProvider,
+  fixture: createFixtureDataProvider
+};
+
+const dataProviders = {};
+
+/**
+ * Register an additional provider (e.g. a second stats source)
+ * The factory must return an object implementing the DATA_REQUESTS methods plus isConfigured(source)
+ */
+function registerDataProvider(name, factory) {
+  DATA_PROVIDER_FACTORIES[name] = factory;
+  delete dataProviders[name];
+}
+
+/**
+ * Get the configured data provider (one instance per cold start)
+ */
+function getDataProvider(name = config.dataProvider) {
+  if (!DATA_PROVIDER_FACTORIES[name]) {
+    throw new Error(`Unknown data provider: ${name}`);
+  }
+  if (!dataProviders[name]) {
+    dataProviders[name] = DATA_PROVIDER_FACTORIES[name]();
+    console.log(`[DATA-PROVIDER] Using ${name} provider`);
+  }
+  return dataProviders[name];
+}
+
 // ==================== EXPORTS ====================
 
 module.exports = {
@@ -400,11 +743,20 @@ module.exports = {
   // Cost calculation
   calculateClaudeCost,
   
-  // Blob keys
+  // Tournament identity + blob keys
+  tournamentIdentity,
+  tournamentRef,
+  tournamentKeySegment,
+  isSameTournament,
   generateBlobKey,
   
   // Cache validation (NEW)
   generatePlayerDataCacheKey,
   isCacheValidForTournament,
-  getLatestBlobForTournament
+  getLatestBlobForTournament,
+
+  // Data providers
+  getDataProvider,
+  registerDataProvider,
+  toDataGolfTour
 };
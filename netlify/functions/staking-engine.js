@@ -0,0 +1,197 @@
+const { normalizePlayerName, americanToDecimal } = require('./shared-utils');
+
+/**
+ * STAKING ENGINE
+ * Fractional-Kelly stake recommendations for every pick, sized against a user-configured bankroll
+ * 1. Full Kelly from our probability (DataGolf model price, else the quant model) and the price we'd take
+ * 2. Fractional Kelly, capped per bet
+ * 3. Correlation limits: all bets on one player, and all bets on players sharing a skill profile
+ *    (the same dominant SG category wins or loses together when the course/weather suits it)
+ * 4. Weekly exposure cap, split between value picks, avoid lays and matchups
+ *
+ * Avoid picks are staked as lays: `stake` is the liability, and the bet is Kelly-sized as a back bet on
+ * "doesn't win" at the lay price's back-equivalent odds.
+ * Used by: get-predictions, get-avoid-picks, get-matchup-predictions, betting-ledger / results-scoring (settlement)
+ */
+
+// ========================================
+// 🎯 STAKING CONFIGURATION - EDIT HERE
+// ========================================
+const STAKING_CONFIG = {
+  defaultBankroll: 1000,
+  kellyFraction: 0.25,      // Quarter Kelly
+  maxBetPct: 0.02,          // No single bet over 2% of bankroll
+  playerGroupPct: 0.03,     // All bets on one player
+  profileGroupPct: 0.05,    // All bets on players with the same skill profile
+  weeklyExposurePct: {      // 15% of bankroll a week in total
+    predictions: 0.08,
+    avoidPicks: 0.03,
+    matchups: 0.04
+  },
+  minStake: 1               // Recommendations under $1 become "no bet"
+};
+
+// Dominant strokes-gained category → profile label
+const SKILL_PROFILES = {
+  sgOTT: 'Driver',
+  sgAPP: 'Irons',
+  sgARG: 'Short game',
+  sgPutt: 'Putter'
+};
+// ========================================
+
+/**
+ * Bankroll from a query string / body value, falling back to the configured default
+ */
+function resolveBankroll(value) {
+  const bankroll = parseFloat(value);
+  return bankroll > 0 ? bankroll : STAKING_CONFIG.defaultBankroll;
+}
+
+/**
+ * Full-Kelly fraction of bankroll for a bet at decimal odds (negative = no edge)
+ */
+function kellyFraction(probability, decimalOdds) {
+  const b = decimalOdds - 1;
+  if (!(b > 0) || probability == null) return 0;
+  return (probability * b - (1 - probability)) / b;
+}
+
+/**
+ * Skill profile used for correlation limits - the player's strongest SG category
+ */
+function skillProfile(player) {
+  if (!player) return null;
+  let best = null;
+  for (const [key, label] of Object.entries(SKILL_PROFILES)) {
+    const value = player[key] ?? player.stats?.[key];
+    if (typeof value === 'number' && value > 0 && (!best || value > best.value)) best = { label, value };
+  }
+  return best ? best.label : null;
+}
+
+/**
+ * Probability a player wins outright, with its source
+ * DataGolf's model price is preferred; the quant model is the fallback
+ */
+function winProbability(dgOdds, modelWinProb) {
+  if (dgOdds) return { probability: 1 / americanToDecimal(dgOdds), source: 'DataGolf' };
+  if (modelWinProb != null) return { probability: modelWinProb, source: 'Quant model' };
+  return { probability: null, source: null };
+}
+
+/**
+ * Recommend stakes for one endpoint's picks
+ * candidates: [{ key, player, market, side: 'back'|'lay', probability, probSource, odds (American), profile }]
+ * Returns { bankroll, totalStake, exposurePct, stakes: { [key]: staking } } - `staking` is saved on the pick.
+ */
+function recommendStakes(candidates, { bankroll, source, config = {} }) {
+  const settings = { ...STAKING_CONFIG, ...config };
+  const kellyMultiplier = settings.kellyFraction;
+
+  const entries = candidates.map(candidate => {
+    const decimalOdds = candidate.odds ? americanToDecimal(candidate.odds) : null;
+    const isLay = candidate.side === 'lay';
+    // A lay risks the liability to win liability / (odds - 1): a back bet on "doesn't win"
+    const effectiveOdds = decimalOdds && isLay ? decimalOdds / (decimalOdds - 1) : decimalOdds;
+    const probability = candidate.probability == null ? null : isLay ? 1 - candidate.probability : candidate.probability;
+    const kelly = effectiveOdds ? kellyFraction(probability, effectiveOdds) : 0;
+
+    const limits = [];
+    let amount = 0;
+    if (probability == null || !effectiveOdds) {
+      limits.push('No probability or price');
+    } else if (kelly <= 0) {
+      limits.push('No edge at this price');
+    } else {
+      amount = kelly * kellyMultiplier * bankroll;
+      if (amount > settings.maxBetPct * bankroll) {
+        amount = settings.maxBetPct * bankroll;
+        limits.push('Bet cap');
+      }
+    }
+
+    return { candidate, kelly, amount, limits };
+  });
+
+  // Correlated groups: scale down together when their combined stake breaches the group cap
+  applyGroupCap(entries, e => normalizePlayerName(e.candidate.player), settings.playerGroupPct * bankroll, 'Player cap');
+  applyGroupCap(entries, e => e.candidate.profile || null, settings.profileGroupPct * bankroll, 'Profile cap');
+
+  const weeklyCap = (settings.weeklyExposurePct[source] ?? 0) * bankroll;
+  const total = entries.reduce((sum, e) => sum + e.amount, 0);
+  if (weeklyCap > 0 && total > weeklyCap) {
+    const scale = weeklyCap / total;
+    entries.filter(e => e.amount > 0).forEach(e => {
+      e.amount *= scale;
+      e.limits.push('Weekly cap');
+    });
+  }
+
+  const stakes = {};
+  let totalStake = 0;
+  for (const e of entries) {
+    const stake = e.amount >= settings.minStake ? Math.round(e.amount * 100) / 100 : 0;
+    if (stake === 0 && e.amount > 0) e.limits.push('Below minimum stake');
+    totalStake += stake;
+
+    stakes[e.candidate.key] = {
+      stake,
+      stakePct: round(stake / bankroll * 100, 2),
+      side: e.candidate.side || 'back',
+      market: e.candidate.market,
+      odds: e.candidate.odds || null,
+      probability: e.candidate.probability == null ? null : round(e.candidate.probability, 4),
+      probSource: e.candidate.probSource || null,
+      kelly: round(Math.max(0, e.kelly), 4),
+      kellyFraction: kellyMultiplier,
+      profile: e.candidate.profile || null,
+      limits: e.limits
+    };
+  }
+
+  return {
+    bankroll,
+    source,
+    kellyFraction: kellyMultiplier,
+    weeklyCap: Math.round(weeklyCap * 100) / 100,
+    totalStake: Math.round(totalStake * 100) / 100,
+    exposurePct: round(totalStake / bankroll * 100, 2),
+    stakes
+  };
+}
+
+function applyGroupCap(entries, groupOf, cap, label) {
+  const groups = new Map();
+  for (const e of entries) {
+    const group = groupOf(e);
+    if (!group || e.amount <= 0) continue;
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(e);
+  }
+
+  for (const members of groups.values()) {
+    if (members.length < 2) continue;
+    const total = members.reduce((sum, e) => sum + e.amount, 0);
+    if (total <= cap) continue;
+    const scale = cap / total;
+    members.forEach(e => {
+      e.amount *= scale;
+      e.limits.push(label);
+    });
+  }
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  STAKING_CONFIG,
+  resolveBankroll,
+  kellyFraction,
+  skillProfile,
+  winProbability,
+  recommendStakes
+};
@@ -0,0 +1,376 @@
+/**
+ * TOUR REGISTRY
+ * Everything that differs between tours: DataGolf codes, which feeds and markets DataGolf carries,
+ * typical field size, the event format (rounds + cut) and the event shown when the schedule is down.
+ * Functions read tour behavior from here, so adding a tour is an entry in TOURS.
+ *
+ * App tour ids ('pga', 'dp', 'kft', 'liv') are what requests, saved keys and the UI use.
+ * DataGolf codes ('pga', 'euro', 'kft', 'alt', plus 'opp' for opposite-field events) are what the feeds take.
+ * Unknown ids resolve to the default tour.
+ *
+ * Event formats: the tour's format is the default, and a course-catalog event can override it
+ * (signature events, majors, the FedEx Cup Playoffs - see eventFormat). fetch-tournament puts the
+ * result on the tournament as `format`; prompts, the simulation and grading read it from there.
+ * Used by: shared-utils (toDataGolfTour), get-tours, fetch-tournament, fetch-odds, fetch-stats, the generators,
+ * quant-model settings, results grading, claude-output (pick bands), course-catalog, content-pipeline, refresh-form, fetch-pre-tournament-odds
+ */
+
+// ========================================
+// 🎯 TOURS - EDIT HERE
+// ========================================
+// dataGolf:     tour code for DataGolf feeds
+// fieldFeeds:   DataGolf feeds that can carry a field for the tour's events ('opp' is the opposite-field
+//               PGA TOUR event, which the DP World Tour sometimes co-sanctions)
+// rankingCodes: DataGolf primary_tour values that mean this tour (player registry)
+// markets:      what DataGolf prices for the tour - outrights (win), placements (top 5/10/20), matchups
+//               (tournament/round/3-ball lines), inPlay (live finish probabilities), liveStats (live SG),
+//               dfs (DraftKings/FanDuel salaries). Cut markets follow format.cut.
+// fieldSize:    typical full field
+// format:       rounds, and cut: { afterRound, top } ("top N and ties") or null for no-cut events
+// pipeline:     prepared on the content-pipeline schedule (the rest generate on demand)
+// fallback:     event shown when DataGolf's schedule is unavailable
+// DataGolf has no Champions (PGA TOUR Champions) feed, so it can't be added here yet.
+const TOURS = {
+  pga: {
+    label: 'PGA Tour',
+    shortLabel: 'PGA',
+    dataGolf: 'pga',
+    fieldFeeds: ['pga', 'opp'],
+    rankingCodes: ['PGA'],
+    markets: { outrights: true, placements: true, matchups: true, inPlay: true, liveStats: true, dfs: true },
+    fieldSize: 156,
+    format: { rounds: 4, cut: { afterRound: 2, top: 65 } },
+    pipeline: true,
+    fallback: {
+      name: 'Farmers Insurance Open',
+      course: 'Torrey Pines (South Course)',
+      location: 'San Diego, California',
+      dates: 'Jan 29 - Feb 1, 2026'
+    }
+  },
+  dp: {
+    label: 'DP World Tour',
+    shortLabel: 'DP World',
+    dataGolf: 'euro',
+    fieldFeeds: ['euro', 'opp'],
+    rankingCodes: ['EURO', 'DPWT'],
+    markets: { outrights: true, placements: true, matchups: true, inPlay: true, liveStats: false, dfs: true },
+    fieldSize: 132,
+    format: { rounds: 4, cut: { afterRound: 2, top: 65 } },
+    pipeline: true,
+    fallback: {
+      name: 'Ras Al Khaimah Championship',
+      course: 'Al Hamra Golf Club',
+      location: 'Ras Al Khaimah, UAE',
+      dates: 'Jan 30 - Feb 2, 2026'
+    }
+  },
+  kft: {
+    label: 'Korn Ferry Tour',
+    shortLabel: 'Korn Ferry',
+    dataGolf: 'kft',
+    fieldFeeds: ['kft'],
+    rankingCodes: ['KFT'],
+    markets: { outrights: true, placements: true, matchups: false, inPlay: true, liveStats: false, dfs: false },
+    fieldSize: 156,
+    format: { rounds: 4, cut: { afterRound: 2, top: 65 } },
+    pipeline: false,
+    fallback: {
+      name: 'The Bahamas Great Exuma Classic',
+      course: 'Sandals Emerald Bay',
+      location: 'Great Exuma, Bahamas',
+      dates: 'Jan 18 - Jan 21, 2026'
+    }
+  },
+  liv: {
+    label: 'LIV Golf',
+    shortLabel: 'LIV',
+    dataGolf: 'alt',
+    fieldFeeds: ['alt'],
+    rankingCodes: ['LIV', 'ALT'],
+    markets: { outrights: true, placements: true, matchups: true, inPlay: true, liveStats: false, dfs: false },
+    fieldSize: 54,
+    format: { rounds: 3, cut: null },
+    pipeline: false,
+    fallback: {
+      name: 'LIV Golf Riyadh',
+      course: 'Riyadh Golf Club',
+      location: 'Riyadh, Saudi Arabia',
+      dates: 'Feb 5 - Feb 7, 2026'
+    }
+  }
+};
+
+const DEFAULT_TOUR = 'pga';
+// ========================================
+
+// ========================================
+// 🎯 EVENT FORMATS - EDIT HERE
+// ========================================
+// Event types a course-catalog event's `format` can declare; anything without one is 'standard'
+const EVENT_TYPES = {
+  standard: 'Full-field event',
+  signature: 'Signature event',
+  major: 'Major championship',
+  playoff: 'Playoff event',
+  limited: 'Limited-field invitational'
+};
+
+// Avoid picks are graded wrong at a top-N finish. A top 20 is two thirds of a 30-player field,
+// so the bar tightens as the field shrinks (first band the field fits in wins).
+const AVOID_TOP_BY_FIELD = [
+  { maxField: 40, top: 5 },
+  { maxField: 80, top: 10 },
+  { maxField: Infinity, top: 20 }
+];
+
+// Value picks: pick #1 a favourite under favoriteMaxOdds, the rest at or over it with at least
+// minLongshots at longshotOdds+. Prices compress as the field shrinks (first band the field fits in wins);
+// without a cut the field is an elite one, so one fewer longshot is asked for.
+const VALUE_PICKS = 6;
+const PICK_BANDS_BY_FIELD = [
+  { maxField: 40, favoriteMaxOdds: 600, longshotOdds: 2000, minLongshots: 2 },
+  { maxField: 80, favoriteMaxOdds: 1200, longshotOdds: 3000, minLongshots: 2 },
+  { maxField: Infinity, favoriteMaxOdds: 1900, longshotOdds: 4000, minLongshots: 3 }
+];
+// ========================================
+
+/**
+ * Registry entry (with its id) for an app tour id or a DataGolf code - the default tour when unknown
+ */
+function getTour(tour) {
+  const id = resolveTourId(tour) || DEFAULT_TOUR;
+  return { id, ...TOURS[id] };
+}
+
+/**
+ * App tour id for an app id or DataGolf code ('euro' → 'dp', 'alt' → 'liv'), null when neither
+ */
+function resolveTourId(tour) {
+  if (!tour) return null;
+  const key = String(tour).toLowerCase();
+  if (TOURS[key]) return key;
+  return Object.keys(TOURS).find(id => TOURS[id].dataGolf === key) || null;
+}
+
+function isKnownTour(tour) {
+  return !!tour && !!TOURS[String(tour).toLowerCase()];
+}
+
+/**
+ * App tour ids - every tour, or only those on the content-pipeline schedule
+ */
+function tourIds({ pipeline = false } = {}) {
+  return Object.keys(TOURS).filter(id => !pipeline || TOURS[id].pipeline);
+}
+
+/**
+ * DataGolf code for an app tour id. Codes with no app tour ('opp') and DataGolf codes pass through.
+ */
+function toDataGolfTour(tour) {
+  if (!tour) return TOURS[DEFAULT_TOUR].dataGolf;
+  return TOURS[tour]?.dataGolf || tour;
+}
+
+/**
+ * App tour id for a DataGolf feed code - feeds with no app tour ('opp') keep their code
+ */
+function fromDataGolfTour(code) {
+  return resolveTourId(code) || code;
+}
+
+/**
+ * Does DataGolf price this market for the tour? Cut markets (make_cut / miss_cut) exist only where there's a cut.
+ * market: a key of markets, or 'makeCut'
+ */
+function hasMarket(tour, market) {
+  const entry = getTour(tour);
+  if (market === 'makeCut' || market === 'make_cut' || market === 'miss_cut') return !!entry.format.cut;
+  return !!entry.markets[market];
+}
+
+/**
+ * Error message for a tour without a market, or null when it's offered
+ */
+function unsupportedMarketMessage(tour, market, what) {
+  if (hasMarket(tour, market)) return null;
+  return `${what} not available for the ${getTour(tour).label} - DataGolf doesn't cover it`;
+}
+
+/**
+ * Rounds and cut, plus the holes played and a one-line description - the tour's standard event
+ */
+function tourFormat(tour) {
+  return eventFormat(tour);
+}
+
+/**
+ * Format of one event: the tour's default with the course-catalog event's `format` on top
+ * overrides: { type, rounds, fieldSize, cut: { afterRound, top, withinShots } | null,
+ *   startingStrokes: { ladder: [-10, -8, ...], standings: { "2024": ["FedEx Cup #1", ...] } } }
+ * fieldSize: the real field when it's known (beats the catalog's typical size)
+ * season: picks the starting-strokes standings - seasons without standings play level
+ * Returns { type, label, rounds, holes, cut, fieldSize, startingStrokes: { [player]: strokes } | null, summary }
+ */
+function eventFormat(tour, overrides = null, { fieldSize = null, season = null } = {}) {
+  const entry = getTour(tour);
+  const event = overrides || {};
+  const type = EVENT_TYPES[event.type] ? event.type : 'standard';
+  const rounds = event.rounds || entry.format.rounds;
+  const cut = event.cut !== undefined ? event.cut : entry.format.cut;
+  const size = fieldSize || event.fieldSize || entry.fieldSize;
+  const startingStrokes = resolveStartingStrokes(event.startingStrokes, season);
+  // A ladder without the event's season standings plays level - say so rather than silently dropping it
+  if (!startingStrokes && season && Array.isArray(event.startingStrokes?.ladder)) {
+    console.warn(`[FORMAT] ⚠️ ${tour.toUpperCase()} ${EVENT_TYPES[type]}: starting-strokes ladder but no ${season} standings - playing level (add them in manage-course-catalog)`);
+  }
+
+  const cutText = cut
+    ? `cut after ${cut.afterRound * 18} holes (top ${cut.top} and ties${cut.withinShots ? ` or within ${cut.withinShots} shots of the lead` : ''})`
+    : 'no cut';
+  const summary = [
+    `${rounds * 18} holes`,
+    cutText,
+    `${fieldSize ? '' : '~'}${size}-player field`,
+    ...(startingStrokes ? ['starting strokes'] : [])
+  ].join(', ');
+
+  return { type, label: EVENT_TYPES[type], rounds, holes: rounds * 18, cut, fieldSize: size, startingStrokes, summary };
+}
+
+/**
+ * { [player]: strokes } for the season - the ladder applied down that season's standings, or null
+ */
+function resolveStartingStrokes(config, season) {
+  const standings = config?.standings?.[season];
+  if (!Array.isArray(config?.ladder) || !Array.isArray(standings) || standings.length === 0) return null;
+
+  const last = config.ladder[config.ladder.length - 1] ?? 0;
+  return Object.fromEntries(standings.map((player, i) => [player, config.ladder[i] ?? last]));
+}
+
+/**
+ * The format for a format, a tournament (its `format`, else its tour's) or a tour id
+ * Tournaments saved before event formats existed only carry their tour.
+ */
+function formatOf(source) {
+  if (source && typeof source === 'object') {
+    if (source.rounds && source.summary) return source;
+    return source.format || tourFormat(source.tour);
+  }
+  return tourFormat(source);
+}
+
+/**
+ * Format lines for Claude prompts - empty when the event plays like a full-field PGA Tour event
+ * source: a tournament (preferred - carries the event's own format) or a tour id
+ */
+function formatPromptNote(source) {
+  const format = formatOf(source);
+  const standard = TOURS[DEFAULT_TOUR];
+  const notes = [];
+  if (!format.cut) {
+    notes.push('No cut: "MC" is impossible this week - never cite cut risk; every player completes every round.');
+  } else if (format.cut.top !== standard.format.cut.top || format.cut.withinShots) {
+    notes.push(`Cut is the top ${format.cut.top} and ties${format.cut.withinShots ? ` or within ${format.cut.withinShots} shots of the lead` : ''}, not the usual top ${standard.format.cut.top}.`);
+  }
+  if (format.rounds < standard.format.rounds) {
+    notes.push(`Only ${format.rounds} rounds: less time to recover from a slow start, so results are more volatile and fast starters matter more.`);
+  }
+  if (format.fieldSize <= standard.fieldSize / 2) {
+    notes.push(`Small field (${format.fieldSize} players): a top-10 or top-20 finish covers a much larger share of it than in a ${standard.fieldSize}-player event, and every player in it is close to the top of the game.`);
+  }
+  if (format.startingStrokes) {
+    notes.push(`Starting strokes: players begin the event under par by season standing, and the odds already price it in - ${formatStartingStrokes(format.startingStrokes)}. Judge value on the ${format.holes} holes each player still has to play.`);
+  }
+  if (notes.length === 0) return '';
+  const label = format.type !== 'standard' ? `${format.label} - ` : '';
+  return `FORMAT: ${label}${format.summary}.\n${notes.join('\n')}\n`;
+}
+
+function formatStartingStrokes(startingStrokes) {
+  return Object.entries(startingStrokes)
+    .map(([player, strokes]) => `${player} ${strokes === 0 ? 'E' : strokes}`)
+    .join(', ');
+}
+
+/**
+ * Quant-model settings for the format (rounds, cut, starting strokes) - spread over runQuantModel's config
+ * source: a tournament or a tour id (see formatOf)
+ */
+function simulationFormat(source) {
+  const { rounds, cut, startingStrokes } = formatOf(source);
+  return {
+    rounds,
+    cutAfterRound: cut ? cut.afterRound : null,
+    cutSize: cut ? cut.top : null,
+    cutWithinShots: cut?.withinShots || null,
+    startingStrokes: startingStrokes || null
+  };
+}
+
+/**
+ * Finish an avoid pick has to beat to be graded wrong, for the event's field size
+ */
+function avoidThreshold(source) {
+  const { fieldSize } = formatOf(source);
+  return AVOID_TOP_BY_FIELD.find(band => fieldSize <= band.maxField).top;
+}
+
+/**
+ * Odds bands for the value picks - { picks, favoriteMaxOdds, longshotOdds, minLongshots }
+ * The prediction prompt and its validation (claude-output RULES.predictions) both read these.
+ */
+function pickBands(source) {
+  const { fieldSize, cut } = formatOf(source);
+  const band = PICK_BANDS_BY_FIELD.find(b => fieldSize <= b.maxField);
+  return {
+    picks: VALUE_PICKS,
+    favoriteMaxOdds: band.favoriteMaxOdds,
+    longshotOdds: band.longshotOdds,
+    minLongshots: cut ? band.minLongshots : Math.max(1, band.minLongshots - 1)
+  };
+}
+
+/**
+ * What the app needs to draw its tour selector and gate tabs - no fallbacks or feed internals
+ */
+function publicTours() {
+  return tourIds().map(id => {
+    const { label, shortLabel, markets, fieldSize } = TOURS[id];
+    const format = tourFormat(id);
+    return {
+      id,
+      label,
+      shortLabel,
+      markets: { ...markets, makeCut: !!format.cut },
+      fieldSize,
+      rounds: format.rounds,
+      cut: format.cut,
+      formatSummary: format.summary
+    };
+  });
+}
+
+module.exports = {
+  TOURS,
+  DEFAULT_TOUR,
+  EVENT_TYPES,
+  getTour,
+  resolveTourId,
+  isKnownTour,
+  tourIds,
+  toDataGolfTour,
+  fromDataGolfTour,
+  hasMarket,
+  unsupportedMarketMessage,
+  tourFormat,
+  eventFormat,
+  formatOf,
+  formatPromptNote,
+  simulationFormat,
+  avoidThreshold,
+  VALUE_PICKS,
+  pickBands,
+  publicTours
+};
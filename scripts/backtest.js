@@ -0,0 +1,404 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const Anthropic = require('@anthropic-ai/sdk');
+const {
+  getBlobStore,
+  normalizePlayerName,
+  generatePlayerDataCacheKey,
+  isSameTournament,
+  tournamentRef,
+  tournamentKeySegment
+} = require('../netlify/functions/shared-utils');
+const { parseStakingPlan, describeEachWayTerms, runBankroll, DEFAULT_STAKING_PLAN } = require('../netlify/functions/betting-ledger');
+const { analyzeValuePicks, analyzeAvoidPicks, analyzeMatchups } = require('../netlify/functions/results-scoring');
+const { runQuantModel, findModelPlayer } = require('../netlify/functions/quant-model');
+const { simulationFormat, pickBands, VALUE_PICKS } = require('../netlify/functions/tour-registry');
+const predictions = require('../netlify/functions/get-predictions');
+const tournamentResults = require('../netlify/functions/fetch-tournament-results');
+const { requireSecret } = require('../netlify/functions/config');
+const { createValidatedMessage } = require('../netlify/functions/claude-output');
+
+/**
+ * BACKTEST - Replay saved tournaments through a prediction strategy and score the results
+ *
+ * For every tournament saved in the predictions store between --from and --to it:
+ * 1. Rebuilds the inputs the saved prediction saw (field + stats + odds from the player-data
+ *    cache, course info from the saved blob, the last forecast snapshot taken before it ran)
+ * 2. Runs each requested strategy on those inputs
+ * 3. Scores the picks with the same logic as get-prediction-results (results-scoring.js)
+ *
+ * Usage:
+ *   npm run backtest -- --tour pga --from 2026-01-01 --to 2026-03-31 --strategy saved,model
+ *
+ * Options:
+ *   --tour       a tour id from tour-registry - pga | dp | kft | liv (default pga)
+ *   --from/--to  YYYY-MM-DD, compared against each blob's generatedAt (default: everything)
+ *   --strategy   comma-separated: saved, favorites, model, claude (default saved,model)
+ *   --market, --stake, --bankroll, --ewFraction, --ewPlaces  staking plan (same as get-prediction-results)
+ *   --out        write the full JSON report to this file
+ *
+ * Needs SITE_ID and NETLIFY_AUTH_TOKEN for blob access; the claude strategy also needs ANTHROPIC_API_KEY.
+ * Final results come from fetch-tournament-results run in-process, so DATA_PROVIDER=fixture replays offline.
+ */
+
+// ==================== STRATEGIES ====================
+
+/**
+ * Each strategy returns { valuePicks, avoidPicks, matchups } for one tournament.
+ * Strategies that don't produce a category return the saved one so every run is scored on the same pairings.
+ */
+const STRATEGIES = {
+  // What we actually published at the time
+  saved: async (inputs, saved) => ({
+    valuePicks: saved.predictions,
+    avoidPicks: saved.avoidPicks,
+    matchups: saved.matchups
+  }),
+
+  // Naive baseline: back the 6 shortest prices, take the shorter price in each matchup
+  favorites: async (inputs, saved) => ({
+    valuePicks: inputs.players.slice(0, VALUE_PICKS).map(toPick),
+    avoidPicks: [],
+    matchups: saved.matchups.map(m => ({
+      ...m,
+      pick: (m.playerA?.odds || Infinity) <= (m.playerB?.odds || Infinity) ? m.playerA?.name : m.playerB?.name
+    }))
+  }),
+
+  // Quant model only: best edges under the same pick rules as the prompt
+  model: async (inputs, saved) => {
+    const model = runQuantModel(inputs.players, {
+      venueType: predictions.classifyVenueType(inputs.courseInfo, inputs.tournament),
+      courseInfo: inputs.courseInfo,
+      seedKey: `${inputs.tournament.tour}-${inputs.tournament.name}`,
+      config: simulationFormat(inputs.tournament)
+    });
+
+    const withModel = inputs.players
+      .map(p => ({ player: p, model: findModelPlayer(model, p.name) }))
+      .filter(entry => entry.model?.edge != null);
+    const byEdge = (a, b) => b.model.edge - a.model.edge;
+
+    const { picks, favoriteMaxOdds } = pickBands(inputs.tournament);
+    const favorite = withModel.filter(e => e.player.odds < favoriteMaxOdds).sort(byEdge).slice(0, 1);
+    const value = withModel.filter(e => e.player.odds >= favoriteMaxOdds).sort(byEdge).slice(0, picks - 1);
+    const picked = new Set([...favorite, ...value].map(e => e.player));
+    const avoid = withModel
+      .filter(e => inputs.players.indexOf(e.player) < 15 && !picked.has(e.player))
+      .sort((a, b) => a.model.edge - b.model.edge)
+      .slice(0, 3);
+
+    return {
+      valuePicks: [...favorite, ...value].map(e => toPick(e.player)),
+      avoidPicks: avoid.map(e => toPick(e.player)),
+      matchups: saved.matchups.map(m => {
+        const a = findModelPlayer(model, m.playerA?.name);
+        const b = findModelPlayer(model, m.playerB?.name);
+        if (!a || !b) return m;
+        return { ...m, pick: a.projectedStrokes <= b.projectedStrokes ? m.playerA.name : m.playerB.name };
+      })
+    };
+  },
+
+  // The CURRENT get-predictions prompt, replayed on the inputs the saved prediction saw
+  claude: async (inputs, saved) => {
+    const anthropic = new Anthropic({ apiKey: requireSecret('anthropic') });
+    const promptPlayers = inputs.players.slice(0, 80);
+    const prompt = predictions.buildClaudePrompt(
+      inputs.tournament,
+      promptPlayers,
+      inputs.weatherSummary,
+      inputs.courseInfo
+    );
+
+    // Same validation and repair as the live function, so replays follow the same pick rules
+    const { data: parsed } = await createValidatedMessage({
+      client: anthropic,
+      request: { ...predictions.CLAUDE_SETTINGS, messages: [{ role: 'user', content: prompt }] },
+      type: 'predictions',
+      ruleContext: { players: promptPlayers, bands: pickBands(inputs.tournament) },
+      label: `backtest-${inputs.tournament.name}`
+    });
+
+    const valuePicks = (parsed.picks || []).map(pick => {
+      const player = inputs.players.find(p => normalizePlayerName(p.name) === normalizePlayerName(pick.player));
+      return player ? { ...toPick(player), reasoning: pick.reasoning } : pick;
+    });
+
+    return { valuePicks, avoidPicks: saved.avoidPicks, matchups: saved.matchups };
+  }
+};
+
+function toPick(player) {
+  return {
+    player: player.name,
+    odds: player.odds,
+    minOdds: player.minOdds,
+    bestBookmaker: player.bestBookmaker
+  };
+}
+
+// ==================== LOADING SAVED DATA ====================
+
+/**
+ * Load the latest saved prediction / avoid / matchup blob per tournament within the date range
+ */
+async function loadSavedTournaments(tour, from, to) {
+  const tournamentMap = {};
+
+  const loadStore = async (storeName, category) => {
+    const store = getBlobStore(storeName);
+    const { blobs } = await store.list({ prefix: `${tour}-` }).catch(() => ({ blobs: [] }));
+
+    for (const blob of blobs || []) {
+      try {
+        const data = await store.get(blob.key, { type: 'json' });
+        const generatedAt = data?.generatedAt || data?.metadata?.generatedAt;
+        if (!data?.tournament?.name || !generatedAt) continue;
+        if (!isInRange(generatedAt, from, to)) continue;
+
+        const tournamentKey = tournamentRef(data.tournament) || data.tournament.name;
+        if (!tournamentMap[tournamentKey]) {
+          tournamentMap[tournamentKey] = { tournament: data.tournament, predictionBlob: null, avoidBlob: null, matchupBlob: null };
+        }
+
+        const entry = tournamentMap[tournamentKey];
+        const existing = entry[category];
+        if (!existing || new Date(generatedAt) > new Date(existing.generatedAt || existing.metadata?.generatedAt)) {
+          entry[category] = data;
+        }
+      } catch (err) {
+        console.log(`[BACKTEST] Error reading ${storeName} blob ${blob.key}: ${err.message}`);
+      }
+    }
+  };
+
+  await loadStore('predictions', 'predictionBlob');
+  await loadStore('avoid-picks', 'avoidBlob');
+  await loadStore('matchups', 'matchupBlob');
+
+  return Object.values(tournamentMap)
+    .filter(entry => entry.predictionBlob)
+    .map(entry => ({
+      tournament: { ...entry.tournament, tour: entry.tournament.tour || tour },
+      generatedAt: entry.predictionBlob.generatedAt,
+      predictionBlob: entry.predictionBlob,
+      predictions: entry.predictionBlob.predictions || [],
+      avoidPicks: entry.avoidBlob?.avoidPicks || [],
+      matchups: entry.matchupBlob?.suggestedMatchups || []
+    }))
+    .sort((a, b) => new Date(a.generatedAt) - new Date(b.generatedAt));
+}
+
+function isInRange(timestamp, from, to) {
+  const day = new Date(timestamp).toISOString().split('T')[0];
+  return (!from || day >= from) && (!to || day <= to);
+}
+
+/**
+ * Rebuild what get-predictions saw when this blob was generated
+ */
+async function rebuildInputs(saved, tour) {
+  const tournament = saved.tournament;
+
+  // Field + stats + odds + form: the tournament-specific player-data cache
+  let players = [];
+  try {
+    const cached = await getBlobStore('cache').get(generatePlayerDataCacheKey(tour, tournament), { type: 'json' });
+    if (cached?.players?.length && cached.tournament && isSameTournament(cached.tournament, tournament)) {
+      players = cached.players.slice().sort((a, b) => a.odds - b.odds);
+    }
+  } catch (err) {
+    console.log(`[BACKTEST] Player cache unavailable for "${tournament.name}": ${err.message}`);
+  }
+
+  // Forecast: last snapshot taken before the prediction ran, else what the blob stored
+  let weatherSummary = saved.predictionBlob.weather || 'Weather data not available';
+  let forecastFrom = 'saved prediction';
+  try {
+    const history = await getBlobStore('weather-cache').get(`weather-history-${tour}-${tournamentKeySegment(tournament)}`, { type: 'json' });
+    const snapshot = (history?.forecasts || [])
+      .filter(f => new Date(f.fetchedAt) <= new Date(saved.generatedAt))
+      .pop();
+    if (snapshot?.summary) {
+      weatherSummary = snapshot.summary;
+      forecastFrom = snapshot.fetchedAt;
+    }
+  } catch (err) {
+    console.log(`[BACKTEST] Weather history unavailable for "${tournament.name}": ${err.message}`);
+  }
+
+  return {
+    tournament,
+    players,
+    courseInfo: saved.predictionBlob.courseInfo || {},
+    weatherSummary,
+    forecastFrom
+  };
+}
+
+async function fetchFinalResults(tournament) {
+  const response = await tournamentResults.handler({
+    body: JSON.stringify({ tournamentName: tournament.name, tour: tournament.tour, eventId: tournament.eventId })
+  });
+  const data = JSON.parse(response.body);
+  const results = data.results || [];
+  return data.status !== 'not_completed' && results.length > 0 ? { results, format: data.format } : null;
+}
+
+// ==================== RUNNER ====================
+
+async function runBacktest(options) {
+  const stakingPlan = parseStakingPlan(options);
+  const strategyNames = (options.strategy || 'saved,model').split(',').map(s => s.trim()).filter(Boolean);
+
+  for (const name of strategyNames) {
+    if (!STRATEGIES[name]) throw new Error(`Unknown strategy "${name}" (available: ${Object.keys(STRATEGIES).join(', ')})`);
+  }
+
+  const saved = await loadSavedTournaments(options.tour, options.from, options.to);
+  console.log(`[BACKTEST] ${saved.length} saved tournaments for ${options.tour.toUpperCase()} (${options.from || 'start'} → ${options.to || 'now'})`);
+
+  const report = Object.fromEntries(strategyNames.map(name => [name, { tournaments: [], skipped: [] }]));
+
+  for (const entry of saved) {
+    const final = await fetchFinalResults(entry.tournament).catch(err => {
+      console.log(`[BACKTEST] Results failed for "${entry.tournament.name}": ${err.message}`);
+      return null;
+    });
+    if (!final) {
+      console.log(`[BACKTEST] Skipping "${entry.tournament.name}" - not completed`);
+      continue;
+    }
+
+    // Saves from before event formats only have their tour - the format the results came back with stands in
+    const { results } = final;
+    const tournament = { ...entry.tournament, format: entry.tournament.format || final.format };
+    const inputs = await rebuildInputs({ ...entry, tournament }, options.tour);
+
+    for (const name of strategyNames) {
+      if (name !== 'saved' && inputs.players.length === 0) {
+        report[name].skipped.push({ tournament: entry.tournament.name, reason: 'No cached player data to rebuild inputs' });
+        continue;
+      }
+
+      try {
+        const picks = await STRATEGIES[name](inputs, entry);
+        report[name].tournaments.push({
+          tournament: entry.tournament.name,
+          generatedAt: entry.generatedAt,
+          inputs: { players: inputs.players.length, forecastFrom: inputs.forecastFrom },
+          valueAnalysis: picks.valuePicks.length ? analyzeValuePicks(picks.valuePicks, results, stakingPlan, tournament) : null,
+          avoidAnalysis: picks.avoidPicks.length ? analyzeAvoidPicks(picks.avoidPicks, results, DEFAULT_STAKING_PLAN, tournament) : null,
+          matchupAnalysis: picks.matchups.length ? analyzeMatchups(picks.matchups, results) : null
+        });
+        console.log(`[BACKTEST] ✅ ${name}: ${entry.tournament.name}`);
+      } catch (err) {
+        report[name].skipped.push({ tournament: entry.tournament.name, reason: err.message });
+        console.log(`[BACKTEST] ❌ ${name}: ${entry.tournament.name} - ${err.message}`);
+      }
+    }
+  }
+
+  for (const name of strategyNames) {
+    report[name].summary = summarizeStrategy(report[name].tournaments, stakingPlan);
+  }
+
+  return {
+    tour: options.tour,
+    from: options.from || null,
+    to: options.to || null,
+    stakingPlan: { ...stakingPlan, eachWayTerms: describeEachWayTerms(stakingPlan.eachWay) },
+    generatedAt: new Date().toISOString(),
+    strategies: report
+  };
+}
+
+function summarizeStrategy(tournaments, stakingPlan) {
+  const bankroll = runBankroll(
+    tournaments
+      .filter(t => t.valueAnalysis?.ledger)
+      .map(t => ({ tournament: t.tournament, date: t.generatedAt, ledger: t.valueAnalysis.ledger })),
+    stakingPlan.startingBankroll
+  );
+
+  const sum = (fn) => tournaments.reduce((total, t) => total + (fn(t) || 0), 0);
+  const valuePicks = sum(t => t.valueAnalysis?.totalPicks);
+
+  return {
+    tournaments: tournaments.length,
+    valuePicks,
+    wins: sum(t => t.valueAnalysis?.wins),
+    top20Rate: valuePicks ? round(sum(t => t.valueAnalysis && (t.valueAnalysis.wins + t.valueAnalysis.top5s + t.valueAnalysis.top10s + t.valueAnalysis.top20s)) / valuePicks) : 0,
+    avoidAccuracy: round(sum(t => t.avoidAnalysis?.correctAvoids) / (sum(t => t.avoidAnalysis?.totalPicks) || 1)),
+    matchupRecord: {
+      wins: sum(t => t.matchupAnalysis?.wins),
+      losses: sum(t => t.matchupAnalysis?.losses),
+      pushes: sum(t => t.matchupAnalysis?.pushes)
+    },
+    ledger: bankroll
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function printSummary(report) {
+  console.log(`\n==================== BACKTEST: ${report.tour.toUpperCase()} ====================`);
+  console.log(`Staking: $${report.stakingPlan.stake} ${report.stakingPlan.market}${report.stakingPlan.market === 'each_way' ? ` (${report.stakingPlan.eachWayTerms})` : ''}\n`);
+
+  const rows = Object.entries(report.strategies).map(([name, { summary, skipped }]) => ({
+    strategy: name,
+    events: summary.tournaments,
+    skipped: skipped.length,
+    bets: summary.ledger.betCount,
+    'P/L': summary.ledger.profit,
+    'yield %': summary.ledger.yield,
+    bankroll: summary.ledger.currentBankroll,
+    wins: summary.wins,
+    'top-20 rate': summary.top20Rate,
+    'avoid acc.': summary.avoidAccuracy,
+    matchups: `${summary.matchupRecord.wins}-${summary.matchupRecord.losses}-${summary.matchupRecord.pushes}`
+  }));
+
+  console.table(rows);
+}
+
+// ==================== CLI ====================
+
+function parseArgs(argv) {
+  const options = { tour: 'pga' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      options[key] = 'true';
+    } else {
+      options[key] = next;
+      i++;
+    }
+  }
+  return options;
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  runBacktest(options)
+    .then(report => {
+      printSummary(report);
+      if (options.out) {
+        fs.writeFileSync(options.out, JSON.stringify(report, null, 2));
+        console.log(`\n[BACKTEST] Full report written to ${options.out}`);
+      }
+    })
+    .catch(err => {
+      console.error('[BACKTEST] Failed:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runBacktest, STRATEGIES };
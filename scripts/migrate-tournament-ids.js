@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+const {
+  getBlobStore,
+  getDataProvider,
+  tournamentIdentity,
+  tournamentRef,
+  tournamentKeySegment
+} = require('../netlify/functions/shared-utils');
+const { tourIds } = require('../netlify/functions/tour-registry');
+const { ARTIFACTS, loadManifest, saveManifest } = require('../netlify/functions/content-pipeline');
+
+/**
+ * MIGRATE TOURNAMENT IDS - Backfill DataGolf event_id + season onto artifacts saved by name
+ *
+ * Saved artifacts and odds-history series used to be keyed by the tournament's display name, so sponsor
+ * renames split a tournament and the same name collided across seasons. For every blob still keyed by name it:
+ * 1. Takes the tournament name (or the name slug in its key) and the year it was saved
+ * 2. Matches them against the DataGolf schedule and historical event list for that year -
+ *    exact name first, then one name containing the other; anything that fits several events is left alone
+ * 3. Writes the blob under its event_id + season key with the ids on its tournament, deletes the old key
+ *    and points the content-pipeline manifest at the new keys (moving it to its per-event manifest key)
+ *
+ * Usage:
+ *   npm run migrate:tournament-ids -- --tour pga          (dry run: prints what would move)
+ *   npm run migrate:tournament-ids -- --tour pga --apply  (writes)
+ *
+ * Options:
+ *   --tour   a tour id from tour-registry (pga, dp, kft, liv) | all (default all)
+ *   --apply  write the changes - without it nothing is touched
+ *
+ * Needs SITE_ID and NETLIFY_AUTH_TOKEN for blob access and DATAGOLF_API_KEY for the schedule
+ * (or DATA_PROVIDER=fixture with a recorded schedule + event list).
+ */
+
+// ========================================
+// 🎯 MIGRATION TARGETS - EDIT HERE
+// ========================================
+// prefix: the part of the key before the tournament; timestamped: keys continue with -YYYY-MM-DD-HHMM
+const TARGETS = [
+  { store: 'predictions', prefix: tour => `${tour}-`, timestamped: true },
+  { store: 'avoid-picks', prefix: tour => `${tour}-`, timestamped: true },
+  { store: 'matchups', prefix: tour => `${tour}-`, timestamped: true },
+  { store: 'news', prefix: tour => `${tour}-`, timestamped: true },
+  { store: 'cache', prefix: tour => `player-data-${tour}-` },
+  { store: 'analysis', prefix: tour => `self-analysis-${tour}-` },
+  { store: 'weather-cache', prefix: tour => `weather-history-${tour}-`, weatherHistory: true },
+  { store: 'weather-cache', prefix: tour => `weather-current-${tour}-` },
+  { store: 'odds-history', prefix: tour => `${tour}-`, oddsHistory: true }
+];
+
+const TOURS = tourIds();
+// ========================================
+
+const KEYED_BY_ID = /^e\d+(-\d{4})?(-|$)/;
+const KEY_TIMESTAMP = /-(\d{4}-\d{2}-\d{2}-\d{4})$/;
+
+async function runMigration({ tour = 'all', apply = false } = {}) {
+  const tours = tour === 'all' ? TOURS : [tour];
+  const dataProvider = getDataProvider();
+  const report = { apply, moved: [], unmatched: [], failed: [] };
+
+  for (const t of tours) {
+    const events = await loadEventCatalog(t, dataProvider);
+    console.log(`[MIGRATE] ${t.toUpperCase()}: ${events.length} DataGolf events to match against`);
+    const renamed = {};
+
+    for (const target of TARGETS) {
+      const prefix = target.prefix(t);
+      const store = getBlobStore(target.store);
+      const { blobs } = await store.list({ prefix }).catch(() => ({ blobs: [] }));
+
+      for (const blob of blobs || []) {
+        const tail = blob.key.slice(prefix.length);
+        if (KEYED_BY_ID.test(tail)) continue;
+        if (target.timestamped && !KEY_TIMESTAMP.test(tail)) continue;
+
+        try {
+          const data = await store.get(blob.key, { type: 'json' });
+          if (!data) continue;
+
+          const event = identifyEvent(data, tail, target, events);
+          if (!event.eventId) {
+            report.unmatched.push({ store: target.store, key: blob.key, reason: event.reason });
+            console.log(`[MIGRATE] ⚠️ ${target.store}/${blob.key}: ${event.reason}`);
+            continue;
+          }
+
+          const ref = tournamentRef(event);
+          const newKey = target.timestamped ? `${prefix}${ref}-${tail}` : `${prefix}${ref}`;
+          console.log(`[MIGRATE] ${target.store}/${blob.key} → ${newKey} (${event.name || 'id on blob'})`);
+          report.moved.push({ store: target.store, from: blob.key, to: newKey, eventId: event.eventId, season: event.season });
+
+          (renamed[target.store] = renamed[target.store] || {})[blob.key] = newKey;
+          if (!apply) continue;
+
+          let migrated = withIdentity(data, event, ref);
+          if (target.weatherHistory) {
+            migrated = mergeWeatherHistory(await store.get(newKey, { type: 'json' }), migrated);
+          }
+          if (target.oddsHistory) {
+            migrated = mergeOddsHistory(await store.get(newKey, { type: 'json' }), migrated);
+          }
+          await store.set(newKey, JSON.stringify(migrated));
+          await store.delete(blob.key);
+        } catch (err) {
+          report.failed.push({ store: target.store, key: blob.key, error: err.message });
+          console.log(`[MIGRATE] ❌ ${target.store}/${blob.key}: ${err.message}`);
+        }
+      }
+    }
+
+    await migrateManifest(t, renamed, events, apply);
+  }
+
+  return report;
+}
+
+// ==================== EVENT MATCHING ====================
+
+/**
+ * Every DataGolf event the tour has a record of: { eventId, season, name, slug }
+ * The schedule covers this season, the historical event list the ones before it
+ */
+async function loadEventCatalog(tour, dataProvider) {
+  const [schedule, eventList] = await Promise.allSettled([
+    dataProvider.getSchedule(tour),
+    dataProvider.getHistoricalEventList(tour)
+  ]);
+
+  const rows = [];
+  if (schedule.status === 'fulfilled') {
+    const data = schedule.value;
+    const list = Array.isArray(data?.schedule) ? data.schedule : Object.values(data?.schedule || {});
+    list.forEach(row => rows.push({ ...row, calendar_year: row.calendar_year || yearOf(row.start_date) || data.current_season }));
+  } else {
+    console.log(`[MIGRATE] Schedule unavailable: ${schedule.reason?.message}`);
+  }
+  if (eventList.status === 'fulfilled') {
+    const data = eventList.value;
+    const list = Array.isArray(data) ? data : (data?.events || []);
+    list.forEach(row => rows.push({ ...row, calendar_year: row.calendar_year || yearOf(row.date) }));
+  } else {
+    console.log(`[MIGRATE] Event list unavailable: ${eventList.reason?.message}`);
+  }
+
+  const events = new Map();
+  for (const row of rows) {
+    const { eventId, season } = tournamentIdentity(row);
+    if (!eventId || !season || !row.event_name) continue;
+    events.set(`${eventId}-${season}`, {
+      eventId,
+      season,
+      name: row.event_name,
+      slug: tournamentKeySegment(row.event_name)
+    });
+  }
+  return [...events.values()];
+}
+
+/**
+ * { eventId, season, name } for a saved blob, or { eventId: null, reason }
+ * A blob whose tournament already carries an event id keeps it; the rest are matched by name + year
+ */
+function identifyEvent(data, tail, target, events) {
+  const year = savedYear(data, tail);
+  const saved = tournamentIdentity(data.tournament);
+  if (saved.eventId) {
+    return { eventId: saved.eventId, season: saved.season || year, name: null };
+  }
+
+  // Weather blobs only carry the name slug in their key
+  const name = typeof data.tournament === 'object' ? data.tournament?.name : null;
+  const slug = name
+    ? tournamentKeySegment(name)
+    : (target.timestamped ? tail.replace(KEY_TIMESTAMP, '') : tail);
+  if (!slug || slug === 'unknown') return { eventId: null, reason: 'no tournament name' };
+  if (!year) return { eventId: null, reason: `no date to match "${name || slug}" against a season` };
+
+  const sameSeason = events.filter(e => e.season === year);
+  const exact = sameSeason.filter(e => e.slug === slug);
+  if (exact.length === 1) return exact[0];
+
+  const loose = exact.length > 1
+    ? exact
+    : sameSeason.filter(e => e.slug.includes(slug) || slug.includes(e.slug));
+  const ids = new Set(loose.map(e => e.eventId));
+  if (ids.size === 1) return loose[0];
+  if (ids.size > 1) {
+    return { eventId: null, reason: `"${name || slug}" fits ${ids.size} events in ${year}: ${loose.map(e => e.name).join(', ')}` };
+  }
+  return { eventId: null, reason: `"${name || slug}" not found in the ${year} schedule` };
+}
+
+/**
+ * Year the blob was saved - its timestamp, else the date in its key
+ */
+function savedYear(data, tail) {
+  const savedAt = data.generatedAt
+    || data.metadata?.generatedAt
+    || data.fetchedAt
+    || (data.timestamp && new Date(data.timestamp).toISOString())
+    || data.forecasts?.[0]?.fetchedAt
+    || data.tournament?.startDate
+    || data.snapshots?.[0]?.fetchedAt
+    || tail.match(KEY_TIMESTAMP)?.[1];
+  return yearOf(savedAt);
+}
+
+function yearOf(value) {
+  const year = parseInt(String(value || '').slice(0, 4));
+  return isNaN(year) ? null : year;
+}
+
+// ==================== REWRITING ====================
+
+function withIdentity(data, event, ref) {
+  if (data.tournament && typeof data.tournament === 'object') {
+    return { ...data, tournament: { ...data.tournament, eventId: event.eventId, season: event.season } };
+  }
+  // weather-current stores its key segment as the tournament
+  if (typeof data.tournament === 'string') {
+    return { ...data, tournament: ref };
+  }
+  return data;
+}
+
+/**
+ * A history already saved under the new key (fetch-weather ran after the deploy) keeps both sets of snapshots
+ */
+function mergeWeatherHistory(existing, migrated) {
+  if (!existing) return migrated;
+  const seen = new Set();
+  const forecasts = [...(migrated.forecasts || []), ...(existing.forecasts || [])]
+    .filter(f => !seen.has(f.fetchedAt) && seen.add(f.fetchedAt))
+    .sort((a, b) => new Date(a.fetchedAt) - new Date(b.fetchedAt))
+    .slice(-50);
+  return { ...migrated, ...existing, forecasts, actual: existing.actual || migrated.actual || null };
+}
+
+/**
+ * Same for a line-movement series that fetch-odds has already started under the new key
+ */
+function mergeOddsHistory(existing, migrated) {
+  if (!existing) return migrated;
+  const seen = new Set();
+  const snapshots = [...(migrated.snapshots || []), ...(existing.snapshots || [])]
+    .filter(s => !seen.has(s.fetchedAt) && seen.add(s.fetchedAt))
+    .sort((a, b) => new Date(a.fetchedAt) - new Date(b.fetchedAt))
+    .slice(-120);
+  return { ...migrated, ...existing, tournament: { ...migrated.tournament, ...existing.tournament }, snapshots };
+}
+
+/**
+ * Point the pipeline manifest at the moved artifacts and give its tournament the event id + season
+ * The tour-wide manifest-{tour} predates per-event manifests - once its tournament has an event id
+ * it's written to manifest-{tour}-e{eventId}, where the pipeline reads it.
+ */
+async function migrateManifest(tour, renamed, events, apply) {
+  const manifest = await loadManifest(tour, null);
+  if (!manifest) return;
+
+  let changed = false;
+  for (const artifact of ARTIFACTS) {
+    const entry = manifest.artifacts?.[artifact.id];
+    const newKey = entry?.key && renamed[artifact.store]?.[entry.key];
+    if (newKey) {
+      manifest.artifacts[artifact.id] = { ...entry, key: newKey };
+      changed = true;
+    }
+  }
+
+  if (manifest.tournament && !manifest.tournament.season) {
+    const data = { tournament: manifest.tournament, generatedAt: manifest.startedAt || manifest.tournament.startDate };
+    const event = identifyEvent(data, '', {}, events);
+    if (event.eventId) {
+      manifest.tournament = { ...manifest.tournament, eventId: event.eventId, season: event.season };
+      changed = true;
+    }
+  }
+
+  const { eventId } = tournamentIdentity(manifest.tournament);
+  if (!changed && !eventId) return;
+  console.log(`[MIGRATE] pipeline/manifest-${tour} → ${eventId ? `manifest-${tour}-e${eventId} (${tournamentRef(manifest.tournament)})` : 'artifact keys only'}`);
+  if (apply) await saveManifest(manifest, null);
+}
+
+// ==================== CLI ====================
+
+function parseArgs(argv) {
+  const options = { tour: 'all' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      options[key] = 'true';
+    } else {
+      options[key] = next;
+      i++;
+    }
+  }
+  return options;
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  runMigration({ tour: options.tour, apply: options.apply === 'true' })
+    .then(report => {
+      console.log(`\n[MIGRATE] ${report.apply ? 'Moved' : 'Would move'} ${report.moved.length} blobs, ` +
+        `${report.unmatched.length} unmatched, ${report.failed.length} failed`);
+      if (!report.apply && report.moved.length > 0) {
+        console.log('[MIGRATE] Dry run - re-run with --apply to write');
+      }
+      if (report.failed.length > 0) process.exit(1);
+    })
+    .catch(err => {
+      console.error('[MIGRATE] Failed:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runMigration, identifyEvent, loadEventCatalog };
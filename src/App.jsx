@@ -1,5 +1,6 @@
 import React, { useState, useCallback, useEffect, useRef } from 'react';
 import './App.css';
+import { LineHistoryChart } from './OddsDisplayComponents';
 
 /**
  * OPTIMIZED App.jsx
@@ -39,11 +40,76 @@ const getLiveOdds = (liveOdds, playerName) => {
   return null;
 };
 
+// Tours until get-tours answers (the full list and what each one offers comes from tour-registry.js)
+const DEFAULT_TOURS = [
+  { id: 'pga', label: 'PGA Tour', markets: { inPlay: true, dfs: true } },
+  { id: 'dp', label: 'DP World Tour', markets: { inPlay: true, dfs: true } }
+];
+
+// Tabs that need a DataGolf market the tour may not have
+const TAB_MARKETS = { live: 'inPlay', dfs: 'dfs' };
+const isTabAvailable = (tabId, tourInfo) => !TAB_MARKETS[tabId] || tourInfo?.markets?.[TAB_MARKETS[tabId]] !== false;
+
+// Helper to build the query params that identify a tournament: its name, plus the DataGolf
+// event id + season saved artifacts are keyed by (when known)
+const tournamentQuery = (tournament) => {
+  if (!tournament?.name) return '';
+  const eventId = tournament.eventId ?? tournament.event_id;
+  const season = tournament.season ?? tournament.calendar_year;
+  return `&tournament=${encodeURIComponent(tournament.name)}`
+    + (eventId ? `&eventId=${eventId}` : '')
+    + (eventId && season ? `&season=${season}` : '');
+};
+
+// Helper to follow a background generation job (generation-jobs) until it finishes
+// onProgress gets every status read (steps, partial results); resolves with the finished output,
+// the same body the generating function returns
+const pollGenerationJob = async (jobId, onProgress, { intervalMs = 2000, maxAttempts = 150 } = {}) => {
+  let lastStep = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await fetch(`/.netlify/functions/generation-jobs?jobId=${encodeURIComponent(jobId)}&_=${Date.now()}`, {
+      cache: 'no-store'
+    });
+    if (response.status === 404) throw new Error('This generation is no longer available. Please try again.');
+
+    if (response.ok) {
+      const job = await response.json();
+      onProgress?.(job);
+      if (job.currentStep !== lastStep) {
+        console.log(`[JOB] ${jobId} ${job.status}${job.currentStep ? ` - ${job.currentStep}` : ''}`);
+        lastStep = job.currentStep;
+      }
+      if (job.status === 'done' && job.data) return job.data;
+      if (job.status === 'done') throw new Error('Generation finished but its result was not saved. Please try again.');
+      if (job.status === 'failed') throw new Error(job.error || 'Generation failed');
+    }
+
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+  throw new Error('BACKEND_TIMEOUT');
+};
+
+// The job in flight is remembered so a page refresh picks it back up instead of starting over
+const ACTIVE_JOB_KEY = 'activeGenerationJob';
+const ACTIVE_JOB_MAX_AGE_MS = 20 * 60 * 1000;
+
+const readActiveJob = () => {
+  try {
+    const job = JSON.parse(localStorage.getItem(ACTIVE_JOB_KEY) || 'null');
+    return job?.jobId && Date.now() - job.startedAt < ACTIVE_JOB_MAX_AGE_MS ? job : null;
+  } catch (err) {
+    return null;
+  }
+};
+
 // Helper component to show odds with live update indicator
-const OddsDisplay = ({ originalOdds, liveOdds, playerName, style = {} }) => {
+// lineMovement (optional, from get-odds-movement) adds a ▲/▼ showing the move since the opening price
+const OddsDisplay = ({ originalOdds, liveOdds, lineMovement, playerName, style = {} }) => {
   const live = getLiveOdds(liveOdds, playerName);
   const displayOdds = live ? live.odds : originalOdds;
   const isUpdated = live && originalOdds && live.odds !== originalOdds;
+  const movement = getLiveOdds(lineMovement?.byPlayer, playerName);
+  const hasMoved = movement && movement.direction !== 'flat';
   
   return (
     <span style={{ fontWeight: 600, color: '#667eea', ...style }}>
@@ -53,6 +119,14 @@ const OddsDisplay = ({ originalOdds, liveOdds, playerName, style = {} }) => {
           ⚡
         </span>
       )}
+      {hasMoved && (
+        <span
+          style={{ fontSize: '0.7rem', color: movement.direction === 'shortened' ? '#2e7d32' : '#c62828', marginLeft: '3px' }}
+          title={`Opened ${formatAmericanOdds(movement.opening.odds)} (${movement.history.length} snapshots)`}
+        >
+          {movement.direction === 'shortened' ? '▲' : '▼'}
+        </span>
+      )}
     </span>
   );
 };
@@ -102,6 +176,9 @@ const TimestampHeader = ({ generatedAt }) => {
 
 function App() {
   const [tour, setTour] = useState('pga');
+  const [tours, setTours] = useState(DEFAULT_TOURS);
+  const [events, setEvents] = useState([]);
+  const [eventId, setEventId] = useState(null); // null = the week's main event
   const [activeTab, setActiveTab] = useState('predictions');
   const [data, setData] = useState({
     predictions: null,
@@ -110,12 +187,16 @@ function App() {
     matchups: null,
     results: null,
     playerAnalysis: null,
-    live: null
+    live: null,
+    dfs: null
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [requestId, setRequestId] = useState(0);
+  const [jobProgress, setJobProgress] = useState(null);
   const [liveOdds, setLiveOdds] = useState(null);
+  const [lineMovement, setLineMovement] = useState(null);
+  const [bankroll, setBankroll] = useState(() => localStorage.getItem('bankroll') || '1000');
   const hasAutoLoadedRef = useRef(false);
 
   // Fetch live odds from DataGolf (refreshes every 5 min via cache header)
@@ -132,6 +213,51 @@ function App() {
     }
   }, [tour]);
 
+  // Fetch the odds line history recorded by the scheduled odds pulls
+  const fetchLineMovement = useCallback(async (tourParam) => {
+    try {
+      const response = await fetch(`/.netlify/functions/get-odds-movement?tour=${tourParam || tour}&_=${Math.floor(Date.now() / 300000)}`);
+      if (!response.ok) {
+        setLineMovement(null);
+        return;
+      }
+      const movementData = await response.json();
+      const byPlayer = {};
+      for (const p of movementData.players || []) byPlayer[p.player] = p;
+      setLineMovement({ ...movementData, byPlayer });
+      console.log(`[ODDS-MOVE] Loaded ${movementData.snapshotCount} snapshots for ${movementData.tournament?.name}`);
+    } catch (err) {
+      console.log('[ODDS-MOVE] Failed to fetch:', err.message);
+    }
+  }, [tour]);
+
+  // Every tour the backend supports, with its markets and format
+  useEffect(() => {
+    fetch('/.netlify/functions/get-tours')
+      .then(response => (response.ok ? response.json() : null))
+      .then(tourData => {
+        if (tourData?.tours?.length) setTours(tourData.tours);
+      })
+      .catch(err => console.log('[TOURS] Failed to fetch:', err.message));
+  }, []);
+
+  // This week's events for the tour - more than one on opposite-field / co-sanctioned weeks
+  const fetchWeekEvents = useCallback(async (tourParam) => {
+    try {
+      const response = await fetch(`/.netlify/functions/fetch-tournament?tour=${tourParam || tour}`);
+      if (!response.ok) {
+        setEvents([]);
+        return;
+      }
+      const tournamentData = await response.json();
+      setEvents(tournamentData.events || []);
+      console.log(`[EVENTS] ${(tournamentData.events || []).length} event(s) this week`);
+    } catch (err) {
+      console.log('[EVENTS] Failed to fetch:', err.message);
+      setEvents([]);
+    }
+  }, [tour]);
+
   // Generic fetch function to avoid duplication
   const fetchData = useCallback(async (endpoint, method = 'GET', body = null, dataKey) => {
     // Use functional update to avoid stale closure on requestId
@@ -193,7 +319,14 @@ function App() {
         throw new Error(errorData.message || errorData.error || 'Request failed');
       }
       
-      const responseData = await response.json();
+      let responseData = await response.json();
+
+      // 202 = a teammate's request is already generating this - share its result instead of paying twice
+      if (response.status === 202 && responseData.jobId) {
+        console.log(`[FETCH] Already in progress (job ${responseData.jobId}) - waiting for it`);
+        responseData = await pollGenerationJob(responseData.jobId, setJobProgress);
+      }
+
       setData(prev => ({ ...prev, [dataKey]: responseData }));
       
     } catch (err) {
@@ -219,161 +352,103 @@ function App() {
       throw err; // Re-throw so catch handlers can handle it
     } finally {
       setLoading(false);
+      setJobProgress(null);
     }
   }, []); // No dependencies needed - uses functional state updates only
 
-  const handleGetPredictions = async () => {
+  // Follow a background generation job to the end, showing its steps as they land
+  const followJob = useCallback(async ({ jobId, dataKey }) => {
+    setError(null);
+    setLoading(true);
+
     try {
-      await fetchData(`/.netlify/functions/get-predictions?tour=${tour}`, 'GET', null, 'predictions');
+      const result = await pollGenerationJob(jobId, setJobProgress);
+      setData(prev => ({ ...prev, [dataKey]: result }));
+      localStorage.removeItem(ACTIVE_JOB_KEY);
     } catch (err) {
+      console.error(`[JOB] ${jobId} failed:`, err.message);
       if (err.message === 'BACKEND_TIMEOUT') {
-        console.log('[PRED] Backend timeout - function still processing, polling for results...');
-        setError('Generating predictions... This may take 30-40 seconds. Checking for results...');
-        setLoading(true);
-        
-        let attempts = 0;
-        const maxAttempts = 12;
-        const pollInterval = setInterval(async () => {
-          attempts++;
-          console.log(`[PRED] Polling cache attempt ${attempts}/${maxAttempts}`);
-          
-          try {
-            // Fetch latest predictions - the backend should have saved by now
-            const response = await fetch(`/.netlify/functions/get-latest-predictions?tour=${tour}&_=${Date.now()}`, {
-              cache: 'no-store',
-              headers: { 'Cache-Control': 'no-cache' }
-            });
-            if (response.ok) {
-              const predData = await response.json();
-              // Only accept if generated recently (within last 2 minutes)
-              const age = Date.now() - new Date(predData.generatedAt).getTime();
-              if (age < 120000) {
-                setData(prev => ({ ...prev, predictions: predData }));
-                clearInterval(pollInterval);
-                setError(null);
-                setLoading(false);
-                console.log('[PRED] ✅ Successfully loaded from cache!');
-                return;
-              }
-            }
-          } catch (cacheErr) {
-            // Keep polling
-          }
-          
-          if (attempts >= maxAttempts) {
-            clearInterval(pollInterval);
-            setLoading(false);
-            setError('Prediction generation took longer than expected. Please reload the page to see results.');
-          }
-        }, 3000);
+        // Still running on the server - keep it remembered so a reload picks it back up
+        setError('Generation is taking longer than expected. It keeps running - reload the page in a minute to pick it back up.');
+      } else {
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+        setError(err.message);
       }
+    } finally {
+      setLoading(false);
+      setJobProgress(null);
     }
-  };
-  
-  const handleGetAvoidPicks = async () => {
-    const valuePicks = data.predictions?.predictions?.map(p => p.player) || [];
+  }, []);
+
+  // Start a long Claude generation as a background job (generation-jobs) and follow its progress
+  // Where job storage isn't available (local dev without Blobs) the function is called directly instead
+  const runJob = useCallback(async (kind, params, dataKey, callDirectly) => {
+    setRequestId(prev => prev + 1);
+    setError(null);
+    setLoading(true);
+    setJobProgress({ kind, status: 'queued', steps: [] });
+
+    let job;
     try {
-      await fetchData(`/.netlify/functions/get-avoid-picks`, 'POST', { 
-        tour,
-        excludePlayers: valuePicks 
-      }, 'avoidPicks');
-    } catch (err) {
-      if (err.message === 'BACKEND_TIMEOUT') {
-        console.log('[AVOID] Backend timeout - polling for cached results...');
-        setError('Generating avoid picks... Checking for results...');
-        setLoading(true);
-        
-        const tournamentName = data.predictions?.tournament?.name || '';
-        const tournamentParam = tournamentName ? `&tournament=${encodeURIComponent(tournamentName)}` : '';
-        
-        let attempts = 0;
-        const maxAttempts = 10;
-        const pollInterval = setInterval(async () => {
-          attempts++;
-          console.log(`[AVOID] Polling cache attempt ${attempts}/${maxAttempts}`);
-          
-          try {
-            const response = await fetch(`/.netlify/functions/get-latest-avoid-picks?tour=${tour}${tournamentParam}&_=${Date.now()}`, {
-              cache: 'no-store',
-              headers: { 'Cache-Control': 'no-cache' }
-            });
-            if (response.ok) {
-              const avoidData = await response.json();
-              const age = Date.now() - new Date(avoidData.generatedAt).getTime();
-              if (age < 120000) {
-                setData(prev => ({ ...prev, avoidPicks: avoidData }));
-                clearInterval(pollInterval);
-                setError(null);
-                setLoading(false);
-                console.log('[AVOID] ✅ Successfully loaded from cache!');
-                return;
-              }
-            }
-          } catch (cacheErr) {
-            // Keep polling
-          }
-          
-          if (attempts >= maxAttempts) {
-            clearInterval(pollInterval);
-            setLoading(false);
-            setError('Avoid picks generation took longer than expected. Please reload the page.');
-          }
-        }, 3000);
+      const response = await fetch('/.netlify/functions/generation-jobs', {
+        method: 'POST',
+        cache: 'no-store',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ kind, tour, eventId, ...params })
+      });
+      job = await response.json().catch(() => ({}));
+
+      if (response.status === 503 && job.fallback) {
+        console.log('[JOB] Job storage unavailable - calling the function directly');
+        setJobProgress(null);
+        await callDirectly().catch(() => {}); // fetchData already shows the error
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(job.message || job.error || 'Could not start generation');
       }
+    } catch (err) {
+      console.error(`[JOB] Failed to start ${kind}:`, err.message);
+      setError(err.message);
+      setLoading(false);
+      setJobProgress(null);
+      return;
     }
+
+    console.log(`[JOB] Started ${kind} job ${job.jobId}`);
+    setJobProgress(job);
+    localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify({
+      jobId: job.jobId, kind, dataKey, tab: activeTab, tour, eventId, startedAt: Date.now()
+    }));
+    await followJob({ jobId: job.jobId, dataKey });
+  }, [tour, eventId, activeTab, followJob]);
+
+  // Bankroll the staking engine sizes every pick against (kept between visits)
+  const handleBankrollChange = (value) => {
+    setBankroll(value);
+    localStorage.setItem('bankroll', value);
+  };
+
+  // Selected event for the generating functions (the main event when none is picked)
+  const eventParam = eventId ? `&eventId=${eventId}` : '';
+
+  const handleGetPredictions = () =>
+    runJob('predictions', { bankroll }, 'predictions', () =>
+      fetchData(`/.netlify/functions/get-predictions?tour=${tour}&bankroll=${encodeURIComponent(bankroll)}${eventParam}`, 'GET', null, 'predictions'));
+  
+  const handleGetAvoidPicks = () => {
+    const valuePicks = data.predictions?.predictions?.map(p => p.player) || [];
+    return runJob('avoid-picks', { bankroll, excludePlayers: valuePicks }, 'avoidPicks', () =>
+      fetchData(`/.netlify/functions/get-avoid-picks`, 'POST', { tour, eventId, bankroll, excludePlayers: valuePicks }, 'avoidPicks'));
   };
   
   const handleGetNews = () => 
-    fetchData(`/.netlify/functions/get-tournament-news?tour=${tour}`, 'GET', null, 'newsPreview');
+    runJob('news', {}, 'newsPreview', () =>
+      fetchData(`/.netlify/functions/get-tournament-news?tour=${tour}${eventParam}`, 'GET', null, 'newsPreview'));
   
-  const handleGetMatchups = async () => {
-    try {
-      await fetchData(`/.netlify/functions/get-matchup-predictions`, 'POST', { tour }, 'matchups');
-    } catch (err) {
-      if (err.message === 'BACKEND_TIMEOUT') {
-        console.log('[MATCHUP] Backend timeout detected - function still processing in background');
-        setError('Generating matchups... This may take 30-40 seconds. Checking for results...');
-        setLoading(true);
-        
-        const tournamentName = data.predictions?.tournament?.name || '';
-        const tournamentParam = tournamentName ? `&tournament=${encodeURIComponent(tournamentName)}` : '';
-        
-        let attempts = 0;
-        const maxAttempts = 12;
-        const pollInterval = setInterval(async () => {
-          attempts++;
-          console.log(`[MATCHUP] Polling cache attempt ${attempts}/${maxAttempts}`);
-          
-          try {
-            const response = await fetch(`/.netlify/functions/get-latest-matchups?tour=${tour}${tournamentParam}&_=${Date.now()}`, {
-              cache: 'no-store',
-              headers: { 'Cache-Control': 'no-cache' }
-            });
-            if (response.ok) {
-              const matchupData = await response.json();
-              const age = Date.now() - new Date(matchupData.generatedAt).getTime();
-              if (age < 120000) {
-                setData(prev => ({ ...prev, matchups: matchupData }));
-                clearInterval(pollInterval);
-                setError(null);
-                setLoading(false);
-                console.log('[MATCHUP] ✅ Successfully loaded from cache!');
-                return;
-              }
-            }
-          } catch (cacheErr) {
-            // Keep polling
-          }
-          
-          if (attempts >= maxAttempts) {
-            clearInterval(pollInterval);
-            setLoading(false);
-            setError('Matchup generation is taking longer than expected. Please try refreshing in a moment.');
-          }
-        }, 3000);
-      }
-    }
-  };
+  const handleGetMatchups = () =>
+    runJob('matchups', { bankroll }, 'matchups', () =>
+      fetchData(`/.netlify/functions/get-matchup-predictions`, 'POST', { tour, eventId, bankroll }, 'matchups'));
 
   const handleGetResults = () => 
     fetchData(`/.netlify/functions/get-prediction-results?tour=${tour}`, 'GET', null, 'results');
@@ -381,13 +456,18 @@ function App() {
   const handleGetLivePicks = () =>
     fetchData(`/.netlify/functions/get-live-picks?tour=${tour}&refresh=true`, 'GET', null, 'live');
 
-  const handleAnalyzePlayer = async (playerName) => {
+  const handleAnalyzePlayer = (playerName) => {
     if (!playerName) return;
+    return runJob('player-analysis', { playerName }, 'playerAnalysis', () =>
+      fetchData(`/.netlify/functions/analyze-player`, 'POST', { playerName, tour, eventId }, 'playerAnalysis'));
+  };
+
+  const handleBuildLineups = async (options) => {
     try {
-      await fetchData(`/.netlify/functions/analyze-player`, 'POST', { playerName, tour }, 'playerAnalysis');
+      await fetchData(`/.netlify/functions/get-dfs-lineups`, 'POST', { ...options, tour, eventId }, 'dfs');
     } catch (err) {
       if (err.message === 'BACKEND_TIMEOUT') {
-        setError('Analysis is taking longer than expected. The player analysis function may have timed out. Please try again.');
+        setError('Lineup building timed out. Try fewer lineups or a lower uniqueness setting.');
         setLoading(false);
       }
     }
@@ -395,47 +475,78 @@ function App() {
 
   const handleTourChange = (newTour) => {
     setTour(newTour);
+    setEventId(null);
     setError(null);
+    if (!isTabAvailable(activeTab, tours.find(t => t.id === newTour))) setActiveTab('predictions');
     setRequestId(prev => prev + 1);
     
     // Clear existing data for clean transition
-    setData(prev => ({ ...prev, predictions: null, avoidPicks: null, matchups: null }));
+    setData(prev => ({ ...prev, predictions: null, avoidPicks: null, matchups: null, newsPreview: null }));
     
     // Load predictions first to get tournament name, then load rest with filter
     console.log(`[TOUR] Switching to ${newTour}, loading cached data...`);
-    
-    const loadTourData = async () => {
-      let tournamentName = '';
-      try {
-        const predResponse = await fetch(`/.netlify/functions/get-latest-predictions?tour=${newTour}&_=${Date.now()}`, {
-          cache: 'no-store',
-          headers: { 'Cache-Control': 'no-cache' }
-        });
-        if (predResponse.ok) {
-          const predData = await predResponse.json();
+    fetchWeekEvents(newTour);
+    loadTourData(newTour);
+  };
+
+  // Switch between this week's events - the main event goes back to the unfiltered view
+  const handleEventChange = (newEventId) => {
+    const selected = events.find(e => e.eventId === newEventId);
+    const isMain = !selected || selected.primary;
+    setEventId(isMain ? null : newEventId);
+    setError(null);
+    setRequestId(prev => prev + 1);
+    setData(prev => ({ ...prev, predictions: null, avoidPicks: null, matchups: null, newsPreview: null, dfs: null }));
+
+    console.log(`[EVENT] Switching to ${selected?.name || newEventId}, loading cached data...`);
+    loadTourData(tour, isMain ? null : selected);
+  };
+
+  // Saved content for a tour - or one of its events this week, when the user picked one
+  const loadTourData = async (tourParam, event = null) => {
+    let tournamentName = '';
+    let tournamentParam = event ? tournamentQuery(event) : '';
+    try {
+      const predResponse = await fetch(`/.netlify/functions/get-latest-predictions?tour=${tourParam}${tournamentParam}&_=${Date.now()}`, {
+        cache: 'no-store',
+        headers: { 'Cache-Control': 'no-cache' }
+      });
+      if (predResponse.ok) {
+        const predData = await predResponse.json();
+        if (!(event && predData.isFallback)) {
           setData(prev => ({ ...prev, predictions: predData }));
           tournamentName = predData.tournament?.name || '';
-          console.log(`[TOUR] ✅ Predictions loaded for ${newTour}: "${tournamentName}"`);
+          tournamentParam = tournamentQuery(predData.tournament);
+          console.log(`[TOUR] ✅ Predictions loaded for ${tourParam}: "${tournamentName}"`);
         }
-      } catch (err) {
-        console.log(`[TOUR] No cached predictions for ${newTour}`);
       }
-      
-      const tournamentParam = tournamentName ? `&tournament=${encodeURIComponent(tournamentName)}` : '';
-      
-      const results = await Promise.allSettled([
-        fetchData(`/.netlify/functions/get-latest-avoid-picks?tour=${newTour}${tournamentParam}`, 'GET', null, 'avoidPicks'),
-        fetchData(`/.netlify/functions/get-latest-matchups?tour=${newTour}${tournamentParam}`, 'GET', null, 'matchups')
-      ]);
-      
-      const loaded = results.filter(r => r.status === 'fulfilled').length;
-      console.log(`[TOUR] Loaded ${loaded}/2 cached datasets for ${newTour}`);
-      
-      // Also refresh live odds
-      fetchLiveOdds(newTour);
-    };
+    } catch (err) {
+      console.log(`[TOUR] No cached predictions for ${tourParam}`);
+    }
+    
+    const results = await Promise.allSettled([
+      fetchData(`/.netlify/functions/get-latest-avoid-picks?tour=${tourParam}${tournamentParam}`, 'GET', null, 'avoidPicks'),
+      fetchData(`/.netlify/functions/get-latest-matchups?tour=${tourParam}${tournamentParam}`, 'GET', null, 'matchups'),
+      fetchData(`/.netlify/functions/get-latest-news?tour=${tourParam}${tournamentParam}`, 'GET', null, 'newsPreview')
+    ]);
+    
+    const loaded = results.filter(r => r.status === 'fulfilled').length;
+    console.log(`[TOUR] Loaded ${loaded}/3 cached datasets for ${tourParam}`);
+
+    // A picked event shows only its own content - not the newest from another event
+    if (event) {
+      setData(prev => {
+        const next = { ...prev };
+        for (const key of ['avoidPicks', 'matchups', 'newsPreview']) {
+          if (next[key]?.isFallback) next[key] = null;
+        }
+        return next;
+      });
+    }
     
-    loadTourData();
+    // Also refresh live odds (from the event's own feed) and line history
+    fetchLiveOdds(event?.feedTour || tourParam);
+    fetchLineMovement(tourParam);
   };
 
   // Auto-load all cached data from Netlify Blobs on mount
@@ -445,12 +556,23 @@ function App() {
     if (!hasAutoLoadedRef.current && !loading) {
       console.log('[AUTO-LOAD] Checking for cached data in Blobs');
       hasAutoLoadedRef.current = true;
+
+      // A generation still running from before a page refresh: back to its tour and tab
+      const resumedJob = readActiveJob();
+      const startTour = resumedJob?.tour || tour;
+      if (resumedJob) {
+        setTour(resumedJob.tour);
+        setEventId(resumedJob.eventId || null);
+        setActiveTab(resumedJob.tab);
+      }
+      fetchWeekEvents(startTour);
       
       const loadAllData = async () => {
         // Step 1: Load predictions first to get current tournament name
         let tournamentName = '';
+        let tournamentParam = '';
         try {
-          const predResponse = await fetch(`/.netlify/functions/get-latest-predictions?tour=${tour}&_=${Date.now()}`, {
+          const predResponse = await fetch(`/.netlify/functions/get-latest-predictions?tour=${startTour}&_=${Date.now()}`, {
             cache: 'no-store',
             headers: { 'Cache-Control': 'no-cache' }
           });
@@ -458,27 +580,35 @@ function App() {
             const predData = await predResponse.json();
             setData(prev => ({ ...prev, predictions: predData }));
             tournamentName = predData.tournament?.name || '';
+            tournamentParam = tournamentQuery(predData.tournament);
             console.log(`[AUTO-LOAD] ✅ Predictions loaded: "${tournamentName}"`);
           }
         } catch (err) {
           console.log('[AUTO-LOAD] No cached predictions available');
         }
         
-        // Step 2: Load avoid, matchups, results in parallel WITH tournament filter
-        const tournamentParam = tournamentName ? `&tournament=${encodeURIComponent(tournamentName)}` : '';
+        // Step 2: Load avoid, matchups, news, results in parallel WITH tournament filter
         console.log(`[AUTO-LOAD] Loading remaining data${tournamentName ? ` filtered by "${tournamentName}"` : ''}...`);
         
         const results = await Promise.allSettled([
-          fetchData(`/.netlify/functions/get-latest-avoid-picks?tour=${tour}${tournamentParam}`, 'GET', null, 'avoidPicks'),
-          fetchData(`/.netlify/functions/get-latest-matchups?tour=${tour}${tournamentParam}`, 'GET', null, 'matchups'),
-          fetchData(`/.netlify/functions/get-prediction-results?tour=${tour}`, 'GET', null, 'results')
+          fetchData(`/.netlify/functions/get-latest-avoid-picks?tour=${startTour}${tournamentParam}`, 'GET', null, 'avoidPicks'),
+          fetchData(`/.netlify/functions/get-latest-matchups?tour=${startTour}${tournamentParam}`, 'GET', null, 'matchups'),
+          fetchData(`/.netlify/functions/get-latest-news?tour=${startTour}${tournamentParam}`, 'GET', null, 'newsPreview'),
+          fetchData(`/.netlify/functions/get-prediction-results?tour=${startTour}`, 'GET', null, 'results')
         ]);
         
         const loaded = results.filter(r => r.status === 'fulfilled').length;
-        console.log(`[AUTO-LOAD] Successfully loaded ${loaded}/3 additional cached datasets`);
+        console.log(`[AUTO-LOAD] Successfully loaded ${loaded}/4 additional cached datasets`);
         
-        // Step 3: Fetch live odds in background
-        fetchLiveOdds(tour);
+        // Step 3: Fetch live odds and line history in background
+        fetchLiveOdds(startTour);
+        fetchLineMovement(startTour);
+
+        // Step 4: Pick the interrupted generation back up
+        if (resumedJob) {
+          console.log(`[AUTO-LOAD] Resuming ${resumedJob.kind} job ${resumedJob.jobId}`);
+          followJob(resumedJob);
+        }
       };
       
       loadAllData();
@@ -503,18 +633,24 @@ function App() {
     activeTab === 'news' ? 'newsPreview' : 
     activeTab === 'results' ? 'results' : 
     activeTab === 'live' ? 'live' :
-    activeTab === 'playerAnalysis' ? 'playerAnalysis' : 'matchups'
+    activeTab === 'playerAnalysis' ? 'playerAnalysis' :
+    activeTab === 'dfs' ? 'dfs' : 'matchups'
   ];
 
+  // Player Analyzer and DFS Optimizer manage their own inputs, loading and errors
+  const isSelfContainedTab = activeTab === 'playerAnalysis' || activeTab === 'dfs';
+  const tourInfo = tours.find(t => t.id === tour);
+
   return (
     <div className="app">
       <Header />
       
-      <TourSelector tour={tour} onTourChange={handleTourChange} disabled={loading} />
+      <TourSelector tours={tours} tour={tour} onTourChange={handleTourChange} disabled={loading} />
+      <EventSelector events={events} eventId={eventId} onEventChange={handleEventChange} disabled={loading} />
       
-      <TabSelector activeTab={activeTab} onTabChange={setActiveTab} disabled={loading} />
+      <TabSelector activeTab={activeTab} onTabChange={setActiveTab} disabled={loading} tourInfo={tourInfo} />
       
-      {activeTab !== 'playerAnalysis' && (
+      {!isSelfContainedTab && (
         <ActionButton 
           activeTab={activeTab}
           loading={loading}
@@ -524,12 +660,14 @@ function App() {
           onGetMatchups={handleGetMatchups}
           onGetResults={handleGetResults}
           onGetLivePicks={handleGetLivePicks}
+          bankroll={bankroll}
+          onBankrollChange={handleBankrollChange}
         />
       )}
 
-      {loading && activeTab !== 'playerAnalysis' && <LoadingState requestId={requestId} />}
+      {loading && !isSelfContainedTab && <LoadingState requestId={requestId} progress={jobProgress} />}
       
-      {error && !loading && activeTab !== 'playerAnalysis' && <ErrorState error={error} onRetry={handleGetPredictions} requestId={requestId} />}
+      {error && !loading && !isSelfContainedTab && <ErrorState error={error} onRetry={handleGetPredictions} requestId={requestId} />}
 
       {/* Player Analysis has its own self-contained UI */}
       {activeTab === 'playerAnalysis' && (
@@ -537,6 +675,7 @@ function App() {
           data={data.playerAnalysis} 
           onAnalyze={handleAnalyzePlayer}
           loading={loading}
+          progress={jobProgress}
           error={error}
           tour={tour}
           field={data.predictions?.field || data.predictions?.tournament?.field || []}
@@ -544,10 +683,20 @@ function App() {
         />
       )}
 
-      {currentData && !loading && !error && activeTab !== 'playerAnalysis' && (
+      {activeTab === 'dfs' && (
+        <DfsOptimizerView
+          data={data.dfs}
+          onBuild={handleBuildLineups}
+          loading={loading}
+          error={error}
+          requestId={requestId}
+        />
+      )}
+
+      {currentData && !loading && !error && !isSelfContainedTab && (
         <>
-          {activeTab === 'predictions' && <PredictionsView data={currentData} liveOdds={liveOdds} requestId={requestId} />}
-          {activeTab === 'avoid' && <AvoidPicksView data={currentData} liveOdds={liveOdds} requestId={requestId} />}
+          {activeTab === 'predictions' && <PredictionsView data={currentData} liveOdds={liveOdds} lineMovement={lineMovement} requestId={requestId} />}
+          {activeTab === 'avoid' && <AvoidPicksView data={currentData} liveOdds={liveOdds} lineMovement={lineMovement} requestId={requestId} />}
           {activeTab === 'news' && <NewsPreviewView data={currentData} requestId={requestId} />}
           {activeTab === 'matchups' && <MatchupsView data={currentData} liveOdds={liveOdds} requestId={requestId} />}
           {activeTab === 'live' && <LivePicksView data={currentData} requestId={requestId} />}
@@ -567,27 +716,65 @@ const Header = () => (
 );
 
 // ==================== TOUR SELECTOR ====================
-const TourSelector = ({ tour, onTourChange, disabled }) => (
-  <div className="tour-selector">
-    <button 
-      className={`tour-btn ${tour === 'pga' ? 'active' : ''}`}
-      onClick={() => onTourChange('pga')}
-      disabled={disabled}
-    >
-      PGA Tour
-    </button>
-    <button 
-      className={`tour-btn ${tour === 'dp' ? 'active' : ''}`}
-      onClick={() => onTourChange('dp')}
-      disabled={disabled}
-    >
-      DP World Tour
-    </button>
-  </div>
-);
+// Tours come from get-tours; events that don't play 72 holes with a 36-hole cut say so
+const TourSelector = ({ tours, tour, onTourChange, disabled }) => {
+  const selected = tours.find(t => t.id === tour);
+  const unusualFormat = selected?.rounds && (selected.rounds !== 4 || !selected.cut);
+
+  return (
+    <>
+      <div className="tour-selector">
+        {tours.map(t => (
+          <button 
+            key={t.id}
+            className={`tour-btn ${tour === t.id ? 'active' : ''}`}
+            onClick={() => onTourChange(t.id)}
+            disabled={disabled}
+            title={t.formatSummary}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+      {unusualFormat && <p className="tour-format">{selected.label}: {selected.formatSummary}</p>}
+    </>
+  );
+};
+
+// ==================== EVENT SELECTOR ====================
+// Only shown on weeks with more than one event (opposite-field / co-sanctioned)
+const formatPurse = (purse) => purse >= 1000000 ? `$${(purse / 1000000).toFixed(1)}M` : `$${Math.round(purse / 1000)}K`;
+
+const EventSelector = ({ events, eventId, onEventChange, disabled }) => {
+  if (!events || events.length < 2) return null;
+  const selected = eventId ?? (events.find(e => e.primary) || events[0]).eventId;
+
+  return (
+    <div className="event-selector">
+      {events.map(e => (
+        <button
+          key={e.eventId}
+          className={`event-btn ${e.eventId === selected ? 'active' : ''}`}
+          onClick={() => onEventChange(e.eventId)}
+          disabled={disabled || !e.fieldSize}
+          title={e.fieldSize ? e.course : 'Field not published yet'}
+        >
+          <span className="event-name">{e.name}</span>
+          <span className="event-meta">
+            {[
+              e.feedTour === 'opp' ? 'Opposite field' : null,
+              e.fieldSize ? `${e.fieldSize} players` : 'Field TBD',
+              e.purse ? formatPurse(e.purse) : null
+            ].filter(Boolean).join(' • ')}
+          </span>
+        </button>
+      ))}
+    </div>
+  );
+};
 
 // ==================== TAB SELECTOR ====================
-const TabSelector = ({ activeTab, onTabChange, disabled }) => (
+const TabSelector = ({ activeTab, onTabChange, disabled, tourInfo }) => (
   <div className="tab-selector">
     {[
       { id: 'predictions', icon: '📊', label: 'Value Predictions' },
@@ -596,13 +783,15 @@ const TabSelector = ({ activeTab, onTabChange, disabled }) => (
       { id: 'matchups', icon: '🆚', label: 'Matchup Predictor' },
       { id: 'live', icon: '🔴', label: 'Live Picks' },
       { id: 'playerAnalysis', icon: '🔍', label: 'Player Analyzer' },
+      { id: 'dfs', icon: '💰', label: 'DFS Optimizer' },
       { id: 'results', icon: '🏆', label: 'Results' }
     ].map(tab => (
       <button 
         key={tab.id}
         className={`tab-btn ${activeTab === tab.id ? 'active' : ''}`}
         onClick={() => onTabChange(tab.id)}
-        disabled={disabled}
+        disabled={disabled || !isTabAvailable(tab.id, tourInfo)}
+        title={isTabAvailable(tab.id, tourInfo) ? undefined : `Not available for the ${tourInfo?.label}`}
       >
         {tab.icon} {tab.label}
       </button>
@@ -611,7 +800,10 @@ const TabSelector = ({ activeTab, onTabChange, disabled }) => (
 );
 
 // ==================== ACTION BUTTON ====================
-const ActionButton = ({ activeTab, loading, onGetPredictions, onGetAvoidPicks, onGetNews, onGetMatchups, onGetResults, onGetLivePicks }) => {
+// Tabs whose picks come with stake recommendations
+const STAKED_TABS = ['predictions', 'avoid', 'matchups'];
+
+const ActionButton = ({ activeTab, loading, onGetPredictions, onGetAvoidPicks, onGetNews, onGetMatchups, onGetResults, onGetLivePicks, bankroll, onBankrollChange }) => {
   const buttonConfig = {
     predictions: { text: 'Get Predictions', handler: onGetPredictions },
     avoid: { text: 'Get Avoid Picks', handler: onGetAvoidPicks },
@@ -632,19 +824,71 @@ const ActionButton = ({ activeTab, loading, onGetPredictions, onGetAvoidPicks, o
       >
         {loading ? 'Analyzing...' : config.text}
       </button>
+      {STAKED_TABS.includes(activeTab) && (
+        <label style={{display: 'block', marginTop: '0.5rem', fontSize: '0.85rem', color: '#666'}}>
+          Bankroll $
+          <input
+            type="number"
+            min="1"
+            value={bankroll}
+            onChange={e => onBankrollChange(e.target.value)}
+            disabled={loading}
+            style={{width: '90px', marginLeft: '0.25rem'}}
+          />
+        </label>
+      )}
     </div>
   );
 };
 
 // ==================== LOADING STATE ====================
-const LoadingState = ({ requestId }) => (
+// progress (optional): the background job being followed - its steps replace the generic text
+const LoadingState = ({ requestId, progress }) => (
   <div className="loading" key={`loading-${requestId}`}>
     <div className="spinner"></div>
-    <p className="loading-text">Analyzing complete tournament field...</p>
-    <p className="loading-subtext">Evaluating 120+ players for value picks</p>
+    {progress?.steps?.length ? (
+      <>
+        <p className="loading-text">
+          {progress.partial?.tournament?.name ? `Analyzing ${progress.partial.tournament.name}...` : 'Analyzing complete tournament field...'}
+        </p>
+        <JobSteps progress={progress} />
+      </>
+    ) : (
+      <>
+        <p className="loading-text">Analyzing complete tournament field...</p>
+        <p className="loading-subtext">Evaluating 120+ players for value picks</p>
+      </>
+    )}
   </div>
 );
 
+// ==================== JOB PROGRESS ====================
+const STEP_ICONS = { done: '✅', running: '⏳', failed: '❌', pending: '○' };
+
+const JobSteps = ({ progress }) => {
+  const favourites = progress.partial?.modelFavourites || [];
+
+  return (
+    <>
+      {progress.sharedJobId && (
+        <p className="loading-subtext">Already being generated for someone else - following that run</p>
+      )}
+      <ol className="job-steps">
+        {progress.steps.map(step => (
+          <li key={step.id} className={`job-step ${step.status}`}>
+            <span className="job-step-icon">{STEP_ICONS[step.status] || '○'}</span>{step.label}
+          </li>
+        ))}
+      </ol>
+      {favourites.length > 0 && (
+        <p className="loading-subtext">
+          Model favourites: {favourites.map(f => `${f.player} ${formatProb(f.winProb)}`).join(' • ')}
+        </p>
+      )}
+    </>
+  );
+};
+
 // ==================== ERROR STATE ====================
 const ErrorState = ({ error, onRetry, requestId }) => (
   <div className="error" key={`error-${requestId}`}>
@@ -654,12 +898,19 @@ const ErrorState = ({ error, onRetry, requestId }) => (
 );
 
 // ==================== SHARED COMPONENTS ====================
+// Signature events, majors, playoffs and no-cut events get their format spelled out
+const eventFormatNote = (format) => {
+  if (!format || (format.type === 'standard' && format.cut)) return null;
+  return format.type === 'standard' ? format.summary : `${format.label}: ${format.summary}`;
+};
+
 const TournamentInfo = ({ tournament }) => (
   <div className="tournament-info">
     <h2>{tournament.name}</h2>
     <div className="tournament-details">
       <span>📍 {tournament.course}</span>
       <span>📅 {tournament.dates}</span>
+      {eventFormatNote(tournament.format) && <span>⛳ {eventFormatNote(tournament.format)}</span>}
     </div>
   </div>
 );
@@ -742,6 +993,23 @@ const CourseDetails = ({ courseInfo, courseAnalysis }) => {
         </div>
       </div>
 
+      {courseInfo.holeModel && <HoleModelSection holeModel={courseInfo.holeModel} />}
+
+      {courseInfo.compCourses?.length > 0 && (
+        <div className="rewards-skills-detailed">
+          <h4>🔁 Comp Courses</h4>
+          <p className="skills-intro">Players new to this venue are judged on their results at the most similar courses:</p>
+          <div className="skills-tags">
+            {courseInfo.compCourses.map((comp, idx) => (
+              <span key={comp.id} className="skill-tag-enhanced">
+                <span className="skill-number">{idx + 1}</span>
+                {comp.name} ({Math.round(comp.similarity * 100)}% similar)
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div className="course-characteristics-detailed">
         <h4>🏌️ Course Characteristics</h4>
         <div className="characteristics-grid">
@@ -792,6 +1060,36 @@ const CourseDetails = ({ courseInfo, courseAnalysis }) => {
   );
 };
 
+const HoleModelSection = ({ holeModel }) => {
+  const m = holeModel.metrics;
+  const pct = (value) => `${Math.round(value * 100)}%`;
+  const stats = [
+    { label: 'Par 3 / 4 / 5', value: `${m.par3s} / ${m.par4s} / ${m.par5s}`, unit: 'holes' },
+    { label: 'Long Par 4s', value: pct(m.longPar4Share), unit: '450y+' },
+    { label: 'Reachable Par 5s', value: pct(m.par5ReachableShare), unit: 'in two' },
+    { label: '125-175y Approaches', value: pct(m.approach125to175Share), unit: `avg ${m.avgApproach}y` },
+    ...(m.waterShare !== null ? [{ label: 'Water', value: pct(m.waterShare), unit: 'of holes' }] : [])
+  ];
+
+  return (
+    <div className="course-overview">
+      <h4>🕳️ Hole-by-Hole Model{holeModel.source === 'estimated' ? ' (estimated from par & yardage)' : ''}</h4>
+      <div className="course-stats-grid">
+        {stats.map(stat => (
+          <div key={stat.label} className="course-stat">
+            <span className="stat-label">{stat.label}</span>
+            <span className="stat-value">{stat.value}</span>
+            <span className="stat-unit">{stat.unit}</span>
+          </div>
+        ))}
+      </div>
+      <p className="skills-intro">
+        SG weights — OTT {holeModel.sgWeights.ott.toFixed(2)} · APP {holeModel.sgWeights.app.toFixed(2)} · ARG {holeModel.sgWeights.arg.toFixed(2)} · Putt {holeModel.sgWeights.putt.toFixed(2)}
+      </p>
+    </div>
+  );
+};
+
 const CharacteristicCard = ({ icon, title, content }) => (
   <div className="characteristic-card">
     <div className="char-icon">{icon}</div>
@@ -860,6 +1158,250 @@ const OddsBreakdown = ({ pick }) => {
   );
 };
 
+const formatProb = (prob) => prob == null ? '—' : `${(prob * 100).toFixed(prob < 0.01 ? 1 : 0)}%`;
+
+const ModelProbabilities = ({ model }) => {
+  if (!model) return null;
+
+  const edgePct = model.edge != null ? model.edge * 100 : null;
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: '0.4rem',
+      margin: '0.5rem 0 0.75rem',
+      fontSize: '0.8rem'
+    }}>
+      <MiniStat label="Win" value={formatProb(model.winProb)} />
+      <MiniStat label="T5" value={formatProb(model.top5Prob)} />
+      <MiniStat label="T10" value={formatProb(model.top10Prob)} />
+      <MiniStat label="T20" value={formatProb(model.top20Prob)} />
+      <MiniStat label="Cut" value={formatProb(model.makeCutProb)} />
+      {edgePct != null && (
+        <MiniStat
+          label="Edge"
+          value={`${edgePct >= 0 ? '+' : ''}${edgePct.toFixed(1)}pts`}
+          highlight={edgePct > 0}
+          bad={edgePct < 0}
+        />
+      )}
+    </div>
+  );
+};
+
+// Recommended stake for one pick (staking-engine). Lays show the liability.
+const StakeLine = ({ staking }) => {
+  if (!staking) return null;
+  const details = [
+    staking.probability != null && `${formatProb(staking.probability)} (${staking.probSource})`,
+    staking.kelly > 0 && `full Kelly ${(staking.kelly * 100).toFixed(1)}%`,
+    ...staking.limits
+  ].filter(Boolean).join(' • ');
+
+  return (
+    <div title={details} style={{fontSize: '0.8rem', margin: '0.4rem 0', color: staking.stake > 0 ? '#2e7d32' : '#999'}}>
+      {staking.stake > 0
+        ? <>💵 {staking.side === 'lay' ? 'Lay liability' : 'Stake'} <strong>${staking.stake.toFixed(2)}</strong> ({staking.stakePct}%) @ {formatAmericanOdds(staking.odds)}</>
+        : <>💵 No bet{staking.limits[0] ? ` - ${staking.limits[0]}` : ''}</>}
+    </div>
+  );
+};
+
+const StakeCell = ({ staking }) => (
+  <td
+    title={staking?.limits.join(' • ')}
+    style={{textAlign: 'right', padding: '0.4rem 0.5rem', color: staking?.stake > 0 ? '#2e7d32' : '#999'}}
+  >
+    {staking?.stake > 0 ? `$${staking.stake.toFixed(2)}` : '-'}
+  </td>
+);
+
+const StakingSummary = ({ staking }) => {
+  if (!staking) return null;
+
+  return (
+    <p style={{color: '#666', fontSize: '0.85rem', margin: '0 0 1rem'}}>
+      💵 ${staking.totalStake.toFixed(2)} recommended ({staking.exposurePct}% of ${staking.bankroll} bankroll, weekly cap ${staking.weeklyCap})
+      {' '}• {staking.kellyFraction === 0.25 ? 'quarter' : `${staking.kellyFraction}×`} Kelly, capped per bet, per player and per skill profile
+    </p>
+  );
+};
+
+const MarketPicksSection = ({ marketPicks }) => {
+  const markets = Object.entries(marketPicks || {}).filter(([, picks]) => picks.length > 0);
+  if (markets.length === 0) return null;
+
+  return (
+    <div className="picks-section">
+      <h3>🎯 Placement & Cut Markets</h3>
+      <p style={{color: '#666', fontSize: '0.85rem', margin: '0 0 1rem'}}>
+        Best book price vs fair probability (DataGolf model price, else quant model) • positive expected value only
+      </p>
+      {markets.map(([market, picks]) => (
+        <div key={market} style={{overflowX: 'auto', background: 'white', borderRadius: '12px', padding: '1rem', marginBottom: '1rem'}}>
+          <h4 style={{margin: '0 0 0.5rem'}}>{picks[0].marketLabel}</h4>
+          <table style={{width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem'}}>
+            <thead>
+              <tr style={{borderBottom: '2px solid #ddd'}}>
+                <th style={{textAlign: 'left', padding: '0.4rem 0.5rem'}}>Player</th>
+                <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Best Price</th>
+                <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Avg</th>
+                <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Fair</th>
+                <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Implied</th>
+                <th style={{textAlign: 'right', padding: '0.4rem 0.5rem'}}>EV</th>
+                <th style={{textAlign: 'right', padding: '0.4rem 0.5rem'}}>Stake</th>
+              </tr>
+            </thead>
+            <tbody>
+              {picks.map((p, i) => (
+                <tr key={i} style={{borderBottom: '1px solid #eee'}}>
+                  <td style={{padding: '0.4rem 0.5rem', fontWeight: 500}}>
+                    {p.player}
+                    <span style={{color: '#999', fontSize: '0.75rem', marginLeft: '0.4rem'}}>win {formatAmericanOdds(p.winOdds)}</span>
+                  </td>
+                  <td style={{textAlign: 'center', padding: '0.4rem 0.5rem', color: '#667eea', fontWeight: 600}}>
+                    {formatAmericanOdds(p.bestOdds)}
+                    {p.bestBookmaker && <div style={{fontSize: '0.7rem', color: '#2e7d32', fontWeight: 400}}>{p.bestBookmaker}</div>}
+                  </td>
+                  <td style={{textAlign: 'center', padding: '0.4rem 0.5rem', color: '#666'}}>{formatAmericanOdds(p.odds)}</td>
+                  <td style={{textAlign: 'center', padding: '0.4rem 0.5rem'}} title={p.probSource}>{formatProb(p.fairProb)}</td>
+                  <td style={{textAlign: 'center', padding: '0.4rem 0.5rem', color: '#666'}}>{formatProb(p.impliedProb)}</td>
+                  <td style={{textAlign: 'right', padding: '0.4rem 0.5rem', fontWeight: 600, color: '#2e7d32'}}>
+                    +{(p.expectedValue * 100).toFixed(0)}%
+                  </td>
+                  <StakeCell staking={p.staking} />
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const PickLineHistory = ({ movement }) => {
+  if (!movement || movement.history.length < 2) return null;
+
+  return (
+    <div style={{background: '#f8f9ff', borderRadius: '8px', padding: '0.5rem 0.75rem', margin: '0.5rem 0'}}>
+      <div style={{fontSize: '0.75rem', color: '#666', fontWeight: 600, marginBottom: '0.25rem'}}>📈 Line history</div>
+      <LineHistoryChart history={movement.history} closing={movement.closing} width={240} height={50} />
+    </div>
+  );
+};
+
+const MarketMovers = ({ lineMovement, tournamentName }) => {
+  const movers = lineMovement?.movers;
+  if (!movers || (movers.shortened.length === 0 && movers.drifted.length === 0)) return null;
+  if (tournamentName && lineMovement.tournament?.name !== tournamentName) return null;
+
+  const renderList = (list, color) => list.map((m, i) => (
+    <div key={i} style={{display: 'flex', justifyContent: 'space-between', padding: '0.3rem 0', borderBottom: '1px solid #eee', fontSize: '0.85rem'}}>
+      <span style={{fontWeight: 500}}>{m.player}</span>
+      <span style={{color: '#666'}}>
+        {formatAmericanOdds(m.openingOdds)} → <strong style={{color}}>{formatAmericanOdds(m.latestOdds)}</strong>
+        {' '}({m.probChange >= 0 ? '+' : ''}{(m.probChange * 100).toFixed(1)} pts)
+      </span>
+    </div>
+  ));
+
+  return (
+    <div className="picks-section">
+      <h3>📈 Market Movers</h3>
+      <p style={{color: '#666', fontSize: '0.85rem', margin: '0 0 1rem'}}>
+        {lineMovement.snapshotCount} odds snapshots since {new Date(lineMovement.firstFetchedAt).toLocaleDateString()}
+        {lineMovement.closingCutoff ? ` • closing line ${new Date(lineMovement.closingCutoff).toLocaleString()}` : ''}
+      </p>
+      <div style={{display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '1rem'}}>
+        <div style={{background: 'white', borderRadius: '12px', padding: '1rem'}}>
+          <h4 style={{margin: '0 0 0.5rem', color: '#2e7d32'}}>▲ Shortened</h4>
+          {renderList(movers.shortened, '#2e7d32')}
+        </div>
+        <div style={{background: 'white', borderRadius: '12px', padding: '1rem'}}>
+          <h4 style={{margin: '0 0 0.5rem', color: '#c62828'}}>▼ Drifted</h4>
+          {renderList(movers.drifted, '#c62828')}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const QuantModelBoard = ({ quantModel }) => {
+  if (!quantModel?.players?.length) return null;
+
+  const topByWin = quantModel.players.slice(0, 10);
+  const topByEdge = quantModel.players
+    .filter(p => p.edge != null)
+    .sort((a, b) => b.edge - a.edge)
+    .slice(0, 5);
+
+  const renderRows = (players) => players.map((p, i) => (
+    <tr key={i} style={{borderBottom: '1px solid #eee'}}>
+      <td style={{padding: '0.4rem 0.5rem', fontWeight: 500}}>{p.player}</td>
+      <td style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>{p.projectedStrokes?.toFixed(1)}</td>
+      <td style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>{formatProb(p.winProb)}</td>
+      <td style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>{formatProb(p.top10Prob)}</td>
+      <td style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>{formatProb(p.makeCutProb)}</td>
+      <td style={{textAlign: 'center', padding: '0.4rem 0.5rem', color: '#667eea', fontWeight: 600}}>
+        {formatAmericanOdds(p.odds)}
+      </td>
+      <td style={{textAlign: 'center', padding: '0.4rem 0.5rem', color: '#666'}}>
+        {p.fairOdds ? formatAmericanOdds(p.fairOdds) : '—'}
+      </td>
+      <td style={{
+        textAlign: 'right',
+        padding: '0.4rem 0.5rem',
+        fontWeight: 600,
+        color: (p.edge || 0) >= 0 ? '#2e7d32' : '#c62828'
+      }}>
+        {p.edge != null ? `${p.edge >= 0 ? '+' : ''}${(p.edge * 100).toFixed(1)}` : '—'}
+      </td>
+    </tr>
+  ));
+
+  const header = (
+    <thead>
+      <tr style={{borderBottom: '2px solid #ddd'}}>
+        <th style={{textAlign: 'left', padding: '0.4rem 0.5rem'}}>Player</th>
+        <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Proj/Rd</th>
+        <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Win</th>
+        <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>T10</th>
+        <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Cut</th>
+        <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Market</th>
+        <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Fair</th>
+        <th style={{textAlign: 'right', padding: '0.4rem 0.5rem'}}>Edge (pts)</th>
+      </tr>
+    </thead>
+  );
+
+  return (
+    <div className="picks-section">
+      <h3>📐 Quant Model</h3>
+      <p style={{color: '#666', fontSize: '0.85rem', margin: '0 0 1rem'}}>
+        {quantModel.method} • {quantModel.simulations.toLocaleString()} simulations • {quantModel.venueType}
+      </p>
+      <div style={{overflowX: 'auto', background: 'white', borderRadius: '12px', padding: '1rem', marginBottom: '1rem'}}>
+        <h4 style={{margin: '0 0 0.5rem'}}>Most likely winners</h4>
+        <table style={{width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem'}}>
+          {header}
+          <tbody>{renderRows(topByWin)}</tbody>
+        </table>
+      </div>
+      {topByEdge.length > 0 && (
+        <div style={{overflowX: 'auto', background: 'white', borderRadius: '12px', padding: '1rem'}}>
+          <h4 style={{margin: '0 0 0.5rem'}}>Biggest edges vs market</h4>
+          <table style={{width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem'}}>
+            {header}
+            <tbody>{renderRows(topByEdge)}</tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
 const FooterInfo = ({ data }) => {
   // Calculate relative time
   const getRelativeTime = (timestamp) => {
@@ -915,7 +1457,7 @@ const FooterInfo = ({ data }) => {
 };
 
 // ==================== PREDICTIONS VIEW ====================
-const PredictionsView = ({ data, liveOdds, requestId }) => {
+const PredictionsView = ({ data, liveOdds, lineMovement, requestId }) => {
   // Check if data is from cache (generated more than 1 minute ago)
   const generatedTime = new Date(data.generatedAt).getTime();
   const now = Date.now();
@@ -995,17 +1537,21 @@ const PredictionsView = ({ data, liveOdds, requestId }) => {
     
     <div className="picks-section">
       <h3>💎 Value Picks</h3>
+      <StakingSummary staking={data.staking} />
       <div className="picks-grid">
         {data.predictions?.map((pick, index) => (
           <div key={`pick-${requestId}-${index}`} className="pick-card">
             <div className="pick-header">
               <span className="pick-number">#{index + 1}</span>
               <div className="odds-container">
-                <OddsDisplay originalOdds={pick.odds} liveOdds={liveOdds} playerName={pick.player} className="pick-odds" />
+                <OddsDisplay originalOdds={pick.odds} liveOdds={liveOdds} lineMovement={lineMovement} playerName={pick.player} className="pick-odds" />
               </div>
             </div>
             <h3 className="pick-name">{pick.player}</h3>
             <OddsBreakdown pick={pick} />
+            <PickLineHistory movement={getLiveOdds(lineMovement?.byPlayer, pick.player)} />
+            <ModelProbabilities model={pick.model} />
+            <StakeLine staking={pick.staking} />
             <div className="pick-reasoning">
               {formatReasoning(pick.reasoning)}
             </div>
@@ -1013,6 +1559,10 @@ const PredictionsView = ({ data, liveOdds, requestId }) => {
         ))}
       </div>
     </div>
+
+    <MarketPicksSection marketPicks={data.marketPicks} />
+    <MarketMovers lineMovement={lineMovement} tournamentName={data.tournament?.name} />
+    <QuantModelBoard quantModel={data.quantModel} />
     
     <FooterInfo data={data} />
   </div>
@@ -1020,7 +1570,7 @@ const PredictionsView = ({ data, liveOdds, requestId }) => {
 };
 
 // ==================== AVOID PICKS VIEW ====================
-const AvoidPicksView = ({ data, liveOdds, requestId }) => {
+const AvoidPicksView = ({ data, liveOdds, lineMovement, requestId }) => {
   const generatedTime = new Date(data.generatedAt).getTime();
   const now = Date.now();
   const isCached = (now - generatedTime) > 60000;
@@ -1089,14 +1639,16 @@ const AvoidPicksView = ({ data, liveOdds, requestId }) => {
     <div className="avoid-section">
       <h3>❌ Players to Avoid (Poor Course Fit)</h3>
       <p className="avoid-subtitle">{data.reasoning}</p>
+      <StakingSummary staking={data.staking} />
       <div className="avoid-grid">
         {data.avoidPicks?.map((avoid, index) => (
           <div key={`avoid-${requestId}-${index}`} className="avoid-card">
             <div className="avoid-header">
               <span className="avoid-icon">⚠️</span>
-              <OddsDisplay originalOdds={avoid.odds} liveOdds={liveOdds} playerName={avoid.player} />
+              <OddsDisplay originalOdds={avoid.odds} liveOdds={liveOdds} lineMovement={lineMovement} playerName={avoid.player} />
             </div>
             <h4 className="avoid-name">{avoid.player}</h4>
+            <StakeLine staking={avoid.staking} />
             <div className="avoid-reasoning">
               {formatReasoning(avoid.reasoning)}
             </div>
@@ -1235,6 +1787,7 @@ const MatchupsView = ({ data, liveOdds, requestId }) => {
       <div className="suggested-matchups-section">
         <h3>🆚 AI-Suggested Matchups</h3>
         <p className="matchup-subtitle">Head-to-head predictions based on stats and course fit</p>
+        <StakingSummary staking={data.staking} />
         
         {data.suggestedMatchups.map((matchup, index) => (
           <div key={index} className="matchup-card">
@@ -1253,6 +1806,7 @@ const MatchupsView = ({ data, liveOdds, requestId }) => {
               <div className="win-probability">
                 Win Probability: <strong>{matchup.winProbability}%</strong>
               </div>
+              <StakeLine staking={matchup.staking} />
               <div className="matchup-reasoning">
                 {formatReasoning(matchup.reasoning)}
               </div>
@@ -1261,12 +1815,77 @@ const MatchupsView = ({ data, liveOdds, requestId }) => {
         ))}
       </div>
     )}
+
+    <BookMatchupsSection bookMatchups={data.bookMatchups} />
     
     <FooterInfo data={data} />
   </div>
   );
 };
 
+const TIE_RULE_LABELS = {
+  void: 'ties void',
+  'separate-bet': 'tie separate bet',
+  'dead-heat': 'dead heat'
+};
+
+const BookMatchupsSection = ({ bookMatchups }) => {
+  if (!bookMatchups?.lines?.length) return null;
+  const edges = bookMatchups.edges || [];
+  const pricedCount = bookMatchups.lines.filter(l => l.tieProb !== null).length;
+
+  return (
+    <div className="picks-section">
+      <h3>📈 Bookmaker Matchups & 3-Balls</h3>
+      <p style={{color: '#666', fontSize: '0.85rem', margin: '0 0 1rem'}}>
+        {pricedCount} of {bookMatchups.lines.length} lines priced from player skill • best price across books • EV under each line's tie rule
+      </p>
+      {edges.length === 0 ? (
+        <p style={{color: '#999', fontSize: '0.9rem'}}>No lines beat the model's fair price this week.</p>
+      ) : (
+        <div style={{overflowX: 'auto', background: 'white', borderRadius: '12px', padding: '1rem'}}>
+          <table style={{width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem'}}>
+            <thead>
+              <tr style={{borderBottom: '2px solid #ddd'}}>
+                <th style={{textAlign: 'left', padding: '0.4rem 0.5rem'}}>Market</th>
+                <th style={{textAlign: 'left', padding: '0.4rem 0.5rem'}}>Pick</th>
+                <th style={{textAlign: 'left', padding: '0.4rem 0.5rem'}}>Vs</th>
+                <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Best Price</th>
+                <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Fair</th>
+                <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>DG</th>
+                <th style={{textAlign: 'right', padding: '0.4rem 0.5rem'}}>EV</th>
+                <th style={{textAlign: 'right', padding: '0.4rem 0.5rem'}}>Stake</th>
+              </tr>
+            </thead>
+            <tbody>
+              {edges.map((m, i) => (
+                <tr key={i} style={{borderBottom: '1px solid #eee'}}>
+                  <td style={{padding: '0.4rem 0.5rem'}}>
+                    {m.label}{m.round ? ` R${m.round}` : ''}
+                    <div style={{fontSize: '0.7rem', color: '#999'}}>{TIE_RULE_LABELS[m.ties] || m.ties}</div>
+                  </td>
+                  <td style={{padding: '0.4rem 0.5rem', fontWeight: 600}}>{m.pick}</td>
+                  <td style={{padding: '0.4rem 0.5rem', color: '#666'}}>{m.opponents.join(' / ')}</td>
+                  <td style={{textAlign: 'center', padding: '0.4rem 0.5rem', color: '#667eea', fontWeight: 600}}>
+                    {formatAmericanOdds(m.odds)}
+                    {m.bookmaker && <div style={{fontSize: '0.7rem', color: '#2e7d32', fontWeight: 400}}>{m.bookmaker}</div>}
+                  </td>
+                  <td style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>{m.fairOdds ? formatAmericanOdds(m.fairOdds) : '—'}</td>
+                  <td style={{textAlign: 'center', padding: '0.4rem 0.5rem', color: '#666'}}>{m.dgOdds ? formatAmericanOdds(m.dgOdds) : '-'}</td>
+                  <td style={{textAlign: 'right', padding: '0.4rem 0.5rem', fontWeight: 600, color: '#2e7d32'}}>
+                    +{(m.expectedValue * 100).toFixed(0)}%
+                  </td>
+                  <StakeCell staking={m.staking} />
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
 const PlayerBox = ({ player, isPick, liveOdds }) => (
   <div className={`player-box ${isPick ? 'winner' : ''}`}>
     <h4>{player.name}</h4>
@@ -1286,7 +1905,7 @@ const PlayerBox = ({ player, isPick, liveOdds }) => (
 );
 
 // ==================== PLAYER ANALYSIS VIEW ====================
-const PlayerAnalysisView = ({ data, onAnalyze, loading, error, tour, requestId }) => {
+const PlayerAnalysisView = ({ data, onAnalyze, loading, progress, error, tour, requestId }) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [field, setField] = useState([]);
   const [fieldLoading, setFieldLoading] = useState(false);
@@ -1419,8 +2038,12 @@ const PlayerAnalysisView = ({ data, onAnalyze, loading, error, tour, requestId }
       {loading && (
         <div style={{textAlign: 'center', padding: '3rem 1rem'}}>
           <div style={{fontSize: '2rem', marginBottom: '1rem'}}>🔄</div>
-          <p style={{color: '#666', fontWeight: 500}}>Analyzing {searchTerm}...</p>
-          <p style={{color: '#999', fontSize: '0.85rem'}}>Fetching stats, odds, course data & weather</p>
+          <p style={{color: '#666', fontWeight: 500}}>Analyzing {searchTerm || progress?.partial?.player}...</p>
+          {progress?.steps?.length ? (
+            <JobSteps progress={progress} />
+          ) : (
+            <p style={{color: '#999', fontSize: '0.85rem'}}>Fetching stats, odds, course data & weather</p>
+          )}
         </div>
       )}
 
@@ -1571,6 +2194,195 @@ const AnalysisCard = ({ icon, title, data }) => {
   );
 };
 
+// ==================== DFS OPTIMIZER VIEW ====================
+const DfsOptimizerView = ({ data, onBuild, loading, error, requestId }) => {
+  const [csv, setCsv] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [settings, setSettings] = useState({ lineups: 20, maxExposure: 60, minUnique: 2 });
+  const [locks, setLocks] = useState([]);
+  const [excludes, setExcludes] = useState([]);
+  const [showAll, setShowAll] = useState(false);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setCsv(await file.text());
+    setFileName(file.name);
+    setLocks([]);
+    setExcludes([]);
+  };
+
+  const build = () => {
+    if (!csv) return;
+    onBuild({
+      csv,
+      lineups: settings.lineups,
+      maxExposure: settings.maxExposure / 100,
+      minUnique: settings.minUnique,
+      locks,
+      excludes
+    });
+  };
+
+  const toggle = (list, setList, other, setOther, name) => {
+    const next = list.includes(name) ? list.filter(n => n !== name) : [...list, name];
+    setList(next);
+    if (other.includes(name)) setOther(other.filter(n => n !== name));
+  };
+
+  const downloadCsv = () => {
+    const blob = new Blob([data.uploadCsv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${data.site}-lineups-${(data.tournament?.name || 'slate').toLowerCase().replace(/[^a-z0-9]+/g, '-')}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const inputStyle = {padding: '0.5rem', border: '2px solid #ddd', borderRadius: '8px', width: '80px'};
+  const projections = data?.projections?.filter(p => p.projection !== null) || [];
+  const shownProjections = showAll ? projections : projections.slice(0, 30);
+
+  return (
+    <div className="predictions-container" key={`dfs-${requestId}`}>
+      <div style={{textAlign: 'center', marginBottom: '1.5rem'}}>
+        <h2 style={{margin: '0 0 0.5rem'}}>💰 DFS Lineup Optimizer</h2>
+        <p style={{color: '#666', margin: 0}}>Upload a DraftKings or FanDuel salary CSV • projections from SG, form, course history and odds</p>
+      </div>
+
+      <div style={{background: 'white', borderRadius: '12px', padding: '1rem 1.5rem', marginBottom: '1.5rem', display: 'flex', gap: '1rem', flexWrap: 'wrap', alignItems: 'flex-end'}}>
+        <label style={{display: 'flex', flexDirection: 'column', gap: '0.3rem', fontSize: '0.85rem', color: '#666'}}>
+          Salary CSV
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} disabled={loading} />
+        </label>
+        <label style={{display: 'flex', flexDirection: 'column', gap: '0.3rem', fontSize: '0.85rem', color: '#666'}}>
+          Lineups
+          <input type="number" min="1" max="150" value={settings.lineups} style={inputStyle}
+            onChange={(e) => setSettings({ ...settings, lineups: parseInt(e.target.value) || 1 })} />
+        </label>
+        <label style={{display: 'flex', flexDirection: 'column', gap: '0.3rem', fontSize: '0.85rem', color: '#666'}}>
+          Max exposure %
+          <input type="number" min="1" max="100" value={settings.maxExposure} style={inputStyle}
+            onChange={(e) => setSettings({ ...settings, maxExposure: parseInt(e.target.value) || 100 })} />
+        </label>
+        <label style={{display: 'flex', flexDirection: 'column', gap: '0.3rem', fontSize: '0.85rem', color: '#666'}}>
+          Min unique players
+          <input type="number" min="0" max="6" value={settings.minUnique} style={inputStyle}
+            onChange={(e) => setSettings({ ...settings, minUnique: parseInt(e.target.value) || 0 })} />
+        </label>
+        <button className="get-predictions-btn" onClick={() => build()} disabled={loading || !csv} style={{margin: 0}}>
+          {loading ? 'Optimizing...' : 'Build Lineups'}
+        </button>
+        {fileName && <span style={{fontSize: '0.8rem', color: '#999'}}>{fileName}</span>}
+      </div>
+
+      {loading && <LoadingState requestId={requestId} />}
+      {error && !loading && <ErrorState error={error} onRetry={() => build()} requestId={requestId} />}
+
+      {data && !loading && !error && (
+        <>
+          <TournamentInfo tournament={data.tournament} />
+          <p style={{color: '#666', fontSize: '0.85rem', margin: '0 0 1rem'}}>
+            {data.siteLabel} • ${data.salaryCap.toLocaleString()} cap • {data.lineups.length} lineups • player data from {data.dataSource}
+            {locks.length > 0 && ` • 🔒 ${locks.join(', ')}`}
+            {excludes.length > 0 && ` • 🚫 ${excludes.join(', ')}`}
+          </p>
+          {[...data.warnings, ...(data.unmatched.length > 0 ? [`No projection for ${data.unmatched.length} players: ${data.unmatched.slice(0, 8).join(', ')}${data.unmatched.length > 8 ? '…' : ''}`] : [])].map((warning, i) => (
+            <div key={i} style={{background: '#fff3e0', border: '1px solid #ff9800', borderRadius: '8px', padding: '0.5rem 1rem', marginBottom: '0.5rem', fontSize: '0.85rem', color: '#bf360c'}}>
+              ⚠️ {warning}
+            </div>
+          ))}
+
+          <div className="picks-section">
+            <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center'}}>
+              <h3>📋 Lineups</h3>
+              {data.lineups.length > 0 && (
+                <button className="tab-btn" onClick={downloadCsv}>⬇️ Download {data.siteLabel} upload CSV</button>
+              )}
+            </div>
+            <div style={{display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))', gap: '1rem'}}>
+              {data.lineups.map((lineup, i) => (
+                <div key={i} style={{background: 'white', borderRadius: '12px', padding: '0.75rem 1rem', fontSize: '0.85rem'}}>
+                  <div style={{display: 'flex', justifyContent: 'space-between', fontWeight: 600, marginBottom: '0.4rem'}}>
+                    <span>#{i + 1}</span>
+                    <span style={{color: '#667eea'}}>{lineup.projection.toFixed(1)} pts</span>
+                  </div>
+                  {lineup.players.map(p => (
+                    <div key={p.id} style={{display: 'flex', justifyContent: 'space-between', padding: '0.15rem 0'}}>
+                      <span>{locks.includes(p.name) ? '🔒 ' : ''}{p.name}</span>
+                      <span style={{color: '#666'}}>${p.salary.toLocaleString()}</span>
+                    </div>
+                  ))}
+                  <div style={{textAlign: 'right', color: '#999', fontSize: '0.75rem', marginTop: '0.3rem'}}>
+                    ${lineup.salary.toLocaleString()} / ${data.salaryCap.toLocaleString()}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {data.exposures.length > 0 && (
+            <div className="picks-section">
+              <h3>📊 Exposure</h3>
+              <div style={{display: 'flex', flexWrap: 'wrap', gap: '0.5rem'}}>
+                {data.exposures.map(e => (
+                  <MiniStat key={e.id} label={e.name} value={`${Math.round(e.exposure * 100)}% (${e.count})`} highlight={e.exposure >= 0.5} />
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="picks-section">
+            <h3>🎯 Projections</h3>
+            <p style={{color: '#666', fontSize: '0.85rem', margin: '0 0 0.5rem'}}>Lock or exclude players, then rebuild</p>
+            <div style={{overflowX: 'auto', background: 'white', borderRadius: '12px', padding: '1rem'}}>
+              <table style={{width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem'}}>
+                <thead>
+                  <tr style={{borderBottom: '2px solid #ddd'}}>
+                    <th style={{textAlign: 'left', padding: '0.4rem 0.5rem'}}>Player</th>
+                    <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Salary</th>
+                    <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Odds</th>
+                    <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Make Cut</th>
+                    <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Proj</th>
+                    <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Pts/$1K</th>
+                    <th style={{textAlign: 'right', padding: '0.4rem 0.5rem'}}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shownProjections.map(p => (
+                    <tr key={p.id} style={{borderBottom: '1px solid #eee', opacity: excludes.includes(p.name) ? 0.4 : 1}}>
+                      <td style={{padding: '0.4rem 0.5rem', fontWeight: 500}}>{p.name}</td>
+                      <td style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>${p.salary.toLocaleString()}</td>
+                      <td style={{textAlign: 'center', padding: '0.4rem 0.5rem', color: '#666'}}>{formatAmericanOdds(p.odds)}</td>
+                      <td style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>{formatProb(p.probabilities.makeCut)}</td>
+                      <td style={{textAlign: 'center', padding: '0.4rem 0.5rem', fontWeight: 600, color: '#667eea'}} title={`Holes ${p.holePoints} + finish ${p.finishPoints}`}>
+                        {p.projection.toFixed(1)}
+                      </td>
+                      <td style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>{p.value.toFixed(2)}</td>
+                      <td style={{textAlign: 'right', padding: '0.4rem 0.5rem', whiteSpace: 'nowrap'}}>
+                        <button className="tab-btn" style={{padding: '0.2rem 0.5rem', background: locks.includes(p.name) ? '#e8f5e9' : undefined}}
+                          onClick={() => toggle(locks, setLocks, excludes, setExcludes, p.name)}>🔒</button>
+                        <button className="tab-btn" style={{padding: '0.2rem 0.5rem', marginLeft: '0.3rem', background: excludes.includes(p.name) ? '#ffebee' : undefined}}
+                          onClick={() => toggle(excludes, setExcludes, locks, setLocks, p.name)}>🚫</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {projections.length > 30 && (
+                <button className="tab-btn" style={{marginTop: '0.75rem'}} onClick={() => setShowAll(!showAll)}>
+                  {showAll ? 'Show top 30' : `Show all ${projections.length}`}
+                </button>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
 // ==================== LIVE PICKS VIEW ====================
 const LivePicksView = ({ data, requestId }) => {
   if (!data) return null;
@@ -1584,7 +2396,7 @@ const LivePicksView = ({ data, requestId }) => {
           <h3>No Live Tournament</h3>
           <p style={{color: '#666'}}>{data.error}</p>
           <p style={{color: '#999', fontSize: '0.85rem', marginTop: '0.5rem'}}>
-            Live picks are available Thursday–Sunday during an active PGA Tour event.
+            Live picks are available while a tournament is in progress.
           </p>
         </div>
       </div>
@@ -1788,18 +2600,66 @@ const ResultsView = ({ data, requestId }) => {
           <SummaryBadge label="Tournaments" value={s.completedTournaments || 0} />
           {s.totalBets > 0 && (
             <SummaryBadge 
-              label="Value ROI" 
+              label="Value P/L" 
               value={`${s.overallROI >= 0 ? '+' : ''}$${(s.overallROI || 0).toFixed(0)}`}
               color={s.overallROI >= 0 ? '#4caf50' : '#f44336'}
             />
           )}
+          {s.ledger?.betCount > 0 && (
+            <>
+              <SummaryBadge 
+                label="Yield" 
+                value={`${s.ledger.yield >= 0 ? '+' : ''}${s.ledger.yield.toFixed(1)}%`}
+                color={s.ledger.yield >= 0 ? '#4caf50' : '#f44336'}
+              />
+              <SummaryBadge label="Bankroll" value={`$${s.ledger.currentBankroll.toFixed(0)}`} />
+            </>
+          )}
           {s.matchupRecord?.total > 0 && (
             <SummaryBadge label="Matchups" value={`${s.matchupRecord.wins}W-${s.matchupRecord.total - s.matchupRecord.wins}L`} />
           )}
+          {s.bookMatchupRecord?.total > 0 && (
+            <SummaryBadge
+              label="Book Matchups"
+              value={`${s.bookMatchupRecord.wins}W-${s.bookMatchupRecord.losses}L, ${s.bookMatchupRecord.profit >= 0 ? '+' : ''}$${s.bookMatchupRecord.profit.toFixed(0)}`}
+              color={s.bookMatchupRecord.profit >= 0 ? '#4caf50' : '#f44336'}
+            />
+          )}
           {s.avoidRecord?.total > 0 && (
             <SummaryBadge label="Avoids" value={`${s.avoidRecord.correct}/${s.avoidRecord.total} correct`} />
           )}
+          {s.marketRecord?.picks > 0 && (
+            <SummaryBadge
+              label="Markets"
+              value={`${s.marketRecord.hits}/${s.marketRecord.picks} hit, ${s.marketRecord.profit >= 0 ? '+' : ''}$${s.marketRecord.profit.toFixed(0)}`}
+              color={s.marketRecord.profit >= 0 ? '#4caf50' : '#f44336'}
+            />
+          )}
+          {s.clv?.overall?.graded > 0 && (
+            <SummaryBadge
+              label="CLV"
+              value={`${formatClv(s.clv.overall.avgClv)} pts`}
+              color={s.clv.overall.avgClv >= 0 ? '#4caf50' : '#f44336'}
+            />
+          )}
         </div>
+        {s.ledger?.betCount > 0 && (
+          <p style={{margin: '0.75rem 0 0', color: '#666', fontSize: '0.8rem'}}>
+            {s.ledger.betCount} bets • ${s.ledger.totalStaked.toFixed(0)} staked • ${s.ledger.totalReturns.toFixed(0)} returned
+            {' '}• Started at ${s.ledger.startingBankroll.toFixed(0)}, max drawdown ${s.ledger.maxDrawdown.toFixed(0)}
+            <br/>
+            Staking: ${s.ledger.stakingPlan.stake} {s.ledger.stakingPlan.market === 'each_way'
+              ? `each-way (${s.ledger.stakingPlan.eachWayTerms})`
+              : s.ledger.stakingPlan.market.replace('_', '-')} per pick at the best available price
+            {s.ledger.stakingPlan.stakes === 'recommended' && ', or the recommended stake and price where one was saved'}
+          </p>
+        )}
+        {s.clv?.overall?.graded > 0 && (
+          <p style={{margin: '0.5rem 0 0', color: '#666', fontSize: '0.8rem'}}>
+            Closing-line value over {s.clv.tournaments} tournaments: beat the close on {formatProb(s.clv.overall.beatCloseRate)} of {s.clv.overall.graded} graded prices
+            {' '}• Value {formatClv(s.clv.value.avgClv)} • Avoid {formatClv(s.clv.avoid.avgClv)} • Matchups {formatClv(s.clv.matchups.avgClv)}
+          </p>
+        )}
       </div>
 
       {/* Tournament Cards */}
@@ -1843,6 +2703,7 @@ const TournamentResultCard = ({ tournament: t }) => {
           <h3 style={{margin: '0 0 0.25rem'}}>{t.tournament.name}</h3>
           <span style={{color: '#666', fontSize: '0.85rem'}}>
             📍 {t.tournament.course} • 📅 {t.tournament.dates}
+            {eventFormatNote(t.tournament.format) && <> • ⛳ {eventFormatNote(t.tournament.format)}</>}
           </span>
         </div>
         <span style={{
@@ -1860,6 +2721,14 @@ const TournamentResultCard = ({ tournament: t }) => {
       {/* Weather Accuracy Comparison */}
       <WeatherComparison tournament={t.tournament} />
 
+      {isCompleted && t.clvAnalysis && (
+        <div style={{color: '#666', fontSize: '0.8rem', marginBottom: '0.75rem'}}>
+          📉 Closing line: {new Date(t.clvAnalysis.closingFetchedAt).toLocaleString()} ({t.clvAnalysis.closingSource})
+          {t.clvAnalysis.startDateAssumed && ' • start date assumed Thursday'}
+          {t.clvAnalysis.overall.graded > 0 && ` • beat the close on ${formatProb(t.clvAnalysis.overall.beatCloseRate)} of ${t.clvAnalysis.overall.graded} prices`}
+        </div>
+      )}
+
       {/* Value Picks Section */}
       {t.valuePicks.length > 0 && (
         <ResultSection 
@@ -1874,19 +2743,70 @@ const TournamentResultCard = ({ tournament: t }) => {
                   <MiniStat label="T5" value={t.valueAnalysis.top5s} />
                   <MiniStat label="T10" value={t.valueAnalysis.top10s} />
                   <MiniStat label="T20" value={t.valueAnalysis.top20s} />
-                  <MiniStat label="MC" value={t.valueAnalysis.missedCut} bad />
+                  {t.valueAnalysis.withdrawn > 0
+                    ? <MiniStat label="WD" value={t.valueAnalysis.withdrawn} bad />
+                    : <MiniStat label="MC" value={t.valueAnalysis.missedCut} bad />}
                   <MiniStat 
-                    label="ROI" 
+                    label="P/L" 
                     value={`${t.valueAnalysis.totalROI >= 0 ? '+' : ''}$${t.valueAnalysis.totalROI.toFixed(0)}`}
                     highlight={t.valueAnalysis.totalROI > 0}
                     bad={t.valueAnalysis.totalROI < 0}
                   />
+                  {t.valueAnalysis.ledger && (
+                    <MiniStat 
+                      label="Yield" 
+                      value={`${t.valueAnalysis.ledger.yield >= 0 ? '+' : ''}${t.valueAnalysis.ledger.yield.toFixed(1)}%`}
+                      highlight={t.valueAnalysis.ledger.yield > 0}
+                      bad={t.valueAnalysis.ledger.yield < 0}
+                    />
+                  )}
+                  <ClvStat summary={t.clvAnalysis?.value} />
+                </div>
+              )}
+              {isCompleted && t.valueAnalysis?.ledger?.bankrollAfter !== undefined && (
+                <div style={{color: '#666', fontSize: '0.8rem', marginBottom: '0.75rem'}}>
+                  Staked ${t.valueAnalysis.ledger.totalStaked.toFixed(0)} • Returned ${t.valueAnalysis.ledger.totalReturns.toFixed(0)}
+                  {' '}• Bankroll ${t.valueAnalysis.ledger.bankrollBefore.toFixed(0)} → ${t.valueAnalysis.ledger.bankrollAfter.toFixed(0)}
                 </div>
               )}
               <PicksTable 
                 picks={isCompleted && t.valueAnalysis ? t.valueAnalysis.picks : t.valuePicks.map(p => ({ player: p.player, odds: p.odds, position: '—', performance: 'pending' }))}
                 showOdds
                 showROI={isCompleted}
+                showClv={isCompleted && !!t.clvAnalysis}
+              />
+            </>
+          )}
+        />
+      )}
+
+      {/* Placement & Cut Market Picks Section */}
+      {Object.values(t.marketPicks || {}).some(picks => picks.length > 0) && (
+        <ResultSection
+          title="🎯 Placement & Cut Markets"
+          isCompleted={isCompleted}
+          analysis={t.marketAnalysis}
+          renderContent={() => (
+            <>
+              {isCompleted && t.marketAnalysis && (
+                <div style={{display: 'flex', gap: '0.5rem', marginBottom: '0.75rem', flexWrap: 'wrap'}}>
+                  {Object.entries(t.marketAnalysis.markets).map(([market, m]) => (
+                    <MiniStat key={market} label={m.label} value={`${m.hits}/${m.picks}`} highlight={m.hits > 0} />
+                  ))}
+                  <MiniStat 
+                    label="P/L" 
+                    value={`${t.marketAnalysis.totalROI >= 0 ? '+' : ''}$${t.marketAnalysis.totalROI.toFixed(0)}`}
+                    highlight={t.marketAnalysis.totalROI > 0}
+                    bad={t.marketAnalysis.totalROI < 0}
+                  />
+                </div>
+              )}
+              <PicksTable
+                picks={isCompleted && t.marketAnalysis
+                  ? t.marketAnalysis.picks.map(p => ({ ...p, player: `${p.player} (${p.marketLabel})` }))
+                  : Object.values(t.marketPicks).flat().map(p => ({ player: `${p.player} (${p.marketLabel})`, odds: p.bestOdds, position: '—', performance: 'pending' }))}
+                showOdds
+                showROI={isCompleted}
               />
             </>
           )}
@@ -1904,7 +2824,8 @@ const TournamentResultCard = ({ tournament: t }) => {
               {isCompleted && t.avoidAnalysis && (
                 <div style={{display: 'flex', gap: '0.5rem', marginBottom: '0.75rem', flexWrap: 'wrap'}}>
                   <MiniStat label="Correct" value={t.avoidAnalysis.correctAvoids} highlight />
-                  <MiniStat label="Wrong" value={t.avoidAnalysis.wrongAvoids} bad={t.avoidAnalysis.wrongAvoids > 0} />
+                  <MiniStat label={`Wrong (top ${t.avoidAnalysis.threshold || 20})`} value={t.avoidAnalysis.wrongAvoids} bad={t.avoidAnalysis.wrongAvoids > 0} />
+                  <ClvStat summary={t.clvAnalysis?.avoid} />
                 </div>
               )}
               <PicksTable
@@ -1913,6 +2834,7 @@ const TournamentResultCard = ({ tournament: t }) => {
                   performance: p.verdict
                 })) : t.avoidPicks.map(p => ({ player: p.player, odds: p.odds, position: '—', performance: 'pending' }))}
                 showOdds
+                showClv={isCompleted && !!t.clvAnalysis}
                 isAvoid
               />
             </>
@@ -1933,6 +2855,7 @@ const TournamentResultCard = ({ tournament: t }) => {
                   <MiniStat label="Wins" value={t.matchupAnalysis.wins} highlight={t.matchupAnalysis.wins > 0} />
                   <MiniStat label="Losses" value={t.matchupAnalysis.losses} bad={t.matchupAnalysis.losses > 0} />
                   {t.matchupAnalysis.pushes > 0 && <MiniStat label="Push" value={t.matchupAnalysis.pushes} />}
+                  <ClvStat summary={t.clvAnalysis?.matchups} />
                 </div>
               )}
               <MatchupsTable 
@@ -1943,6 +2866,44 @@ const TournamentResultCard = ({ tournament: t }) => {
                   opponentPosition: '—',
                   result: 'pending'
                 }))}
+                showClv={isCompleted && !!t.clvAnalysis}
+              />
+            </>
+          )}
+        />
+      )}
+
+      {/* Bookmaker Matchups Section */}
+      {t.bookMatchups?.length > 0 && (
+        <ResultSection
+          title="📈 Bookmaker Matchups & 3-Balls"
+          isCompleted={isCompleted}
+          analysis={t.bookMatchupAnalysis}
+          renderContent={() => (
+            <>
+              {isCompleted && t.bookMatchupAnalysis && (
+                <div style={{display: 'flex', gap: '0.5rem', marginBottom: '0.75rem', flexWrap: 'wrap'}}>
+                  <MiniStat label="Wins" value={t.bookMatchupAnalysis.wins} highlight={t.bookMatchupAnalysis.wins > 0} />
+                  <MiniStat label="Losses" value={t.bookMatchupAnalysis.losses} bad={t.bookMatchupAnalysis.losses > 0} />
+                  {t.bookMatchupAnalysis.pushes > 0 && <MiniStat label="Push" value={t.bookMatchupAnalysis.pushes} />}
+                  {t.bookMatchupAnalysis.deadHeats > 0 && <MiniStat label="Dead Heat" value={t.bookMatchupAnalysis.deadHeats} />}
+                  <MiniStat
+                    label="P/L"
+                    value={`${t.bookMatchupAnalysis.totalROI >= 0 ? '+' : ''}$${t.bookMatchupAnalysis.totalROI.toFixed(0)}`}
+                    highlight={t.bookMatchupAnalysis.totalROI > 0}
+                    bad={t.bookMatchupAnalysis.totalROI < 0}
+                  />
+                </div>
+              )}
+              <MatchupsTable
+                matchups={isCompleted && t.bookMatchupAnalysis ? t.bookMatchupAnalysis.matchups : t.bookMatchups.map(m => ({
+                  ...m,
+                  pickPosition: '—',
+                  opponent: m.opponents.join(' / '),
+                  opponentPosition: '—',
+                  result: 'pending'
+                }))}
+                showPrice
               />
             </>
           )}
@@ -1981,7 +2942,7 @@ const WeatherComparison = ({ tournament }) => {
     setLoading(true);
     try {
       const response = await fetch(
-        `/.netlify/functions/fetch-weather?tournament=${encodeURIComponent(tournament.name)}&tour=${tournament.tour || 'pga'}&history=true`
+        `/.netlify/functions/fetch-weather?tour=${tournament.tour || 'pga'}${tournamentQuery(tournament)}&history=true`
       );
       const data = await response.json();
       setWeatherHistory(data);
@@ -1996,12 +2957,12 @@ const WeatherComparison = ({ tournament }) => {
     setLoading(true);
     try {
       const response = await fetch(
-        `/.netlify/functions/fetch-weather?location=${encodeURIComponent(tournament.location || tournament.course)}&tournament=${encodeURIComponent(tournament.name)}&tour=${tournament.tour || 'pga'}&actual=true`
+        `/.netlify/functions/fetch-weather?location=${encodeURIComponent(tournament.location || tournament.course)}&tour=${tournament.tour || 'pga'}${tournamentQuery(tournament)}&actual=true`
       );
       const data = await response.json();
       // Reload history to get updated comparison
       const histResponse = await fetch(
-        `/.netlify/functions/fetch-weather?tournament=${encodeURIComponent(tournament.name)}&tour=${tournament.tour || 'pga'}&history=true`
+        `/.netlify/functions/fetch-weather?tour=${tournament.tour || 'pga'}${tournamentQuery(tournament)}&history=true`
       );
       const histData = await histResponse.json();
       setWeatherHistory(histData);
@@ -2170,7 +3131,7 @@ const SelfAnalysis = ({ tournament, isCompleted }) => {
     try {
       const refreshParam = forceRefresh ? '&refresh=true' : '';
       const response = await fetch(
-        `/.netlify/functions/analyze-results?tournament=${encodeURIComponent(tournament.name)}&tour=${tournament.tour || 'pga'}${refreshParam}`
+        `/.netlify/functions/analyze-results?tour=${tournament.tour || 'pga'}${tournamentQuery(tournament)}${refreshParam}`
       );
       const data = await response.json();
       if (data.error) {
@@ -2367,7 +3328,7 @@ const MiniStat = ({ label, value, highlight, bad }) => (
   </span>
 );
 
-const PicksTable = ({ picks, showOdds, showROI, isAvoid }) => (
+const PicksTable = ({ picks, showOdds, showROI, showClv, isAvoid }) => (
   <div style={{overflowX: 'auto'}}>
     <table style={{width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem'}}>
       <thead>
@@ -2376,7 +3337,9 @@ const PicksTable = ({ picks, showOdds, showROI, isAvoid }) => (
           {showOdds && <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Odds</th>}
           <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Finish</th>
           <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>{isAvoid ? 'Verdict' : 'Result'}</th>
-          {showROI && <th style={{textAlign: 'right', padding: '0.4rem 0.5rem'}}>ROI</th>}
+          {showClv && <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Close</th>}
+          {showClv && <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}} title="Closing-line value (implied probability pts)">CLV</th>}
+          {showROI && <th style={{textAlign: 'right', padding: '0.4rem 0.5rem'}}>P/L</th>}
         </tr>
       </thead>
       <tbody>
@@ -2403,6 +3366,10 @@ const PicksTable = ({ picks, showOdds, showROI, isAvoid }) => (
                   {getPerformanceLabel(pick.performance, isAvoid)}
                 </span>
               </td>
+              {showClv && <td style={{textAlign: 'center', padding: '0.4rem 0.5rem', color: '#666'}}>
+                {pick.closingOdds ? formatAmericanOdds(pick.closingOdds) : '—'}
+              </td>}
+              {showClv && <ClvCell clv={pick.clv} />}
               {showROI && <td style={{
                 textAlign: 'right',
                 padding: '0.4rem 0.5rem',
@@ -2410,6 +3377,7 @@ const PicksTable = ({ picks, showOdds, showROI, isAvoid }) => (
                 color: (pick.roi || 0) >= 0 ? '#2e7d32' : '#c62828'
               }}>
                 {(pick.roi || 0) >= 0 ? '+' : ''}${(pick.roi || 0).toFixed(0)}
+                {pick.deadHeat && <span title="Dead-heat rules applied" style={{marginLeft: '0.3rem', fontSize: '0.7rem', color: '#999'}}>DH</span>}
               </td>}
             </tr>
           );
@@ -2419,17 +3387,21 @@ const PicksTable = ({ picks, showOdds, showROI, isAvoid }) => (
   </div>
 );
 
-const MatchupsTable = ({ matchups }) => (
+const MatchupsTable = ({ matchups, showClv, showPrice }) => (
   <div style={{overflowX: 'auto'}}>
     <table style={{width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem'}}>
       <thead>
         <tr style={{borderBottom: '2px solid #ddd'}}>
+          {showPrice && <th style={{textAlign: 'left', padding: '0.4rem 0.5rem'}}>Market</th>}
           <th style={{textAlign: 'left', padding: '0.4rem 0.5rem'}}>Our Pick</th>
           <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Pos</th>
           <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>vs</th>
           <th style={{textAlign: 'left', padding: '0.4rem 0.5rem'}}>Opponent</th>
           <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Pos</th>
           <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Result</th>
+          {showPrice && <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>Price</th>}
+          {showPrice && <th style={{textAlign: 'right', padding: '0.4rem 0.5rem'}}>P/L</th>}
+          {showClv && <th style={{textAlign: 'center', padding: '0.4rem 0.5rem'}} title="Average closing-line value of both sides">CLV</th>}
         </tr>
       </thead>
       <tbody>
@@ -2439,6 +3411,7 @@ const MatchupsTable = ({ matchups }) => (
                               {bg: '#e3e8f0', text: '#444'};
           return (
             <tr key={i} style={{borderBottom: '1px solid #eee'}}>
+              {showPrice && <td style={{padding: '0.4rem 0.5rem', color: '#666'}}>{m.label}{m.round ? ` R${m.round}` : ''}</td>}
               <td style={{padding: '0.4rem 0.5rem', fontWeight: 600}}>{m.pick}</td>
               <td style={{textAlign: 'center', padding: '0.4rem 0.5rem'}}>{m.pickPosition}</td>
               <td style={{textAlign: 'center', padding: '0.4rem 0.5rem', color: '#999'}}>vs</td>
@@ -2453,9 +3426,17 @@ const MatchupsTable = ({ matchups }) => (
                   background: resultColor.bg,
                   color: resultColor.text
                 }}>
-                  {m.result === 'win' ? '✅ Win' : m.result === 'loss' ? '❌ Loss' : m.result === 'push' ? '🤝 Push' : '⏳'}
+                  {m.result === 'win' ? '✅ Win' : m.result === 'loss' ? '❌ Loss' : m.result === 'push' ? '🤝 Push'
+                    : m.result === 'dead-heat' ? '⚖️ Dead Heat' : m.result === 'void' ? 'Void' : '⏳'}
                 </span>
               </td>
+              {showPrice && <td style={{textAlign: 'center', padding: '0.4rem 0.5rem', color: '#667eea'}}>{formatAmericanOdds(m.odds)}</td>}
+              {showPrice && (
+                <td style={{textAlign: 'right', padding: '0.4rem 0.5rem', fontWeight: 600, color: m.roi > 0 ? '#2e7d32' : m.roi < 0 ? '#c62828' : '#666'}}>
+                  {m.roi == null ? '—' : `${m.roi >= 0 ? '+' : ''}$${m.roi.toFixed(0)}`}
+                </td>
+              )}
+              {showClv && <ClvCell clv={m.clv} />}
             </tr>
           );
         })}
@@ -2464,6 +3445,32 @@ const MatchupsTable = ({ matchups }) => (
   </div>
 );
 
+// Closing-line value in implied-probability points, e.g. "+1.3"
+const formatClv = (clv) => clv === null || clv === undefined ? '—' : `${clv >= 0 ? '+' : ''}${clv.toFixed(1)}`;
+
+const ClvStat = ({ summary }) => {
+  if (!summary?.graded) return null;
+  return (
+    <MiniStat
+      label="CLV"
+      value={`${formatClv(summary.avgClv)} (${formatProb(summary.beatCloseRate)} beat)`}
+      highlight={summary.avgClv > 0}
+      bad={summary.avgClv < 0}
+    />
+  );
+};
+
+const ClvCell = ({ clv }) => (
+  <td style={{
+    textAlign: 'center',
+    padding: '0.4rem 0.5rem',
+    fontWeight: 600,
+    color: clv === null || clv === undefined ? '#999' : clv >= 0 ? '#2e7d32' : '#c62828'
+  }}>
+    {formatClv(clv)}
+  </td>
+);
+
 function getPerformanceColor(perf, isAvoid) {
   if (isAvoid) {
     if (perf === 'correct') return {bg: '#e8f5e9', text: '#2e7d32'};
@@ -2474,8 +3481,10 @@ function getPerformanceColor(perf, isAvoid) {
   if (perf === 'top-5') return {bg: '#e8f5e9', text: '#2e7d32'};
   if (perf === 'top-10') return {bg: '#e8f5e9', text: '#388e3c'};
   if (perf === 'top-20') return {bg: '#e3f2fd', text: '#1565c0'};
-  if (perf === 'made-cut') return {bg: '#f5f5f5', text: '#666'};
-  if (perf === 'missed-cut') return {bg: '#ffebee', text: '#c62828'};
+  if (perf === 'made-cut' || perf === 'finished') return {bg: '#f5f5f5', text: '#666'};
+  if (perf === 'missed-cut' || perf === 'withdrew') return {bg: '#ffebee', text: '#c62828'};
+  if (perf === 'hit') return {bg: '#e8f5e9', text: '#2e7d32'};
+  if (perf === 'miss') return {bg: '#ffebee', text: '#c62828'};
   return {bg: '#e3e8f0', text: '#444'};
 }
 
@@ -2491,7 +3500,11 @@ function getPerformanceLabel(perf, isAvoid) {
   if (perf === 'top-20') return 'Top 20';
   if (perf === 'made-cut') return 'Made Cut';
   if (perf === 'missed-cut') return 'MC';
+  if (perf === 'finished') return 'Finished';
+  if (perf === 'withdrew') return 'WD';
   if (perf === 'not-found') return '?';
+  if (perf === 'hit') return '✅ Landed';
+  if (perf === 'miss') return '❌ Missed';
   return '⏳ Pending';
 }
 
@@ -211,11 +211,70 @@ const OddsTooltip = ({ player }) => {
   );
 };
 
+/**
+ * Line History Chart
+ * Sparkline of a player's average price over time (from get-odds-movement).
+ * Plotted as implied win probability so the line goes UP when the price shortens.
+ */
+const LineHistoryChart = ({ history, closing, width = 260, height = 70 }) => {
+  const points = (history || []).filter(p => p.odds);
+  if (points.length < 2) {
+    return <div className="text-xs text-gray-400">Not enough snapshots for a line chart yet</div>;
+  }
+
+  const toProb = (american) => american > 0 ? 100 / (american + 100) : -american / (-american + 100);
+  const formatOdds = (odds) => odds > 0 ? `+${odds}` : `${odds}`;
+  const probs = points.map(p => toProb(p.odds));
+  const times = points.map(p => new Date(p.fetchedAt).getTime());
+
+  const minProb = Math.min(...probs);
+  const maxProb = Math.max(...probs);
+  const minTime = times[0];
+  const span = (times[times.length - 1] - minTime) || 1;
+  const pad = 6;
+
+  const x = (t) => pad + ((t - minTime) / span) * (width - pad * 2);
+  const y = (prob) => maxProb === minProb
+    ? height / 2
+    : pad + (1 - (prob - minProb) / (maxProb - minProb)) * (height - pad * 2);
+
+  const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(times[i]).toFixed(1)},${y(probs[i]).toFixed(1)}`).join(' ');
+  const first = points[0];
+  const last = points[points.length - 1];
+  const shortened = probs[probs.length - 1] > probs[0];
+  const color = shortened ? '#16a34a' : probs[probs.length - 1] < probs[0] ? '#dc2626' : '#6b7280';
+
+  return (
+    <div className="text-xs text-gray-600">
+      <svg width={width} height={height} role="img" aria-label="Odds line history">
+        <path d={path} fill="none" stroke={color} strokeWidth="2" />
+        {points.map((p, i) => (
+          <circle key={p.fetchedAt} cx={x(times[i])} cy={y(probs[i])} r="2.5" fill={color}>
+            <title>{`${new Date(p.fetchedAt).toLocaleString()}: ${formatOdds(p.odds)}`}</title>
+          </circle>
+        ))}
+        {closing && (
+          <line
+            x1={x(new Date(closing.fetchedAt).getTime())} x2={x(new Date(closing.fetchedAt).getTime())}
+            y1={0} y2={height} stroke="#9ca3af" strokeDasharray="3,3"
+          />
+        )}
+      </svg>
+      <div className="flex justify-between" style={{ width }}>
+        <span>Open {formatOdds(first.odds)}</span>
+        {closing && <span>Close {formatOdds(closing.odds)}</span>}
+        <span style={{ color, fontWeight: 600 }}>Now {formatOdds(last.odds)}</span>
+      </div>
+    </div>
+  );
+};
+
 /**
  * Odds Comparison Table (Alternative Display)
- * Shows all three odds side-by-side with bookmaker names
+ * Shows all three odds side-by-side with bookmaker names,
+ * plus the line history when a movement entry from get-odds-movement is passed
  */
-const OddsComparisonTable = ({ player }) => {
+const OddsComparisonTable = ({ player, lineMovement }) => {
   return (
     <div className="overflow-hidden rounded-lg border border-gray-200">
       <table className="min-w-full divide-y divide-gray-200">
@@ -248,6 +307,12 @@ const OddsComparisonTable = ({ player }) => {
           </tr>
         </tbody>
       </table>
+      {lineMovement && (
+        <div className="px-4 py-3 bg-gray-50 border-t border-gray-200">
+          <div className="text-xs font-medium text-gray-500 uppercase mb-1">Line History</div>
+          <LineHistoryChart history={lineMovement.history} closing={lineMovement.closing} />
+        </div>
+      )}
     </div>
   );
 };
@@ -276,5 +341,6 @@ export {
   CompactOddsDisplay, 
   OddsTooltip,
   OddsComparisonTable,
+  LineHistoryChart,
   PredictionsPage 
 };